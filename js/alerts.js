@@ -1,10 +1,11 @@
 /**
- * alerts.js — Follow-up reminder system
+ * alerts.js — Follow-up reminders and continuing education alerts
  * Checked on app load, rendered on dashboard
  */
 
-import db from './db.js';
+import db, { getCeProgress } from './db.js';
 import { escapeHtml, formatDate } from './ui.js';
+import { getCertCatalog } from './cert-catalog.js';
 
 /**
  * Get all overdue and upcoming follow-ups.
@@ -91,3 +92,43 @@ export function renderFollowUpAlerts({ overdue, upcoming }) {
   html += '</div>';
   return html;
 }
+
+// ── Continuing Education ────────────────────────────────────
+
+/**
+ * Certifications whose CE hours are at risk for the current period, soonest
+ * period end first.
+ */
+export async function getCeAlerts(candidates = null) {
+  const catalog = await getCertCatalog();
+  if (!candidates) candidates = await db.getAllCandidates();
+
+  const atRisk = [];
+  for (const c of candidates) {
+    for (const cert of c.certifications || []) {
+      const progress = getCeProgress(cert, catalog);
+      if (progress?.status !== 'at-risk') continue;
+      atRisk.push({ candidateId: c.id, candidateName: `${c.firstName} ${c.lastName}`, certName: cert.name, ...progress });
+    }
+  }
+  return atRisk.sort((a, b) => a.periodEnd.localeCompare(b.periodEnd));
+}
+
+export function renderCeAlerts(atRisk) {
+  if (atRisk.length === 0) return '';
+  return `
+    <div class="followup-alerts">
+      <div class="followup-group followup-group--overdue">
+        <h4 class="followup-group-title">CE Hours at Risk (${atRisk.length})</h4>
+        ${atRisk.map(a => `
+          <div class="followup-item followup-item--overdue">
+            <div class="followup-item-info">
+              <a href="#/candidate/${a.candidateId}" class="link">${escapeHtml(a.candidateName)}</a>
+              <span class="followup-subject">${escapeHtml(a.certName)}: ${a.earned} / ${a.required} h, ${a.shortfall} h short at this pace</span>
+            </div>
+            <span class="followup-date">${formatDate(a.periodEnd)}</span>
+          </div>
+        `).join('')}
+      </div>
+    </div>`;
+}
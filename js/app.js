@@ -5,13 +5,26 @@
 
 import db from './db.js';
 import { initModalListeners, closeModal, setHeaderTitle, setHeaderActions, toast, escapeHtml, formatDate, isDirty, clearDirty } from './ui.js';
-import { renderCandidateList, renderCandidateDetail, renderCandidateForm } from './candidates.js';
-import { renderClientList, renderClientDetail, renderClientForm } from './clients.js';
-import { renderJobList, renderJobDetail, renderJobForm } from './jobs.js';
+import { renderCandidateList, renderCandidateDetail, renderCandidateForm, invalidateListCache } from './candidates.js';
+import { renderClientList, renderClientDetail, renderClientForm, invalidateClientListCache } from './clients.js';
+import { renderJobList, renderJobDetail, renderJobForm, invalidateJobListCache } from './jobs.js';
 import { renderPipeline } from './pipeline.js';
+import { renderMergeView } from './merge.js';
+import { renderDuplicatesView } from './duplicates.js';
+import { renderVerificationQueue } from './verification.js';
+import { renderCustomFieldSettings } from './custom-fields.js';
+import { renderCertCatalogSettings } from './cert-catalog.js';
 import { renderImportExport, handleBackup } from './import-export.js';
 import { renderOutreach, renderTemplateSettings } from './outreach.js';
-import { getFollowUpAlerts, renderFollowUpAlerts } from './alerts.js';
+import { getFollowUpAlerts, renderFollowUpAlerts, getCeAlerts, renderCeAlerts } from './alerts.js';
+import { renderTrash, DEFAULT_TRASH_RETENTION_DAYS } from './trash.js';
+import { SEARCH_INDEX_VERSION } from './search.js';
+import { renderDataHealth } from './data-health.js';
+import { promptUnlock, renderEncryptionSettings } from './passphrase.js';
+import { getActiveWorkspace, initWorkspaceSwitcher, renderWorkspaceSettings } from './workspaces.js';
+import { renderRetentionSettings } from './retention.js';
+import { renderTagSettings } from './tags.js';
+import { renderStorageStatus, requestPersistenceOnFirstRun, warnIfStorageLow, checkForDataLoss, trackSeenData, forgetSeenData } from './storage.js';
 
 // ── Router ──────────────────────────────────────────────────
 
@@ -30,14 +43,24 @@ const routes = {
   'job-new': () => renderJobForm(null),
   'job-edit': (id) => renderJobForm(id),
   pipeline: renderPipeline,
+  merge: renderMergeView,
+  duplicates: renderDuplicatesView,
+  verification: renderVerificationQueue,
   outreach: renderOutreach,
   import: renderImportExport,
+  trash: renderTrash,
   settings: renderSettings,
 };
 
-function handleRoute() {
+// #/view[/id[/subview]]
+function parseRoute() {
   const hash = location.hash.slice(1) || '/dashboard';
   const [, view, id, subview] = hash.match(/^\/(\w+)\/?([^/]+)?\/?(\w+)?$/) || [];
+  return { view, id, subview };
+}
+
+function handleRoute() {
+  const { view, id, subview } = parseRoute();
 
   if (!view || !resolveRoute(view, id, subview)) {
     // Fallback to dashboard
@@ -52,6 +75,9 @@ function resolveRoute(view, id, subview) {
     client: 'clients',
     job: 'jobs',
     pipeline: 'jobs',
+    merge: 'candidates',
+    duplicates: 'candidates',
+    verification: 'candidates',
   };
   document.querySelectorAll('.nav-link').forEach(link => {
     const linkView = link.dataset.view;
@@ -77,6 +103,12 @@ function resolveRoute(view, id, subview) {
     return true;
   }
 
+  // Merge view (takes comma-separated candidate ids as id param)
+  if (view === 'merge' && id) {
+    routes['merge'](id.split(',').map(decodeURIComponent));
+    return true;
+  }
+
   const handler = routes[view];
   if (handler) {
     handler();
@@ -106,7 +138,7 @@ async function renderDashboard() {
     db.getAllJobs(),
     db.getAllClients(),
     db.getAllActivities(),
-    db.getAll('pipeline'),
+    db.getAllPipelineEntries(),
   ]);
 
   const [candidatesR, jobsR, clientsR, activitiesR, pipelineR] = results;
@@ -126,6 +158,8 @@ async function renderDashboard() {
   // Compute follow-ups using already-fetched candidates (avoids duplicate DB read)
   let followUps = { overdue: [], upcoming: [] };
   try { followUps = await getFollowUpAlerts(7, candidates); } catch { /* non-critical */ }
+  let ceAlerts = [];
+  try { ceAlerts = await getCeAlerts(candidates); } catch { /* non-critical */ }
   const openJobs = jobs.filter(j => j.status === 'open');
 
   // Pipeline summary per job
@@ -169,6 +203,13 @@ async function renderDashboard() {
       </div>
       ` : ''}
 
+      ${ceAlerts.length > 0 ? `
+      <div class="dashboard-section">
+        <h2 class="section-title">Continuing Education</h2>
+        ${renderCeAlerts(ceAlerts)}
+      </div>
+      ` : ''}
+
       ${pipelineSummary.length > 0 ? `
       <div class="dashboard-section">
         <h2 class="section-title">Pipeline Summary</h2>
@@ -268,7 +309,7 @@ async function renderSettings() {
   const content = document.getElementById('content');
 
   const alertDays = (await db.getSetting('certAlertDays')) || 60;
-  const customCerts = (await db.getSetting('customCertTypes')) || [];
+  const trashRetentionDays = (await db.getSetting('trashRetentionDays')) || DEFAULT_TRASH_RETENTION_DAYS;
 
   content.innerHTML = `
     <div class="settings-page">
@@ -284,22 +325,21 @@ async function renderSettings() {
       </div>
 
       <div class="settings-section">
-        <h2 class="section-title">Custom Certification Types</h2>
-        <p class="section-desc">Add custom certification types that will appear in cert dropdowns.</p>
-        <div id="custom-certs-list">
-          ${customCerts.map((cert, i) => `
-            <div class="custom-cert-row" data-index="${i}">
-              <span>${escapeHtml(cert.name)} <span class="text-secondary">— ${escapeHtml(cert.issuingBody)}</span></span>
-              <button class="btn btn-sm btn-danger remove-custom-cert" data-index="${i}">Remove</button>
-            </div>
-          `).join('')}
-        </div>
-        <form id="add-custom-cert-form" class="form form-inline">
-          <input type="text" name="name" placeholder="Cert name" required class="form-input">
-          <input type="text" name="issuingBody" placeholder="Issuing body" required class="form-input">
-          <input type="text" name="renewal" placeholder="Renewal cycle" class="form-input">
-          <button type="submit" class="btn btn-secondary">Add</button>
-        </form>
+        <h2 class="section-title">Certification Catalog</h2>
+        <p class="section-desc">The certifications offered in cert dropdowns and job requirements. Edit a built-in entry to change its renewal and CE rules (Reset goes back to the original), or add your own. A cert that counts as others — Series 66 for Series 63 and 65 — satisfies them in pipeline matching and the people filter, and so does any name listed under "Also called".</p>
+        <div id="cert-catalog-container"></div>
+      </div>
+
+      <div class="settings-section">
+        <h2 class="section-title">Tags</h2>
+        <p class="section-desc">Colored tags for grouping people, companies, jobs and activities. Renaming a tag updates it everywhere. Merging or deleting a tag also updates every record that carries it.</p>
+        <div id="tag-settings-container"></div>
+      </div>
+
+      <div class="settings-section">
+        <h2 class="section-title">Custom Fields</h2>
+        <p class="section-desc">Add your own fields to people, jobs and companies. They appear on forms and detail pages, are searchable, and dropdown, multi-select and checkbox fields can be used as list filters.</p>
+        <div id="custom-field-settings-container"></div>
       </div>
 
       <div class="settings-section">
@@ -308,6 +348,24 @@ async function renderSettings() {
         <div id="template-settings-container"></div>
       </div>
 
+      <div class="settings-section">
+        <h2 class="section-title">Trash</h2>
+        <p class="section-desc">Deleted records stay in the <a href="#/trash" class="link">Trash</a> until purged automatically after this many days.</p>
+        <form id="trash-settings-form" class="form">
+          <div class="form-group">
+            <label for="trashRetentionDays">Retention period (days)</label>
+            <input type="number" id="trashRetentionDays" name="trashRetentionDays" value="${trashRetentionDays}" min="1" max="3650" class="form-input" style="max-width: 120px;">
+          </div>
+          <button type="submit" class="btn btn-primary">Save</button>
+        </form>
+      </div>
+
+      <div class="settings-section">
+        <h2 class="section-title">Data Retention</h2>
+        <p class="section-desc">Flag people with no activity (edits, logged activities or pipeline moves) for longer than the retention period, so you can keep or forget them. Leave empty to turn this off.</p>
+        <div id="retention-settings-container"></div>
+      </div>
+
       <div class="settings-section">
         <h2 class="section-title">Keyboard Shortcuts</h2>
         <div class="shortcut-list">
@@ -317,14 +375,46 @@ async function renderSettings() {
         </div>
       </div>
 
+      <div class="settings-section">
+        <h2 class="section-title">Workspaces</h2>
+        <p class="section-desc">Each workspace has its own people, companies, jobs, settings and backups. Switch between them from the sidebar.</p>
+        <div id="workspace-settings-container"></div>
+      </div>
+
+      <div class="settings-section">
+        <h2 class="section-title">Encryption</h2>
+        <div id="encryption-settings-container"></div>
+      </div>
+
+      <div class="settings-section">
+        <h2 class="section-title">Storage</h2>
+        <div id="storage-status-container"></div>
+      </div>
+
+      <div class="settings-section">
+        <h2 class="section-title">Data Health</h2>
+        <p class="section-desc">Find pipeline entries, activities and jobs that point at records which no longer exist, and repair them.</p>
+        <button id="btn-check-health" class="btn btn-secondary">Check Data</button>
+        <div id="data-health-container" style="margin-top: 12px;"></div>
+      </div>
+
       <div class="settings-section">
         <h2 class="section-title">Data</h2>
         <button id="btn-export-all" class="btn btn-secondary">Export Full Backup (JSON)</button>
+        <button id="btn-rebuild-search" class="btn btn-secondary" style="margin-left: 8px;">Rebuild Search Index</button>
         <button id="btn-clear-all" class="btn btn-danger" style="margin-left: 8px;">Clear All Data</button>
       </div>
     </div>
   `;
 
+  renderWorkspaceSettings(document.getElementById('workspace-settings-container'));
+  renderEncryptionSettings(document.getElementById('encryption-settings-container'));
+  renderStorageStatus(document.getElementById('storage-status-container'));
+  renderRetentionSettings(document.getElementById('retention-settings-container'));
+  renderTagSettings(document.getElementById('tag-settings-container'));
+  renderCustomFieldSettings(document.getElementById('custom-field-settings-container'));
+  renderCertCatalogSettings(document.getElementById('cert-catalog-container'));
+
   // Render email template settings
   const templateContainer = document.getElementById('template-settings-container');
   if (templateContainer) {
@@ -345,46 +435,41 @@ async function renderSettings() {
     }
   });
 
-  // Add custom cert
-  document.getElementById('add-custom-cert-form').addEventListener('submit', async (e) => {
+  // Trash retention
+  document.getElementById('trash-settings-form').addEventListener('submit', async (e) => {
     e.preventDefault();
     try {
-      const name = e.target.name.value.trim();
-      const issuingBody = e.target.issuingBody.value.trim();
-      const renewal = e.target.renewal.value.trim();
-      if (!name || !issuingBody) return;
-      const certs = (await db.getSetting('customCertTypes')) || [];
-      certs.push({ name, issuingBody, renewal, type: 'custom' });
-      await db.setSetting('customCertTypes', certs);
-      toast(`Added "${name}"`, { type: 'success' });
-      renderSettings();
+      const days = parseInt(e.target.trashRetentionDays.value, 10);
+      if (days > 0) {
+        await db.setSetting('trashRetentionDays', days);
+        toast('Settings saved', { type: 'success' });
+      }
     } catch (err) {
-      toast('Failed to add cert type: ' + err.message, { type: 'error' });
+      toast('Failed to save settings: ' + err.message, { type: 'error' });
     }
   });
 
-  // Remove custom cert
-  content.addEventListener('click', async (e) => {
-    const btn = e.target.closest('.remove-custom-cert');
-    if (!btn) return;
+  // Export
+  document.getElementById('btn-export-all').addEventListener('click', () => handleBackup());
+
+  // Data health
+  document.getElementById('btn-check-health').addEventListener('click', () => {
+    renderDataHealth(document.getElementById('data-health-container'));
+  });
+
+  // Rebuild search index
+  document.getElementById('btn-rebuild-search').addEventListener('click', async () => {
     try {
-      const idx = parseInt(btn.dataset.index, 10);
-      const certs = (await db.getSetting('customCertTypes')) || [];
-      certs.splice(idx, 1);
-      await db.setSetting('customCertTypes', certs);
-      toast('Removed', { type: 'info' });
-      renderSettings();
+      const count = await db.rebuildSearchIndex();
+      toast(`Search index rebuilt (${count} records)`, { type: 'success' });
     } catch (err) {
-      toast('Failed to remove: ' + err.message, { type: 'error' });
+      toast('Failed to rebuild search index: ' + err.message, { type: 'error' });
     }
   });
 
-  // Export
-  document.getElementById('btn-export-all').addEventListener('click', () => handleBackup());
-
   // Clear all
   document.getElementById('btn-clear-all').addEventListener('click', async () => {
-    if (!window.confirm('This will permanently delete ALL data. Export a backup first. Continue?')) return;
+    if (!window.confirm(`This will permanently delete ALL data in the "${getActiveWorkspace().name}" workspace. Export a backup first. Continue?`)) return;
     try {
       await Promise.all([
         db.clear('candidates'),
@@ -393,7 +478,11 @@ async function renderSettings() {
         db.clear('pipeline'),
         db.clear('activities'),
         db.clear('settings'),
+        db.clear('auditLog'),
+        db.clear('attachments'),
+        db.clear('searchIndex'),
       ]);
+      forgetSeenData();
       toast('All data cleared', { type: 'info' });
       renderSettings();
     } catch (err) {
@@ -402,6 +491,74 @@ async function renderSettings() {
   });
 }
 
+// ── Cross-Tab Sync ──────────────────────────────────────────
+
+// Stores each view reads; a change to one of them in another tab makes it stale
+const VIEW_STORES = {
+  dashboard: ['candidates', 'clients', 'jobs', 'pipeline', 'activities'],
+  candidates: ['candidates'],
+  candidate: ['candidates', 'jobs', 'pipeline', 'activities', 'attachments'],
+  clients: ['clients', 'jobs'],
+  client: ['clients', 'jobs', 'attachments'],
+  jobs: ['jobs', 'clients'],
+  job: ['jobs', 'clients', 'candidates', 'pipeline', 'attachments'],
+  pipeline: ['jobs', 'candidates', 'pipeline'],
+  merge: ['candidates', 'pipeline', 'activities'],
+  duplicates: ['candidates'],
+  verification: ['candidates', 'jobs', 'pipeline'],
+  outreach: ['candidates', 'activities'],
+  trash: ['candidates', 'clients', 'jobs', 'pipeline', 'activities'],
+  settings: ['settings'],
+};
+
+// Detail views show one record of this store, identified by the route id
+const VIEW_ENTITY = { candidate: 'candidates', client: 'clients', job: 'jobs' };
+
+function initCrossTabSync() {
+  db.onRemoteChange((changes) => {
+    // Encryption turned on/off or passphrase changed: the session keys are gone
+    if (changes.some(c => c.store === 'keyring')) {
+      location.reload();
+      return;
+    }
+    const stores = new Set(changes.map(c => c.store));
+    if (stores.has('candidates')) invalidateListCache();
+    if (stores.has('clients')) invalidateClientListCache();
+    if (stores.has('jobs') || stores.has('clients')) invalidateJobListCache();
+    if (isViewStale(changes)) showStaleBanner();
+  });
+}
+
+function isViewStale(changes) {
+  const { view, id, subview } = parseRoute();
+  if (id === 'new') return false;
+  const entity = VIEW_ENTITY[view];
+  const isOwnRecord = (c) => c.store === entity && (c.id === id || c.op === 'clear');
+  // An edit form only cares about the record being edited
+  if (entity && subview === 'edit') return changes.some(isOwnRecord);
+  const stores = VIEW_STORES[view] || [];
+  return changes.some(c => stores.includes(c.store) && (c.store !== entity || isOwnRecord(c)));
+}
+
+// Re-rendering would throw away the user's search, paging and unsaved
+// input, so the view says it is out of date and lets them refresh
+function showStaleBanner() {
+  const content = document.getElementById('content');
+  if (content.querySelector('.sync-banner')) return;
+  const banner = document.createElement('div');
+  banner.className = 'sync-banner';
+  banner.setAttribute('role', 'status');
+  banner.innerHTML = `
+    <span>This page was changed in another tab or window.</span>
+    <button class="btn btn-sm btn-secondary">Refresh</button>`;
+  banner.querySelector('button').addEventListener('click', () => {
+    if (isDirty() && !window.confirm('Discard your unsaved changes and load the latest version?')) return;
+    clearDirty();
+    handleRoute();
+  });
+  content.prepend(banner);
+}
+
 // ── Sidebar Toggle ──────────────────────────────────────────
 
 function initSidebar() {
@@ -428,7 +585,7 @@ function initBackupButton() {
 
 async function init() {
   try {
-    await db.init();
+    await db.init(getActiveWorkspace().dbName);
   } catch (err) {
     document.getElementById('content').innerHTML = `
       <div class="empty-state">
@@ -442,6 +599,27 @@ async function init() {
 
   initModalListeners();
   initSidebar();
+  initWorkspaceSwitcher();
+
+  // Encrypted database: nothing can read records until the passphrase is entered
+  if (db.isLocked()) await promptUnlock();
+
+  initCrossTabSync();
+
+  // Browser storage: ask not to be evicted, warn when nearly full, and send the
+  // user to restore if this workspace was emptied behind their back
+  let dataLoss = null;
+  try {
+    await requestPersistenceOnFirstRun();
+    await warnIfStorageLow();
+    dataLoss = await checkForDataLoss();
+  } catch { /* non-critical */ }
+  trackSeenData();
+  if (dataLoss) {
+    history.replaceState(null, '', '#/import');
+    toast(`This workspace is empty, but it held ${dataLoss.records} records on ${formatDate(dataLoss.seenAt)}. The browser may have cleared its storage — restore your latest backup.`, { type: 'error', duration: 10000 });
+  }
+
   initBackupButton();
 
   // Set default settings
@@ -449,6 +627,22 @@ async function init() {
     await db.setSetting('certAlertDays', 60);
   }
 
+  // Purge trash past its retention period
+  try {
+    const retentionDays = (await db.getSetting('trashRetentionDays')) || DEFAULT_TRASH_RETENTION_DAYS;
+    await db.purgeExpiredTrash(retentionDays);
+  } catch { /* non-critical */ }
+
+  // Build the search index on first start after an upgrade, or when its format changed
+  try {
+    if ((await db.getSetting('searchIndexVersion')) !== SEARCH_INDEX_VERSION) {
+      await db.rebuildSearchIndex();
+      await db.setSetting('searchIndexVersion', SEARCH_INDEX_VERSION);
+    }
+  } catch (err) {
+    toast('Search index could not be built: ' + err.message, { type: 'error' });
+  }
+
   // Route handling
   window.addEventListener('hashchange', () => {
     if (isDirty()) {
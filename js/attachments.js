@@ -0,0 +1,187 @@
+/**
+ * attachments.js — Files attached to people, companies, jobs and activities
+ *
+ * Files live as Blobs in the attachments store (see db.addAttachment). Previews
+ * open inline below the file through an object URL, which is revoked when the
+ * preview closes or another one opens.
+ */
+
+import db, { ATTACHMENT_KINDS, MAX_ATTACHMENT_SIZE } from './db.js';
+import { toast, confirm, escapeHtml, formatDate } from './ui.js';
+import { formatBytes } from './storage.js';
+
+// Kind preselected for uploads, per record type
+const DEFAULT_KIND = { candidates: 'resume', clients: 'other', jobs: 'other', activities: 'other' };
+
+// Larger text files are download-only
+const MAX_TEXT_PREVIEW = 512 * 1024;
+
+const TEXT_TYPES = ['application/json', 'application/xml'];
+const TEXT_EXTENSIONS = /\.(txt|md|csv|json|xml|log)$/i;
+
+let _previewUrl = null;  // object URL of the open preview, if any
+
+/** How a file can be shown inline: 'image', 'pdf', 'text' or null. */
+function previewKind(attachment) {
+  const type = attachment.type || '';
+  if (type.startsWith('image/')) return 'image';
+  if (type === 'application/pdf' || /\.pdf$/i.test(attachment.name)) return 'pdf';
+  if ((type.startsWith('text/') || TEXT_TYPES.includes(type) || TEXT_EXTENSIONS.test(attachment.name)) && attachment.size <= MAX_TEXT_PREVIEW) return 'text';
+  return null;
+}
+
+export function closeAttachmentPreview() {
+  if (_previewUrl) URL.revokeObjectURL(_previewUrl);
+  _previewUrl = null;
+}
+
+// ── Attachment List ─────────────────────────────────────────
+
+/** Render the files of a record, with a drop zone for uploads, into container. */
+export async function renderAttachments(container, entity, entityId) {
+  closeAttachmentPreview();
+  let attachments;
+  try {
+    attachments = await db.getAttachments(entity, entityId);
+  } catch (err) {
+    container.innerHTML = '<p class="text-secondary">Failed to load files.</p>';
+    toast('Error: ' + err.message, { type: 'error' });
+    return;
+  }
+  const total = attachments.reduce((sum, a) => sum + (a.size || 0), 0);
+  const kindOptions = (selected) => ATTACHMENT_KINDS.map(k => `<option value="${k.value}" ${k.value === selected ? 'selected' : ''}>${escapeHtml(k.label)}</option>`).join('');
+
+  container.innerHTML = `
+    <div class="attachments">
+      ${attachments.map(a => `
+        <div class="attachment-row" data-id="${escapeHtml(a.id)}">
+          <div class="attachment-info">
+            <span class="attachment-name">${escapeHtml(a.name)}</span>
+            <span class="attachment-meta">${escapeHtml(formatBytes(a.size || 0))} · ${formatDate(a.createdAt)}</span>
+          </div>
+          <select class="form-select attachment-kind" aria-label="File type">${kindOptions(a.kind)}</select>
+          <div class="attachment-actions">
+            ${previewKind(a) ? '<button class="btn btn-xs btn-secondary attachment-preview-btn">Preview</button>' : ''}
+            <button class="btn btn-xs btn-secondary attachment-download">Download</button>
+            <button class="btn btn-xs btn-danger attachment-delete">Delete</button>
+          </div>
+        </div>
+      `).join('')}
+      ${attachments.length > 0 ? `<p class="attachment-total text-secondary">${attachments.length} ${attachments.length === 1 ? 'file' : 'files'}, ${escapeHtml(formatBytes(total))}</p>` : ''}
+      <div class="attachment-upload">
+        <select class="form-select attachment-upload-kind" aria-label="Type of uploaded files">${kindOptions(DEFAULT_KIND[entity])}</select>
+        <div class="drop-zone attachment-drop-zone">
+          <p><strong>Drop files here</strong> or click to browse</p>
+          <p class="text-secondary">Up to ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB each</p>
+        </div>
+        <input type="file" class="attachment-file-input" multiple hidden>
+      </div>
+    </div>`;
+
+  // Listeners go on a fresh element each render so re-renders don't stack them
+  const root = container.querySelector('.attachments');
+  const rerender = () => renderAttachments(container, entity, entityId);
+  const dropZone = root.querySelector('.attachment-drop-zone');
+  const fileInput = root.querySelector('.attachment-file-input');
+
+  async function upload(files) {
+    const kind = root.querySelector('.attachment-upload-kind').value;
+    let added = 0;
+    for (const file of files) {
+      if (file.size > MAX_ATTACHMENT_SIZE) {
+        toast(`"${file.name}" is larger than ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB and was not attached`, { type: 'error' });
+        continue;
+      }
+      try {
+        await db.addAttachment(entity, entityId, file, kind);
+        added++;
+      } catch (err) {
+        toast(`Failed to attach "${file.name}": ${err.message}`, { type: 'error' });
+      }
+    }
+    if (added > 0) toast(`Attached ${added} ${added === 1 ? 'file' : 'files'}`, { type: 'success' });
+    rerender();
+  }
+
+  dropZone.addEventListener('click', () => fileInput.click());
+  dropZone.addEventListener('dragover', (e) => { e.preventDefault(); dropZone.classList.add('drag-over'); });
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+  dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('drag-over');
+    if (e.dataTransfer.files.length > 0) upload([...e.dataTransfer.files]);
+  });
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files.length > 0) upload([...fileInput.files]);
+  });
+
+  root.addEventListener('change', async (e) => {
+    if (!e.target.classList.contains('attachment-kind')) return;
+    const attachment = attachments.find(a => a.id === e.target.closest('.attachment-row').dataset.id);
+    try {
+      await db.updateAttachment({ ...attachment, kind: e.target.value });
+      rerender();
+    } catch (err) {
+      toast('Failed to update file: ' + err.message, { type: 'error' });
+    }
+  });
+
+  root.addEventListener('click', async (e) => {
+    const row = e.target.closest('.attachment-row');
+    if (!row) return;
+    const attachment = attachments.find(a => a.id === row.dataset.id);
+
+    if (e.target.closest('.attachment-preview-btn')) {
+      togglePreview(row, attachment);
+    } else if (e.target.closest('.attachment-download')) {
+      try {
+        const file = await db.getAttachmentFile(attachment);
+        const url = URL.createObjectURL(file);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = attachment.name;
+        a.click();
+        URL.revokeObjectURL(url);
+      } catch (err) {
+        toast('Download failed: ' + err.message, { type: 'error' });
+      }
+    } else if (e.target.closest('.attachment-delete')) {
+      if (!await confirm(`Delete "${attachment.name}"? This cannot be undone.`)) return;
+      try {
+        await db.deleteAttachment(attachment.id);
+        toast(`Deleted "${attachment.name}"`, { type: 'info' });
+        rerender();
+      } catch (err) {
+        toast('Failed to delete file: ' + err.message, { type: 'error' });
+      }
+    }
+  });
+
+  async function togglePreview(row, attachment) {
+    const open = root.querySelector('.attachment-preview');
+    const wasOpen = open?.dataset.id === attachment.id;
+    open?.remove();
+    closeAttachmentPreview();
+    if (wasOpen) return;
+
+    const preview = document.createElement('div');
+    preview.className = 'attachment-preview';
+    preview.dataset.id = attachment.id;
+    try {
+      const file = await db.getAttachmentFile(attachment);
+      const kind = previewKind(attachment);
+      if (kind === 'text') {
+        preview.innerHTML = `<pre class="attachment-preview-text">${escapeHtml(await file.text())}</pre>`;
+      } else {
+        _previewUrl = URL.createObjectURL(file);
+        preview.innerHTML = kind === 'image'
+          ? `<img src="${_previewUrl}" alt="${escapeHtml(attachment.name)}">`
+          : `<iframe src="${_previewUrl}" title="${escapeHtml(attachment.name)}"></iframe>`;
+      }
+    } catch (err) {
+      toast('Preview failed: ' + err.message, { type: 'error' });
+      return;
+    }
+    row.after(preview);
+  }
+}
@@ -2,15 +2,32 @@
  * candidates.js — Candidate CRUD, list view (cards + table), detail view, cert tracker UI
  */
 
-import db, { getCertStatus, getCertUrgency, getCertDaysRemaining, FINRA_LICENSES, COMPLIANCE_CERTS } from './db.js';
-import { openModal, closeModal, confirm, toast, SearchController, setHeaderTitle, setHeaderActions, formatDate, escapeHtml, markDirty, clearDirty, detailField } from './ui.js';
+import db, { getCertStatus, getCertUrgency, getCertPeriods, getFirstObtained, getContinuousSince, getYearsHeld, parseTenureQuery, getCertRenewalRule, getCertDaysRemaining, getLicenseLapseDate, getCeProgress, getRenewalRule, parseRenewalText, suggestCertDates, describeRenewalRule, sortEmployment, isRegistrationActive, getActiveStates, getOpenDisclosures, getRegulatoryRecord, findCatalogEntry, expandCertNames, DISCLOSURE_TYPES, DISCLOSURE_STATUSES, US_STATES, STATE_REGISTRATION_TYPES, CE_CATEGORIES, CONSENT_BASES } from './db.js';
+import { openModal, closeModal, confirm, toast, toastConflict, SearchController, setHeaderTitle, setHeaderActions, formatDate, escapeHtml, markDirty, clearDirty, detailField, initTabs, renderLoadMore, createSelection } from './ui.js';
 import { renderActivityTimeline, openActivityModal } from './outreach.js';
+import { renderHistory } from './history.js';
+import { createDuplicateWarning } from './duplicates.js';
+import { getCustomFields, renderCustomFieldInputs, collectCustomFieldValues, renderCustomFieldDetails, renderCustomFilters, matchesCustomFilters } from './custom-fields.js';
+import { renderTagChips, renderTagPicker, collectTagIds, renderTagFilter, hasTag, openBulkTagModal } from './tags.js';
+import { renderAttachments } from './attachments.js';
+import { RESUME_EXTENSIONS, reviewResume } from './resume.js';
+import { verificationBadge, openVerificationModal } from './verification.js';
+import { getCertCatalog, groupCatalog } from './cert-catalog.js';
 
 // ── State ───────────────────────────────────────────────────
 
 let viewMode = 'cards'; // 'cards' | 'table'
 let filterCert = '';
+let filterYears = 0;    // minimum years the cert (or any cert) has been held without a break
+let filterState = '';   // state code with an active registration
+let filterRecord = '';  // regulatory record: 'clean' | 'open' | 'resolved'
 let filterLocation = '';
+let filterTag = '';
+let customFilters = {}; // custom field id → chosen value
+let customFields = [];  // definitions for people, loaded with the list
+let tags = [];          // the shared tag list, loaded with the list
+let certCatalog = [];   // the cert catalog, loaded with the list
+let selection = null;   // people ticked for merging or tagging
 
 const searchCtrl = new SearchController((results, query) => {
   renderResults(results, query);
@@ -18,20 +35,36 @@ const searchCtrl = new SearchController((results, query) => {
 
 // ── Candidate List View ─────────────────────────────────────
 
-// Cached candidates for the current list view session (avoids getAll per keystroke)
+// Regulatory record filter / indicator labels (see getRegulatoryRecord)
+const REGULATORY_LABELS = { clean: 'Clean record', open: 'Open disclosures', resolved: 'Resolved disclosures' };
+
+// Choices for the years-held filter
+const YEARS_HELD_OPTIONS = [1, 3, 5, 10];
+
+// Pages loaded so far in the current list view session: { key, items, next },
+// where key identifies the filters the pages were queried with
 let _listCache = null;
 
 export function invalidateListCache() { _listCache = null; }
 
 export async function renderCandidateList() {
   setHeaderTitle('People');
-  setHeaderActions(`<a href="#/candidate/new" class="btn btn-primary btn-sm">+ Add Person</a>`);
+  setHeaderActions(`
+    <a href="#/duplicates" class="btn btn-secondary btn-sm">Find Duplicates</a>
+    <a href="#/verification" class="btn btn-secondary btn-sm">Verify Certs</a>
+    <a href="#/candidate/new" class="btn btn-primary btn-sm">+ Add Person</a>
+  `);
   const content = document.getElementById('content');
 
-  let candidates;
+  let locations;
   try {
-    candidates = await db.getAllCandidates();
-    _listCache = candidates;
+    locations = await db.getIndexKeys('candidates', 'location');
+    customFields = await getCustomFields('candidates');
+    tags = await db.getTags();
+    if (!tags.some(t => t.id === filterTag)) filterTag = '';
+    certCatalog = await getCertCatalog();
+    _listCache = null;
+    await loadFirstPage();
   } catch (err) {
     content.innerHTML = `<div class="empty-state"><p>Failed to load candidates.</p></div>`;
     toast('Database error: ' + err.message, { type: 'error' });
@@ -42,17 +75,35 @@ export async function renderCandidateList() {
     <div class="candidates-page">
       <div class="list-toolbar">
         <div class="search-group">
-          <input type="search" id="candidate-search" class="form-input search-input" placeholder="Search people...">
+          <input type="search" id="candidate-search" class="form-input search-input" placeholder="Search people, or e.g. CAMS 5+ years...">
         </div>
         <div class="filter-group">
           <select id="filter-cert" class="form-select">
             <option value="">All Certs</option>
-            ${getCertOptions().map(c => `<option value="${escapeHtml(c)}" ${filterCert === c ? 'selected' : ''}>${escapeHtml(c)}</option>`).join('')}
+            ${groupCatalog(certCatalog).map(group => `
+              <optgroup label="${escapeHtml(group.label)}">
+                ${group.entries.map(c => `<option value="${escapeHtml(c.name)}" ${filterCert === c.name ? 'selected' : ''}>${escapeHtml(c.name)}</option>`).join('')}
+              </optgroup>
+            `).join('')}
+          </select>
+          <select id="filter-years" class="form-select" aria-label="Years held">
+            <option value="0">Any Tenure</option>
+            ${YEARS_HELD_OPTIONS.map(y => `<option value="${y}" ${filterYears === y ? 'selected' : ''}>Held ${y}+ yrs</option>`).join('')}
+          </select>
+          <select id="filter-state" class="form-select" aria-label="Registered state">
+            <option value="">All States</option>
+            ${US_STATES.map(s => `<option value="${s.code}" ${filterState === s.code ? 'selected' : ''}>${s.code} — ${escapeHtml(s.name)}</option>`).join('')}
+          </select>
+          <select id="filter-record" class="form-select" aria-label="Regulatory record">
+            <option value="">All Records</option>
+            ${Object.entries(REGULATORY_LABELS).map(([value, label]) => `<option value="${value}" ${filterRecord === value ? 'selected' : ''}>${label}</option>`).join('')}
           </select>
           <select id="filter-location" class="form-select">
             <option value="">All Locations</option>
-            ${getLocationOptions(candidates).map(l => `<option value="${escapeHtml(l)}" ${filterLocation === l ? 'selected' : ''}>${escapeHtml(l)}</option>`).join('')}
+            ${locations.filter(Boolean).map(l => `<option value="${escapeHtml(l)}" ${filterLocation === l ? 'selected' : ''}>${escapeHtml(l)}</option>`).join('')}
           </select>
+          ${renderTagFilter(tags, filterTag)}
+          ${renderCustomFilters(customFields, customFilters)}
           <div class="view-toggle">
             <button class="view-btn ${viewMode === 'cards' ? 'active' : ''}" data-mode="cards" title="Card view">
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16"><rect x="3" y="3" width="7" height="7"/><rect x="14" y="3" width="7" height="7"/><rect x="3" y="14" width="7" height="7"/><rect x="14" y="14" width="7" height="7"/></svg>
@@ -63,20 +114,39 @@ export async function renderCandidateList() {
           </div>
         </div>
       </div>
+      <div id="candidates-selection" class="selection-bar" hidden></div>
       <div id="candidates-results"></div>
     </div>
   `;
 
+  const searchInput = document.getElementById('candidate-search');
+
+  // Selection for merging and bulk tagging (checkboxes are re-rendered with the results)
+  selection = createSelection(document.getElementById('candidates-results'), document.getElementById('candidates-selection'), [
+    {
+      label: 'Merge Selected',
+      primary: true,
+      min: 2,
+      hint: 'Select at least two people',
+      run: (ids) => { location.hash = `#/merge/${ids.map(encodeURIComponent).join(',')}`; },
+    },
+    {
+      label: 'Tag…',
+      run: (ids) => openBulkTagModal('candidates', ids, async () => {
+        selection.clear();
+        _listCache = null;
+        tags = await db.getTags();
+        refreshList(searchInput.value);
+      }),
+    },
+  ]);
+
   // Initial render
-  renderResults(applyFilters(candidates), '');
+  renderResults(_listCache.items, '');
 
-  // Search (uses cached candidates — no db round-trip per keystroke)
-  const searchInput = document.getElementById('candidate-search');
+  // Search (ranked ids from the search index, not paged)
   searchInput.addEventListener('input', () => {
-    searchCtrl.search(searchInput.value, async (query) => {
-      const all = _listCache || await db.getAllCandidates();
-      return applyFilters(searchCandidates(all, query));
-    });
+    searchCtrl.search(searchInput.value, async (query) => applyFilters(await searchCandidates(query)));
   });
 
   // Filters
@@ -84,10 +154,32 @@ export async function renderCandidateList() {
     filterCert = e.target.value;
     refreshList(searchInput.value);
   });
+  document.getElementById('filter-years').addEventListener('change', (e) => {
+    filterYears = parseInt(e.target.value, 10);
+    refreshList(searchInput.value);
+  });
+  document.getElementById('filter-state').addEventListener('change', (e) => {
+    filterState = e.target.value;
+    refreshList(searchInput.value);
+  });
+  document.getElementById('filter-record').addEventListener('change', (e) => {
+    filterRecord = e.target.value;
+    refreshList(searchInput.value);
+  });
   document.getElementById('filter-location').addEventListener('change', (e) => {
     filterLocation = e.target.value;
     refreshList(searchInput.value);
   });
+  content.querySelector('.tag-filter')?.addEventListener('change', (e) => {
+    filterTag = e.target.value;
+    refreshList(searchInput.value);
+  });
+  content.querySelectorAll('.custom-filter').forEach(select => {
+    select.addEventListener('change', () => {
+      customFilters = { ...customFilters, [select.dataset.field]: select.value };
+      refreshList(searchInput.value);
+    });
+  });
 
   // View toggle
   content.querySelectorAll('.view-btn').forEach(btn => {
@@ -100,33 +192,92 @@ export async function renderCandidateList() {
 }
 
 async function refreshList(query) {
-  const all = _listCache || await db.getAllCandidates();
-  const filtered = query.trim() ? applyFilters(searchCandidates(all, query)) : applyFilters(all);
-  renderResults(filtered, query);
+  try {
+    if (query.trim()) {
+      renderResults(applyFilters(await searchCandidates(query)), query);
+    } else {
+      await loadFirstPage();
+      renderResults(_listCache.items, '');
+    }
+  } catch (err) {
+    toast('Database error: ' + err.message, { type: 'error' });
+  }
 }
 
-function searchCandidates(candidates, query) {
-  const q = query.toLowerCase();
-  return candidates.filter(c => {
-    const searchable = [
-      c.firstName, c.lastName, c.email, c.phone,
-      c.currentEmployer, c.currentTitle, c.location,
-      ...(c.certifications || []).map(cert => cert.name),
-      ...(c.skills || []),
-    ].join(' ').toLowerCase();
-    return searchable.includes(q);
-  });
+/**
+ * Holds the filtered cert (any cert when none is picked) for the filtered number
+ * of years. A cert that counts as the filtered one in the catalog matches too.
+ */
+function matchesCertFilter(c) {
+  if (!filterCert && !filterYears) return true;
+  return (c.certifications || []).some(cert => (!filterCert || expandCertNames([cert.name], certCatalog).has(filterCert))
+    && (!filterYears || getYearsHeld(cert, c.employment) >= filterYears));
+}
+
+/**
+ * Cursor query for the unsearched list, most recently updated first. A location
+ * filter walks the [location, updatedAt] index; cert, years held, state, tag
+ * and custom field filters are a predicate. The regulatory record filter is not
+ * here: see loadFirstPage.
+ */
+function listQuery() {
+  const hasCustom = Object.values(customFilters).some(Boolean);
+  const filter = filterCert || filterYears || filterState || filterTag || hasCustom
+    ? (c => matchesCertFilter(c)
+      && (!filterState || getActiveStates(c).has(filterState))
+      && hasTag(c, filterTag) && matchesCustomFilters(c, customFields, customFilters))
+    : null;
+  return filterLocation
+    ? { index: 'locationUpdated', equals: [filterLocation], direction: 'prev', filter }
+    : { index: 'updatedAt', direction: 'prev', filter };
+}
+
+async function loadFirstPage() {
+  const key = `${filterLocation}|${filterCert}|${filterYears}|${filterState}|${filterRecord}|${filterTag}|${JSON.stringify(customFilters)}`;
+  if (_listCache?.key === key) return;
+  // Disclosures are sealed while encryption is on and the cursor predicate only
+  // sees stored records, so the record filter runs over the unsealed people
+  if (filterRecord) {
+    const items = applyFilters(await db.getAllCandidates())
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    _listCache = { key, items, next: null };
+    return;
+  }
+  const { items, next } = await db.query('candidates', listQuery());
+  _listCache = { key, items, next };
+}
+
+async function loadNextPage() {
+  const { items, next } = await db.query('candidates', { ...listQuery(), after: _listCache.next });
+  _listCache.items.push(...items);
+  _listCache.next = next;
 }
 
+/** Candidates matching query, best match first. */
+async function searchCandidates(query) {
+  const tenure = parseTenureQuery(query, getCertOptions());
+  if (tenure) {
+    const people = tenure.rest ? await searchCandidates(tenure.rest) : await db.getAllCandidates();
+    return people.filter(c => (c.certifications || []).some(cert => (!tenure.cert || expandCertNames([cert.name], certCatalog).has(tenure.cert))
+      && getYearsHeld(cert, c.employment) >= tenure.years));
+  }
+  const hits = await db.search(query, { entities: ['candidates'] });
+  return db.getMany('candidates', hits.map(h => h.id));
+}
+
+/** Cert/years/state/record/location/tag/custom field filters over search results (which keep their ranking). */
 function applyFilters(candidates) {
-  let result = candidates;
-  if (filterCert) {
-    result = result.filter(c => (c.certifications || []).some(cert => cert.name === filterCert));
+  let result = candidates.filter(matchesCertFilter);
+  if (filterState) {
+    result = result.filter(c => getActiveStates(c).has(filterState));
+  }
+  if (filterRecord) {
+    result = result.filter(c => getRegulatoryRecord(c) === filterRecord);
   }
   if (filterLocation) {
     result = result.filter(c => c.location === filterLocation);
   }
-  return result.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  return result.filter(c => hasTag(c, filterTag) && matchesCustomFilters(c, customFields, customFilters));
 }
 
 function renderResults(results, query) {
@@ -154,25 +305,40 @@ function renderResults(results, query) {
   } else {
     renderCards(container, results);
   }
+
+  if (!query) {
+    renderLoadMore(container, !!_listCache?.next, async () => {
+      await loadNextPage();
+      renderResults(_listCache.items, '');
+    });
+  }
+}
+
+function selectBox(c) {
+  return selection.box(c.id, `${c.firstName} ${c.lastName}`);
 }
 
 function renderCards(container, candidates) {
   container.innerHTML = `
     <div class="candidate-grid">
       ${candidates.map(c => `
-        <a href="#/candidate/${c.id}" class="candidate-card">
-          <div class="candidate-card-header">
-            <div class="candidate-name">${escapeHtml(c.firstName)} ${escapeHtml(c.lastName)}</div>
-            ${c.location ? `<div class="candidate-location">${escapeHtml(c.location)}</div>` : ''}
-          </div>
-          <div class="candidate-card-body">
-            ${c.currentTitle ? `<div class="candidate-title">${escapeHtml(c.currentTitle)}</div>` : ''}
-            ${c.currentEmployer ? `<div class="candidate-employer">${escapeHtml(c.currentEmployer)}</div>` : ''}
-          </div>
-          <div class="candidate-card-footer">
-            ${renderCertBadges(c.certifications || [])}
-          </div>
-        </a>
+        <div class="candidate-card-wrap">
+          ${selectBox(c)}
+          <a href="#/candidate/${c.id}" class="candidate-card">
+            <div class="candidate-card-header">
+              <div class="candidate-name">${escapeHtml(c.firstName)} ${escapeHtml(c.lastName)}</div>
+              ${c.location ? `<div class="candidate-location">${escapeHtml(c.location)}</div>` : ''}
+            </div>
+            <div class="candidate-card-body">
+              ${c.currentTitle ? `<div class="candidate-title">${escapeHtml(c.currentTitle)}</div>` : ''}
+              ${c.currentEmployer ? `<div class="candidate-employer">${escapeHtml(c.currentEmployer)}</div>` : ''}
+              ${renderTagChips(c.tags, tags)}
+            </div>
+            <div class="candidate-card-footer">
+              ${renderCertBadges(c.certifications || [], c.employment)}
+            </div>
+          </a>
+        </div>
       `).join('')}
     </div>
   `;
@@ -184,6 +350,7 @@ function renderTable(container, candidates) {
       <table class="data-table">
         <thead>
           <tr>
+            <th class="select-col"></th>
             <th>Name</th>
             <th>Title</th>
             <th>Employer</th>
@@ -195,11 +362,12 @@ function renderTable(container, candidates) {
         <tbody>
           ${candidates.map(c => `
             <tr class="clickable-row" data-href="#/candidate/${c.id}">
-              <td><strong>${escapeHtml(c.firstName)} ${escapeHtml(c.lastName)}</strong></td>
+              <td class="select-col">${selectBox(c)}</td>
+              <td><strong>${escapeHtml(c.firstName)} ${escapeHtml(c.lastName)}</strong> ${renderTagChips(c.tags, tags)}</td>
               <td>${escapeHtml(c.currentTitle || '—')}</td>
               <td>${escapeHtml(c.currentEmployer || '—')}</td>
               <td>${escapeHtml(c.location || '—')}</td>
-              <td>${renderCertBadges(c.certifications || [])}</td>
+              <td>${renderCertBadges(c.certifications || [], c.employment)}</td>
               <td class="text-secondary">${formatDate(c.updatedAt)}</td>
             </tr>
           `).join('')}
@@ -210,18 +378,20 @@ function renderTable(container, candidates) {
 
   // Clickable rows
   container.querySelectorAll('.clickable-row').forEach(row => {
-    row.addEventListener('click', () => { location.hash = row.dataset.href; });
+    row.addEventListener('click', (e) => {
+      if (e.target.closest('.select-col')) return;
+      location.hash = row.dataset.href;
+    });
   });
 }
 
-function renderCertBadges(certs) {
+function renderCertBadges(certs, employment) {
   if (certs.length === 0) return '<span class="text-secondary">No certs</span>';
   return certs.slice(0, 4).map(cert => {
-    const status = getCertStatus(cert);
-    const urgency = getCertUrgency(cert);
+    const urgency = getCertUrgency(cert, undefined, employment);
     let cls = 'cert-badge';
     if (urgency === 'expired') cls += ' cert-badge--expired';
-    else if (urgency === 'expiring-soon') cls += ' cert-badge--expiring';
+    else if (urgency === 'expiring-soon' || urgency === 'grace') cls += ' cert-badge--expiring';
     else cls += ' cert-badge--active';
     return `<span class="${cls}">${escapeHtml(cert.name)}</span>`;
   }).join('') + (certs.length > 4 ? `<span class="cert-badge cert-badge--more">+${certs.length - 4}</span>` : '');
@@ -252,9 +422,29 @@ export async function renderCandidateDetail(id) {
   `);
 
   const alertDays = (await db.getSetting('certAlertDays')) || 60;
+  const catalog = await getCertCatalog();
+  const retentionMonths = await db.getSetting('retentionMonths');
+  const fields = await getCustomFields('candidates');
+  const allTags = await db.getTags();
+  let lastActivityAt = null;
+  let retentionDue = false;
+  if (retentionMonths) {
+    try {
+      lastActivityAt = await db.getLastActivityAt(candidate);
+      const cutoff = new Date();
+      cutoff.setMonth(cutoff.getMonth() - retentionMonths);
+      retentionDue = lastActivityAt < cutoff.toISOString();
+    } catch { /* non-critical */ }
+  }
 
   content.innerHTML = `
     <div class="candidate-detail">
+      <div class="tab-bar">
+        <button class="tab-btn active" data-tab="details">Details</button>
+        <button class="tab-btn" data-tab="history">History</button>
+      </div>
+
+      <div class="tab-panel" data-tab="details">
       <div class="detail-grid">
         <div class="detail-main">
           <div class="detail-section">
@@ -276,6 +466,46 @@ export async function renderCandidateDetail(id) {
             </div>
           </div>
 
+          <div class="detail-section">
+            <div class="section-title-row">
+              <h3 class="section-title">Regulatory</h3>
+              <button id="btn-add-disclosure" class="btn btn-sm btn-secondary">+ Disclosure</button>
+            </div>
+            <div class="detail-fields">
+              ${detailField('CRD Number', candidate.crdNumber)}
+            </div>
+            ${renderRegulatoryRecord(candidate)}
+            <div id="disclosure-list">
+              ${renderDisclosureList(candidate.disclosures || [])}
+            </div>
+          </div>
+
+          <div class="detail-section">
+            <div class="section-title-row">
+              <h3 class="section-title">Employment History</h3>
+              <button id="btn-add-employment" class="btn btn-sm btn-secondary">+ Add</button>
+            </div>
+            <div id="employment-list">
+              ${renderEmploymentList(candidate.employment || [])}
+            </div>
+          </div>
+
+          ${fields.length > 0 ? `
+          <div class="detail-section">
+            <h3 class="section-title">Additional Info</h3>
+            <div class="detail-fields">
+              ${renderCustomFieldDetails(fields, candidate.custom)}
+            </div>
+          </div>
+          ` : ''}
+
+          ${candidate.tags && candidate.tags.length > 0 ? `
+          <div class="detail-section">
+            <h3 class="section-title">Tags</h3>
+            ${renderTagChips(candidate.tags, allTags)}
+          </div>
+          ` : ''}
+
           ${candidate.skills && candidate.skills.length > 0 ? `
           <div class="detail-section">
             <h3 class="section-title">Skills</h3>
@@ -292,6 +522,11 @@ export async function renderCandidateDetail(id) {
           </div>
           ` : ''}
 
+          <div class="detail-section">
+            <h3 class="section-title">Files</h3>
+            <div id="attachments-container"></div>
+          </div>
+
           <div class="detail-section">
             <div class="section-title-row">
               <h3 class="section-title">Activity</h3>
@@ -308,11 +543,55 @@ export async function renderCandidateDetail(id) {
               <button id="btn-add-cert" class="btn btn-sm btn-secondary">+ Add</button>
             </div>
             <div id="cert-list">
-              ${renderCertList(candidate.certifications || [], alertDays)}
+              ${renderCertList(candidate.certifications || [], alertDays, candidate.employment, catalog)}
+            </div>
+          </div>
+
+          <div class="detail-section">
+            <div class="section-title-row">
+              <h3 class="section-title">State Registrations</h3>
+              <button id="btn-add-registration" class="btn btn-sm btn-secondary">+ Add</button>
+            </div>
+            <div id="registration-list">
+              ${renderRegistrationList(candidate.stateRegistrations || [])}
+            </div>
+          </div>
+
+          <div class="detail-section">
+            <h3 class="section-title">Data Protection</h3>
+            <div class="detail-fields">
+              ${detailField('Lawful Basis', CONSENT_BASES.find(b => b.value === candidate.consentBasis)?.label || 'Not recorded')}
+              ${candidate.consentDate ? detailField('Consent Date', formatDate(candidate.consentDate)) : ''}
+              ${detailField('Consent Source', candidate.consentSource)}
+            </div>
+            ${retentionDue ? `<p class="retention-flag">No activity since ${formatDate(lastActivityAt)} — past the ${retentionMonths}-month retention period. Review whether to keep this person.</p>` : ''}
+            <div class="data-protection-actions">
+              <button id="btn-export-person" class="btn btn-sm btn-secondary">Export Personal Data</button>
+              <button id="btn-forget-person" class="btn btn-sm btn-danger">Forget Person</button>
             </div>
           </div>
+
+          ${candidate.mergedFrom?.length ? `
+          <div class="detail-section">
+            <h3 class="section-title">Merged Duplicates</h3>
+            <ul class="merged-from-list">
+              ${candidate.mergedFrom.map(m => `
+                <li>
+                  <strong>${escapeHtml(m.firstName)} ${escapeHtml(m.lastName)}</strong>
+                  ${m.email ? `<span class="text-secondary">${escapeHtml(m.email)}</span>` : ''}
+                  <span class="text-tertiary">merged ${formatDate(m.mergedAt)}</span>
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+          ` : ''}
         </div>
       </div>
+      </div>
+
+      <div class="tab-panel" data-tab="history" hidden>
+        <div id="history-container"></div>
+      </div>
 
       <div class="detail-meta">
         <span>Created ${formatDate(candidate.createdAt)}</span>
@@ -322,14 +601,18 @@ export async function renderCandidateDetail(id) {
     </div>
   `;
 
+  initTabs(content, (tab) => {
+    if (tab === 'history') renderHistory('candidates', id, document.getElementById('history-container'));
+  });
+
   // Delete (atomic cascade — single transaction, full undo)
   document.getElementById('btn-delete-candidate').addEventListener('click', async () => {
-    const ok = await confirm(`Delete ${candidate.firstName} ${candidate.lastName}? This will also remove their pipeline entries and activities.`);
+    const ok = await confirm(`Move ${candidate.firstName} ${candidate.lastName} to the Trash? Their pipeline entries and activities go with them.`);
     if (!ok) return;
     try {
       const snapshot = await db.deleteCandidateCascade(id);
       _listCache = null;
-      toast(`Deleted ${candidate.firstName} ${candidate.lastName}`, {
+      toast(`Moved ${candidate.firstName} ${candidate.lastName} to Trash`, {
         type: 'info',
         duration: 10000,
         actionLabel: 'Undo',
@@ -355,10 +638,31 @@ export async function renderCandidateDetail(id) {
     openCertModal(candidate);
   });
 
-  // Edit/delete certs (event delegation)
+  // Data protection
+  document.getElementById('btn-export-person').addEventListener('click', () => exportPersonData(candidate));
+  document.getElementById('btn-forget-person').addEventListener('click', async () => {
+    if (await forgetPerson(candidate)) location.hash = '#/candidates';
+  });
+
+  // Cert actions (event delegation)
   document.getElementById('cert-list').addEventListener('click', (e) => {
+    const renewBtn = e.target.closest('.cert-renew');
+    const ceBtn = e.target.closest('.cert-ce');
+    const verifyBtn = e.target.closest('.cert-verify');
     const editBtn = e.target.closest('.cert-edit');
     const deleteBtn = e.target.closest('.cert-delete');
+    if (renewBtn) {
+      const idx = parseInt(renewBtn.dataset.index, 10);
+      openRenewModal(candidate, idx);
+    }
+    if (ceBtn) {
+      const idx = parseInt(ceBtn.dataset.index, 10);
+      openCeModal(candidate, idx);
+    }
+    if (verifyBtn) {
+      const idx = parseInt(verifyBtn.dataset.index, 10);
+      openVerificationModal(candidate, idx, () => renderCandidateDetail(candidate.id));
+    }
     if (editBtn) {
       const idx = parseInt(editBtn.dataset.index, 10);
       openCertModal(candidate, idx);
@@ -369,8 +673,42 @@ export async function renderCandidateDetail(id) {
     }
   });
 
+  // Regulatory disclosures
+  document.getElementById('btn-add-disclosure').addEventListener('click', () => {
+    openDisclosureModal(candidate);
+  });
+  document.getElementById('disclosure-list').addEventListener('click', (e) => {
+    const editBtn = e.target.closest('.disclosure-edit');
+    const deleteBtn = e.target.closest('.disclosure-delete');
+    if (editBtn) openDisclosureModal(candidate, parseInt(editBtn.dataset.index, 10));
+    if (deleteBtn) removeDisclosure(candidate, parseInt(deleteBtn.dataset.index, 10));
+  });
+
+  // State registrations
+  document.getElementById('btn-add-registration').addEventListener('click', () => {
+    openRegistrationModal(candidate);
+  });
+  document.getElementById('registration-list').addEventListener('click', (e) => {
+    const editBtn = e.target.closest('.registration-edit');
+    const deleteBtn = e.target.closest('.registration-delete');
+    if (editBtn) openRegistrationModal(candidate, parseInt(editBtn.dataset.index, 10));
+    if (deleteBtn) removeRegistration(candidate, parseInt(deleteBtn.dataset.index, 10));
+  });
+
+  // Employment history
+  document.getElementById('btn-add-employment').addEventListener('click', () => {
+    openEmploymentModal(candidate);
+  });
+  document.getElementById('employment-list').addEventListener('click', (e) => {
+    const editBtn = e.target.closest('.employment-edit');
+    const deleteBtn = e.target.closest('.employment-delete');
+    if (editBtn) openEmploymentModal(candidate, parseInt(editBtn.dataset.index, 10));
+    if (deleteBtn) removeEmployment(candidate, parseInt(deleteBtn.dataset.index, 10));
+  });
+
   // Activity timeline
   renderActivityTimeline(id, document.getElementById('activity-timeline-container'));
+  renderAttachments(document.getElementById('attachments-container'), 'candidates', id);
 
   // Log activity button
   document.getElementById('btn-log-activity').addEventListener('click', async () => {
@@ -388,34 +726,53 @@ function formatSalary(min, max) {
   return '';
 }
 
-function renderCertList(certs, alertDays) {
+function renderCertList(certs, alertDays, employment = [], catalog = []) {
   if (certs.length === 0) {
     return '<p class="text-secondary">No certifications added yet.</p>';
   }
   return certs.map((cert, i) => {
-    const status = getCertStatus(cert);
-    const urgency = getCertUrgency(cert, alertDays);
-    const days = getCertDaysRemaining(cert);
+    const status = getCertStatus(cert, employment);
+    const urgency = getCertUrgency(cert, alertDays, employment);
+    const days = getCertDaysRemaining(cert, employment);
+    const lapse = getLicenseLapseDate(cert, employment);
     let statusClass = 'cert-status--active';
     let statusText = 'Active';
     if (status === 'pending') { statusClass = 'cert-status--pending'; statusText = 'Pending'; }
-    if (urgency === 'expired') { statusClass = 'cert-status--expired'; statusText = 'Expired'; }
+    if (urgency === 'expired') { statusClass = 'cert-status--expired'; statusText = lapse ? 'Lapsed' : 'Expired'; }
     else if (urgency === 'expiring-soon') { statusClass = 'cert-status--expiring'; statusText = `${days}d remaining`; }
+    else if (urgency === 'grace') { statusClass = 'cert-status--expiring'; statusText = `Grace: ${cert.graceDays + days}d left`; }
+
+    // Lapsing FINRA licenses show the date computed from employment instead of the entered one
+    let expiryText = cert.expirationDate ? `Exp: ${formatDate(cert.expirationDate)}` : 'No expiry';
+    if (lapse === null) expiryText = 'Registered';
+    else if (lapse) expiryText = `Lapses: ${formatDate(lapse)}`;
+    const ce = getCeProgress(cert, catalog);
 
     return `
       <div class="cert-item">
         <div class="cert-item-header">
           <span class="cert-item-name">${escapeHtml(cert.name)}</span>
+          ${verificationBadge(cert)}
           <span class="cert-status ${statusClass}">${statusText}</span>
         </div>
         <div class="cert-item-details">
           <span>${escapeHtml(cert.issuingBody || '—')}</span>
           <span>${cert.dateObtained ? formatDate(cert.dateObtained) : '—'}</span>
-          <span>${cert.expirationDate ? `Exp: ${formatDate(cert.expirationDate)}` : 'No expiry'}</span>
+          <span>${expiryText}</span>
           ${cert.renewalCycle ? `<span>${escapeHtml(cert.renewalCycle)}</span>` : ''}
         </div>
+        ${renderCertTimeline(cert, employment)}
+        ${ce ? `
+        <div class="ce-progress ce-progress--${ce.status}">
+          <span>CE ${ce.earned} / ${ce.required} h by ${formatDate(ce.periodEnd)}</span>
+          <span class="ce-progress-status">${ce.status === 'complete' ? 'Complete' : ce.status === 'on-track' ? 'On track' : `At risk — ${ce.shortfall} h short at this pace`}</span>
+        </div>
+        ` : ''}
         <div class="cert-item-actions">
           <button class="btn btn-xs btn-secondary cert-edit" data-index="${i}">Edit</button>
+          ${cert.expirationDate ? `<button class="btn btn-xs btn-secondary cert-renew" data-index="${i}">Renew</button>` : ''}
+          <button class="btn btn-xs btn-secondary cert-ce" data-index="${i}">CE Credits${cert.ceCredits?.length ? ` (${cert.ceCredits.length})` : ''}</button>
+          <button class="btn btn-xs btn-secondary cert-verify" data-index="${i}">Verify</button>
           <button class="btn btn-xs btn-danger cert-delete" data-index="${i}">Remove</button>
         </div>
       </div>
@@ -423,18 +780,42 @@ function renderCertList(certs, alertDays) {
   }).join('');
 }
 
+function formatYearsHeld(years) {
+  return years < 1 ? 'under a year' : `${Math.floor(years)}+ year${Math.floor(years) === 1 ? '' : 's'}`;
+}
+
+// Periods as bars on a line from the first date obtained to today (or the last expiry)
+function renderCertTimeline(cert, employment) {
+  const periods = getCertPeriods(cert).filter(p => p.dateObtained);
+  if (periods.length < 2) return '';
+  const today = new Date().toISOString().slice(0, 10);
+  const start = Date.parse(periods[0].dateObtained);
+  const end = Math.max(Date.parse(today), ...periods.map(p => p.expirationDate ? Date.parse(p.expirationDate) : 0));
+  const pos = (date) => (Date.parse(date) - start) / Math.max(end - start, 1) * 100;
+  const since = getContinuousSince(cert, employment);
+  return `
+    <div class="cert-timeline">
+      <div class="cert-timeline-track">
+        ${periods.map(p => {
+          const left = pos(p.dateObtained);
+          const width = Math.max((p.expirationDate ? pos(p.expirationDate) : 100) - left, 1);
+          return `<span class="cert-timeline-period" style="left: ${left.toFixed(2)}%; width: ${width.toFixed(2)}%;" title="${formatDate(p.dateObtained)} – ${p.expirationDate ? formatDate(p.expirationDate) : 'no expiry'}"></span>`;
+        }).join('')}
+        <span class="cert-timeline-today" style="left: ${pos(today).toFixed(2)}%;" title="Today"></span>
+      </div>
+      <div class="cert-timeline-caption">
+        ${since ? `Held since ${formatDate(since)} (${formatYearsHeld(getYearsHeld(cert, employment))})` : 'Not currently held'} · ${periods.length} periods
+      </div>
+    </div>
+  `;
+}
+
 // ── Cert Modal (Add / Edit) ─────────────────────────────────
 
 async function openCertModal(candidate, editIndex = null) {
   const isEdit = editIndex !== null;
   const cert = isEdit ? candidate.certifications[editIndex] : {};
-  const customCerts = (await db.getSetting('customCertTypes')) || [];
-
-  const allCerts = [
-    ...FINRA_LICENSES.map(c => ({ ...c, type: 'finra' })),
-    ...COMPLIANCE_CERTS.map(c => ({ ...c, type: 'compliance' })),
-    ...customCerts.map(c => ({ ...c, type: 'custom' })),
-  ];
+  const allCerts = await getCertCatalog();
 
   const body = document.createElement('form');
   body.id = 'cert-form';
@@ -444,20 +825,15 @@ async function openCertModal(candidate, editIndex = null) {
       <label for="cert-select">Certification</label>
       <select id="cert-select" class="form-select" ${isEdit ? 'disabled' : ''}>
         <option value="">— Select or type below —</option>
-        <optgroup label="FINRA Licenses">
-          ${FINRA_LICENSES.map(c => `<option value="${c.name}" ${cert.name === c.name ? 'selected' : ''}>${c.name} — ${c.description}</option>`).join('')}
-        </optgroup>
-        <optgroup label="Compliance Certifications">
-          ${COMPLIANCE_CERTS.map(c => `<option value="${c.name}" ${cert.name === c.name ? 'selected' : ''}>${c.name} — ${c.description}</option>`).join('')}
-        </optgroup>
-        ${customCerts.length > 0 ? `
-        <optgroup label="Custom">
-          ${customCerts.map(c => `<option value="${c.name}" ${cert.name === c.name ? 'selected' : ''}>${c.name}</option>`).join('')}
+        ${groupCatalog(allCerts).map(group => `
+        <optgroup label="${escapeHtml(group.label)}">
+          ${group.entries.map(c => `<option value="${escapeHtml(c.name)}" ${cert.name === c.name ? 'selected' : ''}>${escapeHtml(c.name)}${c.description ? ` — ${escapeHtml(c.description)}` : ''}</option>`).join('')}
         </optgroup>
-        ` : ''}
+        `).join('')}
         <option value="__custom__">Other (custom)...</option>
       </select>
     </div>
+    <div id="cert-prereq-warning" class="prereq-warning" hidden></div>
     <div id="custom-cert-fields" class="form-row" style="display: none;">
       <div class="form-group">
         <label for="cert-custom-name">Cert Name</label>
@@ -470,7 +846,7 @@ async function openCertModal(candidate, editIndex = null) {
     </div>
     <div class="form-row">
       <div class="form-group">
-        <label for="cert-obtained">Date Obtained</label>
+        <label for="cert-obtained">${cert.history?.length ? 'Renewed On' : 'Date Obtained'}</label>
         <input type="date" id="cert-obtained" class="form-input" value="${cert.dateObtained ? cert.dateObtained.slice(0, 10) : ''}">
       </div>
       <div class="form-group">
@@ -478,6 +854,7 @@ async function openCertModal(candidate, editIndex = null) {
         <input type="date" id="cert-expiration" class="form-input" value="${cert.expirationDate ? cert.expirationDate.slice(0, 10) : ''}">
       </div>
     </div>
+    <div id="cert-renewal-suggestion" class="renewal-suggestion" hidden></div>
     <div class="form-group">
       <label for="cert-renewal">Renewal Cycle</label>
       <input type="text" id="cert-renewal" class="form-input" placeholder="e.g., 3 years, Annual" value="${escapeHtml(cert.renewalCycle || '')}">
@@ -516,10 +893,63 @@ async function openCertModal(candidate, editIndex = null) {
       }
     }
     updateCustomVisibility();
+    updateSuggestion();
+    updatePrerequisites();
   });
 
+  // Prerequisites from the catalog the person has nothing on file for
+  function updatePrerequisites() {
+    const warning = document.getElementById('cert-prereq-warning');
+    const ref = allCerts.find(c => c.name === select.value);
+    const held = expandCertNames((candidate.certifications || []).map(c => c.name), allCerts);
+    const missing = (ref?.prerequisites || []).filter(name => !held.has(name));
+    warning.hidden = missing.length === 0;
+    warning.textContent = missing.length > 0 ? `${ref.name} normally requires ${missing.join(', ')}, which ${missing.length === 1 ? "isn't" : "aren't"} on file.` : '';
+  }
+
   if (isEdit) updateCustomVisibility();
 
+  // Renewal rule: suggest the expiration date from the date obtained
+  const obtainedInput = document.getElementById('cert-obtained');
+  const expirationInput = document.getElementById('cert-expiration');
+  const suggestion = document.getElementById('cert-renewal-suggestion');
+  let autoExpiration = !isEdit;  // fill the field until the user enters their own date
+
+  function currentRule() {
+    const ref = isEdit ? findCatalogEntry(cert, allCerts) : allCerts.find(c => c.name === select.value);
+    return ref ? getRenewalRule(ref) : parseRenewalText(document.getElementById('cert-renewal').value);
+  }
+
+  function updateSuggestion() {
+    const rule = currentRule();
+    // A renewed cert's date field holds the renewal; the cycle is anchored on the first period
+    const dates = cert.history?.length
+      ? suggestCertDates(rule, getFirstObtained(cert), obtainedInput.value || null)
+      : suggestCertDates(rule, obtainedInput.value);
+    if (!dates) { suggestion.hidden = true; return; }
+    if (autoExpiration) expirationInput.value = dates.expirationDate;
+    suggestion.hidden = false;
+    suggestion.innerHTML = `
+      <span>${escapeHtml(describeRenewalRule(rule))}: expires ${formatDate(dates.expirationDate)}</span>
+      ${dates.nextRenewal !== dates.expirationDate ? `<span>Next renewal ${formatDate(dates.nextRenewal)} if kept current</span>` : ''}
+      ${dates.graceUntil ? `<span>Grace until ${formatDate(dates.graceUntil)}</span>` : ''}
+      ${expirationInput.value !== dates.expirationDate ? '<button type="button" class="btn btn-xs btn-secondary" id="cert-use-suggestion">Use</button>' : ''}
+    `;
+  }
+
+  obtainedInput.addEventListener('change', updateSuggestion);
+  document.getElementById('cert-renewal').addEventListener('change', updateSuggestion);
+  expirationInput.addEventListener('input', () => {
+    autoExpiration = false;
+    updateSuggestion();
+  });
+  suggestion.addEventListener('click', (e) => {
+    if (!e.target.closest('#cert-use-suggestion')) return;
+    autoExpiration = true;
+    updateSuggestion();
+  });
+  updateSuggestion();
+
   // Submit
   body.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -551,12 +981,18 @@ async function openCertModal(candidate, editIndex = null) {
       dateObtained: document.getElementById('cert-obtained').value || null,
       expirationDate: document.getElementById('cert-expiration').value || null,
       renewalCycle: document.getElementById('cert-renewal').value.trim() || '',
+      graceDays: currentRule()?.graceDays || 0,
     };
 
+    const previous = candidate.certifications;
+    candidate.certifications = [...(candidate.certifications || [])];
     if (isEdit) {
-      candidate.certifications[editIndex] = newCert;
+      // A verification covers the name and dates that were checked
+      const day = (date) => date ? date.slice(0, 10) : null;
+      const changed = newCert.name !== cert.name || newCert.dateObtained !== day(cert.dateObtained) || newCert.expirationDate !== day(cert.expirationDate);
+      if (changed && cert.verification) newCert.verification = null;
+      candidate.certifications[editIndex] = { ...cert, ...newCert };  // keeps CE credits
     } else {
-      candidate.certifications = candidate.certifications || [];
       candidate.certifications.push(newCert);
     }
 
@@ -566,6 +1002,8 @@ async function openCertModal(candidate, editIndex = null) {
       toast(isEdit ? 'Certification updated' : 'Certification added', { type: 'success' });
       renderCandidateDetail(candidate.id);
     } catch (err) {
+      candidate.certifications = previous;
+      if (toastConflict(err, () => { closeModal(); renderCandidateDetail(candidate.id); })) return;
       toast('Failed to save certification: ' + err.message, { type: 'error' });
     }
   });
@@ -581,10 +1019,625 @@ async function removeCert(candidate, index) {
     toast(`Removed ${cert.name}`, { type: 'info' });
     renderCandidateDetail(candidate.id);
   } catch (err) {
+    if (toastConflict(err, () => renderCandidateDetail(candidate.id))) return;
     toast('Failed to remove certification: ' + err.message, { type: 'error' });
   }
 }
 
+// ── Renew Modal ─────────────────────────────────────────────
+
+/** Close the cert's current period into its history and start a new one. */
+async function openRenewModal(candidate, certIndex) {
+  const cert = candidate.certifications[certIndex];
+  const rule = getCertRenewalRule(cert, await getCertCatalog()) || parseRenewalText(cert.renewalCycle);
+  const today = new Date().toISOString().slice(0, 10);
+
+  const body = document.createElement('form');
+  body.id = 'renew-form';
+  body.className = 'form';
+  body.innerHTML = `
+    <p class="text-secondary">Current period: ${cert.dateObtained ? formatDate(cert.dateObtained) : '—'} to ${formatDate(cert.expirationDate)}. It moves to the renewal history.</p>
+    <div class="form-row">
+      <div class="form-group">
+        <label for="renew-date">Renewed On *</label>
+        <input type="date" id="renew-date" class="form-input" required value="${today}">
+      </div>
+      <div class="form-group">
+        <label for="renew-expiration">New Expiration Date</label>
+        <input type="date" id="renew-expiration" class="form-input">
+      </div>
+    </div>
+    <div id="renew-suggestion" class="renewal-suggestion" hidden></div>
+  `;
+
+  const footer = document.createElement('div');
+  footer.className = 'modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'btn btn-secondary';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = closeModal;
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.setAttribute('form', 'renew-form');
+  saveBtn.className = 'btn btn-primary';
+  saveBtn.textContent = 'Renew';
+  footer.append(cancelBtn, saveBtn);
+
+  openModal({ title: `Renew ${cert.name}`, body, footer });
+
+  // Suggest the new expiration from the cert's renewal rule until the user enters one
+  const dateInput = document.getElementById('renew-date');
+  const expirationInput = document.getElementById('renew-expiration');
+  const suggestion = document.getElementById('renew-suggestion');
+  let autoExpiration = true;
+
+  function updateSuggestion() {
+    const dates = suggestCertDates(rule, getFirstObtained(cert) || dateInput.value, dateInput.value || null);
+    if (!dates) { suggestion.hidden = true; return; }
+    if (autoExpiration) expirationInput.value = dates.expirationDate;
+    suggestion.hidden = false;
+    suggestion.innerHTML = `<span>${escapeHtml(describeRenewalRule(rule))}: expires ${formatDate(dates.expirationDate)}</span>`;
+  }
+
+  dateInput.addEventListener('change', updateSuggestion);
+  expirationInput.addEventListener('input', () => { autoExpiration = false; });
+  updateSuggestion();
+
+  body.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const renewedOn = dateInput.value;
+    const expirationDate = expirationInput.value || null;
+    if (expirationDate && expirationDate <= renewedOn) {
+      toast('The new expiration date must be after the renewal date', { type: 'error' });
+      return;
+    }
+
+    const previous = { ...cert };
+    cert.history = [...(cert.history || []), { dateObtained: cert.dateObtained || null, expirationDate: cert.expirationDate || null }];
+    cert.dateObtained = renewedOn;
+    cert.expirationDate = expirationDate;
+    cert.verification = null;  // the new period hasn't been checked
+
+    try {
+      await db.updateCandidate(candidate);
+      _listCache = null;
+      closeModal();
+      toast(`${cert.name} renewed`, { type: 'success' });
+      renderCandidateDetail(candidate.id);
+    } catch (err) {
+      candidate.certifications[certIndex] = previous;
+      if (toastConflict(err, () => { closeModal(); renderCandidateDetail(candidate.id); })) return;
+      toast('Failed to renew certification: ' + err.message, { type: 'error' });
+    }
+  });
+}
+
+// ── CE Credits Modal ────────────────────────────────────────
+
+function openCeModal(candidate, certIndex) {
+  const cert = candidate.certifications[certIndex];
+  const categoryLabel = (value) => CE_CATEGORIES.find(c => c.value === value)?.label || value || '';
+
+  const body = document.createElement('div');
+  const render = () => {
+    const credits = (cert.ceCredits || []).map((credit, i) => ({ credit, i })).sort((a, b) => b.credit.date.localeCompare(a.credit.date));
+    body.innerHTML = `
+      <div class="ce-credit-list">
+        ${credits.length === 0 ? '<p class="text-secondary">No CE credits logged yet.</p>' : credits.map(({ credit, i }) => `
+          <div class="ce-credit-row">
+            <span class="ce-credit-hours">${credit.hours} h</span>
+            <span>${formatDate(credit.date)}</span>
+            <span class="text-secondary">${escapeHtml([credit.provider, categoryLabel(credit.category)].filter(Boolean).join(' · '))}</span>
+            <button class="btn btn-xs btn-danger ce-credit-delete" data-index="${i}">Remove</button>
+          </div>
+        `).join('')}
+      </div>
+      <form id="ce-credit-form" class="form">
+        <div class="form-row">
+          <div class="form-group">
+            <label for="ce-date">Date *</label>
+            <input type="date" id="ce-date" class="form-input" required value="${new Date().toISOString().slice(0, 10)}">
+          </div>
+          <div class="form-group">
+            <label for="ce-hours">Hours *</label>
+            <input type="number" id="ce-hours" class="form-input" required min="0.25" step="0.25">
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="ce-provider">Provider</label>
+            <input type="text" id="ce-provider" class="form-input">
+          </div>
+          <div class="form-group">
+            <label for="ce-category">Category</label>
+            <select id="ce-category" class="form-select">
+              ${CE_CATEGORIES.map(c => `<option value="${c.value}">${escapeHtml(c.label)}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        <button type="submit" class="btn btn-secondary">Add Credit</button>
+      </form>
+    `;
+  };
+  render();
+
+  const footer = document.createElement('div');
+  footer.className = 'modal-actions';
+  const doneBtn = document.createElement('button');
+  doneBtn.type = 'button';
+  doneBtn.className = 'btn btn-primary';
+  doneBtn.textContent = 'Done';
+  doneBtn.onclick = closeModal;
+  footer.append(doneBtn);
+
+  openModal({ title: `${cert.name} — CE Credits`, body, footer });
+
+  async function save(credits, message) {
+    const previous = cert.ceCredits;
+    cert.ceCredits = credits;
+    try {
+      await db.updateCandidate(candidate);
+      _listCache = null;
+      toast(message, { type: 'success' });
+      render();
+      renderCandidateDetail(candidate.id);  // progress in the cert list behind the modal
+    } catch (err) {
+      cert.ceCredits = previous;
+      if (toastConflict(err, () => { closeModal(); renderCandidateDetail(candidate.id); })) return;
+      toast('Failed to save CE credits: ' + err.message, { type: 'error' });
+    }
+  }
+
+  body.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const credit = {
+      date: document.getElementById('ce-date').value,
+      hours: parseFloat(document.getElementById('ce-hours').value),
+      provider: document.getElementById('ce-provider').value.trim(),
+      category: document.getElementById('ce-category').value,
+    };
+    if (!credit.date || !(credit.hours > 0)) { toast('Date and hours are required', { type: 'error' }); return; }
+    save([...(cert.ceCredits || []), credit], `Logged ${credit.hours} CE hours`);
+  });
+
+  body.addEventListener('click', (e) => {
+    const btn = e.target.closest('.ce-credit-delete');
+    if (!btn) return;
+    const index = parseInt(btn.dataset.index, 10);
+    save(cert.ceCredits.filter((_, i) => i !== index), 'CE credit removed');
+  });
+}
+
+// ── Regulatory Disclosures ──────────────────────────────────
+
+function renderRegulatoryRecord(candidate) {
+  const record = getRegulatoryRecord(candidate);
+  const open = getOpenDisclosures(candidate).length;
+  const text = record === 'open' ? `${open} open ${open === 1 ? 'disclosure' : 'disclosures'}` : REGULATORY_LABELS[record];
+  return `<p class="regulatory-record regulatory-record--${record}">${escapeHtml(text)}</p>`;
+}
+
+function renderDisclosureList(disclosures) {
+  if (disclosures.length === 0) return '';
+  // Newest first; data-index points into the stored order
+  const sorted = [...disclosures].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  return sorted.map(d => {
+    const status = DISCLOSURE_STATUSES.find(st => st.value === d.status);
+    const index = disclosures.indexOf(d);
+    return `
+      <div class="cert-item disclosure-item">
+        <div class="cert-item-header">
+          <span class="disclosure-type">${escapeHtml(DISCLOSURE_TYPES.find(t => t.value === d.type)?.label || d.type)}</span>
+          <span class="cert-status ${status?.open ? 'cert-status--expiring' : 'cert-status--pending'}">${escapeHtml(status?.label || d.status)}</span>
+        </div>
+        <div class="cert-item-details">
+          <span>${d.date ? formatDate(d.date) : 'Date unknown'}</span>
+        </div>
+        ${d.resolutionNotes ? `<div class="disclosure-notes">${escapeHtml(d.resolutionNotes)}</div>` : ''}
+        <div class="cert-item-actions">
+          <button class="btn btn-xs btn-secondary disclosure-edit" data-index="${index}">Edit</button>
+          <button class="btn btn-xs btn-danger disclosure-delete" data-index="${index}">Remove</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+function openDisclosureModal(candidate, editIndex = null) {
+  const isEdit = editIndex !== null;
+  const disclosure = isEdit ? candidate.disclosures[editIndex] : {};
+
+  const body = document.createElement('form');
+  body.id = 'disclosure-form';
+  body.className = 'form';
+  body.innerHTML = `
+    <div class="form-row">
+      <div class="form-group">
+        <label for="disclosure-type">Type</label>
+        <select id="disclosure-type" class="form-select">
+          ${DISCLOSURE_TYPES.map(t => `<option value="${t.value}" ${disclosure.type === t.value ? 'selected' : ''}>${escapeHtml(t.label)}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="disclosure-date">Date</label>
+        <input type="date" id="disclosure-date" class="form-input" value="${disclosure.date || ''}">
+      </div>
+    </div>
+    <div class="form-group">
+      <label for="disclosure-status">Status</label>
+      <select id="disclosure-status" class="form-select">
+        ${DISCLOSURE_STATUSES.map(st => `<option value="${st.value}" ${disclosure.status === st.value ? 'selected' : ''}>${escapeHtml(st.label)}</option>`).join('')}
+      </select>
+    </div>
+    <div class="form-group">
+      <label for="disclosure-notes">Resolution Notes</label>
+      <textarea id="disclosure-notes" class="form-input" rows="3">${escapeHtml(disclosure.resolutionNotes || '')}</textarea>
+    </div>
+  `;
+
+  const footer = document.createElement('div');
+  footer.className = 'modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'btn btn-secondary';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = closeModal;
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.setAttribute('form', 'disclosure-form');
+  saveBtn.className = 'btn btn-primary';
+  saveBtn.textContent = isEdit ? 'Update' : 'Add';
+  footer.append(cancelBtn, saveBtn);
+
+  openModal({ title: isEdit ? 'Edit Disclosure' : 'Add Disclosure', body, footer });
+
+  body.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const newDisclosure = {
+      type: document.getElementById('disclosure-type').value,
+      date: document.getElementById('disclosure-date').value || null,
+      status: document.getElementById('disclosure-status').value,
+      resolutionNotes: document.getElementById('disclosure-notes').value.trim(),
+    };
+
+    const previous = candidate.disclosures;
+    candidate.disclosures = [...(candidate.disclosures || [])];
+    if (isEdit) candidate.disclosures[editIndex] = newDisclosure;
+    else candidate.disclosures.push(newDisclosure);
+
+    try {
+      await db.updateCandidate(candidate);
+      _listCache = null;
+      closeModal();
+      toast(isEdit ? 'Disclosure updated' : 'Disclosure added', { type: 'success' });
+      renderCandidateDetail(candidate.id);
+    } catch (err) {
+      candidate.disclosures = previous;
+      if (toastConflict(err, () => { closeModal(); renderCandidateDetail(candidate.id); })) return;
+      toast('Failed to save disclosure: ' + err.message, { type: 'error' });
+    }
+  });
+}
+
+async function removeDisclosure(candidate, index) {
+  const ok = await confirm('Remove this disclosure?');
+  if (!ok) return;
+  const previous = candidate.disclosures;
+  try {
+    candidate.disclosures = candidate.disclosures.filter((_, i) => i !== index);
+    await db.updateCandidate(candidate);
+    _listCache = null;
+    toast('Disclosure removed', { type: 'info' });
+    renderCandidateDetail(candidate.id);
+  } catch (err) {
+    candidate.disclosures = previous;
+    if (toastConflict(err, () => renderCandidateDetail(candidate.id))) return;
+    toast('Failed to remove disclosure: ' + err.message, { type: 'error' });
+  }
+}
+
+// ── State Registrations ─────────────────────────────────────
+
+function renderRegistrationList(registrations) {
+  if (registrations.length === 0) {
+    return '<p class="text-secondary">No state registrations added yet.</p>';
+  }
+  // Active first, then by state; data-index points into the stored order
+  const sorted = [...registrations].sort((a, b) =>
+    isRegistrationActive(b) - isRegistrationActive(a) || a.state.localeCompare(b.state));
+  return sorted.map(reg => {
+    const active = isRegistrationActive(reg);
+    const index = registrations.indexOf(reg);
+    return `
+      <div class="cert-item registration-item">
+        <div class="cert-item-header">
+          <span class="cert-item-name" title="${escapeHtml(US_STATES.find(s => s.code === reg.state)?.name || reg.state)}">${escapeHtml(reg.state)}</span>
+          <span class="cert-status ${active ? 'cert-status--active' : 'cert-status--expired'}">${active ? 'Active' : 'Inactive'}</span>
+        </div>
+        <div class="cert-item-details">
+          <span>${escapeHtml(STATE_REGISTRATION_TYPES.find(t => t.value === reg.type)?.label || reg.type)}</span>
+          ${reg.firm ? `<span>${escapeHtml(reg.firm)}</span>` : ''}
+          <span>${reg.effectiveDate ? formatDate(reg.effectiveDate) : '?'} – ${reg.terminationDate ? formatDate(reg.terminationDate) : 'Present'}</span>
+        </div>
+        <div class="cert-item-actions">
+          <button class="btn btn-xs btn-secondary registration-edit" data-index="${index}">Edit</button>
+          <button class="btn btn-xs btn-danger registration-delete" data-index="${index}">Remove</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+function openRegistrationModal(candidate, editIndex = null) {
+  const isEdit = editIndex !== null;
+  const reg = isEdit ? candidate.stateRegistrations[editIndex] : { firm: candidate.currentEmployer || '' };
+
+  const body = document.createElement('form');
+  body.id = 'registration-form';
+  body.className = 'form';
+  body.innerHTML = `
+    <div class="form-row">
+      <div class="form-group">
+        <label for="registration-state">State *</label>
+        <select id="registration-state" class="form-select" required>
+          <option value="">— Select —</option>
+          ${US_STATES.map(s => `<option value="${s.code}" ${reg.state === s.code ? 'selected' : ''}>${s.code} — ${escapeHtml(s.name)}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="registration-type">Registration Type</label>
+        <select id="registration-type" class="form-select">
+          ${STATE_REGISTRATION_TYPES.map(t => `<option value="${t.value}" ${reg.type === t.value ? 'selected' : ''}>${escapeHtml(t.label)}</option>`).join('')}
+        </select>
+      </div>
+    </div>
+    <div class="form-group">
+      <label for="registration-firm">Firm</label>
+      <input type="text" id="registration-firm" class="form-input" value="${escapeHtml(reg.firm || '')}">
+    </div>
+    <div class="form-row">
+      <div class="form-group">
+        <label for="registration-effective">Effective Date</label>
+        <input type="date" id="registration-effective" class="form-input" value="${reg.effectiveDate || ''}">
+      </div>
+      <div class="form-group">
+        <label for="registration-termination">Termination Date</label>
+        <input type="date" id="registration-termination" class="form-input" value="${reg.terminationDate || ''}">
+      </div>
+    </div>
+  `;
+
+  const footer = document.createElement('div');
+  footer.className = 'modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'btn btn-secondary';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = closeModal;
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.setAttribute('form', 'registration-form');
+  saveBtn.className = 'btn btn-primary';
+  saveBtn.textContent = isEdit ? 'Update' : 'Add';
+  footer.append(cancelBtn, saveBtn);
+
+  openModal({ title: isEdit ? 'Edit State Registration' : 'Add State Registration', body, footer });
+
+  body.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const newReg = {
+      state: document.getElementById('registration-state').value,
+      type: document.getElementById('registration-type').value,
+      firm: document.getElementById('registration-firm').value.trim(),
+      effectiveDate: document.getElementById('registration-effective').value || null,
+      terminationDate: document.getElementById('registration-termination').value || null,
+    };
+    if (!newReg.state) { toast('State is required', { type: 'error' }); return; }
+    if (newReg.effectiveDate && newReg.terminationDate && newReg.terminationDate < newReg.effectiveDate) {
+      toast('Termination date is before the effective date', { type: 'error' });
+      return;
+    }
+
+    candidate.stateRegistrations = [...(candidate.stateRegistrations || [])];
+    if (isEdit) candidate.stateRegistrations[editIndex] = newReg;
+    else candidate.stateRegistrations.push(newReg);
+
+    try {
+      await db.updateCandidate(candidate);
+      _listCache = null;
+      closeModal();
+      toast(isEdit ? 'Registration updated' : 'Registration added', { type: 'success' });
+      renderCandidateDetail(candidate.id);
+    } catch (err) {
+      if (toastConflict(err, () => { closeModal(); renderCandidateDetail(candidate.id); })) return;
+      toast('Failed to save registration: ' + err.message, { type: 'error' });
+    }
+  });
+}
+
+async function removeRegistration(candidate, index) {
+  const reg = candidate.stateRegistrations[index];
+  const ok = await confirm(`Remove the ${reg.state} registration?`);
+  if (!ok) return;
+  try {
+    candidate.stateRegistrations = candidate.stateRegistrations.filter((_, i) => i !== index);
+    await db.updateCandidate(candidate);
+    _listCache = null;
+    toast(`Removed ${reg.state} registration`, { type: 'info' });
+    renderCandidateDetail(candidate.id);
+  } catch (err) {
+    if (toastConflict(err, () => renderCandidateDetail(candidate.id))) return;
+    toast('Failed to remove registration: ' + err.message, { type: 'error' });
+  }
+}
+
+// ── Employment History ──────────────────────────────────────
+
+function formatMonth(date) {
+  return date ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', timeZone: 'UTC' }) : '?';
+}
+
+function renderEmploymentList(employment) {
+  if (employment.length === 0) {
+    return '<p class="text-secondary">No employment added yet. Registered employment decides when FINRA licenses lapse.</p>';
+  }
+  // Shown newest first; data-index points into the stored order
+  return sortEmployment(employment).map(job => `
+    <div class="employment-item">
+      <div class="employment-item-header">
+        <span class="employment-item-firm">${escapeHtml(job.firm)}</span>
+        ${job.registered ? '<span class="employment-registered">Registered</span>' : ''}
+      </div>
+      <div class="employment-item-details">
+        ${job.title ? `<span>${escapeHtml(job.title)}</span>` : ''}
+        <span>${formatMonth(job.startDate)} – ${job.endDate ? formatMonth(job.endDate) : 'Present'}</span>
+      </div>
+      <div class="cert-item-actions">
+        <button class="btn btn-xs btn-secondary employment-edit" data-index="${employment.indexOf(job)}">Edit</button>
+        <button class="btn btn-xs btn-danger employment-delete" data-index="${employment.indexOf(job)}">Remove</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+function openEmploymentModal(candidate, editIndex = null) {
+  const isEdit = editIndex !== null;
+  const job = isEdit ? candidate.employment[editIndex] : {};
+
+  const body = document.createElement('form');
+  body.id = 'employment-form';
+  body.className = 'form';
+  body.innerHTML = `
+    <div class="form-row">
+      <div class="form-group">
+        <label for="employment-firm">Firm *</label>
+        <input type="text" id="employment-firm" class="form-input" required value="${escapeHtml(job.firm || '')}">
+      </div>
+      <div class="form-group">
+        <label for="employment-title">Title</label>
+        <input type="text" id="employment-title" class="form-input" value="${escapeHtml(job.title || '')}">
+      </div>
+    </div>
+    <div class="form-row">
+      <div class="form-group">
+        <label for="employment-start">Start Date</label>
+        <input type="date" id="employment-start" class="form-input" value="${job.startDate || ''}">
+      </div>
+      <div class="form-group">
+        <label for="employment-end">End Date (empty if current)</label>
+        <input type="date" id="employment-end" class="form-input" value="${job.endDate || ''}">
+      </div>
+    </div>
+    <label class="checkbox-label">
+      <input type="checkbox" id="employment-registered" ${job.registered ? 'checked' : ''}> Registered with FINRA through this firm
+    </label>
+  `;
+
+  const footer = document.createElement('div');
+  footer.className = 'modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'btn btn-secondary';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = closeModal;
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.setAttribute('form', 'employment-form');
+  saveBtn.className = 'btn btn-primary';
+  saveBtn.textContent = isEdit ? 'Update' : 'Add';
+  footer.append(cancelBtn, saveBtn);
+
+  openModal({ title: isEdit ? 'Edit Employment' : 'Add Employment', body, footer });
+
+  body.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const newJob = {
+      firm: document.getElementById('employment-firm').value.trim(),
+      title: document.getElementById('employment-title').value.trim(),
+      startDate: document.getElementById('employment-start').value || null,
+      endDate: document.getElementById('employment-end').value || null,
+      registered: document.getElementById('employment-registered').checked,
+    };
+    if (!newJob.firm) { toast('Firm is required', { type: 'error' }); return; }
+    if (newJob.startDate && newJob.endDate && newJob.endDate < newJob.startDate) {
+      toast('End date is before the start date', { type: 'error' });
+      return;
+    }
+
+    candidate.employment = [...(candidate.employment || [])];
+    if (isEdit) candidate.employment[editIndex] = newJob;
+    else candidate.employment.push(newJob);
+
+    try {
+      await db.updateCandidate(candidate);
+      _listCache = null;
+      closeModal();
+      toast(isEdit ? 'Employment updated' : 'Employment added', { type: 'success' });
+      renderCandidateDetail(candidate.id);
+    } catch (err) {
+      if (toastConflict(err, () => { closeModal(); renderCandidateDetail(candidate.id); })) return;
+      toast('Failed to save employment: ' + err.message, { type: 'error' });
+    }
+  });
+}
+
+async function removeEmployment(candidate, index) {
+  const job = candidate.employment[index];
+  const ok = await confirm(`Remove employment at ${job.firm}?`);
+  if (!ok) return;
+  try {
+    candidate.employment = candidate.employment.filter((_, i) => i !== index);
+    await db.updateCandidate(candidate);
+    _listCache = null;
+    toast(`Removed ${job.firm}`, { type: 'info' });
+    renderCandidateDetail(candidate.id);
+  } catch (err) {
+    if (toastConflict(err, () => renderCandidateDetail(candidate.id))) return;
+    toast('Failed to remove employment: ' + err.message, { type: 'error' });
+  }
+}
+
+// ── Data Subject Requests ───────────────────────────────────
+
+/** Download everything stored about a person as JSON (access request). */
+export async function exportPersonData(candidate) {
+  try {
+    const data = { exportedAt: new Date().toISOString(), ...await db.getSubjectData(candidate.id) };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    const name = `${candidate.lastName}-${candidate.firstName}`.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    a.download = `compliancetrack-personal-data-${name}-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    toast('Personal data exported', { type: 'success' });
+  } catch (err) {
+    toast('Export failed: ' + err.message, { type: 'error' });
+  }
+}
+
+/**
+ * Confirm, then permanently erase a person (right to be forgotten).
+ * Resolves to true once they are gone.
+ */
+export async function forgetPerson(candidate) {
+  const name = `${candidate.firstName} ${candidate.lastName}`;
+  const ok = await confirm(`Permanently erase ${name}? Their record, pipeline entries, activities, files and history are deleted, and their full name, email and phone are redacted from other activities. This cannot be undone, and backups exported earlier still contain them.`);
+  if (!ok) return false;
+  try {
+    const result = await db.forgetCandidate(candidate.id);
+    _listCache = null;
+    const redacted = result.redacted > 0 ? `, redacted from ${result.redacted} other ${result.redacted === 1 ? 'activity' : 'activities'}` : '';
+    toast(`${name} was erased${redacted}`, { type: 'success' });
+    return true;
+  } catch (err) {
+    toast('Failed to erase: ' + err.message, { type: 'error' });
+    return false;
+  }
+}
+
 // ── Candidate Form (New / Edit) ─────────────────────────────
 
 export async function renderCandidateForm(id) {
@@ -599,9 +1652,19 @@ export async function renderCandidateForm(id) {
 
   setHeaderTitle(isEdit ? `Edit: ${candidate.firstName} ${candidate.lastName}` : 'New Person');
   setHeaderActions('');
+  const fields = await getCustomFields('candidates');
+  const allTags = await db.getTags();
 
   content.innerHTML = `
     <form id="candidate-form" class="form candidate-form">
+      ${!isEdit ? `
+      <div id="resume-drop-zone" class="drop-zone resume-drop-zone">
+        <p><strong>Drop a resume here</strong> or click to browse (${RESUME_EXTENSIONS.join(', ')}) to fill in the form</p>
+        <p class="text-secondary">The file is read on this device and never uploaded.</p>
+      </div>
+      <input type="file" id="resume-file-input" accept="${RESUME_EXTENSIONS.join(',')}" hidden>
+      ` : ''}
+      <div id="duplicate-warning"></div>
       <div class="form-section">
         <h3 class="section-title">Basic Info</h3>
         <div class="form-row">
@@ -648,6 +1711,12 @@ export async function renderCandidateForm(id) {
             <input type="text" id="source" name="source" class="form-input" placeholder="e.g., LinkedIn, Referral" value="${escapeHtml(candidate.source || '')}">
           </div>
         </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="crdNumber">CRD Number</label>
+            <input type="text" id="crdNumber" name="crdNumber" class="form-input" inputmode="numeric" pattern="\\d{1,10}" title="Digits only" value="${escapeHtml(candidate.crdNumber || '')}">
+          </div>
+        </div>
       </div>
 
       <div class="form-section">
@@ -672,6 +1741,44 @@ export async function renderCandidateForm(id) {
         </div>
       </div>
 
+      <div class="form-section" id="resume-certs" hidden>
+        <h3 class="section-title">Certifications From Resume</h3>
+        <div class="resume-cert-options"></div>
+      </div>
+
+      <div class="form-section">
+        <h3 class="section-title">Tags</h3>
+        ${renderTagPicker(allTags, candidate.tags)}
+      </div>
+
+      <div class="form-section">
+        <h3 class="section-title">Data Protection</h3>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="consentBasis">Lawful basis</label>
+            <select id="consentBasis" name="consentBasis" class="form-select">
+              <option value="">Not recorded</option>
+              ${CONSENT_BASES.map(b => `<option value="${b.value}" ${candidate.consentBasis === b.value ? 'selected' : ''}>${escapeHtml(b.label)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="consentDate">Consent date</label>
+            <input type="date" id="consentDate" name="consentDate" class="form-input" value="${escapeHtml(candidate.consentDate || '')}">
+          </div>
+        </div>
+        <div class="form-group">
+          <label for="consentSource">Consent source</label>
+          <input type="text" id="consentSource" name="consentSource" class="form-input" placeholder="e.g., Reply to LinkedIn InMail, signed registration form" value="${escapeHtml(candidate.consentSource || '')}">
+        </div>
+      </div>
+
+      ${fields.length > 0 ? `
+      <div class="form-section">
+        <h3 class="section-title">Additional Info</h3>
+        ${renderCustomFieldInputs(fields, candidate.custom)}
+      </div>
+      ` : ''}
+
       <div class="form-section">
         <h3 class="section-title">Notes</h3>
         <div class="form-group">
@@ -691,6 +1798,67 @@ export async function renderCandidateForm(id) {
   // Mark dirty on input
   form.addEventListener('input', () => markDirty());
 
+  // Warn when a new person looks like someone already stored
+  let checkDuplicates = null;
+  const draftIdentity = () => ({
+    firstName: form.firstName.value.trim(),
+    lastName: form.lastName.value.trim(),
+    email: form.email.value.trim(),
+    phone: form.phone.value.trim(),
+    currentEmployer: form.currentEmployer.value.trim(),
+  });
+  if (!isEdit) {
+    checkDuplicates = createDuplicateWarning(document.getElementById('duplicate-warning'));
+    form.addEventListener('change', (e) => {
+      if (!['firstName', 'lastName', 'email', 'phone', 'currentEmployer'].includes(e.target.name)) return;
+      checkDuplicates(draftIdentity());
+    });
+  }
+
+  // Fill from a resume (new people only); certifications found are offered as checkboxes
+  let resumeFile = null;
+  let resumeCerts = [];
+  if (!isEdit) {
+    const dropZone = document.getElementById('resume-drop-zone');
+    const fileInput = document.getElementById('resume-file-input');
+    const fillFromResume = async (file) => {
+      const result = await reviewResume(file);
+      if (!result) return;
+      const { certifications, skills, ...values } = result.fields;
+      for (const [field, value] of Object.entries(values)) form[field].value = value;
+      if (skills) {
+        const current = form.skills.value.split(',').map(s => s.trim()).filter(Boolean);
+        const known = new Set(current.map(s => s.toLowerCase()));
+        form.skills.value = [...current, ...skills.filter(s => !known.has(s.toLowerCase()))].join(', ');
+      }
+      resumeCerts = certifications || [];
+      const certSection = document.getElementById('resume-certs');
+      certSection.hidden = resumeCerts.length === 0;
+      certSection.querySelector('.resume-cert-options').innerHTML = resumeCerts.map((cert, i) => `
+        <label class="checkbox-label">
+          <input type="checkbox" name="resumeCerts" value="${i}" checked>
+          ${escapeHtml(cert.name)}${cert.description ? ` <span class="text-secondary">${escapeHtml(cert.description)}</span>` : ''}
+        </label>
+      `).join('');
+      resumeFile = result.attach ? file : null;
+      markDirty();
+      checkDuplicates(draftIdentity());
+    };
+    dropZone.addEventListener('click', () => fileInput.click());
+    dropZone.addEventListener('dragover', (e) => { e.preventDefault(); dropZone.classList.add('drag-over'); });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+    dropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropZone.classList.remove('drag-over');
+      const file = e.dataTransfer.files[0];
+      if (file) fillFromResume(file);
+    });
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) fillFromResume(fileInput.files[0]);
+      fileInput.value = '';
+    });
+  }
+
   // Cancel
   document.getElementById('btn-cancel').addEventListener('click', () => {
     if (isEdit) {
@@ -720,15 +1888,21 @@ export async function renderCandidateForm(id) {
       currentEmployer: form.currentEmployer.value.trim(),
       location: form.location.value.trim(),
       source: form.source.value.trim(),
+      crdNumber: form.crdNumber.value.trim(),
       salaryMin: form.salaryMin.value ? parseInt(form.salaryMin.value, 10) : null,
       salaryMax: form.salaryMax.value ? parseInt(form.salaryMax.value, 10) : null,
       skills: form.skills.value.split(',').map(s => s.trim()).filter(Boolean),
       notes: form.notes.value.trim(),
+      consentBasis: form.consentBasis.value,
+      consentDate: form.consentDate.value || null,
+      consentSource: form.consentSource.value.trim(),
+      custom: collectCustomFieldValues(form, fields, candidate.custom),
     };
 
     clearDirty();
 
     try {
+      data.tags = await collectTagIds(form, allTags);
       if (isEdit) {
         Object.assign(candidate, data);
         await db.updateCandidate(candidate);
@@ -736,12 +1910,25 @@ export async function renderCandidateForm(id) {
         toast('Person updated', { type: 'success' });
         location.hash = `#/candidate/${id}`;
       } else {
+        data.certifications = [...form.querySelectorAll('input[name="resumeCerts"]:checked')].map(input => {
+          const cert = resumeCerts[input.value];
+          return { type: cert.type, name: cert.name, issuingBody: cert.issuingBody || '', dateObtained: null, expirationDate: null, renewalCycle: cert.renewal || '' };
+        });
         const newCandidate = await db.addCandidate(data);
         _listCache = null;
         toast('Person created', { type: 'success' });
+        if (resumeFile) {
+          try {
+            await db.addAttachment('candidates', newCandidate.id, resumeFile, 'resume');
+          } catch (err) {
+            toast('The resume could not be attached: ' + err.message, { type: 'error' });
+          }
+        }
         location.hash = `#/candidate/${newCandidate.id}`;
       }
     } catch (err) {
+      markDirty();
+      if (toastConflict(err, () => { clearDirty(); renderCandidateForm(id); })) return;
       toast('Failed to save: ' + err.message, { type: 'error' });
     }
   });
@@ -750,16 +1937,5 @@ export async function renderCandidateForm(id) {
 // ── Helpers ─────────────────────────────────────────────────
 
 function getCertOptions() {
-  const names = new Set();
-  for (const c of FINRA_LICENSES) names.add(c.name);
-  for (const c of COMPLIANCE_CERTS) names.add(c.name);
-  return [...names].sort();
-}
-
-function getLocationOptions(candidates) {
-  const locations = new Set();
-  for (const c of candidates) {
-    if (c.location) locations.add(c.location);
-  }
-  return [...locations].sort();
+  return certCatalog.map(c => c.name).sort();
 }
@@ -0,0 +1,299 @@
+/**
+ * cert-catalog.js — The certification catalog and its Settings editor
+ *
+ * Custom entries live in the `customCertTypes` setting. Edits to built-in
+ * entries are stored by name in the `certCatalogOverrides` setting, so
+ * resetting one just drops its override. The catalog itself is composed by
+ * buildCertCatalog() in db.js.
+ */
+
+import db, { buildCertCatalog, findCatalogEntry, getRenewalRule, describeRenewalRule, CERT_CATEGORIES, RENEWAL_ANCHORS } from './db.js';
+import { openModal, closeModal, confirm, toast, escapeHtml } from './ui.js';
+
+const CUSTOM_SETTING = 'customCertTypes';
+const OVERRIDES_SETTING = 'certCatalogOverrides';
+
+/** Built-in entries (with overrides) followed by custom ones. */
+export async function getCertCatalog() {
+  const [customCerts, overrides] = await Promise.all([db.getSetting(CUSTOM_SETTING), db.getSetting(OVERRIDES_SETTING)]);
+  return buildCertCatalog(customCerts || [], overrides || {});
+}
+
+/** Catalog entries grouped by category, in CERT_CATEGORIES order: [{ category, label, entries }]. */
+export function groupCatalog(catalog) {
+  return CERT_CATEGORIES
+    .map(cat => ({
+      category: cat.value,
+      label: cat.label,
+      entries: catalog.filter(c => (CERT_CATEGORIES.some(k => k.value === c.category) ? c.category : 'other') === cat.value),
+    }))
+    .filter(group => group.entries.length > 0);
+}
+
+// ── Settings ────────────────────────────────────────────────
+
+export async function renderCertCatalogSettings(container) {
+  let catalog, overrides;
+  try {
+    [catalog, overrides] = await Promise.all([getCertCatalog(), db.getSetting(OVERRIDES_SETTING)]);
+  } catch (err) {
+    container.innerHTML = '<p class="text-secondary">Failed to load the certification catalog.</p>';
+    return;
+  }
+  overrides = overrides || {};
+
+  container.innerHTML = `
+    <div class="cert-catalog">
+      ${groupCatalog(catalog).map(group => `
+        <h3 class="custom-field-entity-title">${escapeHtml(group.label)}</h3>
+        ${group.entries.map(entry => `
+          <div class="custom-cert-row cert-catalog-row" data-name="${escapeHtml(entry.name)}">
+            <span>
+              ${escapeHtml(entry.name)}
+              ${entry.type === 'custom' ? '<span class="cert-badge cert-badge--sm">Custom</span>' : overrides[entry.name] ? '<span class="cert-badge cert-badge--sm">Edited</span>' : ''}
+              <span class="text-secondary">— ${escapeHtml(entry.issuingBody || '—')}${entry.ce ? ` · ${entry.ce.hours} CE hours per ${entry.ce.months} months` : ''} · ${escapeHtml(describeRenewalRule(getRenewalRule(entry)))}</span>
+              ${entry.satisfies?.length ? `<span class="cert-catalog-note">Counts as ${escapeHtml(entry.satisfies.join(' + '))}</span>` : ''}
+              ${entry.prerequisites?.length ? `<span class="cert-catalog-note">Requires ${escapeHtml(entry.prerequisites.join(', '))}</span>` : ''}
+              ${entry.aliases?.length ? `<span class="cert-catalog-note">Also called ${escapeHtml(entry.aliases.join(', '))}</span>` : ''}
+            </span>
+            <span class="cert-catalog-actions">
+              <button class="btn btn-xs btn-secondary cert-catalog-edit">Edit</button>
+              ${entry.type !== 'custom' && overrides[entry.name] ? '<button class="btn btn-xs btn-secondary cert-catalog-reset">Reset</button>' : ''}
+              ${entry.type === 'custom' ? '<button class="btn btn-xs btn-danger cert-catalog-delete">Delete</button>' : ''}
+            </span>
+          </div>
+        `).join('')}
+      `).join('')}
+      <button type="button" class="btn btn-secondary cert-catalog-add">+ Add Certification</button>
+    </div>`;
+
+  const refresh = () => renderCertCatalogSettings(container);
+
+  // Listeners go on a fresh element each render so re-renders don't stack them
+  container.querySelector('.cert-catalog').addEventListener('click', async (e) => {
+    if (e.target.closest('.cert-catalog-add')) {
+      openCatalogEntryModal(null, catalog, refresh);
+      return;
+    }
+    const row = e.target.closest('.cert-catalog-row');
+    if (!row) return;
+    const entry = catalog.find(c => c.name === row.dataset.name);
+
+    if (e.target.closest('.cert-catalog-edit')) openCatalogEntryModal(entry, catalog, refresh);
+    if (e.target.closest('.cert-catalog-reset')) resetBuiltIn(entry.name, overrides, refresh);
+    if (e.target.closest('.cert-catalog-delete')) deleteCustom(entry, refresh);
+  });
+}
+
+async function resetBuiltIn(name, overrides, refresh) {
+  const previous = overrides[name];
+  const { [name]: _, ...rest } = overrides;
+  try {
+    await db.setSetting(OVERRIDES_SETTING, rest);
+    toast(`Reset ${name} to the built-in entry`, {
+      type: 'info',
+      actionLabel: 'Undo',
+      action: async () => {
+        try {
+          await db.setSetting(OVERRIDES_SETTING, { ...((await db.getSetting(OVERRIDES_SETTING)) || {}), [name]: previous });
+          refresh();
+        } catch (err) {
+          toast('Failed to restore: ' + err.message, { type: 'error' });
+        }
+      },
+    });
+    refresh();
+  } catch (err) {
+    toast('Failed to reset: ' + err.message, { type: 'error' });
+  }
+}
+
+/** People holding the entry (under its name or an alias) and jobs asking for it. */
+async function countUsage(entry) {
+  const [candidates, jobs] = await Promise.all([db.getAllCandidates(), db.getAllJobs()]);
+  const names = new Set([entry.name, ...(entry.aliases || [])].map(n => n.toLowerCase()));
+  const named = (name) => names.has(String(name).toLowerCase());
+  return {
+    people: candidates.filter(c => (c.certifications || []).some(cert => named(cert.name))).length,
+    jobs: jobs.filter(j => [...(j.requiredCerts || []), ...(j.preferredCerts || [])].some(named)).length,
+  };
+}
+
+async function deleteCustom(entry, refresh) {
+  try {
+    const usage = await countUsage(entry);
+    const used = usage.people || usage.jobs
+      ? ` It is held by ${usage.people} ${usage.people === 1 ? 'person' : 'people'} and listed on ${usage.jobs} job${usage.jobs === 1 ? '' : 's'}; those records keep the name but lose its renewal and CE rules.`
+      : ' Nobody holds it and no job lists it.';
+    if (!await confirm(`Delete "${entry.name}" from the catalog?${used}`)) return;
+    const certs = ((await db.getSetting(CUSTOM_SETTING)) || []).filter(c => c.name !== entry.name);
+    await db.setSetting(CUSTOM_SETTING, certs);
+    toast(`Deleted "${entry.name}"`, { type: 'info' });
+    refresh();
+  } catch (err) {
+    toast('Failed to delete: ' + err.message, { type: 'error' });
+  }
+}
+
+// ── Entry Modal (Add / Edit) ────────────────────────────────
+
+const parseNames = (text) => [...new Set(text.split(',').map(n => n.trim()).filter(Boolean))];
+
+/**
+ * Add a custom entry (entry null), edit a custom one, or override a built-in
+ * one. Built-in names are fixed; renaming a custom entry keeps the old name as
+ * an alias so certs already entered under it still resolve.
+ */
+function openCatalogEntryModal(entry, catalog, onSaved) {
+  const isNew = !entry;
+  const builtIn = entry && entry.type !== 'custom';
+  const current = entry || {};
+  const rule = current.renewalRule || {};
+
+  const body = document.createElement('form');
+  body.id = 'cert-catalog-form';
+  body.className = 'form';
+  body.innerHTML = `
+    <div class="form-row">
+      <div class="form-group">
+        <label for="catalog-name">Name *</label>
+        <input type="text" id="catalog-name" class="form-input" required value="${escapeHtml(current.name || '')}" ${builtIn ? 'disabled' : ''}>
+      </div>
+      <div class="form-group">
+        <label for="catalog-category">Category</label>
+        <select id="catalog-category" class="form-select">
+          ${CERT_CATEGORIES.map(c => `<option value="${c.value}" ${(current.category || 'other') === c.value ? 'selected' : ''}>${escapeHtml(c.label)}</option>`).join('')}
+        </select>
+      </div>
+    </div>
+    <div class="form-row">
+      <div class="form-group">
+        <label for="catalog-description">Description</label>
+        <input type="text" id="catalog-description" class="form-input" value="${escapeHtml(current.description || '')}">
+      </div>
+      <div class="form-group">
+        <label for="catalog-body">Issuing Body *</label>
+        <input type="text" id="catalog-body" class="form-input" required value="${escapeHtml(current.issuingBody || '')}">
+      </div>
+    </div>
+    <div class="form-group">
+      <label for="catalog-renewal">Renewal Cycle</label>
+      <input type="text" id="catalog-renewal" class="form-input" placeholder="e.g., 3 years, Annual" value="${escapeHtml(current.renewal || '')}">
+    </div>
+    <div class="form-row">
+      <div class="form-group">
+        <label for="catalog-renewal-months">Renew Every (months)</label>
+        <input type="number" id="catalog-renewal-months" class="form-input" min="1" value="${rule.months || ''}">
+      </div>
+      <div class="form-group">
+        <label for="catalog-renewal-anchor">Period Dated</label>
+        <select id="catalog-renewal-anchor" class="form-select">
+          ${RENEWAL_ANCHORS.map(a => `<option value="${a.value}" ${rule.anchor === a.value ? 'selected' : ''}>${escapeHtml(a.label)}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="catalog-grace">Grace Days</label>
+        <input type="number" id="catalog-grace" class="form-input" min="0" value="${rule.graceDays || ''}">
+      </div>
+    </div>
+    <div class="form-row">
+      <div class="form-group">
+        <label for="catalog-ce-hours">CE Hours</label>
+        <input type="number" id="catalog-ce-hours" class="form-input" min="1" value="${current.ce?.hours || ''}">
+      </div>
+      <div class="form-group">
+        <label for="catalog-ce-months">Per (months)</label>
+        <input type="number" id="catalog-ce-months" class="form-input" min="1" value="${current.ce?.months || ''}">
+      </div>
+    </div>
+    <div class="form-group">
+      <label for="catalog-aliases">Also Called (comma-separated)</label>
+      <input type="text" id="catalog-aliases" class="form-input" value="${escapeHtml((current.aliases || []).join(', '))}">
+    </div>
+    <div class="form-group">
+      <label for="catalog-satisfies">Counts As (comma-separated cert names)</label>
+      <input type="text" id="catalog-satisfies" class="form-input" list="catalog-names" placeholder="e.g., Series 63, Series 65" value="${escapeHtml((current.satisfies || []).join(', '))}">
+    </div>
+    <div class="form-group">
+      <label for="catalog-prerequisites">Prerequisites (comma-separated cert names)</label>
+      <input type="text" id="catalog-prerequisites" class="form-input" list="catalog-names" value="${escapeHtml((current.prerequisites || []).join(', '))}">
+    </div>
+    <datalist id="catalog-names">
+      ${catalog.map(c => `<option value="${escapeHtml(c.name)}">`).join('')}
+    </datalist>
+  `;
+
+  const footer = document.createElement('div');
+  footer.className = 'modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'btn btn-secondary';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = closeModal;
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.setAttribute('form', 'cert-catalog-form');
+  saveBtn.className = 'btn btn-primary';
+  saveBtn.textContent = isNew ? 'Add' : 'Save';
+  footer.append(cancelBtn, saveBtn);
+
+  openModal({ title: isNew ? 'Add Certification' : `Edit ${entry.name}`, body, footer });
+
+  body.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = builtIn ? entry.name : document.getElementById('catalog-name').value.trim();
+    const others = catalog.filter(c => c !== entry);
+    const value = (id) => document.getElementById(id).value;
+
+    let aliases = parseNames(value('catalog-aliases')).filter(a => a.toLowerCase() !== name.toLowerCase());
+    if (!isNew && !builtIn && name !== entry.name && !aliases.some(a => a.toLowerCase() === entry.name.toLowerCase())) {
+      aliases = [...aliases, entry.name];
+    }
+
+    // Names must stay unambiguous, and links must point at catalog entries
+    const clashes = (n) => others.some(c => [c.name, ...(c.aliases || [])].some(other => other.toLowerCase() === n.toLowerCase()));
+    const taken = [name, ...aliases].find(clashes);
+    if (taken) { toast(`"${taken}" is already a name in the catalog`, { type: 'error' }); return; }
+    const resolve = (names) => names.map(n => findCatalogEntry({ name: n }, catalog)?.name || n);
+    const satisfies = resolve(parseNames(value('catalog-satisfies')));
+    const prerequisites = resolve(parseNames(value('catalog-prerequisites')));
+    const unknown = [...satisfies, ...prerequisites].find(n => !others.some(c => c.name === n));
+    if (unknown) { toast(`"${unknown}" isn't another certification in the catalog`, { type: 'error' }); return; }
+
+    const renewalMonths = parseInt(value('catalog-renewal-months'), 10);
+    const ceHours = parseFloat(value('catalog-ce-hours'));
+    const fields = {
+      description: value('catalog-description').trim(),
+      issuingBody: value('catalog-body').trim(),
+      renewal: value('catalog-renewal').trim(),
+      category: value('catalog-category'),
+      aliases, satisfies, prerequisites,
+    };
+    const renewalRule = renewalMonths > 0
+      ? { months: renewalMonths, anchor: value('catalog-renewal-anchor'), graceDays: parseInt(value('catalog-grace'), 10) || 0 }
+      : null;
+    const ce = ceHours > 0 ? { hours: ceHours, months: parseInt(value('catalog-ce-months'), 10) || 12 } : null;
+
+    try {
+      if (builtIn) {
+        // null rule means no scheduled renewal, as on the built-in entries themselves
+        const overrides = (await db.getSetting(OVERRIDES_SETTING)) || {};
+        await db.setSetting(OVERRIDES_SETTING, { ...overrides, [name]: { ...fields, renewalRule, ce } });
+      } else {
+        // Without a structured rule a custom entry's renewal is read from its cycle text
+        const certs = (await db.getSetting(CUSTOM_SETTING)) || [];
+        const updated = { ...(isNew ? {} : certs.find(c => c.name === entry.name)), name, type: 'custom', ...fields };
+        delete updated.renewalRule;
+        delete updated.ce;
+        if (renewalRule) updated.renewalRule = renewalRule;
+        if (ce) updated.ce = ce;
+        await db.setSetting(CUSTOM_SETTING, isNew ? [...certs, updated] : certs.map(c => c.name === entry.name ? updated : c));
+      }
+      closeModal();
+      toast(isNew ? `Added "${name}"` : `Updated "${name}"`, { type: 'success' });
+      onSaved();
+    } catch (err) {
+      toast('Failed to save certification: ' + err.message, { type: 'error' });
+    }
+  });
+}
@@ -3,8 +3,12 @@
  */
 
 import db from './db.js';
-import { openModal, closeModal, toast, escapeHtml, formatDate, setHeaderTitle, setHeaderActions, SearchController, markDirty, clearDirty, detailField, confirm } from './ui.js';
+import { openModal, closeModal, toast, toastConflict, escapeHtml, formatDate, setHeaderTitle, setHeaderActions, SearchController, markDirty, clearDirty, detailField, confirm, initTabs, createSelection } from './ui.js';
+import { renderHistory } from './history.js';
 import { invalidateJobListCache } from './jobs.js';
+import { getCustomFields, renderCustomFieldInputs, collectCustomFieldValues, renderCustomFieldDetails, renderCustomFilters, matchesCustomFilters } from './custom-fields.js';
+import { renderTagChips, renderTagDetailField, renderTagPicker, collectTagIds, renderTagFilter, hasTag, openBulkTagModal } from './tags.js';
+import { renderAttachments } from './attachments.js';
 
 // ── List View ──────────────────────────────────────────────
 
@@ -17,10 +21,12 @@ export async function renderClientList() {
   setHeaderActions('<a href="#/client/new" class="btn btn-primary btn-sm">+ New Company</a>');
   const content = document.getElementById('content');
 
-  let clients;
+  let clients, fields, tags;
   try {
     clients = _listCache || await db.getAllClients();
     _listCache = clients;
+    fields = await getCustomFields('clients');
+    tags = await db.getTags();
   } catch (err) {
     content.innerHTML = `<div class="empty-state"><p>Failed to load clients.</p></div>`;
     toast('Database error: ' + err.message, { type: 'error' });
@@ -43,11 +49,20 @@ export async function renderClientList() {
   const searchBar = `
     <div class="search-bar">
       <input type="text" id="client-search" class="form-input" placeholder="Search companies…">
+      ${renderTagFilter(tags)}
+      ${renderCustomFilters(fields)}
     </div>`;
 
-  content.innerHTML = searchBar + `<div id="client-list-container" class="candidate-list"></div>`;
+  content.innerHTML = searchBar + `<div id="client-selection" class="selection-bar" hidden></div><div id="client-list-container" class="candidate-list"></div>`;
 
   const listContainer = document.getElementById('client-list-container');
+  const selection = createSelection(listContainer, document.getElementById('client-selection'), [{
+    label: 'Tag…',
+    run: (ids) => openBulkTagModal('clients', ids, () => {
+      _listCache = null;
+      renderClientList();
+    }),
+  }]);
 
   function renderRows(list) {
     if (list.length === 0) {
@@ -58,31 +73,49 @@ export async function renderClientList() {
       const primaryContact = (c.contacts || []).find(ct => ct.isPrimary) || (c.contacts || [])[0];
       const contactInfo = primaryContact ? escapeHtml(primaryContact.name) : '';
       return `
-        <a href="#/client/${c.id}" class="candidate-row">
-          <div class="candidate-name">${escapeHtml(c.companyName)}</div>
-          <div class="candidate-meta">${escapeHtml(c.industrySector || '')}${contactInfo ? ` — ${contactInfo}` : ''}</div>
-        </a>`;
+        <div class="list-row-wrap">
+          ${selection.box(c.id, c.companyName)}
+          <a href="#/client/${c.id}" class="candidate-row">
+            <div class="candidate-name">${escapeHtml(c.companyName)}</div>
+            <div class="candidate-meta">${escapeHtml(c.industrySector || '')}${contactInfo ? ` — ${contactInfo}` : ''}</div>
+            ${renderTagChips(c.tags, tags)}
+          </a>
+        </div>`;
     }).join('');
   }
 
   renderRows(sorted);
 
+  // Tag and custom field filters apply to the full list and to search results alike
+  const filters = {};
+  let filterTag = '';
+  const applyFilters = (list) => list.filter(c => hasTag(c, filterTag) && matchesCustomFilters(c, fields, filters));
+
   // Search
   const sc = new SearchController((results, query) => {
-    if (!results) { renderRows(sorted); return; }
-    renderRows(results);
+    if (!results) { renderRows(applyFilters(sorted)); return; }
+    renderRows(applyFilters(results));
   });
 
+  async function searchClients(q) {
+    const hits = await db.search(q, { entities: ['clients'] });
+    const byId = new Map(sorted.map(c => [c.id, c]));
+    return hits.map(h => byId.get(h.id)).filter(Boolean);
+  }
+
   document.getElementById('client-search').addEventListener('input', (e) => {
-    sc.search(e.target.value, (q) => {
-      const lower = q.toLowerCase();
-      return sorted.filter(c =>
-        c.companyName.toLowerCase().includes(lower) ||
-        c.industrySector.toLowerCase().includes(lower) ||
-        (c.contacts || []).some(ct => ct.name.toLowerCase().includes(lower))
-      );
+    sc.search(e.target.value, searchClients);
+  });
+  content.querySelectorAll('.custom-filter').forEach(select => {
+    select.addEventListener('change', () => {
+      filters[select.dataset.field] = select.value;
+      sc.search(document.getElementById('client-search').value, searchClients, 0);
     });
   });
+  content.querySelector('.tag-filter')?.addEventListener('change', (e) => {
+    filterTag = e.target.value;
+    sc.search(document.getElementById('client-search').value, searchClients, 0);
+  });
 }
 
 // ── Detail View ────────────────────────────────────────────
@@ -91,7 +124,7 @@ export async function renderClientDetail(id) {
   setHeaderTitle('Company');
   const content = document.getElementById('content');
 
-  let client, jobs;
+  let client, jobs, fields, tags;
   try {
     client = await db.getClient(id);
     if (!client) {
@@ -99,6 +132,8 @@ export async function renderClientDetail(id) {
       return;
     }
     jobs = await db.getJobsByClient(id);
+    fields = await getCustomFields('clients');
+    tags = await db.getTags();
   } catch (err) {
     content.innerHTML = `<div class="empty-state"><p>Failed to load client.</p></div>`;
     toast('Error: ' + err.message, { type: 'error' });
@@ -132,6 +167,12 @@ export async function renderClientDetail(id) {
 
   content.innerHTML = `
     <div class="detail-page">
+      <div class="tab-bar">
+        <button class="tab-btn active" data-tab="details">Details</button>
+        <button class="tab-btn" data-tab="history">History</button>
+      </div>
+
+      <div class="tab-panel" data-tab="details">
       <div class="detail-section">
         <h2 class="section-title">Company Info</h2>
         <div class="detail-grid">
@@ -139,6 +180,8 @@ export async function renderClientDetail(id) {
           ${detailField('Industry / Sector', client.industrySector)}
           ${detailField('Added', formatDate(client.createdAt))}
           ${detailField('Updated', formatDate(client.updatedAt))}
+          ${renderCustomFieldDetails(fields, client.custom)}
+          ${renderTagDetailField(client.tags, tags)}
         </div>
       </div>
 
@@ -158,23 +201,46 @@ export async function renderClientDetail(id) {
         <div class="candidate-list compact">${jobsHtml}</div>
         <a href="#/job/new?clientId=${id}" class="btn btn-secondary btn-sm" style="margin-top: 8px;">+ Add Job</a>
       </div>
+
+      <div class="detail-section">
+        <h2 class="section-title">Files</h2>
+        <div id="attachments-container"></div>
+      </div>
+      </div>
+
+      <div class="tab-panel" data-tab="history" hidden>
+        <div id="history-container"></div>
+      </div>
     </div>
   `;
 
+  initTabs(content, (tab) => {
+    if (tab === 'history') renderHistory('clients', id, document.getElementById('history-container'));
+  });
+  renderAttachments(document.getElementById('attachments-container'), 'clients', id);
+
   // Delete handler
   document.getElementById('btn-delete-client').addEventListener('click', async () => {
-    if (!await confirm(`Delete "${client.companyName}" and unlink all associated jobs?`)) return;
+    if (!await confirm(`Move "${client.companyName}" to the Trash? Its jobs are unlinked when the Trash is emptied.`)) return;
 
     try {
-      // Unlink jobs (set clientId to empty)
-      for (const j of jobs) {
-        j.clientId = '';
-        await db.updateJob(j);
-      }
       await db.deleteClient(id);
       _listCache = null;
       invalidateJobListCache();
-      toast('Company deleted', { type: 'info' });
+      toast('Company moved to Trash', {
+        type: 'info',
+        duration: 10000,
+        actionLabel: 'Undo',
+        action: async () => {
+          try {
+            await db.restoreFromTrash('clients', id);
+            _listCache = null;
+            location.hash = `#/client/${id}`;
+          } catch (err) {
+            toast('Failed to restore: ' + err.message, { type: 'error' });
+          }
+        },
+      });
       location.hash = '#/clients';
     } catch (err) {
       toast('Failed to delete: ' + err.message, { type: 'error' });
@@ -188,6 +254,15 @@ export async function renderClientForm(id) {
   const content = document.getElementById('content');
   const isEdit = !!id;
   let client = null;
+  let fields, tags;
+
+  try {
+    fields = await getCustomFields('clients');
+    tags = await db.getTags();
+  } catch (err) {
+    content.innerHTML = `<div class="empty-state"><p>Failed to load client.</p></div>`;
+    return;
+  }
 
   if (isEdit) {
     try {
@@ -221,6 +296,11 @@ export async function renderClientForm(id) {
             <input type="text" id="industrySector" name="industrySector" class="form-input" value="${isEdit ? escapeHtml(client.industrySector) : ''}" placeholder="e.g. Banking, Insurance, Fintech">
           </div>
         </div>
+        ${renderCustomFieldInputs(fields, client?.custom)}
+        <div class="form-group">
+          <span class="custom-field-label">Tags</span>
+          ${renderTagPicker(tags, client?.tags)}
+        </div>
       </div>
 
       <div class="detail-section">
@@ -318,9 +398,11 @@ export async function renderClientForm(id) {
       industrySector: form.industrySector.value.trim(),
       contacts: collectContactData(),
       notes: form.notes.value.trim(),
+      custom: collectCustomFieldValues(form, fields, client?.custom),
     };
 
     try {
+      data.tags = await collectTagIds(form, tags);
       if (isEdit) {
         Object.assign(client, data);
         await db.updateClient(client);
@@ -334,6 +416,7 @@ export async function renderClientForm(id) {
       clearDirty();
       location.hash = `#/client/${id}`;
     } catch (err) {
+      if (toastConflict(err, () => { clearDirty(); renderClientForm(id); })) return;
       toast('Error: ' + err.message, { type: 'error' });
     }
   });
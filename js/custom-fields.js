@@ -0,0 +1,317 @@
+/**
+ * custom-fields.js — User-defined fields for people, jobs and companies
+ *
+ * Definitions live in the `customFields` setting, one list per store:
+ * { candidates: [{ id, label, type, options }], jobs: [...], clients: [...] }.
+ * Values are stored on the record as `custom: { [fieldId]: value }`, so
+ * renaming a field or changing its options never rewrites records, and values
+ * of a removed field stay on the record (hidden) until it is added back.
+ */
+
+import db from './db.js';
+import { toast, escapeHtml, formatDate, detailField, confirm } from './ui.js';
+
+const SETTING_KEY = 'customFields';
+
+export const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'select', label: 'Dropdown' },
+  { value: 'multiselect', label: 'Multi-select' },
+  { value: 'checkbox', label: 'Checkbox' },
+];
+
+export const CUSTOM_FIELD_ENTITIES = { candidates: 'People', jobs: 'Jobs', clients: 'Companies' };
+
+// Types with a fixed set of values, offered as list filters
+const FILTERABLE_TYPES = ['select', 'multiselect', 'checkbox'];
+
+const hasOptions = (type) => type === 'select' || type === 'multiselect';
+
+// ── Definitions ─────────────────────────────────────────────
+
+async function getAllDefinitions() {
+  return (await db.getSetting(SETTING_KEY)) || {};
+}
+
+/** Field definitions for one store, in display order. */
+export async function getCustomFields(entity) {
+  return (await getAllDefinitions())[entity] || [];
+}
+
+async function saveCustomFields(entity, fields) {
+  const all = await getAllDefinitions();
+  await db.setSetting(SETTING_KEY, { ...all, [entity]: fields });
+}
+
+// ── Values ──────────────────────────────────────────────────
+
+export function isEmptyValue(value) {
+  return value == null || value === '' || value === false || (Array.isArray(value) && value.length === 0);
+}
+
+/** A value as plain text, for detail views and CSV export. */
+export function formatCustomValue(field, value) {
+  if (isEmptyValue(value)) return '';
+  if (field.type === 'checkbox') return 'Yes';
+  if (field.type === 'date') return formatDate(value);
+  if (field.type === 'number') return Number(value).toLocaleString();
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+/**
+ * Parse imported text into a value of the field's type. Choices are matched to
+ * the defined options ignoring case; unknown choices are kept as written.
+ */
+export function parseCustomValue(field, text) {
+  const value = String(text ?? '').trim();
+  if (!value) return field.type === 'multiselect' ? [] : field.type === 'checkbox' ? false : null;
+  const option = (v) => (field.options || []).find(o => o.toLowerCase() === v.toLowerCase()) || v;
+  switch (field.type) {
+    case 'number': {
+      const num = parseFloat(value.replace(/[^0-9.\-]/g, ''));
+      return isNaN(num) ? null : num;
+    }
+    case 'date': {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+      const date = new Date(value);
+      return isNaN(date) ? null : date.toISOString().slice(0, 10);
+    }
+    case 'checkbox': return /^(y|yes|true|1|x|✓)$/i.test(value);
+    case 'select': return option(value);
+    case 'multiselect': return value.split(/[,;]/).map(v => v.trim()).filter(Boolean).map(option);
+    default: return value;
+  }
+}
+
+// ── Form Inputs ─────────────────────────────────────────────
+
+function renderInput(field, value) {
+  const name = `custom-${field.id}`;
+  const id = `custom-field-${field.id}`;
+  const label = `<label for="${id}">${escapeHtml(field.label)}</label>`;
+  switch (field.type) {
+    case 'number':
+      return `${label}<input type="number" id="${id}" name="${name}" class="form-input" step="any" value="${value ?? ''}">`;
+    case 'date':
+      return `${label}<input type="date" id="${id}" name="${name}" class="form-input" value="${escapeHtml(value || '')}">`;
+    case 'select':
+      return `${label}
+        <select id="${id}" name="${name}" class="form-select">
+          <option value="">—</option>
+          ${[...new Set([...(field.options || []), ...(value ? [value] : [])])].map(o => `<option value="${escapeHtml(o)}" ${o === value ? 'selected' : ''}>${escapeHtml(o)}</option>`).join('')}
+        </select>`;
+    case 'multiselect': {
+      const selected = new Set(value || []);
+      return `<span class="custom-field-label">${escapeHtml(field.label)}</span>
+        <div class="custom-field-choices">
+          ${[...new Set([...(field.options || []), ...selected])].map(o => `
+            <label class="checkbox-label"><input type="checkbox" name="${name}" value="${escapeHtml(o)}" ${selected.has(o) ? 'checked' : ''}> ${escapeHtml(o)}</label>
+          `).join('')}
+        </div>`;
+    }
+    case 'checkbox':
+      return `<label class="checkbox-label custom-field-checkbox"><input type="checkbox" id="${id}" name="${name}" ${value ? 'checked' : ''}> ${escapeHtml(field.label)}</label>`;
+    default:
+      return `${label}<input type="text" id="${id}" name="${name}" class="form-input" value="${escapeHtml(value || '')}">`;
+  }
+}
+
+/** Form groups for the fields, filled from values (a record's `custom`). */
+export function renderCustomFieldInputs(fields, values = {}) {
+  if (fields.length === 0) return '';
+  return `
+    <div class="form-grid custom-field-grid">
+      ${fields.map(field => `<div class="form-group">${renderInput(field, values[field.id])}</div>`).join('')}
+    </div>`;
+}
+
+/**
+ * Read the inputs rendered by renderCustomFieldInputs back into a `custom`
+ * object. Values of fields that are no longer defined are carried over.
+ */
+export function collectCustomFieldValues(form, fields, previous = {}) {
+  const values = { ...previous };
+  for (const field of fields) {
+    const name = `custom-${field.id}`;
+    if (field.type === 'multiselect') {
+      values[field.id] = [...form.querySelectorAll(`[name="${name}"]:checked`)].map(box => box.value);
+    } else if (field.type === 'checkbox') {
+      values[field.id] = form.querySelector(`[name="${name}"]`).checked;
+    } else if (field.type === 'number') {
+      const raw = form.querySelector(`[name="${name}"]`).value;
+      values[field.id] = raw === '' ? null : Number(raw);
+    } else {
+      values[field.id] = form.querySelector(`[name="${name}"]`).value.trim() || null;
+    }
+  }
+  return values;
+}
+
+// ── Detail View ─────────────────────────────────────────────
+
+/** detailField rows for every defined field. */
+export function renderCustomFieldDetails(fields, values = {}) {
+  return fields.map(field => detailField(escapeHtml(field.label), formatCustomValue(field, values[field.id]))).join('');
+}
+
+// ── List Filters ────────────────────────────────────────────
+
+/** <select> filters for the fields with a fixed set of values; filters maps field id to the chosen value. */
+export function renderCustomFilters(fields, filters = {}) {
+  return fields.filter(f => FILTERABLE_TYPES.includes(f.type)).map(field => {
+    const choices = field.type === 'checkbox' ? [['yes', 'Yes'], ['no', 'No']] : (field.options || []).map(o => [o, o]);
+    return `
+      <select class="form-select custom-filter" data-field="${escapeHtml(field.id)}" title="${escapeHtml(field.label)}">
+        <option value="">${escapeHtml(field.label)}: All</option>
+        ${choices.map(([value, label]) => `<option value="${escapeHtml(value)}" ${filters[field.id] === value ? 'selected' : ''}>${escapeHtml(field.label)}: ${escapeHtml(label)}</option>`).join('')}
+      </select>`;
+  }).join('');
+}
+
+/** Whether a record passes every active custom field filter. */
+export function matchesCustomFilters(record, fields, filters = {}) {
+  return fields.every(field => {
+    const wanted = filters[field.id];
+    if (!wanted) return true;
+    const value = record.custom?.[field.id];
+    if (field.type === 'checkbox') return (wanted === 'yes') === !!value;
+    if (field.type === 'multiselect') return (value || []).includes(wanted);
+    return value === wanted;
+  });
+}
+
+// ── Settings Editor ─────────────────────────────────────────
+
+/** Render the definition editor for all three entity types into container. */
+export async function renderCustomFieldSettings(container) {
+  let all;
+  try {
+    all = await getAllDefinitions();
+  } catch (err) {
+    container.innerHTML = '<p class="text-secondary">Failed to load custom fields.</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="custom-field-settings">
+      ${Object.entries(CUSTOM_FIELD_ENTITIES).map(([entity, title]) => `
+        <div class="custom-field-entity" data-entity="${entity}">
+          <h3 class="custom-field-entity-title">${title}</h3>
+          ${(all[entity] || []).map((field, i) => `
+            <div class="custom-cert-row custom-field-row" data-index="${i}">
+              <span>
+                ${escapeHtml(field.label)}
+                <span class="text-secondary">— ${CUSTOM_FIELD_TYPES.find(t => t.value === field.type)?.label}${hasOptions(field.type) ? `: ${escapeHtml((field.options || []).join(', '))}` : ''}</span>
+              </span>
+              <span>
+                <button class="btn btn-xs btn-secondary custom-field-up" ${i === 0 ? 'disabled' : ''} title="Move up">&uarr;</button>
+                <button class="btn btn-xs btn-secondary custom-field-edit">Edit</button>
+                <button class="btn btn-xs btn-danger custom-field-remove">Remove</button>
+              </span>
+            </div>
+          `).join('') || '<p class="text-secondary">No custom fields.</p>'}
+          <form class="form form-inline custom-field-form">
+            <input type="text" name="label" placeholder="Field name" required class="form-input">
+            <select name="type" class="form-select">
+              ${CUSTOM_FIELD_TYPES.map(t => `<option value="${t.value}">${t.label}</option>`).join('')}
+            </select>
+            <input type="text" name="options" placeholder="Options (comma-separated)" class="form-input" hidden>
+            <button type="submit" class="btn btn-secondary">Add</button>
+          </form>
+        </div>
+      `).join('')}
+    </div>`;
+
+  // Listeners go on a fresh element each render so re-renders don't stack them
+  const root = container.querySelector('.custom-field-settings');
+  const parseOptions = (text) => [...new Set(text.split(',').map(o => o.trim()).filter(Boolean))];
+
+  root.addEventListener('change', (e) => {
+    if (e.target.name !== 'type') return;
+    e.target.form.options.hidden = !hasOptions(e.target.value);
+  });
+
+  root.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const entity = form.closest('[data-entity]').dataset.entity;
+    const label = form.label.value.trim();
+    const type = form.type.value;
+    const options = parseOptions(form.options.value);
+    if (!label) return;
+    if (hasOptions(type) && options.length === 0) {
+      toast('Add at least one option', { type: 'error' });
+      return;
+    }
+    try {
+      const fields = all[entity] || [];
+      if (fields.some(f => f.label.toLowerCase() === label.toLowerCase())) {
+        toast(`A field named "${label}" already exists`, { type: 'error' });
+        return;
+      }
+      await saveCustomFields(entity, [...fields, { id: crypto.randomUUID(), label, type, options: hasOptions(type) ? options : [] }]);
+      toast(`Added "${label}"`, { type: 'success' });
+      renderCustomFieldSettings(container);
+    } catch (err) {
+      toast('Failed to add field: ' + err.message, { type: 'error' });
+    }
+  });
+
+  root.addEventListener('click', async (e) => {
+    const row = e.target.closest('.custom-field-row');
+    if (!row) return;
+    const entity = row.closest('[data-entity]').dataset.entity;
+    const fields = [...(all[entity] || [])];
+    const index = parseInt(row.dataset.index, 10);
+    const field = fields[index];
+
+    try {
+      if (e.target.closest('.custom-field-up')) {
+        [fields[index - 1], fields[index]] = [fields[index], fields[index - 1]];
+      } else if (e.target.closest('.custom-field-remove')) {
+        if (!await confirm(`Remove the "${field.label}" field? Values already entered are kept on the records but no longer shown.`)) return;
+        fields.splice(index, 1);
+      } else if (e.target.closest('.custom-field-edit')) {
+        editRow(row, entity, fields, index);
+        return;
+      } else {
+        return;
+      }
+      await saveCustomFields(entity, fields);
+      renderCustomFieldSettings(container);
+    } catch (err) {
+      toast('Failed to update field: ' + err.message, { type: 'error' });
+    }
+  });
+
+  // Rename and change options in place; the type is fixed once values may exist
+  function editRow(row, entity, fields, index) {
+    const field = fields[index];
+    row.innerHTML = `
+      <form class="form form-inline custom-field-edit-form">
+        <input type="text" name="label" value="${escapeHtml(field.label)}" required class="form-input">
+        ${hasOptions(field.type) ? `<input type="text" name="options" value="${escapeHtml((field.options || []).join(', '))}" class="form-input" placeholder="Options (comma-separated)">` : ''}
+        <button type="submit" class="btn btn-xs btn-primary">Save</button>
+        <button type="button" class="btn btn-xs btn-secondary custom-field-cancel">Cancel</button>
+      </form>`;
+    row.querySelector('.custom-field-cancel').addEventListener('click', () => renderCustomFieldSettings(container));
+    row.querySelector('form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const label = e.target.label.value.trim();
+      const options = hasOptions(field.type) ? parseOptions(e.target.options.value) : [];
+      if (!label || (hasOptions(field.type) && options.length === 0)) return;
+      try {
+        fields[index] = { ...field, label, options };
+        await saveCustomFields(entity, fields);
+        toast('Field updated', { type: 'success' });
+        renderCustomFieldSettings(container);
+      } catch (err) {
+        toast('Failed to update field: ' + err.message, { type: 'error' });
+      }
+    });
+  }
+}
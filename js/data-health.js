@@ -0,0 +1,75 @@
+/**
+ * data-health.js — Referential integrity scan and repair (Settings › Data Health)
+ */
+
+import db from './db.js';
+import { toast, escapeHtml } from './ui.js';
+import { invalidateListCache } from './candidates.js';
+import { invalidateJobListCache } from './jobs.js';
+
+const STORE_LABELS = {
+  jobs: 'Job',
+  pipeline: 'Pipeline entry',
+  activities: 'Activity',
+  attachments: 'File',
+};
+
+/** Scan and render the issue list (with per-issue and fix-all actions) into container. */
+export async function renderDataHealth(container) {
+  container.innerHTML = '<p class="text-secondary">Checking…</p>';
+
+  let issues;
+  try {
+    issues = await db.checkIntegrity();
+  } catch (err) {
+    container.innerHTML = '<p class="text-secondary">Failed to check data.</p>';
+    toast('Database error: ' + err.message, { type: 'error' });
+    return;
+  }
+
+  if (issues.length === 0) {
+    container.innerHTML = '<p class="text-secondary">No problems found. Every link between people, companies, jobs, pipeline entries, activities and files is intact.</p>';
+    return;
+  }
+
+  // Listeners go on a fresh element each render so re-scans don't stack them
+  container.innerHTML = `
+    <div class="health-results">
+      <p class="section-desc">${issues.length} problem${issues.length === 1 ? '' : 's'} found.
+        <button class="btn btn-xs btn-primary health-fix-all">Fix All</button>
+      </p>
+      <div class="candidate-list compact">
+        ${issues.map(issue => `
+          <div class="candidate-row health-row" data-key="${escapeHtml(issue.key)}">
+            <div class="health-row-info">
+              <div class="candidate-name">${STORE_LABELS[issue.store]}: ${escapeHtml(issue.label)}${issue.inTrash ? ' <span class="text-secondary">(in Trash)</span>' : ''}</div>
+              <div class="candidate-meta">${escapeHtml(issue.problem)}</div>
+            </div>
+            <button class="btn btn-xs btn-secondary health-fix">${escapeHtml(issue.fixLabel)}</button>
+          </div>
+        `).join('')}
+      </div>
+    </div>`;
+
+  const byKey = new Map(issues.map(i => [i.key, i]));
+
+  container.querySelector('.health-results').addEventListener('click', async (e) => {
+    let toFix;
+    if (e.target.closest('.health-fix-all')) {
+      toFix = issues;
+    } else if (e.target.closest('.health-fix')) {
+      toFix = [byKey.get(e.target.closest('.health-row').dataset.key)];
+    } else {
+      return;
+    }
+    try {
+      await db.repairIntegrity(toFix);
+      invalidateListCache();
+      invalidateJobListCache();
+      toast(toFix.length === 1 ? 'Fixed' : `Fixed ${toFix.length} problems`, { type: 'success' });
+      renderDataHealth(container);
+    } catch (err) {
+      toast('Repair failed: ' + err.message, { type: 'error' });
+    }
+  });
+}
@@ -1,91 +1,234 @@
 /**
  * db.js — IndexedDB setup, stores, CRUD helpers
- * ComplianceTrack v3 (Phase 1: candidates + settings, Phase 2: jobs/clients/pipeline, Phase 3: activities)
+ * ComplianceTrack (schema history and record migrations live in migrations.js)
  */
 
-const DB_NAME = 'ComplianceTrackDB';
-export const DB_VERSION = 3;
+import { LATEST_VERSION, runMigrations } from './migrations.js';
+import {
+  SEARCHABLE_STORES, SEALED_MARK, buildSearchDoc, searchDocKey, tokenize, typoBudget, editDistance, scoreToken,
+  fieldTokens, sealedInputs, sealedQueryInputs,
+} from './search.js';
+import {
+  SENSITIVE_FIELDS, createKeyring, unlockKeyring, seal, unseal, encryptJSON, decryptJSON, encryptFile, decryptFile, hashTerm,
+  toBase64, fromBase64,
+} from './encryption.js';
+
+// Database of the default workspace; other workspaces get their own (see workspaces.js)
+export const DB_NAME = 'ComplianceTrackDB';
+export const DB_VERSION = LATEST_VERSION;
+
+// Stores whose mutations are written to the audit log
+const AUDITED_STORES = ['candidates', 'clients', 'jobs', 'pipeline', 'activities'];
+
+// Default page size for query()
+const DEFAULT_PAGE_SIZE = 50;
+
+// Dependent records trashed, restored and purged together with their parent:
+// parent store → [dependent store, index on the dependent pointing at the parent]
+const TRASH_DEPENDENTS = {
+  candidates: [['pipeline', 'candidateId'], ['activities', 'candidateId']],
+  jobs: [['pipeline', 'jobId']],
+};
+
+// Records that keep living after their parent is purged, with the link cleared:
+// parent store → [linked store, index/field on the linked record]
+const PURGE_UNLINKS = {
+  clients: [['jobs', 'clientId']],
+  jobs: [['activities', 'jobId']],
+};
+
+// Stores whose records carry `tags` (ids from the tags setting)
+export const TAGGED_STORES = ['candidates', 'clients', 'jobs', 'activities'];
+
+// Stores whose records can have files attached (attachments.entity)
+export const ATTACHED_STORES = ['candidates', 'clients', 'jobs', 'activities'];
+
+export const ATTACHMENT_KINDS = [
+  { value: 'resume', label: 'Resume' },
+  { value: 'certification', label: 'Certification Copy' },
+  { value: 'offer', label: 'Offer Letter' },
+  { value: 'other', label: 'Other' },
+];
+
+// Largest file accepted as an attachment, in bytes
+export const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+
+// Singular names for messages about a record of a store
+const RECORD_LABELS = {
+  candidates: 'person',
+  clients: 'company',
+  jobs: 'job',
+  pipeline: 'pipeline entry',
+  activities: 'activity',
+  attachments: 'file',
+};
+
+/** A save based on a version of the record that another write has since replaced. */
+export class ConflictError extends Error {
+  constructor(storeName, { deleted = false } = {}) {
+    const label = RECORD_LABELS[storeName] || 'record';
+    super(deleted
+      ? `This ${label} was deleted in another tab or window. Your changes were not saved.`
+      : `This ${label} was changed in another tab or window. Reload it to see the latest version; your changes were not saved.`);
+    this.name = 'ConflictError';
+    this.storeName = storeName;
+    this.deleted = deleted;
+  }
+}
+
+const isLive = (record) => !!record && !record.deletedAt;
+const isTrashedWith = (record, storeName, id) =>
+  !!record.deletedAt && record.deletedWith?.entity === storeName && record.deletedWith?.id === id;
+
+// Transaction scope for a write: the target store(s) plus the auditLog and
+// searchIndex stores that _recordChange maintains alongside them
+function withAudit(storeNames) {
+  const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+  const scope = [...names];
+  if (names.some(n => AUDITED_STORES.includes(n))) scope.push('auditLog');
+  if (names.some(n => SEARCHABLE_STORES.includes(n))) scope.push('searchIndex');
+  return scope;
+}
 
 class ComplianceDB {
   constructor() {
     this.db = null;
+    this.name = null;      // IndexedDB database name of the open workspace
+    this._keyring = null;  // persisted encryption settings, null when encryption is off
+    this._keys = null;     // derived keys, only in memory after unlock()
+    this._channel = null;  // BroadcastChannel to other tabs with the same workspace open
+    this._remoteListeners = new Set();
+    this._localListeners = new Set();
+    this._pendingChanges = new WeakMap();  // transaction → changes announced once it commits
   }
 
-  async init() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
+  async init(name = DB_NAME) {
+    this.name = name;
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, DB_VERSION);
 
       request.onerror = () => reject(request.error);
 
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve(this.db);
-      };
+      request.onsuccess = () => resolve(request.result);
 
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        const oldVersion = event.oldVersion;
-
-        if (oldVersion < 1) {
-          // Phase 1 stores
-          const candidates = db.createObjectStore('candidates', { keyPath: 'id' });
-          candidates.createIndex('email', 'email', { unique: false });
-          candidates.createIndex('lastName', 'lastName');
-          candidates.createIndex('location', 'location');
-          candidates.createIndex('externalId', 'externalId');
-
-          db.createObjectStore('settings', { keyPath: 'key' });
-        }
-        if (oldVersion < 2) {
-          // Phase 2 stores
-          const clients = db.createObjectStore('clients', { keyPath: 'id' });
-          clients.createIndex('companyName', 'companyName');
-          clients.createIndex('externalId', 'externalId');
-
-          const jobs = db.createObjectStore('jobs', { keyPath: 'id' });
-          jobs.createIndex('clientId', 'clientId');
-          jobs.createIndex('status', 'status');
-          jobs.createIndex('externalId', 'externalId');
-
-          const pipeline = db.createObjectStore('pipeline', { keyPath: 'id' });
-          pipeline.createIndex('jobId', 'jobId');
-          pipeline.createIndex('candidateId', 'candidateId');
-          pipeline.createIndex('candidateJob', ['candidateId', 'jobId'], { unique: true });
-        }
-        if (oldVersion < 3) {
-          // Phase 3 store
-          const activities = db.createObjectStore('activities', { keyPath: 'id' });
-          activities.createIndex('candidateId', 'candidateId');
-          activities.createIndex('type', 'type');
-          activities.createIndex('followUpDate', 'followUpDate');
-          activities.createIndex('candidateType', ['candidateId', 'type']);
-        }
+        runMigrations(event.target.result, event.target.transaction, event.oldVersion);
       };
     });
+    this._keyring = (await this.get('keyring', 'encryption')) || null;
+    this._openChannel();
+    return this.db;
+  }
+
+  // ── Cross-Tab Changes ─────────────────────────────────────
+
+  _openChannel() {
+    if (typeof BroadcastChannel === 'undefined') return;
+    this._channel?.close();
+    this._channel = new BroadcastChannel(`compliancetrack:${this.name}`);
+    this._channel.onmessage = async ({ data }) => {
+      // Another tab turned encryption on/off or changed the passphrase: our keys are stale
+      if (data.changes.some(c => c.store === 'keyring')) {
+        this._keyring = (await this.get('keyring', 'encryption')) || null;
+        this._keys = null;
+      }
+      for (const listener of this._remoteListeners) listener(data.changes);
+    };
+  }
+
+  /**
+   * Call listener([{ store, id, op }]) whenever a write made in another tab
+   * (same workspace) commits. Returns an unsubscribe function.
+   */
+  onRemoteChange(listener) {
+    this._remoteListeners.add(listener);
+    return () => this._remoteListeners.delete(listener);
+  }
+
+  /** Like onRemoteChange, for writes made in this tab. */
+  onLocalChange(listener) {
+    this._localListeners.add(listener);
+    return () => this._localListeners.delete(listener);
+  }
+
+  // Collect the changes of a transaction and announce them once it commits
+  _noteChange(tx, storeName, id, op) {
+    let pending = this._pendingChanges.get(tx);
+    if (!pending) {
+      pending = [];
+      this._pendingChanges.set(tx, pending);
+      tx.addEventListener('complete', () => {
+        this._channel?.postMessage({ changes: pending });
+        for (const listener of this._localListeners) listener(pending);
+      });
+    }
+    pending.push({ store: storeName, id, op });
   }
 
   // ── Generic CRUD ──────────────────────────────────────────
 
   async add(storeName, data) {
+    const [prepared] = await this._prepare(storeName, [data]);
     return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(storeName, 'readwrite');
+      const tx = this.db.transaction(withAudit(storeName), 'readwrite');
       const store = tx.objectStore(storeName);
-      const request = store.add(data);
-      request.onsuccess = () => resolve(request.result);
+      const request = store.add(prepared.stored);
+      request.onsuccess = () => {
+        this._recordChange(tx, storeName, null, prepared.stored, prepared.searchDoc);
+        resolve(request.result);
+      };
       request.onerror = () => reject(request.error);
     });
   }
 
-  async put(storeName, data) {
+  /**
+   * Insert or replace a record. With opts.expectedUpdatedAt the write only
+   * happens if the stored record still has that updatedAt and is not in the
+   * Trash; otherwise it rejects with ConflictError.
+   */
+  async put(storeName, data, { expectedUpdatedAt } = {}) {
+    const prepared = await this._prepare(storeName, [data]);
     return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(storeName, 'readwrite');
+      const tx = this.db.transaction(withAudit(storeName), 'readwrite');
       const store = tx.objectStore(storeName);
-      const request = store.put(data);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
+      let conflict = null;
+      if (expectedUpdatedAt === undefined) {
+        this._putAll(tx, storeName, prepared);
+      } else {
+        const current = store.get(data[store.keyPath]);
+        current.onsuccess = () => {
+          const stored = current.result;
+          if (!stored || (stored.deletedAt && !data.deletedAt)) {
+            conflict = new ConflictError(storeName, { deleted: true });
+          } else if ((stored.updatedAt ?? null) !== expectedUpdatedAt) {
+            conflict = new ConflictError(storeName);
+          }
+          if (conflict) tx.abort();
+          else this._putAll(tx, storeName, prepared);
+        };
+      }
+      tx.oncomplete = () => resolve(data[store.keyPath]);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(conflict || tx.error);
     });
   }
 
+  /**
+   * Save an edited record with a new updatedAt. Its current updatedAt is the
+   * version it was read at: if another tab saved the record since, this
+   * rejects with ConflictError and leaves the record untouched.
+   */
+  async _update(storeName, record) {
+    const expectedUpdatedAt = record.updatedAt ?? null;
+    record.updatedAt = new Date().toISOString();
+    try {
+      await this.put(storeName, record, { expectedUpdatedAt });
+    } catch (err) {
+      record.updatedAt = expectedUpdatedAt;
+      throw err;
+    }
+  }
+
   async get(storeName, key) {
     return new Promise((resolve, reject) => {
       const tx = this.db.transaction(storeName, 'readonly');
@@ -93,7 +236,7 @@ class ComplianceDB {
       const request = store.get(key);
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
-    });
+    }).then(record => this._open(storeName, record));
   }
 
   async getAll(storeName) {
@@ -103,16 +246,45 @@ class ComplianceDB {
       const request = store.getAll();
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
+    }).then(records => this._open(storeName, records));
+  }
+
+  /** Primary keys of every record in a store, trashed records included. */
+  async getAllKeys(storeName) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, 'readonly');
+      const request = tx.objectStore(storeName).getAllKeys();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
     });
   }
 
-  async delete(storeName, key) {
+  /** Number of records in a store, trashed ones included. */
+  async count(storeName) {
     return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(storeName, 'readwrite');
-      const store = tx.objectStore(storeName);
-      const request = store.delete(key);
-      request.onsuccess = () => resolve();
+      const tx = this.db.transaction(storeName, 'readonly');
+      const request = tx.objectStore(storeName).count();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async _getAllByIndex(storeName, indexName, query) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, 'readonly');
+      const index = tx.objectStore(storeName).index(indexName);
+      const request = index.getAll(query);
+      request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
+    }).then(records => this._open(storeName, records));
+  }
+
+  async delete(storeName, key) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(withAudit(storeName), 'readwrite');
+      this._deleteAll(tx, storeName, [key]);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
     });
   }
 
@@ -121,11 +293,906 @@ class ComplianceDB {
       const tx = this.db.transaction(storeName, 'readwrite');
       const store = tx.objectStore(storeName);
       const request = store.clear();
-      request.onsuccess = () => resolve();
+      request.onsuccess = () => {
+        this._noteChange(tx, storeName, null, 'clear');
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /** Records for several keys in one transaction, in the order given (missing keys omitted). */
+  async getMany(storeName, keys) {
+    return this._open(storeName, await this._getManyStored(storeName, keys));
+  }
+
+  /** getMany without unsealing: records exactly as stored. */
+  async _getManyStored(storeName, keys) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, 'readonly');
+      const store = tx.objectStore(storeName);
+      const results = new Array(keys.length);
+      keys.forEach((key, i) => {
+        const request = store.get(key);
+        request.onsuccess = () => { results[i] = request.result; };
+      });
+      tx.oncomplete = () => resolve(results.filter(Boolean));
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /** Distinct keys of an index, ascending (e.g. every location in use). */
+  async getIndexKeys(storeName, indexName) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, 'readonly');
+      const request = tx.objectStore(storeName).index(indexName).openKeyCursor(null, 'nextunique');
+      const keys = [];
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve(keys);
+        keys.push(cursor.key);
+        cursor.continue();
+      };
       request.onerror = () => reject(request.error);
     });
   }
 
+  // ── Paged Queries ─────────────────────────────────────────
+
+  /**
+   * Walk a store, or one of its indexes, with a cursor and return one page.
+   *   opts.index:     index name (default: primary key order)
+   *   opts.query:     key or IDBKeyRange restricting the walk
+   *   opts.equals:    leading values of a compound index key, e.g. ['open'] on
+   *                   statusUpdated ['status', 'updatedAt'] (instead of opts.query)
+   *   opts.direction: 'next' (ascending) or 'prev' (descending)
+   *   opts.filter:    predicate each record must pass (sees the stored form: with
+   *                   encryption on, sensitive fields are sealed in `_enc`)
+   *   opts.includeTrashed: also return soft-deleted records
+   *   opts.limit:     page size
+   *   opts.after:     continuation token from the previous page
+   * Resolves { items, next }: next is the token for the following page, or
+   * null when nothing matching is left.
+   */
+  async query(storeName, {
+    index = null, query = null, equals = null, direction = 'next', filter = null,
+    includeTrashed = false, limit = DEFAULT_PAGE_SIZE, after = null,
+  } = {}) {
+    // Arrays sort after every other key type, so [...equals, []] bounds all keys starting with equals
+    const range = equals ? IDBKeyRange.bound(equals, [...equals, []]) : query;
+    const accept = (r) => (includeTrashed || isLive(r)) && (!filter || filter(r));
+    const sign = direction === 'prev' ? -1 : 1;
+    let resumeAt = after ? JSON.parse(after) : null;
+    let jumped = false;
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, 'readonly');
+      const store = tx.objectStore(storeName);
+      const request = (index ? store.index(index) : store).openCursor(range, direction);
+      const items = [];
+      let last = null;
+      const done = (page) => this._open(storeName, page.items).then(opened => resolve({ ...page, items: opened }), reject);
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return done({ items, next: null });
+
+        // Skip up to and including the last record of the previous page
+        if (resumeAt) {
+          const cmp = indexedDB.cmp(cursor.key, resumeAt.key) || indexedDB.cmp(cursor.primaryKey, resumeAt.primaryKey);
+          if (sign * cmp <= 0) {
+            if (cmp !== 0 && !jumped) {
+              jumped = true;
+              if (index) cursor.continuePrimaryKey(resumeAt.key, resumeAt.primaryKey);
+              else cursor.continue(resumeAt.key);
+            } else {
+              cursor.continue();
+            }
+            return;
+          }
+          resumeAt = null;
+        }
+
+        if (accept(cursor.value)) {
+          // One match past the page proves there is a next page
+          if (items.length === limit) return done({ items, next: JSON.stringify(last) });
+          items.push(cursor.value);
+          last = { key: cursor.key, primaryKey: cursor.primaryKey };
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // ── Audit Trail ───────────────────────────────────────────
+
+  /**
+   * Async half of every write, done before its transaction opens because
+   * WebCrypto calls would let the transaction auto-commit: seal sensitive
+   * fields and attachment files and build search documents. Returns
+   * [{ record, stored, searchDoc }] for _putAll / add. With reseal, previous
+   * ciphertext is never reused.
+   */
+  async _prepare(storeName, records, { reseal = false } = {}) {
+    const sealed = this._keys && SENSITIVE_FIELDS[storeName];
+    const previous = sealed && !reseal
+      ? new Map((await this._getManyStored(storeName, records.map(r => r.id))).map(r => [r.id, r]))
+      : new Map();
+    return Promise.all(records.map(async (record) => {
+      let stored = record;
+      if (sealed) stored = await seal(this._keys, storeName, record, previous.get(record.id));
+      else if (storeName === 'auditLog' && this._keys) stored = await this._sealAuditEntry(record);
+      if (sealed && storeName === 'attachments' && stored.blob) {
+        const { blob, ...rest } = stored;
+        stored = { ...rest, _file: await encryptFile(this._keys, blob) };
+      }
+      const searchDoc = SEARCHABLE_STORES.includes(storeName) ? await this._buildSearchDoc(storeName, record) : null;
+      return { record, stored, searchDoc };
+    }));
+  }
+
+  /**
+   * Put prepared records inside an open readwrite transaction, reading each
+   * previous version first so the audit entry carries a field-level diff.
+   */
+  _putAll(tx, storeName, prepared) {
+    const store = tx.objectStore(storeName);
+    for (const { stored, searchDoc } of prepared) {
+      const prev = store.get(stored[store.keyPath]);
+      prev.onsuccess = () => {
+        store.put(stored);
+        this._recordChange(tx, storeName, prev.result || null, stored, searchDoc);
+      };
+    }
+  }
+
+  /** Delete records inside an open readwrite transaction, auditing each removal. */
+  _deleteAll(tx, storeName, keys) {
+    const store = tx.objectStore(storeName);
+    for (const key of keys) {
+      const prev = store.get(key);
+      prev.onsuccess = () => {
+        if (!prev.result) return;
+        store.delete(key);
+        this._recordChange(tx, storeName, prev.result, null);
+      };
+    }
+  }
+
+  /**
+   * Single hook for every mutation made through this class. Must be called
+   * while `tx` is still active and was opened with withAudit(). before/after
+   * are stored forms; searchDoc comes from _prepare.
+   */
+  _recordChange(tx, storeName, before, after, searchDoc = null) {
+    const key = (after || before)[tx.objectStore(storeName).keyPath];
+    this._noteChange(tx, storeName, key, !before ? 'create' : !after ? 'delete' : 'update');
+    if (SEARCHABLE_STORES.includes(storeName)) this._indexRecord(tx, storeName, before, after, searchDoc);
+    if (!AUDITED_STORES.includes(storeName)) return;
+    let op = !before ? 'create' : !after ? 'delete' : 'update';
+    if (op === 'update' && !before.deletedAt && after.deletedAt) op = 'trash';
+    if (op === 'update' && before.deletedAt && !after.deletedAt) op = 'restore';
+    const changes = diffRecords(before, after);
+    if (op === 'update' && changes.length === 0) return;
+    tx.objectStore('auditLog').add({
+      id: crypto.randomUUID(),
+      entity: storeName,
+      entityId: key,
+      op,
+      changes,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /** Audit entries for one record, newest first. */
+  async getAuditLog(entity, entityId) {
+    const entries = await this._getAllByIndex('auditLog', 'entityRecord', [entity, entityId]);
+    return entries
+      // An update whose only change was re-encryption leaves nothing to show
+      .filter(e => e.op !== 'update' || e.changes.length > 0)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  // ── Encryption at Rest ────────────────────────────────────
+
+  isEncrypted() { return !!this._keyring; }
+  isLocked() { return !!this._keyring && !this._keys; }
+
+  /** Derive the keys for this session. Throws 'Wrong passphrase'. */
+  async unlock(passphrase) {
+    this._keys = await unlockKeyring(this._keyring, passphrase);
+  }
+
+  async enableEncryption(passphrase) {
+    if (this._keyring) throw new Error('Encryption is already on');
+    const { keyring, keys } = await createKeyring(passphrase);
+    await this._reseal(keys, keyring);
+  }
+
+  async changePassphrase(current, next) {
+    await unlockKeyring(this._keyring, current);
+    const { keyring, keys } = await createKeyring(next);
+    await this._reseal(keys, keyring);
+  }
+
+  async disableEncryption(current) {
+    await unlockKeyring(this._keyring, current);
+    await this._reseal(null, null);
+  }
+
+  /**
+   * Re-write every sealed store (and the audit log) with new keys — null for
+   * plain text — in one transaction, together with their search documents
+   * and the keyring itself. Not audited: the records' content is unchanged.
+   */
+  async _reseal(keys, keyring) {
+    const storeNames = [...Object.keys(SENSITIVE_FIELDS), 'auditLog'];
+    const plain = await Promise.all(storeNames.map(s => this.getAll(s)));
+    // Files are only decrypted on demand: open them with the current keys before switching
+    const files = storeNames.indexOf('attachments');
+    plain[files] = await Promise.all(plain[files].map(async ({ _file, ...rest }) => (
+      { ...rest, blob: await this.getAttachmentFile({ ...rest, _file }) }
+    )));
+    const previousKeys = this._keys;
+    this._keys = keys;
+    try {
+      const prepared = await Promise.all(plain.map((records, i) => this._prepare(storeNames[i], records, { reseal: true })));
+      await new Promise((resolve, reject) => {
+        const tx = this.db.transaction([...storeNames, 'searchIndex', 'keyring'], 'readwrite');
+        storeNames.forEach((storeName, i) => {
+          const store = tx.objectStore(storeName);
+          for (const { record, stored, searchDoc } of prepared[i]) {
+            store.put(stored);
+            if (searchDoc && isLive(record)) tx.objectStore('searchIndex').put(searchDoc);
+          }
+        });
+        if (keyring) tx.objectStore('keyring').put(keyring);
+        else tx.objectStore('keyring').delete('encryption');
+        this._noteChange(tx, 'keyring', 'encryption', keyring ? 'update' : 'delete');
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    } catch (err) {
+      this._keys = previousKeys;
+      throw err;
+    }
+    this._keyring = keyring;
+  }
+
+  /** Plain form of records read from storeName (a record, an array, or undefined). */
+  async _open(storeName, value) {
+    if (!this._keys || !(SENSITIVE_FIELDS[storeName] || storeName === 'auditLog')) return value;
+    const openOne = (record) => {
+      if (!record) return record;
+      return storeName === 'auditLog' ? this._openAuditEntry(record) : unseal(this._keys, record);
+    };
+    return Array.isArray(value) ? Promise.all(value.map(openOne)) : openOne(value);
+  }
+
+  /**
+   * Audit entries for sealed stores carry one `_enc` change holding the sealed
+   * before/after values; decrypt it and expand it into per-field changes.
+   */
+  async _openAuditEntry(entry) {
+    const sealedChange = entry.changes.find(c => c.field === '_enc');
+    if (!sealedChange) return entry;
+    const open = (blob) => blob ? decryptJSON(this._keys, blob) : null;
+    const [before, after] = await Promise.all([open(sealedChange.before), open(sealedChange.after)]);
+    return {
+      ...entry,
+      changes: [...entry.changes.filter(c => c !== sealedChange), ...diffRecords(before, after)],
+    };
+  }
+
+  /** Inverse of _openAuditEntry, for plain audit entries written directly (backup restore, reseal). */
+  async _sealAuditEntry(entry) {
+    const fields = SENSITIVE_FIELDS[entry.entity];
+    if (!fields) return entry;
+    const sensitive = entry.changes.filter(c => fields.includes(c.field));
+    if (sensitive.length === 0) return entry;
+    const side = (key) => Object.fromEntries(sensitive.map(c => [c.field, c[key]]));
+    return {
+      ...entry,
+      changes: [
+        ...entry.changes.filter(c => !fields.includes(c.field)),
+        {
+          field: '_enc',
+          before: entry.op === 'create' ? null : await encryptJSON(this._keys, side('before')),
+          after: entry.op === 'delete' ? null : await encryptJSON(this._keys, side('after')),
+        },
+      ],
+    };
+  }
+
+  // ── Search Index ──────────────────────────────────────────
+
+  /** Keep the searchIndex document for a record in step with it; trashed records are unindexed. */
+  _indexRecord(tx, storeName, before, after, searchDoc) {
+    const index = tx.objectStore('searchIndex');
+    if (isLive(after) && searchDoc) {
+      index.put(searchDoc);
+    } else {
+      index.delete(searchDocKey(storeName, (after || before).id));
+    }
+  }
+
+  /** Search document for a plain record; tokens of sealed fields are hashed while encryption is on. */
+  async _buildSearchDoc(storeName, record) {
+    const fields = this._keys && SENSITIVE_FIELDS[storeName];
+    if (!fields) return buildSearchDoc(storeName, record);
+    const inputs = fieldTokens(storeName, record, fields).flatMap(sealedInputs);
+    const hashes = new Map(await Promise.all(inputs.map(async input => [input, await hashTerm(this._keys, input)])));
+    return buildSearchDoc(storeName, record, { fields, hashes });
+  }
+
+  /** Drop and rebuild the whole search index from live records. */
+  async rebuildSearchIndex() {
+    const docs = [];
+    for (const storeName of SEARCHABLE_STORES) {
+      for (const record of await this.getAllLive(storeName)) {
+        docs.push(await this._buildSearchDoc(storeName, record));
+      }
+    }
+    await new Promise((resolve, reject) => {
+      const tx = this.db.transaction('searchIndex', 'readwrite');
+      const store = tx.objectStore('searchIndex');
+      store.clear();
+      for (const doc of docs) store.put(doc);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+    return docs.length;
+  }
+
+  /**
+   * Full-text search over the index. Every query token must match (exactly,
+   * as a prefix, or within the typo budget when it has no exact/prefix hit).
+   * Returns [{ entity, id, score }] best first.
+   *   opts.entities: restrict to these stores (default: all searchable)
+   *   opts.limit:    max results (default: unlimited)
+   */
+  async search(query, { entities = SEARCHABLE_STORES, limit = Infinity } = {}) {
+    const queryTokens = [...new Set(tokenize(query))];
+    if (queryTokens.length === 0) return [];
+
+    // Hashed lookups for sealed fields, computed before the transaction opens
+    const sealedTerms = this._keys ? await Promise.all(queryTokens.map(async (token) => {
+      const { full, prefix } = sealedQueryInputs(token);
+      return {
+        full: SEALED_MARK + await hashTerm(this._keys, full),
+        prefix: SEALED_MARK + await hashTerm(this._keys, prefix),
+      };
+    })) : null;
+
+    const tx = this.db.transaction('searchIndex', 'readonly');
+    const tokenIndex = tx.objectStore('searchIndex').index('tokens');
+    const request = (req) => new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    const prefixRange = (token) => IDBKeyRange.bound(token, token + '\uffff');
+
+    // Vocabulary terms sharing the token's first letter within its typo budget
+    const fuzzyTerms = (token) => new Promise((resolve, reject) => {
+      const max = typoBudget(token);
+      const terms = new Set();
+      const req = tokenIndex.openKeyCursor(prefixRange(token[0]), 'nextunique');
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return resolve(terms);
+        if (editDistance(token, cursor.key, max) <= max) terms.add(cursor.key);
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+
+    let scores = null;
+    for (const [i, token] of queryTokens.entries()) {
+      let docs = await request(tokenIndex.getAll(prefixRange(token)));
+      if (sealedTerms) {
+        docs.push(...await request(tokenIndex.getAll(sealedTerms[i].full)));
+        docs.push(...await request(tokenIndex.getAll(sealedTerms[i].prefix)));
+      }
+      let fuzzy = null;
+      if (docs.length === 0 && typoBudget(token) > 0) {
+        fuzzy = await fuzzyTerms(token);
+        docs = [];
+        for (const term of fuzzy) docs.push(...await request(tokenIndex.getAll(term)));
+      }
+
+      const next = new Map();
+      for (const doc of docs) {
+        if (!entities.includes(doc.entity) || next.has(doc.key)) continue;
+        if (scores && !scores.has(doc.key)) continue;
+        const score = scoreToken(doc, token, fuzzy, sealedTerms?.[i]);
+        if (score > 0) next.set(doc.key, { entity: doc.entity, id: doc.id, score: (scores?.get(doc.key).score || 0) + score });
+      }
+      scores = next;
+      if (scores.size === 0) break;
+    }
+
+    return [...scores.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  // ── Trash (soft delete) ───────────────────────────────────
+
+  async getLive(storeName, key) {
+    const record = await this.get(storeName, key);
+    return isLive(record) ? record : undefined;
+  }
+
+  async getAllLive(storeName) {
+    return (await this.getAll(storeName)).filter(isLive);
+  }
+
+  /** Live dependents of a parent record, keyed by dependent store name. */
+  async _getDependents(storeName, id, predicate = isLive) {
+    const dependents = {};
+    for (const [depStore, indexName] of TRASH_DEPENDENTS[storeName] || []) {
+      dependents[depStore] = (await this._getAllByIndex(depStore, indexName, id)).filter(predicate);
+    }
+    return dependents;
+  }
+
+  /**
+   * Stamp a record (and its live dependents) with `deletedAt` in one
+   * transaction. Dependents also get `deletedWith` pointing at the parent so
+   * they are restored and purged together with it. Returns the pre-delete
+   * snapshot.
+   */
+  async moveToTrash(storeName, id) {
+    const record = await this.getLive(storeName, id);
+    if (!record) throw new Error('Record not found');
+    const dependents = await this._getDependents(storeName, id);
+    const deletedAt = new Date().toISOString();
+    const deletedWith = { entity: storeName, id };
+    const prepared = await this._prepare(storeName, [{ ...record, deletedAt, deletedWith: null }]);
+    const preparedDeps = await this._prepareGroups(dependents, r => ({ ...r, deletedAt, deletedWith }));
+
+    await new Promise((resolve, reject) => {
+      const tx = this.db.transaction(withAudit([storeName, ...Object.keys(dependents)]), 'readwrite');
+      this._putAll(tx, storeName, prepared);
+      for (const [depStore, items] of preparedDeps) {
+        this._putAll(tx, depStore, items);
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+
+    return { record, dependents };
+  }
+
+  /** _prepare for { storeName: records } groups, mapping each record first. Returns [[storeName, prepared]]. */
+  async _prepareGroups(groups, map) {
+    return Promise.all(Object.entries(groups).map(async ([storeName, records]) => [storeName, await this._prepare(storeName, records.map(map))]));
+  }
+
+  /** Bring a trashed record back, together with everything trashed along with it. */
+  async restoreFromTrash(storeName, id) {
+    const record = await this.get(storeName, id);
+    if (!record || !record.deletedAt) return;
+    const dependents = await this._getDependents(storeName, id, r => isTrashedWith(r, storeName, id));
+    const untrash = ({ deletedAt, deletedWith, ...rest }) => rest;
+    const prepared = await this._prepare(storeName, [untrash(record)]);
+    const preparedDeps = await this._prepareGroups(dependents, untrash);
+
+    await new Promise((resolve, reject) => {
+      const tx = this.db.transaction(withAudit([storeName, ...Object.keys(dependents)]), 'readwrite');
+      this._putAll(tx, storeName, prepared);
+      for (const [depStore, items] of preparedDeps) {
+        this._putAll(tx, depStore, items);
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Permanently delete a trashed record and its co-trashed dependents, with
+   * the files attached to any of them. Records linked through PURGE_UNLINKS
+   * (a company's jobs, a job's activities) are kept with the link cleared.
+   */
+  async purge(storeName, id) {
+    const record = await this.get(storeName, id);
+    if (!record) return;
+    const dependents = await this._getDependents(storeName, id, r => isTrashedWith(r, storeName, id));
+    const unlinks = [];
+    for (const [linkedStore, field] of PURGE_UNLINKS[storeName] || []) {
+      const items = await this._getAllByIndex(linkedStore, field, id);
+      if (items.length > 0) unlinks.push([linkedStore, await this._prepare(linkedStore, items.map(r => ({ ...r, [field]: '' })))]);
+    }
+    const attachmentKeys = await this._getAttachmentKeys([[storeName, [id]], ...Object.entries(dependents).map(([s, items]) => [s, items.map(r => r.id)])]);
+    const stores = [storeName, ...Object.keys(dependents), ...unlinks.map(([s]) => s), 'attachments'];
+
+    await new Promise((resolve, reject) => {
+      const tx = this.db.transaction(withAudit(stores), 'readwrite');
+      this._deleteAll(tx, storeName, [id]);
+      for (const [depStore, items] of Object.entries(dependents)) {
+        this._deleteAll(tx, depStore, items.map(r => r.id));
+      }
+      this._deleteAll(tx, 'attachments', attachmentKeys);
+      for (const [linkedStore, items] of unlinks) {
+        this._putAll(tx, linkedStore, items);
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Everything deleted directly by the user (not dependents that went along
+   * with a parent), newest first: [{ entity, record }].
+   */
+  async getTrash() {
+    const items = [];
+    for (const storeName of AUDITED_STORES) {
+      for (const record of await this.getAll(storeName)) {
+        if (record.deletedAt && !record.deletedWith) items.push({ entity: storeName, record });
+      }
+    }
+    return items.sort((a, b) => b.record.deletedAt.localeCompare(a.record.deletedAt));
+  }
+
+  /** Purge trash items older than retentionDays. Returns how many were purged. */
+  async purgeExpiredTrash(retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 86400000).toISOString();
+    const expired = (await this.getTrash()).filter(t => t.record.deletedAt < cutoff);
+    for (const { entity, record } of expired) {
+      await this.purge(entity, record.id);
+    }
+    return expired.length;
+  }
+
+  // ── Data Subject Requests ─────────────────────────────────
+
+  /**
+   * Live people with no activity for `months`, oldest first:
+   * [{ candidate, lastActivityAt }]. Activity is the latest of the person's
+   * own update, their activities and their pipeline moves.
+   */
+  async getRetentionDue(months) {
+    const cutoff = new Date();
+    cutoff.setMonth(cutoff.getMonth() - months);
+    const [candidates, activities, pipeline] = await Promise.all([
+      this.getAllLive('candidates'),
+      this.getAllLive('activities'),
+      this.getAllLive('pipeline'),
+    ]);
+    const related = new Map(candidates.map(c => [c.id, []]));
+    for (const r of [...activities, ...pipeline]) related.get(r.candidateId)?.push(r);
+    return candidates
+      .map(candidate => ({ candidate, lastActivityAt: lastActivityAt(candidate, related.get(candidate.id)) }))
+      .filter(r => r.lastActivityAt < cutoff.toISOString())
+      .sort((a, b) => a.lastActivityAt.localeCompare(b.lastActivityAt));
+  }
+
+  /** Latest activity of one person, as used by getRetentionDue(). */
+  async getLastActivityAt(candidate) {
+    const [activities, pipeline] = await Promise.all([
+      this.getActivitiesByCandidate(candidate.id),
+      this.getPipelineByCandidate(candidate.id),
+    ]);
+    return lastActivityAt(candidate, [...activities, ...pipeline]);
+  }
+
+  /** Record that a person past the retention period was reviewed and kept. */
+  async markRetentionReviewed(candidate) {
+    candidate.retentionReviewedAt = new Date().toISOString();
+    return this.updateCandidate(candidate);
+  }
+
+  /**
+   * Everything stored about one person, for an access request: the record,
+   * their pipeline entries (with job titles), their activities, other
+   * activities that mention them, the files attached to them or their
+   * activities (content as base64) and the change history of all of it.
+   */
+  async getSubjectData(candidateId) {
+    const candidate = await this.get('candidates', candidateId);
+    if (!candidate) throw new Error('Person not found');
+    const terms = subjectTerms(candidate, ...(candidate.mergedFrom || []));
+    const [pipeline, activities, allActivities] = await Promise.all([
+      this._getAllByIndex('pipeline', 'candidateId', candidateId),
+      this._getAllByIndex('activities', 'candidateId', candidateId),
+      this.getAll('activities'),
+    ]);
+    const jobs = new Map((await this.getMany('jobs', [...new Set(pipeline.map(p => p.jobId))])).map(j => [j.id, j]));
+    const mentions = allActivities.filter(a => a.candidateId !== candidateId && mentionsSubject(a, terms));
+    const attachments = [];
+    for (const [entity, ids] of [['candidates', [candidateId]], ['activities', activities.map(a => a.id)]]) {
+      for (const id of ids) attachments.push(...await this._getAllByIndex('attachments', 'owner', [entity, id]));
+    }
+    const history = [];
+    for (const [entity, ids] of [['candidates', [candidateId, ...mergedIds(candidate)]], ['pipeline', pipeline.map(p => p.id)], ['activities', activities.map(a => a.id)]]) {
+      for (const id of ids) history.push(...await this.getAuditLog(entity, id));
+    }
+    return {
+      candidate,
+      pipeline: pipeline.map(p => ({ ...p, jobTitle: jobs.get(p.jobId)?.title ?? null })),
+      activities,
+      mentions,
+      attachments: await Promise.all(attachments.map(a => this._exportAttachment(a))),
+      history: history.sort((a, b) => a.timestamp.localeCompare(b.timestamp)),
+    };
+  }
+
+  /**
+   * Erase a person (right to be forgotten) in one transaction: the record,
+   * their pipeline entries, activities and attached files are deleted together
+   * with their audit history and search documents, and their name, email and
+   * phone are redacted from other activities and those activities' history.
+   * Only a 'forget' audit entry without personal data remains.
+   */
+  async forgetCandidate(id) {
+    const candidate = await this.get('candidates', id);
+    if (!candidate) throw new Error('Person not found');
+    const terms = subjectTerms(candidate, ...(candidate.mergedFrom || []));
+    const [pipeline, activities, allActivities] = await Promise.all([
+      this._getAllByIndex('pipeline', 'candidateId', id),
+      this._getAllByIndex('activities', 'candidateId', id),
+      this.getAll('activities'),
+    ]);
+    const removed = [['candidates', [candidate]], ['pipeline', pipeline], ['activities', activities]];
+    const attachmentKeys = await this._getAttachmentKeys([['candidates', [id]], ['activities', activities.map(a => a.id)]]);
+
+    const others = allActivities.filter(a => a.candidateId !== id && mentionsSubject(a, terms));
+    const scrubbed = await this._prepare('activities', others.map(a => redactActivity(a, terms)));
+    const othersById = new Map(others.map(a => [a.id, a]));
+
+    const auditKeys = [];
+    for (const [entity, records] of removed) {
+      for (const r of records) auditKeys.push(...await this._getAuditKeys(entity, r.id));
+    }
+    for (const mergedId of mergedIds(candidate)) auditKeys.push(...await this._getAuditKeys('candidates', mergedId));
+    const scrubbedAudit = [];
+    for (const a of others) {
+      for (const entry of await this._getAllByIndex('auditLog', 'entityRecord', ['activities', a.id])) {
+        scrubbedAudit.push({ ...entry, changes: entry.changes.map(c => redactChange(c, terms)) });
+      }
+    }
+
+    await new Promise((resolve, reject) => {
+      const tx = this.db.transaction(['candidates', 'pipeline', 'activities', 'attachments', 'auditLog', 'searchIndex'], 'readwrite');
+      for (const [storeName, records] of removed) {
+        for (const r of records) {
+          tx.objectStore(storeName).delete(r.id);
+          if (SEARCHABLE_STORES.includes(storeName)) this._indexRecord(tx, storeName, r, null);
+          this._noteChange(tx, storeName, r.id, 'delete');
+        }
+      }
+      for (const key of attachmentKeys) {
+        tx.objectStore('attachments').delete(key);
+        this._noteChange(tx, 'attachments', key, 'delete');
+      }
+      for (const { stored, searchDoc } of scrubbed) {
+        tx.objectStore('activities').put(stored);
+        this._indexRecord(tx, 'activities', othersById.get(stored.id), stored, searchDoc);
+        this._noteChange(tx, 'activities', stored.id, 'update');
+      }
+      const auditLog = tx.objectStore('auditLog');
+      for (const key of auditKeys) auditLog.delete(key);
+      for (const entry of scrubbedAudit) auditLog.put(entry);
+      auditLog.add({
+        id: crypto.randomUUID(),
+        entity: 'candidates',
+        entityId: id,
+        op: 'forget',
+        changes: [],
+        timestamp: new Date().toISOString(),
+      });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+    return { pipeline: pipeline.length, activities: activities.length, attachments: attachmentKeys.length, redacted: others.length };
+  }
+
+  // ── Merge ─────────────────────────────────────────────────
+
+  /**
+   * Merge duplicate people into survivorId in one transaction. `fields` maps
+   * each of MERGE_FIELDS the user decided to the value to keep; certifications,
+   * skills, custom field values and tags are combined. Pipeline entries and
+   * activities move to the survivor. Where several of them were in the same job's pipeline (unique
+   * candidateJob index), the most recently updated live entry is kept with
+   * the stage histories combined, and files attached to the others move to
+   * the survivor. The others are deleted and listed in the survivor's
+   * `mergedFrom`. Returns the merged record.
+   */
+  async mergeCandidates(survivorId, otherIds, fields = {}) {
+    if (otherIds.length === 0 || otherIds.includes(survivorId)) throw new Error('Pick at least two different people to merge');
+    const all = await this.getMany('candidates', [survivorId, ...otherIds]);
+    if (all.length !== otherIds.length + 1 || !all.every(isLive)) {
+      throw new Error('Some of these people no longer exist or are in the Trash');
+    }
+    const [survivor, ...others] = all;
+    const now = new Date().toISOString();
+
+    const merged = { ...survivor };
+    for (const field of MERGE_FIELDS) {
+      if (field in fields) merged[field] = fields[field];
+    }
+    Object.assign(merged, {
+      certifications: mergeCertifications(all),
+      employment: mergeEmployment(all),
+      stateRegistrations: mergeStateRegistrations(all),
+      disclosures: mergeDisclosures(all),
+      skills: mergeSkills(all),
+      custom: mergeCustom(all),
+      tags: [...new Set(all.flatMap(c => c.tags || []))],
+      createdAt: all.map(c => c.createdAt).sort()[0],
+      mergedFrom: [
+        ...(survivor.mergedFrom || []),
+        ...others.map(c => ({ id: c.id, firstName: c.firstName, lastName: c.lastName, email: c.email || '', mergedAt: now })),
+      ],
+      updatedAt: now,
+    });
+    validateCandidate(merged);
+
+    const [pipeline, activities] = await Promise.all([
+      Promise.all(all.map(c => this._getAllByIndex('pipeline', 'candidateId', c.id))),
+      Promise.all(others.map(c => this._getAllByIndex('activities', 'candidateId', c.id))),
+    ]);
+    const byJob = new Map();
+    for (const entry of pipeline.flat()) {
+      if (!byJob.has(entry.jobId)) byJob.set(entry.jobId, []);
+      byJob.get(entry.jobId).push(entry);
+    }
+    const pipelineDeletes = [];
+    const pipelinePuts = [];
+    for (const entries of byJob.values()) {
+      const [keeper, ...rest] = entries.sort((a, b) => isLive(b) - isLive(a) || b.updatedAt.localeCompare(a.updatedAt));
+      if (keeper.candidateId === survivorId && rest.length === 0) continue;
+      pipelineDeletes.push(...rest.map(e => e.id));
+      pipelinePuts.push({ ...keeper, candidateId: survivorId, history: mergeHistories(entries), updatedAt: now });
+    }
+    const activityPuts = activities.flat().map(a => ({ ...a, candidateId: survivorId, updatedAt: now }));
+    const attachments = await Promise.all(others.map(c => this._getAllByIndex('attachments', 'owner', ['candidates', c.id])));
+    const attachmentPuts = attachments.flat().map(a => ({ ...a, entityId: survivorId, updatedAt: now }));
+
+    const [preparedCandidate, preparedPipeline, preparedActivities, preparedAttachments] = await Promise.all([
+      this._prepare('candidates', [merged]),
+      this._prepare('pipeline', pipelinePuts),
+      this._prepare('activities', activityPuts),
+      this._prepare('attachments', attachmentPuts),
+    ]);
+    await new Promise((resolve, reject) => {
+      const tx = this.db.transaction(withAudit(['candidates', 'pipeline', 'activities', 'attachments']), 'readwrite');
+      // Deletes are queued first so re-pointed entries never collide on candidateJob
+      this._deleteAll(tx, 'pipeline', pipelineDeletes);
+      this._putAll(tx, 'pipeline', preparedPipeline);
+      this._putAll(tx, 'activities', preparedActivities);
+      this._putAll(tx, 'attachments', preparedAttachments);
+      this._putAll(tx, 'candidates', preparedCandidate);
+      this._deleteAll(tx, 'candidates', otherIds);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+    return merged;
+  }
+
+  /** Primary keys of the audit entries for one record. */
+  async _getAuditKeys(entity, entityId) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction('auditLog', 'readonly');
+      const request = tx.objectStore('auditLog').index('entityRecord').getAllKeys([entity, entityId]);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // ── Data Health ───────────────────────────────────────────
+
+  /**
+   * Scan every store for broken references. A reference to a trashed record
+   * is not broken (both come back on restore); only records that no longer
+   * exist count. Returns [{ key, store, recordId, label, inTrash, problem,
+   * fixLabel, fix }] where fix is { delete: true } or { set: { field: value } }.
+   */
+  async checkIntegrity() {
+    const [candidates, clients, jobs, pipeline, activities, attachments] = await Promise.all(
+      ['candidates', 'clients', 'jobs', 'pipeline', 'activities', 'attachments'].map(s => this.getAll(s))
+    );
+    const candidateMap = new Map(candidates.map(c => [c.id, c]));
+    const clientIds = new Set(clients.map(c => c.id));
+    const jobMap = new Map(jobs.map(j => [j.id, j]));
+    const now = new Date().toISOString();
+    const issues = [];
+    const report = (store, record, label, problem, fixLabel, fix) => issues.push({
+      key: `${store}:${record.id}`, store, recordId: record.id, label, inTrash: !!record.deletedAt, problem, fixLabel, fix,
+    });
+    const personName = (id) => {
+      const c = candidateMap.get(id);
+      return c ? `${c.firstName} ${c.lastName}` : 'missing person';
+    };
+
+    for (const job of jobs) {
+      if (job.clientId && !clientIds.has(job.clientId)) {
+        report('jobs', job, job.title, 'Linked company no longer exists', 'Unlink company', { set: { clientId: '' } });
+      }
+    }
+
+    // Next free position per job/stage column, for entries moved out of removed stages
+    const nextPosition = new Map();
+    for (const e of pipeline) {
+      const col = `${e.jobId}|${e.stage}`;
+      nextPosition.set(col, Math.max(nextPosition.get(col) ?? 0, (e.position ?? 0) + 1));
+    }
+
+    for (const entry of pipeline) {
+      const job = jobMap.get(entry.jobId);
+      const label = `${personName(entry.candidateId)} — ${job?.title || 'missing job'}`;
+      if (!candidateMap.has(entry.candidateId) || !job) {
+        const problem = !job ? 'Job no longer exists' : 'Person no longer exists';
+        report('pipeline', entry, label, problem, 'Delete entry', { delete: true });
+        continue;
+      }
+      const stages = job.stages?.length ? job.stages : ComplianceDB.DEFAULT_STAGES;
+      if (!stages.includes(entry.stage)) {
+        const stage = stages[0];
+        const col = `${entry.jobId}|${stage}`;
+        const position = nextPosition.get(col) ?? 0;
+        nextPosition.set(col, position + 1);
+        report('pipeline', entry, label, `Stage "${entry.stage}" is not one of the job's stages`, `Move to ${stage}`, {
+          set: {
+            stage,
+            position,
+            history: [...(entry.history || []), { stage, date: now, notes: `Moved from removed stage "${entry.stage}"` }],
+          },
+        });
+      }
+    }
+
+    for (const activity of activities) {
+      const label = `${activity.subject || activity.type} — ${personName(activity.candidateId)}`;
+      if (!candidateMap.has(activity.candidateId)) {
+        report('activities', activity, label, 'Person no longer exists', 'Delete activity', { delete: true });
+      } else if (activity.jobId && !jobMap.has(activity.jobId)) {
+        report('activities', activity, label, 'Linked job no longer exists', 'Unlink job', { set: { jobId: '' } });
+      }
+    }
+
+    const ownerIds = {
+      candidates: candidateMap,
+      clients: clientIds,
+      jobs: jobMap,
+      activities: new Set(activities.map(a => a.id)),
+    };
+    for (const attachment of attachments) {
+      if (!ownerIds[attachment.entity]?.has(attachment.entityId)) {
+        report('attachments', attachment, attachment.name, 'Attached to a record that no longer exists', 'Delete file', { delete: true });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Apply the fixes of the given checkIntegrity() issues in one transaction.
+   * Fields are set on the current version of each record; records that have
+   * disappeared since the scan are skipped.
+   */
+  async repairIntegrity(issues) {
+    const current = await Promise.all(issues.map(i => this.get(i.store, i.recordId)));
+    const now = new Date().toISOString();
+    const prepared = await Promise.all(issues.map((issue, idx) =>
+      current[idx] && !issue.fix.delete ? this._prepare(issue.store, [{ ...current[idx], ...issue.fix.set, updatedAt: now }]) : null
+    ));
+    await new Promise((resolve, reject) => {
+      const tx = this.db.transaction(withAudit([...new Set(issues.map(i => i.store))]), 'readwrite');
+      issues.forEach((issue, idx) => {
+        if (!current[idx]) return;
+        if (issue.fix.delete) {
+          this._deleteAll(tx, issue.store, [issue.recordId]);
+        } else {
+          this._putAll(tx, issue.store, prepared[idx]);
+        }
+      });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   // ── Candidate Helpers ─────────────────────────────────────
 
   createCandidate(data = {}) {
@@ -140,12 +1207,21 @@ class ComplianceDB {
       currentTitle: data.currentTitle || '',
       location: data.location || '',
       certifications: data.certifications || [],
+      employment: data.employment || [],
+      stateRegistrations: data.stateRegistrations || [],
+      crdNumber: data.crdNumber || '',
+      disclosures: data.disclosures || [],
       skills: data.skills || [],
       salaryMin: data.salaryMin ?? null,
       salaryMax: data.salaryMax ?? null,
       notes: data.notes || '',
       source: data.source || '',
       externalId: data.externalId ?? null,
+      consentDate: data.consentDate || null,
+      consentBasis: data.consentBasis || '',
+      consentSource: data.consentSource || '',
+      custom: data.custom || {},
+      tags: data.tags || [],
       createdAt: data.createdAt || now,
       updatedAt: now,
     };
@@ -160,8 +1236,7 @@ class ComplianceDB {
 
   async updateCandidate(candidate) {
     validateCandidate(candidate);
-    candidate.updatedAt = new Date().toISOString();
-    await this.put('candidates', candidate);
+    await this._update('candidates', candidate);
     return candidate;
   }
 
@@ -169,65 +1244,49 @@ class ComplianceDB {
     for (const c of candidates) {
       validateCandidate(c);
     }
+    const prepared = await this._prepare('candidates', candidates);
     return new Promise((resolve, reject) => {
-      const tx = this.db.transaction('candidates', 'readwrite');
-      const store = tx.objectStore('candidates');
-      for (const c of candidates) {
-        store.put(c);
-      }
+      const tx = this.db.transaction(withAudit('candidates'), 'readwrite');
+      this._putAll(tx, 'candidates', prepared);
       tx.oncomplete = () => resolve(candidates.length);
       tx.onerror = () => reject(tx.error);
     });
   }
 
   async deleteCandidate(id) {
-    await this.delete('candidates', id);
+    await this.moveToTrash('candidates', id);
   }
 
   /**
-   * Atomically delete a candidate and all related pipeline/activity records
-   * in a single transaction. Returns a snapshot for undo.
+   * Atomically move a candidate and all related pipeline/activity records
+   * to the trash in a single transaction. Returns a snapshot for undo.
    */
   async deleteCandidateCascade(candidateId) {
-    const [candidate, pipelineEntries, activities] = await Promise.all([
-      this.getCandidate(candidateId),
-      this.getPipelineByCandidate(candidateId),
-      this.getActivitiesByCandidate(candidateId),
-    ]);
-    if (!candidate) throw new Error('Person not found');
-
-    await new Promise((resolve, reject) => {
-      const tx = this.db.transaction(['candidates', 'pipeline', 'activities'], 'readwrite');
-      tx.objectStore('candidates').delete(candidateId);
-      for (const e of pipelineEntries) tx.objectStore('pipeline').delete(e.id);
-      for (const a of activities) tx.objectStore('activities').delete(a.id);
-      tx.oncomplete = () => resolve();
-      tx.onerror = () => reject(tx.error);
-    });
-
-    return { candidate, pipelineEntries, activities };
+    const { record, dependents } = await this.moveToTrash('candidates', candidateId);
+    return { candidate: record, pipelineEntries: dependents.pipeline, activities: dependents.activities };
   }
 
   /**
    * Restore a candidate and all related records from a cascade-delete snapshot.
    */
   async restoreCandidateCascade({ candidate, pipelineEntries, activities }) {
+    const prepared = await this._prepareGroups({ candidates: [candidate], pipeline: pipelineEntries, activities }, r => r);
     await new Promise((resolve, reject) => {
-      const tx = this.db.transaction(['candidates', 'pipeline', 'activities'], 'readwrite');
-      tx.objectStore('candidates').put(candidate);
-      for (const e of pipelineEntries) tx.objectStore('pipeline').put(e);
-      for (const a of activities) tx.objectStore('activities').put(a);
+      const tx = this.db.transaction(withAudit(['candidates', 'pipeline', 'activities']), 'readwrite');
+      for (const [storeName, items] of prepared) {
+        this._putAll(tx, storeName, items);
+      }
       tx.oncomplete = () => resolve();
       tx.onerror = () => reject(tx.error);
     });
   }
 
   async getCandidate(id) {
-    return this.get('candidates', id);
+    return this.getLive('candidates', id);
   }
 
   async getAllCandidates() {
-    return this.getAll('candidates');
+    return this.getAllLive('candidates');
   }
 
   // ── Client Helpers ──────────────────────────────────────
@@ -241,6 +1300,8 @@ class ComplianceDB {
       contacts: data.contacts || [],
       notes: data.notes || '',
       externalId: data.externalId ?? null,
+      custom: data.custom || {},
+      tags: data.tags || [],
       createdAt: data.createdAt || now,
       updatedAt: now,
     };
@@ -255,14 +1316,13 @@ class ComplianceDB {
 
   async updateClient(client) {
     validateClient(client);
-    client.updatedAt = new Date().toISOString();
-    await this.put('clients', client);
+    await this._update('clients', client);
     return client;
   }
 
-  async deleteClient(id) { await this.delete('clients', id); }
-  async getClient(id) { return this.get('clients', id); }
-  async getAllClients() { return this.getAll('clients'); }
+  async deleteClient(id) { await this.moveToTrash('clients', id); }
+  async getClient(id) { return this.getLive('clients', id); }
+  async getAllClients() { return this.getAllLive('clients'); }
 
   // ── Job Helpers ────────────────────────────────────────
 
@@ -277,7 +1337,11 @@ class ComplianceDB {
       description: data.description || '',
       requirements: data.requirements || '',
       requiredCerts: data.requiredCerts || [],
+      requiredCertYears: data.requiredCertYears || {},  // cert name → minimum years held without a break
       preferredCerts: data.preferredCerts || [],
+      requiredStates: data.requiredStates || [],
+      requiresCleanRecord: data.requiresCleanRecord ?? false,
+      verifiedCertsOnly: data.verifiedCertsOnly ?? false,
       compensationMin: data.compensationMin ?? null,
       compensationMax: data.compensationMax ?? null,
       compensationType: data.compensationType || 'salary',
@@ -287,6 +1351,8 @@ class ComplianceDB {
       statusDate: data.statusDate || now,
       stages: data.stages || [...ComplianceDB.DEFAULT_STAGES],
       externalId: data.externalId ?? null,
+      custom: data.custom || {},
+      tags: data.tags || [],
       createdAt: data.createdAt || now,
       updatedAt: now,
     };
@@ -301,23 +1367,17 @@ class ComplianceDB {
 
   async updateJob(job) {
     validateJob(job);
-    job.updatedAt = new Date().toISOString();
-    await this.put('jobs', job);
+    await this._update('jobs', job);
     return job;
   }
 
-  async deleteJob(id) { await this.delete('jobs', id); }
-  async getJob(id) { return this.get('jobs', id); }
-  async getAllJobs() { return this.getAll('jobs'); }
+  /** Moves the job and its pipeline entries to the trash. */
+  async deleteJob(id) { await this.moveToTrash('jobs', id); }
+  async getJob(id) { return this.getLive('jobs', id); }
+  async getAllJobs() { return this.getAllLive('jobs'); }
 
   async getJobsByClient(clientId) {
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction('jobs', 'readonly');
-      const index = tx.objectStore('jobs').index('clientId');
-      const request = index.getAll(clientId);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+    return (await this._getAllByIndex('jobs', 'clientId', clientId)).filter(isLive);
   }
 
   // ── Pipeline Helpers ───────────────────────────────────
@@ -340,22 +1400,25 @@ class ComplianceDB {
   async addToPipeline(data) {
     const entry = this.createPipelineEntry(data);
     validatePipelineEntry(entry);
+    // A trashed entry for the same candidate/job still holds the unique
+    // candidateJob key — purge it so the candidate can be re-added.
+    const [stale] = await this._getAllByIndex('pipeline', 'candidateJob', [entry.candidateId, entry.jobId]);
+    if (stale && stale.deletedAt) await this.delete('pipeline', stale.id);
     await this.add('pipeline', entry);
     return entry;
   }
 
   async updatePipelineEntry(entry) {
     validatePipelineEntry(entry);
-    entry.updatedAt = new Date().toISOString();
-    await this.put('pipeline', entry);
+    await this._update('pipeline', entry);
     return entry;
   }
 
   async batchPut(storeName, items) {
+    const prepared = await this._prepare(storeName, items);
     return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(storeName, 'readwrite');
-      const store = tx.objectStore(storeName);
-      for (const item of items) store.put(item);
+      const tx = this.db.transaction(withAudit(storeName), 'readwrite');
+      this._putAll(tx, storeName, prepared);
       tx.oncomplete = () => resolve(items.length);
       tx.onerror = () => reject(tx.error);
     });
@@ -387,58 +1450,25 @@ class ComplianceDB {
     }
 
     // Write all in one transaction
+    const prepared = await this._prepare('pipeline', [...entries.values()]);
     return new Promise((resolve, reject) => {
-      const tx = this.db.transaction('pipeline', 'readwrite');
-      const store = tx.objectStore('pipeline');
-      for (const entry of entries.values()) store.put(entry);
+      const tx = this.db.transaction(withAudit('pipeline'), 'readwrite');
+      this._putAll(tx, 'pipeline', prepared);
       tx.oncomplete = () => resolve();
       tx.onerror = () => reject(tx.error);
     });
   }
 
-  async deletePipelineEntry(id) { await this.delete('pipeline', id); }
-  async getPipelineEntry(id) { return this.get('pipeline', id); }
+  async deletePipelineEntry(id) { await this.moveToTrash('pipeline', id); }
+  async getPipelineEntry(id) { return this.getLive('pipeline', id); }
+  async getAllPipelineEntries() { return this.getAllLive('pipeline'); }
 
   async getPipelineByJob(jobId) {
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction('pipeline', 'readonly');
-      const index = tx.objectStore('pipeline').index('jobId');
-      const request = index.getAll(jobId);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+    return (await this._getAllByIndex('pipeline', 'jobId', jobId)).filter(isLive);
   }
 
   async getPipelineByCandidate(candidateId) {
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction('pipeline', 'readonly');
-      const index = tx.objectStore('pipeline').index('candidateId');
-      const request = index.getAll(candidateId);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-  }
-
-  async deletePipelineByJob(jobId) {
-    const entries = await this.getPipelineByJob(jobId);
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction('pipeline', 'readwrite');
-      const store = tx.objectStore('pipeline');
-      for (const e of entries) store.delete(e.id);
-      tx.oncomplete = () => resolve(entries.length);
-      tx.onerror = () => reject(tx.error);
-    });
-  }
-
-  async deletePipelineByCandidate(candidateId) {
-    const entries = await this.getPipelineByCandidate(candidateId);
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction('pipeline', 'readwrite');
-      const store = tx.objectStore('pipeline');
-      for (const e of entries) store.delete(e.id);
-      tx.oncomplete = () => resolve(entries.length);
-      tx.onerror = () => reject(tx.error);
-    });
+    return (await this._getAllByIndex('pipeline', 'candidateId', candidateId)).filter(isLive);
   }
 
   // ── Activity Helpers ─────────────────────────────────────
@@ -446,6 +1476,7 @@ class ComplianceDB {
   static ACTIVITY_TYPES = ['email', 'call', 'interview', 'note', 'submission'];
 
   createActivity(data = {}) {
+    const now = new Date().toISOString();
     return {
       id: crypto.randomUUID(),
       type: data.type || 'note',
@@ -456,7 +1487,9 @@ class ComplianceDB {
       templateUsed: data.templateUsed || null,
       status: data.status || null,
       followUpDate: data.followUpDate || null,
-      createdAt: data.createdAt || new Date().toISOString(),
+      tags: data.tags || [],
+      createdAt: data.createdAt || now,
+      updatedAt: now,
     };
   }
 
@@ -469,22 +1502,16 @@ class ComplianceDB {
 
   async updateActivity(activity) {
     validateActivity(activity);
-    await this.put('activities', activity);
+    await this._update('activities', activity);
     return activity;
   }
 
-  async deleteActivity(id) { await this.delete('activities', id); }
-  async getActivity(id) { return this.get('activities', id); }
-  async getAllActivities() { return this.getAll('activities'); }
+  async deleteActivity(id) { await this.moveToTrash('activities', id); }
+  async getActivity(id) { return this.getLive('activities', id); }
+  async getAllActivities() { return this.getAllLive('activities'); }
 
   async getActivitiesByCandidate(candidateId) {
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction('activities', 'readonly');
-      const index = tx.objectStore('activities').index('candidateId');
-      const request = index.getAll(candidateId);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+    return (await this._getAllByIndex('activities', 'candidateId', candidateId)).filter(isLive);
   }
 
   async getActivitiesWithFollowUp() {
@@ -493,18 +1520,224 @@ class ComplianceDB {
       const index = tx.objectStore('activities').index('followUpDate');
       const range = IDBKeyRange.bound('', '9999-12-31');
       const request = index.getAll(range);
-      request.onsuccess = () => resolve(request.result.filter(a => a.followUpDate));
+      request.onsuccess = () => resolve(request.result.filter(a => a.followUpDate && isLive(a)));
       request.onerror = () => reject(request.error);
     });
   }
 
-  async deleteActivitiesByCandidate(candidateId) {
-    const entries = await this.getActivitiesByCandidate(candidateId);
+  // ── Attachments ───────────────────────────────────────────
+
+  /**
+   * Files attached to a record, newest first. Records carry the metadata and
+   * the file (`blob`, or `_file` when encrypted); read the content with
+   * getAttachmentFile().
+   */
+  async getAttachments(entity, entityId) {
+    const attachments = await this._getAllByIndex('attachments', 'owner', [entity, entityId]);
+    return attachments.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /** Attach a File (or Blob) to a live record. Returns the new attachment. */
+  async addAttachment(entity, entityId, file, kind = 'other') {
+    if (!ATTACHED_STORES.includes(entity)) throw new Error(`Files cannot be attached to ${entity} records`);
+    if (!await this.getLive(entity, entityId)) throw new Error('Record not found');
+    const now = new Date().toISOString();
+    const attachment = {
+      id: crypto.randomUUID(),
+      entity,
+      entityId,
+      name: file.name || 'Untitled',
+      type: file.type || '',
+      size: file.size,
+      kind,
+      blob: file.slice(0, file.size, file.type),
+      createdAt: now,
+      updatedAt: now,
+    };
+    validateAttachment(attachment);
+    await this.add('attachments', attachment);
+    return attachment;
+  }
+
+  async updateAttachment(attachment) {
+    validateAttachment(attachment);
+    await this._update('attachments', attachment);
+    return attachment;
+  }
+
+  async deleteAttachment(id) { await this.delete('attachments', id); }
+
+  /** Content of an attachment as a Blob, decrypted when encryption is on. */
+  async getAttachmentFile(attachment) {
+    if (!attachment._file) return attachment.blob;
+    if (!this._keys) throw new Error('Unlock the workspace to open this file');
+    return decryptFile(this._keys, attachment._file, attachment.type);
+  }
+
+  /** Number and total size in bytes of all attachments: { count, bytes }. */
+  async getAttachmentUsage() {
+    const attachments = await this.getAll('attachments');
+    return { count: attachments.length, bytes: attachments.reduce((sum, a) => sum + (a.size || 0), 0) };
+  }
+
+  /** Primary keys of the attachments of several records: [[entity, ids]]. */
+  async _getAttachmentKeys(owners) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction('attachments', 'readonly');
+      const index = tx.objectStore('attachments').index('owner');
+      const keys = [];
+      for (const [entity, ids] of owners) {
+        for (const id of ids) {
+          const request = index.getAllKeys([entity, id]);
+          request.onsuccess = () => keys.push(...request.result);
+        }
+      }
+      tx.oncomplete = () => resolve(keys);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /** Backup form of an attachment: metadata plus the content as base64 `data`. */
+  async _exportAttachment(attachment) {
+    const { blob, _file, ...meta } = attachment;
+    const file = await this.getAttachmentFile(attachment);
+    return { ...meta, data: toBase64(await file.arrayBuffer()) };
+  }
+
+  /**
+   * Restore attachments from a backup (see _exportAttachment). Ids that
+   * already exist and files whose record is missing are skipped. Returns how
+   * many were added.
+   */
+  async importAttachments(entries) {
+    const existing = new Set(await this.getAllKeys('attachments'));
+    const owners = new Map();
+    for (const entity of ATTACHED_STORES) owners.set(entity, new Set(await this.getAllKeys(entity)));
+    const attachments = [];
+    for (const { data, ...meta } of entries) {
+      if (!meta.id || existing.has(meta.id) || !owners.get(meta.entity)?.has(meta.entityId) || typeof data !== 'string') continue;
+      const attachment = { ...meta, blob: new Blob([fromBase64(data)], { type: meta.type || '' }) };
+      try { validateAttachment(attachment); attachments.push(attachment); } catch { /* skip invalid */ }
+    }
+    if (attachments.length > 0) await this.batchPut('attachments', attachments);
+    return attachments.length;
+  }
+
+  // ── Tags ──────────────────────────────────────────────────
+
+  /** The shared tag list [{ id, name, color }], in display order. */
+  async getTags() {
+    return (await this.getSetting('tags')) || [];
+  }
+
+  /**
+   * Add a tag, or rename/recolor the one with tag.id. Records hold tag ids, so
+   * a rename shows everywhere without rewriting them. Names are unique
+   * ignoring case. Returns the saved tag.
+   */
+  async saveTag({ id = null, name, color = '' }) {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) throw new Error('Missing required field: name');
+    const tags = await this.getTags();
+    const existing = id ? tags.find(t => t.id === id) : null;
+    if (id && !existing) throw new Error('Tag not found');
+    if (tags.some(t => t.id !== id && t.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(`A tag named "${trimmed}" already exists`);
+    }
+    const tag = { id: id || crypto.randomUUID(), name: trimmed, color: color || existing?.color || '' };
+    await this.setSetting('tags', existing ? tags.map(t => (t.id === id ? tag : t)) : [...tags, tag]);
+    return tag;
+  }
+
+  /** Number of records (trashed ones included) carrying each tag: Map<tagId, count>. */
+  async countTagged() {
+    const counts = new Map();
+    for (const storeName of TAGGED_STORES) {
+      for (const tagId of await this._getTagIndexValues(storeName)) {
+        counts.set(tagId, (counts.get(tagId) || 0) + 1);
+      }
+    }
+    return counts;
+  }
+
+  // One entry per (record, tag) pair in the multiEntry tags index
+  async _getTagIndexValues(storeName) {
     return new Promise((resolve, reject) => {
-      const tx = this.db.transaction('activities', 'readwrite');
-      const store = tx.objectStore('activities');
-      for (const e of entries) store.delete(e.id);
-      tx.oncomplete = () => resolve(entries.length);
+      const tx = this.db.transaction(storeName, 'readonly');
+      const request = tx.objectStore(storeName).index('tags').openKeyCursor();
+      const values = [];
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve(values);
+        values.push(cursor.key);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Add and/or remove tag ids on live records of one store, in one
+   * transaction. Records that already have the wanted tags are not rewritten.
+   * Resolves the number of records changed.
+   */
+  async tagRecords(storeName, ids, { add = [], remove = [] } = {}) {
+    if (!TAGGED_STORES.includes(storeName)) throw new Error(`${storeName} records cannot be tagged`);
+    const records = (await this.getMany(storeName, ids)).filter(isLive);
+    const changed = retag(records, tags => [...new Set([...tags.filter(t => !remove.includes(t)), ...add])]);
+    await this._writeRetagged({ [storeName]: changed });
+    return changed.length;
+  }
+
+  /**
+   * Fold the source tags into targetId: every record carrying one of them
+   * gets targetId instead, and the sources leave the tag list. Resolves the
+   * number of records changed.
+   */
+  async mergeTags(sourceIds, targetId) {
+    const sources = sourceIds.filter(id => id !== targetId);
+    const tags = await this.getTags();
+    if (!tags.some(t => t.id === targetId)) throw new Error('Tag not found');
+    const groups = await this._getTaggedGroups(sources, list => [...new Set(list.map(t => (sources.includes(t) ? targetId : t)))]);
+    await this._writeRetagged(groups, tags.filter(t => !sources.includes(t.id)));
+    return Object.values(groups).reduce((n, records) => n + records.length, 0);
+  }
+
+  /** Remove a tag from the tag list and from every record. Resolves the number of records changed. */
+  async deleteTag(tagId) {
+    const tags = await this.getTags();
+    const groups = await this._getTaggedGroups([tagId], list => list.filter(t => t !== tagId));
+    await this._writeRetagged(groups, tags.filter(t => t.id !== tagId));
+    return Object.values(groups).reduce((n, records) => n + records.length, 0);
+  }
+
+  // Records of every tagged store (trashed ones too, so a restore brings back
+  // no stale ids) carrying any of tagIds, rewritten by update: { storeName: records }
+  async _getTaggedGroups(tagIds, update) {
+    const groups = {};
+    for (const storeName of TAGGED_STORES) {
+      const byId = new Map();
+      for (const tagId of tagIds) {
+        for (const record of await this._getAllByIndex(storeName, 'tags', tagId)) byId.set(record.id, record);
+      }
+      const changed = retag([...byId.values()], update);
+      if (changed.length > 0) groups[storeName] = changed;
+    }
+    return groups;
+  }
+
+  // Write retagged record groups, and the new tag list when given, in one transaction
+  async _writeRetagged(groups, tags = null) {
+    if (!tags && Object.values(groups).every(records => records.length === 0)) return;
+    const prepared = await this._prepareGroups(groups, r => r);
+    const setting = tags ? await this._prepare('settings', [{ key: 'tags', value: tags }]) : null;
+    await new Promise((resolve, reject) => {
+      const tx = this.db.transaction(withAudit([...Object.keys(groups), ...(tags ? ['settings'] : [])]), 'readwrite');
+      for (const [storeName, items] of prepared) {
+        this._putAll(tx, storeName, items);
+      }
+      if (setting) this._putAll(tx, 'settings', setting);
+      tx.oncomplete = () => resolve();
       tx.onerror = () => reject(tx.error);
     });
   }
@@ -523,13 +1756,15 @@ class ComplianceDB {
   // ── Export / Import ───────────────────────────────────────
 
   async exportAll() {
-    const [candidates, clients, jobs, pipeline, activities, settings] = await Promise.all([
+    const [candidates, clients, jobs, pipeline, activities, settings, auditLog, attachments] = await Promise.all([
       this.getAll('candidates'),
       this.getAll('clients'),
       this.getAll('jobs'),
       this.getAll('pipeline'),
       this.getAll('activities'),
       this.getAll('settings'),
+      this.getAll('auditLog'),
+      this.getAll('attachments'),
     ]);
     return {
       version: DB_VERSION,
@@ -540,6 +1775,8 @@ class ComplianceDB {
       pipeline,
       activities,
       settings,
+      auditLog,
+      attachments: await Promise.all(attachments.map(a => this._exportAttachment(a))),
     };
   }
 
@@ -557,9 +1794,60 @@ export function validateCandidate(data) {
   if (data.certifications && !Array.isArray(data.certifications)) {
     throw new Error('certifications must be an array');
   }
+  for (const cert of data.certifications || []) {
+    if (cert.ceCredits && !Array.isArray(cert.ceCredits)) throw new Error('ceCredits must be an array');
+    for (const credit of cert.ceCredits || []) {
+      if (!credit.date) throw new Error(`Missing required field: CE credit date (${cert.name})`);
+      if (!(Number(credit.hours) > 0)) throw new Error(`CE credit hours must be a positive number (${cert.name})`);
+    }
+    if (cert.history && !Array.isArray(cert.history)) throw new Error('cert history must be an array');
+    if (cert.verification && !VERIFICATION_STATUSES.some(st => st.value === cert.verification.status)) {
+      throw new Error('Verification status must be one of: ' + VERIFICATION_STATUSES.map(st => st.value).join(', '));
+    }
+  }
   if (data.skills && !Array.isArray(data.skills)) {
     throw new Error('skills must be an array');
   }
+  if (data.employment) {
+    if (!Array.isArray(data.employment)) throw new Error('employment must be an array');
+    for (const job of data.employment) {
+      if (!job.firm || !String(job.firm).trim()) throw new Error('Missing required field: employment firm');
+      if (job.startDate && job.endDate && job.endDate < job.startDate) {
+        throw new Error(`Employment at ${job.firm} ends before it starts`);
+      }
+    }
+  }
+  if (data.stateRegistrations) {
+    if (!Array.isArray(data.stateRegistrations)) throw new Error('stateRegistrations must be an array');
+    for (const reg of data.stateRegistrations) {
+      if (!US_STATES.some(s => s.code === reg.state)) throw new Error(`Unknown state: ${reg.state}`);
+      if (!STATE_REGISTRATION_TYPES.some(t => t.value === reg.type)) {
+        throw new Error('State registration type must be one of: ' + STATE_REGISTRATION_TYPES.map(t => t.value).join(', '));
+      }
+      if (reg.effectiveDate && reg.terminationDate && reg.terminationDate < reg.effectiveDate) {
+        throw new Error(`${reg.state} registration terminates before it takes effect`);
+      }
+    }
+  }
+  if (data.crdNumber && !/^\d{1,10}$/.test(String(data.crdNumber))) {
+    throw new Error('crdNumber must be digits only');
+  }
+  if (data.disclosures) {
+    if (!Array.isArray(data.disclosures)) throw new Error('disclosures must be an array');
+    for (const d of data.disclosures) {
+      if (!DISCLOSURE_TYPES.some(t => t.value === d.type)) {
+        throw new Error('Disclosure type must be one of: ' + DISCLOSURE_TYPES.map(t => t.value).join(', '));
+      }
+      if (!DISCLOSURE_STATUSES.some(st => st.value === d.status)) {
+        throw new Error('Disclosure status must be one of: ' + DISCLOSURE_STATUSES.map(st => st.value).join(', '));
+      }
+    }
+  }
+  if (data.consentBasis && !CONSENT_BASES.some(b => b.value === data.consentBasis)) {
+    throw new Error('consentBasis must be one of: ' + CONSENT_BASES.map(b => b.value).join(', '));
+  }
+  validateCustom(data);
+  validateTags(data);
 }
 
 export function validateClient(data) {
@@ -569,6 +1857,8 @@ export function validateClient(data) {
   if (data.contacts && !Array.isArray(data.contacts)) {
     throw new Error('contacts must be an array');
   }
+  validateCustom(data);
+  validateTags(data);
 }
 
 export function validateJob(data) {
@@ -581,9 +1871,31 @@ export function validateJob(data) {
   if (data.preferredCerts && !Array.isArray(data.preferredCerts)) {
     throw new Error('preferredCerts must be an array');
   }
+  if (data.requiredStates && !Array.isArray(data.requiredStates)) {
+    throw new Error('requiredStates must be an array');
+  }
+  for (const [name, years] of Object.entries(data.requiredCertYears || {})) {
+    if (!(Number(years) > 0)) throw new Error(`Minimum years for ${name} must be a positive number`);
+  }
   if (data.stages && !Array.isArray(data.stages)) {
     throw new Error('stages must be an array');
   }
+  validateCustom(data);
+  validateTags(data);
+}
+
+// Custom field values: { [fieldId]: value }, shaped by the definitions in custom-fields.js
+function validateCustom(data) {
+  if (data.custom != null && (typeof data.custom !== 'object' || Array.isArray(data.custom))) {
+    throw new Error('custom must be an object');
+  }
+}
+
+// Tag ids from the `tags` setting (see db.getTags)
+function validateTags(data) {
+  if (data.tags && !Array.isArray(data.tags)) {
+    throw new Error('tags must be an array');
+  }
 }
 
 export function validateActivity(data) {
@@ -594,6 +1906,22 @@ export function validateActivity(data) {
   if (!data.candidateId) {
     throw new Error('Missing required field: candidateId');
   }
+  validateTags(data);
+}
+
+export function validateAttachment(data) {
+  if (!ATTACHED_STORES.includes(data.entity) || !data.entityId) {
+    throw new Error('Attachment must belong to a person, company, job or activity');
+  }
+  if (!data.name || !String(data.name).trim()) {
+    throw new Error('Missing required field: name');
+  }
+  if (!ATTACHMENT_KINDS.some(k => k.value === data.kind)) {
+    throw new Error('kind must be one of: ' + ATTACHMENT_KINDS.map(k => k.value).join(', '));
+  }
+  if (data.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(`File is larger than ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB`);
+  }
 }
 
 export function validatePipelineEntry(data) {
@@ -608,47 +1936,646 @@ export function validatePipelineEntry(data) {
   }
 }
 
+// ── Merge Helpers ───────────────────────────────────────────
+
+// Ids of the duplicates merged into a candidate, whose history now belongs to it
+const mergedIds = (candidate) => (candidate.mergedFrom || []).map(m => m.id);
+
+// Candidate fields whose value is picked from one of the merged records
+export const MERGE_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'currentTitle', 'currentEmployer', 'location', 'source',
+  'salaryMin', 'salaryMax', 'notes', 'externalId', 'crdNumber', 'consentBasis', 'consentDate', 'consentSource',
+];
+
+// One certification per name: the most recently obtained (then the latest expiring) wins
+function mergeCertifications(candidates) {
+  const byName = new Map();
+  for (const cert of candidates.flatMap(c => c.certifications || [])) {
+    const key = cert.name.toLowerCase();
+    const current = byName.get(key);
+    const newer = !current
+      || (cert.dateObtained || '') > (current.dateObtained || '')
+      || ((cert.dateObtained || '') === (current.dateObtained || '') && (cert.expirationDate || '') > (current.expirationDate || ''));
+    if (newer) byName.set(key, cert);
+  }
+  // CE credits and earlier periods of any copy of a cert are kept, and so is
+  // a verification done on a copy with the same dates
+  return [...byName.values()].map(cert => {
+    const copies = candidates
+      .flatMap(c => c.certifications || [])
+      .filter(c => c.name.toLowerCase() === cert.name.toLowerCase());
+    const earlier = copies.flatMap(c => c === cert ? cert.history || [] : getCertPeriods(c))
+      .filter(p => (p.dateObtained || p.expirationDate) && (!cert.dateObtained || (p.dateObtained || '') < cert.dateObtained));
+    const history = [...new Map(earlier.map(p => [`${p.dateObtained || ''}|${p.expirationDate || ''}`, p])).values()];
+    if (history.length > 0) {
+      cert = { ...cert, history: history.sort((a, b) => (a.dateObtained || '').localeCompare(b.dateObtained || '')) };
+    }
+    if (!cert.verification) {
+      const checked = copies.find(c => c.verification && c.dateObtained === cert.dateObtained && c.expirationDate === cert.expirationDate);
+      if (checked) cert = { ...cert, verification: checked.verification };
+    }
+    const credits = copies.flatMap(c => c.ceCredits || []);
+    if (credits.length === 0) return cert;
+    const unique = [...new Map(credits.map(c => [`${c.date}|${c.hours}|${c.provider || ''}|${c.category || ''}`, c])).values()];
+    return { ...cert, ceCredits: unique.sort((a, b) => a.date.localeCompare(b.date)) };
+  });
+}
+
+// One employment per firm and start date, newest first
+function mergeEmployment(candidates) {
+  const byKey = new Map();
+  for (const job of candidates.flatMap(c => c.employment || [])) {
+    const key = `${job.firm.toLowerCase()}|${job.startDate || ''}`;
+    if (!byKey.has(key)) byKey.set(key, job);
+  }
+  return sortEmployment([...byKey.values()]);
+}
+
+// One registration per state, type, firm and effective date
+function mergeStateRegistrations(candidates) {
+  const byKey = new Map();
+  for (const reg of candidates.flatMap(c => c.stateRegistrations || [])) {
+    const key = `${reg.state}|${reg.type}|${(reg.firm || '').toLowerCase()}|${reg.effectiveDate || ''}`;
+    if (!byKey.has(key)) byKey.set(key, reg);
+  }
+  return [...byKey.values()];
+}
+
+// One disclosure per type and date, the first record's version winning
+function mergeDisclosures(candidates) {
+  const byKey = new Map();
+  for (const d of candidates.flatMap(c => c.disclosures || [])) {
+    const key = `${d.type}|${d.date || ''}`;
+    if (!byKey.has(key)) byKey.set(key, d);
+  }
+  return [...byKey.values()];
+}
+
+// Case-insensitive union, keeping the first spelling seen
+function mergeSkills(candidates) {
+  const bySkill = new Map();
+  for (const skill of candidates.flatMap(c => c.skills || [])) {
+    if (!bySkill.has(skill.toLowerCase())) bySkill.set(skill.toLowerCase(), skill);
+  }
+  return [...bySkill.values()];
+}
+
+// Custom field values: the first record (the survivor) with a value for a field wins
+function mergeCustom(candidates) {
+  const merged = {};
+  for (const c of candidates) {
+    for (const [field, value] of Object.entries(c.custom || {})) {
+      const empty = value == null || value === '' || (Array.isArray(value) && value.length === 0);
+      if (!(field in merged) && !empty) merged[field] = value;
+    }
+  }
+  return merged;
+}
+
+// Stage histories of pipeline entries for the same job, in date order without repeats
+function mergeHistories(entries) {
+  const seen = new Set();
+  return entries
+    .flatMap(e => e.history || [])
+    .filter(h => {
+      const key = `${h.date}|${h.stage}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ── Tag Helpers ─────────────────────────────────────────────
+
+// Records whose tags change under update(tags), with the new tags and a fresh updatedAt
+function retag(records, update) {
+  const now = new Date().toISOString();
+  return records.flatMap(record => {
+    const before = record.tags || [];
+    const after = update(before);
+    const same = after.length === before.length && after.every(t => before.includes(t));
+    return same ? [] : [{ ...record, tags: after, updatedAt: now }];
+  });
+}
+
+// ── Retention ───────────────────────────────────────────────
+
+// Latest of a person's own update and the createdAt/updatedAt of their activities and pipeline entries
+function lastActivityAt(candidate, related) {
+  let latest = candidate.updatedAt;
+  for (const r of related) {
+    const at = r.updatedAt || r.createdAt;
+    if (at > latest) latest = at;
+  }
+  return latest;
+}
+
+// ── Redaction (right to be forgotten) ───────────────────────
+
+const REDACTED = '[redacted]';
+
+// Fields of an activity that hold free text
+const ACTIVITY_TEXT_FIELDS = ['subject', 'body'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Patterns identifying a person in free text, longest first: full name, email
+ * and phone as written (any run of spaces matching any whitespace). A first or
+ * last name alone could be anyone else's, so neither is matched; the person's
+ * own activities are found by candidateId instead. Pass the duplicates merged
+ * into a record too.
+ */
+export function subjectTerms(...people) {
+  const phrases = people.flatMap(person => [
+    `${person.firstName || ''} ${person.lastName || ''}`.trim(),
+    person.email,
+    person.phone,
+  ]).map(t => String(t || '').trim()).filter(t => t.length >= 2);
+  return [...new Set(phrases)]
+    .sort((a, b) => b.length - a.length)
+    .map(t => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(t).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`, 'giu'));
+}
+
+function redactText(text, terms) {
+  if (typeof text !== 'string') return text;
+  return terms.reduce((out, re) => out.replace(re, REDACTED), text);
+}
+
+export function mentionsSubject(activity, terms) {
+  return ACTIVITY_TEXT_FIELDS.some(f => redactText(activity[f], terms) !== activity[f]);
+}
+
+export function redactActivity(activity, terms) {
+  const out = { ...activity };
+  for (const f of ACTIVITY_TEXT_FIELDS) out[f] = redactText(activity[f], terms);
+  return out;
+}
+
+function redactChange(change, terms) {
+  if (!ACTIVITY_TEXT_FIELDS.includes(change.field)) return change;
+  return { ...change, before: redactText(change.before, terms), after: redactText(change.after, terms) };
+}
+
+// ── Audit Diff ──────────────────────────────────────────────
+
+// Bookkeeping fields that change on every write and carry no meaning in a diff
+const DIFF_IGNORED_FIELDS = new Set(['updatedAt']);
+
+/**
+ * Field-level diff between two versions of a record. Either side may be null
+ * (create / delete). Nested values are compared structurally.
+ */
+export function diffRecords(before, after) {
+  const changes = [];
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (DIFF_IGNORED_FIELDS.has(field)) continue;
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    changes.push({ field, before: from ?? null, after: to ?? null });
+  }
+  return changes;
+}
+
 // ── Cert Status Helpers (computed, never stored) ────────────
+// employment is the candidate's employment history; it decides when FINRA
+// licenses lapse (see getLicenseLapseDate).
 
-export function getCertStatus(cert) {
-  if (!cert.expirationDate) return 'active';    // lifetime cert
+/** Employment history, current and most recent first. */
+export function sortEmployment(employment) {
+  return [...employment].sort((a, b) =>
+    (b.endDate || '9999').localeCompare(a.endDate || '9999') || (b.startDate || '').localeCompare(a.startDate || ''));
+}
+
+/**
+ * When a lapsing FINRA license (one with `lapseYears` in FINRA_LICENSES) stops
+ * being valid: two years after the person was last registered with a firm, or
+ * after passing the exam if that was later. Returns null while a registered
+ * employment is ongoing, and undefined when the history can't tell — not a
+ * lapsing license, or no registered employment and no exam date.
+ */
+export function getLicenseLapseDate(cert, employment = []) {
+  const years = FINRA_LICENSES.find(l => l.name === cert.name)?.lapseYears;
+  if (!years || employment.length === 0) return undefined;
+  const registered = employment.filter(job => job.registered);
+  if (registered.some(job => !job.endDate)) return null;
+  const from = [...registered.map(job => job.endDate), cert.dateObtained?.slice(0, 10)].filter(Boolean).sort().at(-1);
+  if (!from) return undefined;
+  const lapse = new Date(from);
+  lapse.setUTCFullYear(lapse.getUTCFullYear() + years);
+  return lapse.toISOString().slice(0, 10);
+}
+
+/** Effective expiry: the computed lapse date when there is one, else the entered date. */
+export function getCertExpiry(cert, employment = []) {
+  const lapse = getLicenseLapseDate(cert, employment);
+  return lapse === undefined ? cert.expirationDate || null : lapse;
+}
+
+// Certs copy `graceDays` from their renewal rule; they stay valid that long past expiry
+export function getCertStatus(cert, employment = []) {
+  const expiry = getCertExpiry(cert, employment);
+  if (!expiry) return 'active';    // lifetime cert, or still registered
   if (!cert.dateObtained) return 'pending';
-  const now = new Date();
-  const expiry = new Date(cert.expirationDate);
-  if (expiry < now) return 'expired';
+  if (getCertDaysRemaining(cert, employment) < -(cert.graceDays || 0)) return 'expired';
   return 'active';
 }
 
-export function getCertUrgency(cert, alertDays = 60) {
-  if (!cert.expirationDate) return 'none';
-  const daysRemaining = Math.ceil((new Date(cert.expirationDate) - new Date()) / 86400000);
-  if (daysRemaining < 0) return 'expired';
+export function getCertUrgency(cert, alertDays = 60, employment = []) {
+  const daysRemaining = getCertDaysRemaining(cert, employment);
+  if (daysRemaining === null) return 'none';
+  if (daysRemaining < 0) return daysRemaining >= -(cert.graceDays || 0) ? 'grace' : 'expired';
   if (daysRemaining <= alertDays) return 'expiring-soon';
   return 'none';
 }
 
-export function getCertDaysRemaining(cert) {
-  if (!cert.expirationDate) return null;
-  return Math.ceil((new Date(cert.expirationDate) - new Date()) / 86400000);
+export function getCertDaysRemaining(cert, employment = []) {
+  const expiry = getCertExpiry(cert, employment);
+  if (!expiry) return null;
+  return Math.ceil((new Date(expiry) - new Date()) / 86400000);
+}
+
+// ── State Registrations (computed, never stored) ────────────
+
+/** In effect today: started (or no date given) and not yet terminated. */
+export function isRegistrationActive(reg) {
+  const today = new Date().toISOString().slice(0, 10);
+  return (!reg.effectiveDate || reg.effectiveDate <= today) && (!reg.terminationDate || reg.terminationDate > today);
+}
+
+/** State codes a candidate is currently registered in, of any type. */
+export function getActiveStates(candidate) {
+  return new Set((candidate.stateRegistrations || []).filter(isRegistrationActive).map(reg => reg.state));
+}
+
+// ── Regulatory Record (computed, never stored) ──────────────
+
+/** Disclosures still pending (DISCLOSURE_STATUSES marked open). */
+export function getOpenDisclosures(candidate) {
+  const open = new Set(DISCLOSURE_STATUSES.filter(st => st.open).map(st => st.value));
+  return (candidate.disclosures || []).filter(d => open.has(d.status));
+}
+
+/** 'clean' (no disclosures), 'open' (some pending) or 'resolved' (all closed). */
+export function getRegulatoryRecord(candidate) {
+  if ((candidate.disclosures || []).length === 0) return 'clean';
+  return getOpenDisclosures(candidate).length > 0 ? 'open' : 'resolved';
+}
+
+// ── Verification (computed, never stored) ───────────────────
+// Certs carry an optional `verification` ({ status, verifiedBy, date, method,
+// evidence }); a cert without one hasn't been checked yet.
+
+/** 'unverified', 'verified' or 'failed'. */
+export function getVerificationStatus(cert) {
+  return cert.verification?.status || 'unverified';
+}
+
+// ── Continuing Education (computed, never stored) ───────────
+// Certs carry `ceCredits` entries ({ date, hours, provider, category }); the
+// hours required per period come from the `ce` rule of the cert's catalog entry.
+
+// Before this share of a period has passed it's too early to call a pace at risk
+const CE_GRACE_SHARE = 0.25;
+
+function addMonths(date, months) {
+  const d = new Date(date);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d.toISOString().slice(0, 10);
+}
+
+/** The `{ hours, months }` CE rule for a cert, from the catalog (see buildCertCatalog). */
+export function getCeRule(cert, catalog = []) {
+  const ref = findCatalogEntry(cert, catalog);
+  return ref?.ce?.hours > 0 && ref.ce.months > 0 ? ref.ce : null;
+}
+
+/**
+ * CE progress in the current period, or null when the cert has no CE rule.
+ * Periods run back to back from the date obtained, or from January 1 of this
+ * year when that isn't known. Status is 'complete', 'on-track' or 'at-risk' (the
+ * pace so far falls short by `shortfall` hours at the period end).
+ */
+export function getCeProgress(cert, catalog = []) {
+  const rule = getCeRule(cert, catalog);
+  if (!rule) return null;
+  const today = new Date().toISOString().slice(0, 10);
+  let start = cert.dateObtained ? cert.dateObtained.slice(0, 10) : `${today.slice(0, 4)}-01-01`;
+  let end = addMonths(start, rule.months);
+  while (end <= today) {
+    start = end;
+    end = addMonths(start, rule.months);
+  }
+
+  const earned = (cert.ceCredits || [])
+    .filter(c => c.date >= start && c.date < end)
+    .reduce((sum, c) => sum + (Number(c.hours) || 0), 0);
+  const elapsed = Math.min(1, Math.max(0, (new Date(today) - new Date(start)) / (new Date(end) - new Date(start))));
+  const projected = elapsed > 0 ? earned / elapsed : earned;
+
+  let status = 'on-track';
+  if (earned >= rule.hours) status = 'complete';
+  else if (elapsed >= CE_GRACE_SHARE && projected < rule.hours) status = 'at-risk';
+  return {
+    required: rule.hours,
+    earned,
+    periodStart: start,
+    periodEnd: end,
+    projected: Math.round(projected * 10) / 10,
+    shortfall: status === 'at-risk' ? Math.round((rule.hours - projected) * 10) / 10 : 0,
+    status,
+  };
+}
+
+// ── Renewal Rules (computed, never stored) ──────────────────
+// Catalog entries carry `renewalRule: { months, anchor, graceDays }` (anchor
+// from RENEWAL_ANCHORS). null means the cert doesn't expire on a schedule.
+
+/** Best-effort rule from free-text cycles like "3 years", "Annual" or "18 months". */
+export function parseRenewalText(text) {
+  const value = String(text || '').toLowerCase();
+  const match = /(\d+)\s*(?:-\s*)?(years?|yrs?|months?|mos?)\b/.exec(value);
+  if (match) {
+    const months = Number(match[1]) * (match[2].startsWith('y') ? 12 : 1);
+    return months > 0 ? { months, anchor: 'obtained', graceDays: 0 } : null;
+  }
+  if (/\b(annual|annually|yearly)\b/.test(value)) return { months: 12, anchor: 'obtained', graceDays: 0 };
+  return null;
+}
+
+/** "3-year cycle on the anniversary, 30-day grace" */
+export function describeRenewalRule(rule) {
+  if (!rule) return 'No scheduled renewal';
+  const cycle = rule.months % 12 === 0 ? `${rule.months / 12}-year` : `${rule.months}-month`;
+  const anchor = RENEWAL_ANCHORS.find(a => a.value === rule.anchor)?.label.toLowerCase() || RENEWAL_ANCHORS[0].label.toLowerCase();
+  return `${cycle} cycle ${anchor}${rule.graceDays > 0 ? `, ${rule.graceDays}-day grace` : ''}`;
+}
+
+/** Renewal rule for a catalog entry: the structured rule, else one read from its renewal text. */
+export function getRenewalRule(ref) {
+  if (!ref) return null;
+  if (ref.renewalRule !== undefined) return ref.renewalRule && ref.renewalRule.months > 0 ? ref.renewalRule : null;
+  return parseRenewalText(ref.renewal);
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function periodEnd(rule, from) {
+  const end = addMonths(from, rule.months);
+  return rule.anchor === 'year-end' ? `${end.slice(0, 4)}-12-31` : end;
+}
+
+/**
+ * Suggested dates for a cert obtained (or renewed) on the given dates:
+ * `expirationDate` of that period, `nextRenewal` — the first period end from
+ * today if it's kept current — and `graceUntil` when the rule allows a grace
+ * period. Anniversary rules keep the original cycle, so a renewal extends the
+ * period it falls in; other rules restart from the renewal date.
+ */
+export function suggestCertDates(rule, dateObtained, renewedOn = null) {
+  if (!rule || !dateObtained) return null;
+  const obtained = dateObtained.slice(0, 10);
+  let expirationDate;
+  if (renewedOn && rule.anchor === 'anniversary') {
+    expirationDate = periodEnd(rule, obtained);
+    while (expirationDate <= renewedOn) expirationDate = periodEnd(rule, expirationDate);
+    expirationDate = periodEnd(rule, expirationDate);
+  } else {
+    expirationDate = periodEnd(rule, renewedOn || obtained);
+  }
+  const today = new Date().toISOString().slice(0, 10);
+  let nextRenewal = expirationDate;
+  while (nextRenewal < today) nextRenewal = periodEnd(rule, nextRenewal);
+  return { expirationDate, nextRenewal, graceUntil: rule.graceDays > 0 ? addDays(nextRenewal, rule.graceDays) : null };
+}
+
+/** Renewal rule for a cert on a candidate, looked up in the catalog. */
+export function getCertRenewalRule(cert, catalog = []) {
+  return getRenewalRule(findCatalogEntry(cert, catalog));
+}
+
+// ── Renewal History (computed, never stored) ────────────────
+// Renewing a cert moves its current dates into `history` ({ dateObtained,
+// expirationDate }, oldest first), so the top-level dates are always the
+// current period.
+
+/** Every period of a cert, oldest first, ending with the current one. */
+export function getCertPeriods(cert) {
+  return [...(cert.history || []), { dateObtained: cert.dateObtained || null, expirationDate: cert.expirationDate || null }];
+}
+
+/** Date the cert was first obtained, across renewals. */
+export function getFirstObtained(cert) {
+  return getCertPeriods(cert).find(p => p.dateObtained)?.dateObtained || null;
+}
+
+/**
+ * Start of the unbroken run of periods ending with the current one. A renewal
+ * continues the run when it came before the previous period ran out (grace
+ * included). null when the cert isn't held today or has no dates.
+ */
+export function getContinuousSince(cert, employment = []) {
+  if (getCertUrgency(cert, 0, employment) === 'expired') return null;
+  const periods = getCertPeriods(cert);
+  let since = periods.at(-1).dateObtained?.slice(0, 10);
+  if (!since) return null;
+  for (let i = periods.length - 2; i >= 0; i--) {
+    const prev = periods[i];
+    if (!prev.dateObtained) break;
+    if (prev.expirationDate && addDays(prev.expirationDate.slice(0, 10), cert.graceDays || 0) < since) break;
+    since = prev.dateObtained.slice(0, 10);
+  }
+  return since;
+}
+
+/** Years (fractional) the cert has been held without a break; 0 when not held. */
+export function getYearsHeld(cert, employment = []) {
+  const since = getContinuousSince(cert, employment);
+  if (!since) return 0;
+  return Math.max(0, (Date.now() - new Date(since).getTime()) / (365.25 * 86400000));
+}
+
+/**
+ * "CAMS 5+ years" in a search: people who have held CAMS without a break for
+ * at least 5 years. certNames are the names to look for before the years;
+ * without one, cert is '' and any cert counts. rest is the remaining query.
+ * Null when the query asks for no years.
+ */
+export function parseTenureQuery(query, certNames) {
+  const match = /(\d+)\s*\+\s*(?:years?|yrs?)\b/i.exec(query);
+  if (!match) return null;
+  let before = query.slice(0, match.index).trim();
+  // Cert names are user-edited, so compare text rather than build a pattern from them
+  const fold = (text) => text.toLowerCase().replace(/\s+/g, ' ');
+  const folded = fold(before);
+  const endsWithName = (name) => folded.endsWith(name) && !/[a-z0-9]/.test(folded.charAt(folded.length - name.length - 1));
+  const cert = certNames.find(name => endsWithName(fold(name)));
+  if (cert) before = folded.slice(0, folded.length - fold(cert).length).trim();
+  return { cert: cert || '', years: Number(match[1]), rest: `${before} ${query.slice(match.index + match[0].length).trim()}`.trim() };
+}
+
+// ── Cert Catalog (computed, never stored) ───────────────────
+// The built-in entries below with any edits from the `certCatalogOverrides`
+// setting (by name), followed by the `customCertTypes` setting. Entries may
+// carry a `category` (CERT_CATEGORIES), `aliases` (other names for the same
+// cert), `satisfies` (certs it counts as — Series 66 for 63 and 65) and
+// `prerequisites` (certs normally held first).
+
+export function buildCertCatalog(customCerts = [], overrides = {}) {
+  return [
+    ...FINRA_LICENSES.map(c => ({ ...c, type: 'finra', ...overrides[c.name], name: c.name })),
+    ...COMPLIANCE_CERTS.map(c => ({ ...c, type: 'compliance', ...overrides[c.name], name: c.name })),
+    ...customCerts.map(c => ({ ...c, type: 'custom' })),
+  ];
+}
+
+/** Catalog entry a cert's name (or one of the entry's aliases) refers to; built-ins when catalog lacks it. */
+export function findCatalogEntry(cert, catalog = []) {
+  const name = String(cert.name || '').trim().toLowerCase();
+  const matches = (c) => c.name.toLowerCase() === name || (c.aliases || []).some(a => a.toLowerCase() === name);
+  return catalog.find(matches) || [...FINRA_LICENSES, ...COMPLIANCE_CERTS].find(matches);
+}
+
+/**
+ * Every cert name the given held certs count for: the names themselves, the
+ * catalog names and aliases they stand for, and what they satisfy, followed
+ * through chains.
+ */
+export function expandCertNames(names, catalog = []) {
+  const result = new Set();
+  const queue = [...names];
+  while (queue.length > 0) {
+    const name = queue.pop();
+    if (result.has(name)) continue;
+    result.add(name);
+    const entry = findCatalogEntry({ name }, catalog);
+    if (entry) queue.push(entry.name, ...(entry.aliases || []), ...(entry.satisfies || []));
+  }
+  return result;
 }
 
 // ── Pre-populated Cert Reference Data ───────────────────────
 
 export const FINRA_LICENSES = [
-  { name: 'Series 7', description: 'General Securities Representative', renewal: 'Lapses 2yr after termination', issuingBody: 'FINRA' },
-  { name: 'Series 24', description: 'General Securities Principal', renewal: 'Lapses 2yr after termination', issuingBody: 'FINRA' },
-  { name: 'Series 63', description: 'Uniform Securities Agent', renewal: 'Lapses 2yr after termination', issuingBody: 'FINRA' },
-  { name: 'Series 65', description: 'Investment Adviser Rep', renewal: 'EVEP: up to 5yr with annual CE', issuingBody: 'FINRA' },
-  { name: 'Series 66', description: 'Combined State Law', renewal: 'EVEP: up to 5yr with annual CE', issuingBody: 'FINRA' },
-  { name: 'Series 79', description: 'Investment Banking', renewal: 'Lapses 2yr after termination', issuingBody: 'FINRA' },
+  { name: 'Series 7', description: 'General Securities Representative', renewal: 'Lapses 2yr after termination', issuingBody: 'FINRA', lapseYears: 2, renewalRule: null, category: 'securities' },
+  { name: 'Series 24', description: 'General Securities Principal', renewal: 'Lapses 2yr after termination', issuingBody: 'FINRA', lapseYears: 2, renewalRule: null, category: 'securities', prerequisites: ['Series 7'] },
+  { name: 'Series 63', description: 'Uniform Securities Agent', renewal: 'Lapses 2yr after termination', issuingBody: 'FINRA', lapseYears: 2, renewalRule: null, category: 'securities' },
+  { name: 'Series 65', description: 'Investment Adviser Rep', renewal: 'EVEP: up to 5yr with annual CE', issuingBody: 'FINRA', renewalRule: null, category: 'securities' },
+  { name: 'Series 66', description: 'Combined State Law', renewal: 'EVEP: up to 5yr with annual CE', issuingBody: 'FINRA', renewalRule: null, category: 'securities', satisfies: ['Series 63', 'Series 65'], prerequisites: ['Series 7'] },
+  { name: 'Series 79', description: 'Investment Banking', renewal: 'Lapses 2yr after termination', issuingBody: 'FINRA', lapseYears: 2, renewalRule: null, category: 'securities' },
 ];
 
 export const COMPLIANCE_CERTS = [
-  { name: 'CRCM', description: 'Certified Regulatory Compliance Manager', renewal: 'Annual (CE + fee)', issuingBody: 'ABA' },
-  { name: 'CAMS', description: 'Certified Anti-Money Laundering Specialist', renewal: '3 years', issuingBody: 'ACAMS' },
-  { name: 'CFE', description: 'Certified Fraud Examiner', renewal: '2 years (20 CPE/yr)', issuingBody: 'ACFE' },
-  { name: 'CCEP', description: 'Certified Compliance & Ethics Professional', renewal: '12 months (20 CEUs)', issuingBody: 'SCCE' },
-  { name: 'CISA', description: 'Certified Information Systems Auditor', renewal: '3 years (20 CPE/yr)', issuingBody: 'ISACA' },
+  { name: 'CRCM', description: 'Certified Regulatory Compliance Manager', renewal: 'Annual (CE + fee)', issuingBody: 'ABA', renewalRule: { months: 12, anchor: 'year-end' }, category: 'regulatory' },
+  { name: 'CAMS', description: 'Certified Anti-Money Laundering Specialist', renewal: '3 years', issuingBody: 'ACAMS', renewalRule: { months: 36, anchor: 'anniversary' }, category: 'aml' },
+  { name: 'CFE', description: 'Certified Fraud Examiner', renewal: '2 years (20 CPE/yr)', issuingBody: 'ACFE', renewalRule: { months: 24, anchor: 'year-end' }, ce: { hours: 20, months: 12 }, category: 'fraud' },
+  { name: 'CCEP', description: 'Certified Compliance & Ethics Professional', renewal: '12 months (20 CEUs)', issuingBody: 'SCCE', renewalRule: { months: 12, anchor: 'anniversary' }, ce: { hours: 20, months: 12 }, category: 'ethics' },
+  { name: 'CISA', description: 'Certified Information Systems Auditor', renewal: '3 years (20 CPE/yr)', issuingBody: 'ISACA', renewalRule: { months: 36, anchor: 'year-end' }, ce: { hours: 20, months: 12 }, category: 'audit' },
+];
+
+// Groups for the cert catalog and cert dropdowns
+export const CERT_CATEGORIES = [
+  { value: 'securities', label: 'Securities licenses' },
+  { value: 'regulatory', label: 'Regulatory compliance' },
+  { value: 'aml', label: 'AML / financial crime' },
+  { value: 'fraud', label: 'Fraud' },
+  { value: 'ethics', label: 'Ethics & compliance programs' },
+  { value: 'audit', label: 'Audit & IT' },
+  { value: 'other', label: 'Other' },
+];
+
+// Form U4 disclosure questions, grouped the way BrokerCheck reports them
+export const DISCLOSURE_TYPES = [
+  { value: 'criminal', label: 'Criminal' },
+  { value: 'regulatory', label: 'Regulatory action' },
+  { value: 'civil', label: 'Civil judicial' },
+  { value: 'customer-complaint', label: 'Customer complaint / arbitration' },
+  { value: 'termination', label: 'Termination' },
+  { value: 'financial', label: 'Financial (bankruptcy, lien, judgment)' },
+  { value: 'investigation', label: 'Investigation' },
+];
+
+// `open` statuses count against a clean record until resolved
+export const DISCLOSURE_STATUSES = [
+  { value: 'pending', label: 'Pending', open: true },
+  { value: 'on-appeal', label: 'On appeal', open: true },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'dismissed', label: 'Dismissed / withdrawn' },
+];
+
+// State registration types: agent of a broker-dealer (Series 63, or 66 with
+// the 7) and investment adviser representative (Series 65 or 66)
+export const STATE_REGISTRATION_TYPES = [
+  { value: 'agent', label: 'Agent (BD)' },
+  { value: 'iar', label: 'Investment Adviser Rep' },
+];
+
+export const US_STATES = [
+  { code: 'AL', name: 'Alabama' }, { code: 'AK', name: 'Alaska' }, { code: 'AZ', name: 'Arizona' },
+  { code: 'AR', name: 'Arkansas' }, { code: 'CA', name: 'California' }, { code: 'CO', name: 'Colorado' },
+  { code: 'CT', name: 'Connecticut' }, { code: 'DE', name: 'Delaware' }, { code: 'DC', name: 'District of Columbia' },
+  { code: 'FL', name: 'Florida' }, { code: 'GA', name: 'Georgia' }, { code: 'HI', name: 'Hawaii' },
+  { code: 'ID', name: 'Idaho' }, { code: 'IL', name: 'Illinois' }, { code: 'IN', name: 'Indiana' },
+  { code: 'IA', name: 'Iowa' }, { code: 'KS', name: 'Kansas' }, { code: 'KY', name: 'Kentucky' },
+  { code: 'LA', name: 'Louisiana' }, { code: 'ME', name: 'Maine' }, { code: 'MD', name: 'Maryland' },
+  { code: 'MA', name: 'Massachusetts' }, { code: 'MI', name: 'Michigan' }, { code: 'MN', name: 'Minnesota' },
+  { code: 'MS', name: 'Mississippi' }, { code: 'MO', name: 'Missouri' }, { code: 'MT', name: 'Montana' },
+  { code: 'NE', name: 'Nebraska' }, { code: 'NV', name: 'Nevada' }, { code: 'NH', name: 'New Hampshire' },
+  { code: 'NJ', name: 'New Jersey' }, { code: 'NM', name: 'New Mexico' }, { code: 'NY', name: 'New York' },
+  { code: 'NC', name: 'North Carolina' }, { code: 'ND', name: 'North Dakota' }, { code: 'OH', name: 'Ohio' },
+  { code: 'OK', name: 'Oklahoma' }, { code: 'OR', name: 'Oregon' }, { code: 'PA', name: 'Pennsylvania' },
+  { code: 'RI', name: 'Rhode Island' }, { code: 'SC', name: 'South Carolina' }, { code: 'SD', name: 'South Dakota' },
+  { code: 'TN', name: 'Tennessee' }, { code: 'TX', name: 'Texas' }, { code: 'UT', name: 'Utah' },
+  { code: 'VT', name: 'Vermont' }, { code: 'VA', name: 'Virginia' }, { code: 'WA', name: 'Washington' },
+  { code: 'WV', name: 'West Virginia' }, { code: 'WI', name: 'Wisconsin' }, { code: 'WY', name: 'Wyoming' },
+  { code: 'PR', name: 'Puerto Rico' },
+];
+
+// How a renewal period is dated: from the date obtained (renewing restarts the
+// clock), on the original anniversary, or through the end of the calendar year
+export const RENEWAL_ANCHORS = [
+  { value: 'obtained', label: 'From date obtained' },
+  { value: 'anniversary', label: 'On the anniversary' },
+  { value: 'year-end', label: 'Through calendar year-end' },
+];
+
+// Categories for continuing education credits
+export const CE_CATEGORIES = [
+  { value: 'general', label: 'General' },
+  { value: 'ethics', label: 'Ethics' },
+  { value: 'regulatory', label: 'Regulatory' },
+  { value: 'technical', label: 'Technical' },
+];
+
+// Outcome of checking a cert with its issuer
+export const VERIFICATION_STATUSES = [
+  { value: 'unverified', label: 'Unverified' },
+  { value: 'verified', label: 'Verified' },
+  { value: 'failed', label: 'Failed' },
+];
+
+// Where a cert was checked
+export const VERIFICATION_METHODS = [
+  { value: 'brokercheck', label: 'FINRA BrokerCheck' },
+  { value: 'issuer-registry', label: 'Issuer registry / directory' },
+  { value: 'certificate', label: 'Copy of certificate' },
+  { value: 'employer', label: 'Employer confirmation' },
+  { value: 'other', label: 'Other' },
+];
+
+// Lawful bases for holding a person's data (GDPR Art. 6), for the consent fields
+export const CONSENT_BASES = [
+  { value: 'consent', label: 'Consent' },
+  { value: 'legitimate-interest', label: 'Legitimate interest' },
+  { value: 'contract', label: 'Pre-contract / contract' },
+  { value: 'legal-obligation', label: 'Legal obligation' },
 ];
 
 // Singleton
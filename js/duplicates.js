@@ -0,0 +1,403 @@
+/**
+ * duplicates.js — Fuzzy duplicate detection: scored pairs, clusters, form warning
+ *
+ * Exact email/externalId matching (import) misses people entered twice under a
+ * nickname or a different email. Pairs are scored on name similarity, email,
+ * normalized phone, employer and certification overlap. Only pairs sharing a
+ * blocking key (name prefix, phone, email) are compared, so a scan stays well
+ * below n² on large databases.
+ */
+
+import db from './db.js';
+import { toast, setHeaderTitle, setHeaderActions, escapeHtml } from './ui.js';
+
+// Pairs scoring at least this are reported; HIGH_SCORE and up are "likely"
+export const MIN_SCORE = 0.7;
+const HIGH_SCORE = 0.85;
+
+// Pairs the user marked as different people: "idA|idB" with idA < idB
+const DISMISSED_SETTING = 'dismissedDuplicates';
+
+// Comparisons between yields to the event loop during a scan
+const SCAN_CHUNK = 2000;
+
+// Weight of each signal when both records have it
+const WEIGHTS = { name: 0.45, email: 0.25, phone: 0.2, employer: 0.1, certs: 0.1 };
+
+// Common short forms, mapped to one canonical name
+const NICKNAMES = {
+  alex: 'alexander', andy: 'andrew', drew: 'andrew', tony: 'anthony', ben: 'benjamin',
+  beth: 'elizabeth', liz: 'elizabeth', lizzie: 'elizabeth', betty: 'elizabeth',
+  bill: 'william', billy: 'william', will: 'william', liam: 'william',
+  bob: 'robert', bobby: 'robert', rob: 'robert', robbie: 'robert',
+  chris: 'christopher', dan: 'daniel', danny: 'daniel', dave: 'david',
+  ed: 'edward', eddie: 'edward', ted: 'edward', greg: 'gregory', jeff: 'jeffrey',
+  jen: 'jennifer', jenny: 'jennifer', jim: 'james', jimmy: 'james', jamie: 'james',
+  joe: 'joseph', joey: 'joseph', jon: 'jonathan', john: 'jonathan', johnny: 'jonathan',
+  kate: 'katherine', katie: 'katherine', kathy: 'katherine', cathy: 'katherine', catherine: 'katherine',
+  ken: 'kenneth', larry: 'lawrence', matt: 'matthew', meg: 'margaret', peggy: 'margaret',
+  maggie: 'margaret', mike: 'michael', mick: 'michael', nick: 'nicholas',
+  pat: 'patrick', patty: 'patricia', rich: 'richard', rick: 'richard', dick: 'richard',
+  ron: 'ronald', sam: 'samuel', steve: 'stephen', steven: 'stephen', sue: 'susan',
+  susie: 'susan', tim: 'timothy', tom: 'thomas', tommy: 'thomas',
+};
+
+const EMPLOYER_SUFFIXES = new Set(['inc', 'llc', 'ltd', 'llp', 'lp', 'plc', 'corp', 'corporation', 'co', 'company', 'group', 'na', 'the']);
+
+// ── Normalization ───────────────────────────────────────────
+
+function normName(value) {
+  return String(value || '').normalize('NFKD').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// Last 10 digits, so "+1 (212) 555-0100" and "212.555.0100" compare equal
+function normPhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : '';
+}
+
+function normEmail(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+// Letters of the local part without a +tag: "jon.smith+cv@x.com" → "jonsmith"
+function emailHandle(email) {
+  return email.split('@')[0].replace(/\+.*$/, '').replace(/[^a-z]/g, '');
+}
+
+function normEmployer(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9 ]/g, ' ').split(/\s+/)
+    .filter(word => word && !EMPLOYER_SUFFIXES.has(word)).join(' ');
+}
+
+function normalize(candidate) {
+  const email = normEmail(candidate.email);
+  return {
+    candidate,
+    first: normName(candidate.firstName),
+    last: normName(candidate.lastName),
+    email,
+    handle: emailHandle(email),
+    phone: normPhone(candidate.phone),
+    employer: normEmployer(candidate.currentEmployer),
+    certs: new Set((candidate.certifications || []).map(c => c.name.toLowerCase())),
+  };
+}
+
+// ── Similarity ──────────────────────────────────────────────
+
+/** Jaro-Winkler similarity of two strings, 0–1. */
+function jaroWinkler(a, b) {
+  if (a === b) return a ? 1 : 0;
+  if (!a || !b) return 0;
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+function firstNameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if ((NICKNAMES[a] || a) === (NICKNAMES[b] || b)) return 0.95;
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  if (shorter.length === 1) return longer[0] === shorter ? 0.8 : 0;
+  if (longer.startsWith(shorter)) return 0.9;
+  return jaroWinkler(a, b);
+}
+
+function nameSimilarity(x, y) {
+  const score = (f1, l1, f2, l2) => 0.6 * jaroWinkler(l1, l2) + 0.4 * firstNameSimilarity(f1, f2);
+  // First and last name swapped on entry is a common mistake
+  return Math.max(score(x.first, x.last, y.first, y.last), 0.95 * score(x.first, x.last, y.last, y.first));
+}
+
+/**
+ * Score two normalized records: { score, reasons } where score is 0–1, the
+ * weighted mean of the signals both records have. A shared email or phone
+ * number counts as strong evidence on its own; a name alone never scores high.
+ */
+function scorePair(x, y) {
+  const name = nameSimilarity(x, y);
+  const sameEmail = !!x.email && x.email === y.email;
+  const samePhone = !!x.phone && x.phone === y.phone;
+  if (name < 0.75 && !sameEmail && !samePhone) return { score: 0, reasons: [] };
+
+  const reasons = [name === 1 ? 'Same name' : name >= 0.75 ? 'Similar name' : 'Different name'];
+  let total = WEIGHTS.name * name;
+  let weight = WEIGHTS.name;
+
+  if (x.email && y.email) {
+    // Handles like "p1" or "info9" shrink to almost nothing and prove nothing
+    const email = sameEmail ? 1 : Math.min(x.handle.length, y.handle.length) >= 3 ? jaroWinkler(x.handle, y.handle) : 0;
+    total += WEIGHTS.email * email;
+    weight += WEIGHTS.email;
+    if (sameEmail) reasons.push('Same email');
+    else if (email >= 0.85) reasons.push('Similar email');
+  }
+  if (x.phone && y.phone) {
+    total += WEIGHTS.phone * (samePhone ? 1 : 0);
+    weight += WEIGHTS.phone;
+    reasons.push(samePhone ? 'Same phone' : 'Different phone');
+  }
+  if (x.employer && y.employer) {
+    const employer = jaroWinkler(x.employer, y.employer);
+    total += WEIGHTS.employer * (employer >= 0.9 ? 1 : 0);
+    weight += WEIGHTS.employer;
+    if (employer >= 0.9) reasons.push('Same employer');
+  }
+  if (x.certs.size && y.certs.size) {
+    const shared = [...x.certs].filter(c => y.certs.has(c)).length;
+    total += WEIGHTS.certs * (shared / new Set([...x.certs, ...y.certs]).size);
+    weight += WEIGHTS.certs;
+    if (shared) reasons.push(`${shared} shared cert${shared === 1 ? '' : 's'}`);
+  }
+
+  let score = total / weight;
+  if (sameEmail || samePhone) score = Math.max(score, 0.9);
+  else if (weight === WEIGHTS.name) score = Math.min(score, MIN_SCORE);
+  return { score, reasons };
+}
+
+// Records sharing any key are compared with each other: start of the last name
+// with the first initial (nicknames resolved, so Bob meets Robert), the same
+// with first and last name swapped, phone, and email handle
+function blockingKeys(x) {
+  const initial = (name) => (NICKNAMES[name] || name).charAt(0);
+  const keys = [];
+  if (x.last) keys.push(`n:${x.last.slice(0, 3)}|${initial(x.first)}`);
+  if (x.first) keys.push(`n:${x.first.slice(0, 3)}|${initial(x.last)}`);
+  if (x.phone) keys.push('p:' + x.phone);
+  if (x.handle.length >= 4) keys.push('e:' + x.handle);
+  return new Set(keys);
+}
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+// ── Scan ────────────────────────────────────────────────────
+
+/**
+ * Find clusters of likely duplicates among candidates. Yields to the event
+ * loop between chunks and reports onProgress(done, total); returning false
+ * from onProgress stops the scan and resolves to null. Returns
+ * [{ candidates, score, pairs: [{ a, b, score, reasons }] }], strongest first.
+ */
+export async function findDuplicateClusters(candidates, { dismissed = new Set(), onProgress } = {}) {
+  const records = candidates.map(normalize);
+  const blocks = new Map();
+  records.forEach((x, i) => {
+    for (const key of blockingKeys(x)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(i);
+    }
+  });
+
+  const toCompare = new Set();
+  for (const members of blocks.values()) {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) toCompare.add(members[i] * records.length + members[j]);
+    }
+  }
+
+  const pairs = [];
+  let done = 0;
+  for (const key of toCompare) {
+    const x = records[Math.floor(key / records.length)];
+    const y = records[key % records.length];
+    if (!dismissed.has(pairKey(x.candidate.id, y.candidate.id))) {
+      const { score, reasons } = scorePair(x, y);
+      if (score >= MIN_SCORE) pairs.push({ a: x.candidate, b: y.candidate, score, reasons });
+    }
+    if (++done % SCAN_CHUNK === 0) {
+      if (onProgress?.(done, toCompare.size) === false) return null;
+      await new Promise(resolve => setTimeout(resolve));
+    }
+  }
+  if (onProgress?.(done, toCompare.size) === false) return null;
+
+  // Union-find: pairs sharing a person form one cluster
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  for (const { a, b } of pairs) {
+    if (!parent.has(a.id)) parent.set(a.id, a.id);
+    if (!parent.has(b.id)) parent.set(b.id, b.id);
+    parent.set(find(a.id), find(b.id));
+  }
+  const clusters = new Map();
+  for (const pair of pairs.sort((p, q) => q.score - p.score)) {
+    const root = find(pair.a.id);
+    if (!clusters.has(root)) clusters.set(root, { members: new Map(), score: pair.score, pairs: [] });
+    const cluster = clusters.get(root);
+    cluster.members.set(pair.a.id, pair.a).set(pair.b.id, pair.b);
+    cluster.pairs.push(pair);
+  }
+  return [...clusters.values()]
+    .map(({ members, score, pairs }) => ({ candidates: [...members.values()], score, pairs }))
+    .sort((p, q) => q.score - p.score);
+}
+
+/** Existing people who look like draft (an unsaved candidate), best match first. */
+export function findSimilarCandidates(draft, candidates, limit = 3) {
+  const x = normalize(draft);
+  return candidates
+    .filter(c => c.id !== draft.id)
+    .map(c => ({ candidate: c, ...scorePair(x, normalize(c)) }))
+    .filter(m => m.score >= MIN_SCORE)
+    .sort((p, q) => q.score - p.score)
+    .slice(0, limit);
+}
+
+async function getDismissed() {
+  return new Set(await db.getSetting(DISMISSED_SETTING) || []);
+}
+
+/** Remember that these people are not duplicates of one another. */
+async function dismissCluster(candidates) {
+  const dismissed = await getDismissed();
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) dismissed.add(pairKey(candidates[i].id, candidates[j].id));
+  }
+  await db.setSetting(DISMISSED_SETTING, [...dismissed]);
+}
+
+// ── Duplicates View ─────────────────────────────────────────
+
+let _scanId = 0; // a newer render abandons the scan of an older one
+
+function confidenceBadge(score) {
+  const high = score >= HIGH_SCORE;
+  return `<span class="duplicate-score ${high ? 'duplicate-score--high' : ''}" title="Match confidence">${high ? 'Likely' : 'Possible'} · ${Math.round(score * 100)}%</span>`;
+}
+
+export async function renderDuplicatesView() {
+  setHeaderTitle('Possible Duplicates');
+  setHeaderActions(`<a href="#/candidates" class="btn btn-secondary btn-sm">Back to People</a>`);
+  const content = document.getElementById('content');
+  const scanId = ++_scanId;
+
+  content.innerHTML = `
+    <div class="duplicates-page">
+      <p class="section-desc">People are compared by name (including nicknames and swapped names), email, phone, employer and certifications. Review a group to merge it, or mark it as different people so it isn't suggested again.</p>
+      <div id="duplicates-results"><p class="text-secondary duplicates-progress">Scanning…</p></div>
+    </div>`;
+
+  let clusters;
+  try {
+    const [candidates, dismissed] = await Promise.all([db.getAllCandidates(), getDismissed()]);
+    clusters = await findDuplicateClusters(candidates, {
+      dismissed,
+      onProgress: (done, total) => {
+        if (scanId !== _scanId) return false;
+        const progress = document.querySelector('.duplicates-progress');
+        if (progress) progress.textContent = `Scanning… ${Math.round(done / total * 100)}%`;
+      },
+    });
+  } catch (err) {
+    document.getElementById('duplicates-results').innerHTML = '<p class="text-secondary">Failed to scan for duplicates.</p>';
+    toast('Database error: ' + err.message, { type: 'error' });
+    return;
+  }
+  if (!clusters || scanId !== _scanId) return;
+
+  const container = document.getElementById('duplicates-results');
+  if (clusters.length === 0) {
+    container.innerHTML = '<div class="empty-state"><p>No likely duplicates found.</p></div>';
+    return;
+  }
+
+  container.innerHTML = `
+    <p class="section-desc">${clusters.length} possible duplicate group${clusters.length === 1 ? '' : 's'}.</p>
+    <div class="duplicate-clusters">
+      ${clusters.map((cluster, i) => `
+        <div class="duplicate-cluster" data-index="${i}">
+          <div class="duplicate-cluster-header">
+            ${confidenceBadge(cluster.score)}
+            <span class="text-secondary">${escapeHtml(cluster.pairs[0].reasons.join(' · '))}</span>
+          </div>
+          <div class="duplicate-members">
+            ${cluster.candidates.map(c => `
+              <a href="#/candidate/${escapeHtml(c.id)}" class="duplicate-member">
+                <div class="candidate-name">${escapeHtml(c.firstName)} ${escapeHtml(c.lastName)}</div>
+                <div class="candidate-meta">${[c.email, c.phone, c.currentEmployer].filter(Boolean).map(escapeHtml).join(' · ') || '—'}</div>
+              </a>
+            `).join('')}
+          </div>
+          <div class="duplicate-actions">
+            <a href="#/merge/${cluster.candidates.map(c => encodeURIComponent(c.id)).join(',')}" class="btn btn-sm btn-primary">Review &amp; Merge</a>
+            <button class="btn btn-sm btn-secondary duplicate-dismiss">Not Duplicates</button>
+          </div>
+        </div>
+      `).join('')}
+    </div>`;
+
+  container.querySelector('.duplicate-clusters').addEventListener('click', async (e) => {
+    if (!e.target.closest('.duplicate-dismiss')) return;
+    const card = e.target.closest('.duplicate-cluster');
+    try {
+      await dismissCluster(clusters[card.dataset.index].candidates);
+      card.remove();
+      toast('Marked as different people', { type: 'success' });
+    } catch (err) {
+      toast('Failed to save: ' + err.message, { type: 'error' });
+    }
+  });
+}
+
+// ── Form Warning ────────────────────────────────────────────
+
+/**
+ * Warn in container when the person being entered looks like someone already
+ * stored. Call again whenever the identifying fields change; the existing
+ * people are loaded once per form.
+ */
+export function createDuplicateWarning(container) {
+  let existing = null;
+  return async (draft) => {
+    if (!draft.firstName && !draft.lastName && !draft.email && !draft.phone) {
+      container.innerHTML = '';
+      return;
+    }
+    try {
+      existing ??= await db.getAllCandidates();
+    } catch {
+      return; // the warning is advisory; saving still works
+    }
+    const matches = findSimilarCandidates(draft, existing);
+    container.innerHTML = matches.length === 0 ? '' : `
+      <div class="duplicate-warning" role="status">
+        <strong>This person may already exist:</strong>
+        <ul>
+          ${matches.map(({ candidate: c, score, reasons }) => `
+            <li>
+              <a href="#/candidate/${escapeHtml(c.id)}" target="_blank" rel="noopener">${escapeHtml(c.firstName)} ${escapeHtml(c.lastName)}</a>
+              ${confidenceBadge(score)}
+              <span class="text-secondary">${escapeHtml(reasons.join(' · '))}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>`;
+  };
+}
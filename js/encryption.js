@@ -0,0 +1,145 @@
+/**
+ * encryption.js — Optional passphrase encryption at rest (WebCrypto AES-GCM)
+ *
+ * The sensitive fields of a record are sealed together into a single `_enc`
+ * blob ({ iv, data }, base64) and removed from the stored record, so the
+ * IndexedDB indexes on them (email, lastName) simply skip sealed records.
+ * Search terms from sealed fields are stored as keyed hashes (see search.js).
+ * Attachment files are encrypted separately into `_file` ({ iv, data: Blob })
+ * and only decrypted when opened.
+ */
+
+// Fields sealed per store; everything else stays queryable in plain text
+export const SENSITIVE_FIELDS = {
+  candidates: ['firstName', 'lastName', 'email', 'phone', 'salaryMin', 'salaryMax', 'notes', 'mergedFrom', 'crdNumber', 'disclosures'],
+  clients: ['contacts', 'notes'],
+  attachments: ['name'],
+};
+
+const PBKDF2_ITERATIONS = 600000;
+
+// Decrypting this with a derived key proves the passphrase was right
+const VERIFIER = 'compliancetrack-keyring';
+
+// ── Encoding ───────────────────────────────────────────────
+
+export function toBase64(buffer) {
+  let binary = '';
+  for (const byte of new Uint8Array(buffer)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+}
+
+// ── Keys ───────────────────────────────────────────────────
+
+/**
+ * Derive the AES-GCM key and the HMAC key for search term hashes from a
+ * passphrase. termCache memoizes hashTerm() for the lifetime of the keys.
+ */
+async function deriveKeys(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' }, material, 512
+  ));
+  const [encKey, macKey] = await Promise.all([
+    crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+    crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+  ]);
+  return { encKey, macKey, termCache: new Map() };
+}
+
+/**
+ * New keyring record (stored in the keyring store, never the passphrase)
+ * and the keys derived for it.
+ */
+export async function createKeyring(passphrase) {
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  const keys = await deriveKeys(passphrase, salt, PBKDF2_ITERATIONS);
+  const keyring = {
+    id: 'encryption',
+    salt,
+    iterations: PBKDF2_ITERATIONS,
+    verifier: await encryptJSON(keys, VERIFIER),
+    createdAt: new Date().toISOString(),
+  };
+  return { keyring, keys };
+}
+
+/** Keys for a keyring, or throws 'Wrong passphrase'. */
+export async function unlockKeyring(keyring, passphrase) {
+  const keys = await deriveKeys(passphrase, keyring.salt, keyring.iterations);
+  try {
+    if (await decryptJSON(keys, keyring.verifier) === VERIFIER) return keys;
+  } catch { /* AES-GCM authentication failed */ }
+  throw new Error('Wrong passphrase');
+}
+
+// ── Sealing ────────────────────────────────────────────────
+
+export async function encryptJSON(keys, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keys.encKey, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+export async function decryptJSON(keys, blob) {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(blob.iv) }, keys.encKey, fromBase64(blob.data));
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+/**
+ * Stored form of a record: sensitive fields moved into `_enc`. When the
+ * previously stored version holds the same sensitive values its ciphertext
+ * is reused, so unchanged records don't show an `_enc` change in the audit log.
+ */
+export async function seal(keys, storeName, record, previous = null) {
+  const rest = { ...record };
+  const secret = {};
+  for (const field of SENSITIVE_FIELDS[storeName]) {
+    if (field in rest) {
+      secret[field] = rest[field];
+      delete rest[field];
+    }
+  }
+  if (previous?._enc) {
+    try {
+      if (JSON.stringify(await decryptJSON(keys, previous._enc)) === JSON.stringify(secret)) {
+        return { ...rest, _enc: previous._enc };
+      }
+    } catch { /* sealed with other keys — re-encrypt */ }
+  }
+  return { ...rest, _enc: await encryptJSON(keys, secret) };
+}
+
+/** Plain record from its stored form (records without `_enc` pass through). */
+export async function unseal(keys, stored) {
+  if (!stored?._enc) return stored;
+  const { _enc, ...rest } = stored;
+  return { ...rest, ...await decryptJSON(keys, _enc) };
+}
+
+/** Stored form of a file: { iv, data } with the ciphertext kept as a Blob. */
+export async function encryptFile(keys, blob) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keys.encKey, await blob.arrayBuffer());
+  return { iv: toBase64(iv), data: new Blob([data]) };
+}
+
+export async function decryptFile(keys, file, type = '') {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(file.iv) }, keys.encKey, await file.data.arrayBuffer());
+  return new Blob([plain], { type });
+}
+
+/** Keyed hash of a search term, base64 of the first 128 bits of HMAC-SHA-256. */
+export async function hashTerm(keys, term) {
+  let hash = keys.termCache.get(term);
+  if (!hash) {
+    const mac = await crypto.subtle.sign('HMAC', keys.macKey, new TextEncoder().encode(term));
+    hash = toBase64(mac.slice(0, 16));
+    keys.termCache.set(term, hash);
+  }
+  return hash;
+}
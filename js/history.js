@@ -0,0 +1,85 @@
+/**
+ * history.js — Audit log rendering for the History tab on detail views
+ */
+
+import db from './db.js';
+import { escapeHtml, formatDateTime } from './ui.js';
+
+const OP_LABELS = { create: 'Created', update: 'Updated', trash: 'Moved to Trash', restore: 'Restored', delete: 'Deleted permanently' };
+
+// Fields that are noise in a human-readable history
+const HIDDEN_FIELDS = new Set(['id', 'createdAt']);
+
+const MAX_VALUE_LENGTH = 120;
+
+/**
+ * Render the change history for one record into container.
+ * entity is the store name ('candidates', 'jobs', 'clients', ...).
+ */
+export async function renderHistory(entity, entityId, container) {
+  let entries, tagNames;
+  try {
+    [entries, tagNames] = await Promise.all([
+      db.getAuditLog(entity, entityId),
+      db.getTags().then(tags => new Map(tags.map(t => [t.id, t.name]))),
+    ]);
+  } catch {
+    container.innerHTML = '<p class="text-secondary">Failed to load history.</p>';
+    return;
+  }
+
+  if (entries.length === 0) {
+    container.innerHTML = '<p class="text-secondary">No changes recorded yet.</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="history-list">
+      ${entries.map(entry => {
+        const changes = entry.changes.filter(c => !HIDDEN_FIELDS.has(c.field));
+        return `
+          <div class="history-entry">
+            <div class="history-entry-header">
+              <span class="history-op history-op--${entry.op}">${OP_LABELS[entry.op] || escapeHtml(entry.op)}</span>
+              <span class="history-date">${formatDateTime(entry.timestamp)}</span>
+            </div>
+            ${changes.length > 0 && entry.op === 'update' ? `
+            <table class="history-changes">
+              ${changes.map(c => `
+                <tr>
+                  <td class="history-field">${escapeHtml(humanizeField(c.field))}</td>
+                  <td class="history-before">${escapeHtml(formatValue(displayValue(c.field, c.before, tagNames)))}</td>
+                  <td class="history-arrow">&rarr;</td>
+                  <td class="history-after">${escapeHtml(formatValue(displayValue(c.field, c.after, tagNames)))}</td>
+                </tr>
+              `).join('')}
+            </table>` : ''}
+          </div>`;
+      }).join('')}
+    </div>`;
+}
+
+function humanizeField(field) {
+  const spaced = field.replace(/([a-z])([A-Z])/g, '$1 $2');
+  return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+}
+
+// Records store tag ids; show their current names
+function displayValue(field, value, tagNames) {
+  if (field !== 'tags' || !Array.isArray(value)) return value;
+  return value.map(id => tagNames.get(id) || '(deleted tag)');
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  let text;
+  if (Array.isArray(value)) {
+    text = value.map(v => (v && typeof v === 'object') ? (v.name || v.stage || JSON.stringify(v)) : String(v)).join(', ');
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  if (!text) return '—';
+  return text.length > MAX_VALUE_LENGTH ? text.slice(0, MAX_VALUE_LENGTH) + '…' : text;
+}
@@ -3,11 +3,15 @@
  * 4-step workflow: Upload+Map → Preview+Validate → Execute → Verify
  */
 
-import db, { DB_VERSION, validateClient, validateJob, validatePipelineEntry, validateActivity } from './db.js';
-import { setHeaderTitle, toast, openModal, closeModal, escapeHtml } from './ui.js';
+import db, { validateClient, validateJob, validatePipelineEntry, validateActivity } from './db.js';
+import { setHeaderTitle, toast, openModal, closeModal, escapeHtml, formatDate } from './ui.js';
 import { invalidateListCache } from './candidates.js';
 import { invalidateClientListCache } from './clients.js';
 import { invalidateJobListCache } from './jobs.js';
+import { migrateBackup } from './migrations.js';
+import { getActiveWorkspace, listWorkspaces } from './workspaces.js';
+import { getDataLoss, checkForDataLoss, forgetSeenData } from './storage.js';
+import { getCustomFields, parseCustomValue, formatCustomValue } from './custom-fields.js';
 
 // Load PapaParse (non-module script, available as global Papa)
 let Papa;
@@ -49,11 +53,28 @@ const CANDIDATE_FIELDS = [
   { key: 'notes', label: 'Notes' },
   { key: 'source', label: 'Source' },
   { key: 'externalId', label: 'Loxo ID / External ID' },
+  { key: 'crdNumber', label: 'CRD Number' },
 ];
 
+// Custom fields for people map to "custom.<fieldId>"
+const CUSTOM_PREFIX = 'custom.';
+
+/** CANDIDATE_FIELDS followed by the custom fields defined for people. */
+async function getImportFields() {
+  const custom = await getCustomFields('candidates');
+  return [...CANDIDATE_FIELDS, ...custom.map(field => ({ key: CUSTOM_PREFIX + field.id, label: field.label, field }))];
+}
+
+/** Value of an import field in a transformed row (custom values sit in row.custom). */
+function importValue(row, key) {
+  return key.startsWith(CUSTOM_PREFIX) ? row.custom?.[key.slice(CUSTOM_PREFIX.length)] : row[key];
+}
+
 // Auto-suggest mapping based on similar column names
-function autoSuggestMapping(csvHeader) {
+function autoSuggestMapping(csvHeader, fields) {
   const lower = csvHeader.toLowerCase().replace(/[_\-\s]+/g, '');
+  const custom = fields.find(f => f.field && f.label.toLowerCase().replace(/[_\-\s]+/g, '') === lower);
+  if (custom) return custom.key;
   const hints = {
     firstname: 'firstName', first: 'firstName', fname: 'firstName',
     lastname: 'lastName', last: 'lastName', lname: 'lastName',
@@ -68,6 +89,7 @@ function autoSuggestMapping(csvHeader) {
     notes: 'notes', note: 'notes', comments: 'notes',
     source: 'source',
     externalid: 'externalId', loxoid: 'externalId', id: 'externalId',
+    crd: 'crdNumber', crdnumber: 'crdNumber', crdno: 'crdNumber',
   };
   return hints[lower] || '';
 }
@@ -82,9 +104,16 @@ export async function renderImportExport() {
   const content = document.getElementById('content');
 
   importState = null;
+  const dataLoss = getDataLoss();
 
   content.innerHTML = `
     <div class="import-page">
+      ${dataLoss ? `
+      <div class="storage-alert" role="alert">
+        <p><strong>Your data is missing.</strong> This workspace held ${dataLoss.records} records (people, companies and jobs) on ${formatDate(dataLoss.seenAt)} and is now empty — the browser may have cleared its storage. Restore your most recent backup below.</p>
+        <button id="btn-dismiss-data-loss" class="btn btn-sm btn-secondary">I emptied it myself</button>
+      </div>
+      ` : ''}
       <div class="import-step">
         <h3>Import People from CSV</h3>
         <p class="section-desc">Upload a CSV file from Loxo or any other source. You'll map columns before importing.</p>
@@ -98,7 +127,7 @@ export async function renderImportExport() {
 
       <div class="import-step" style="margin-top: 32px;">
         <h3>Export</h3>
-        <p class="section-desc">Download a full backup of all your data as JSON.</p>
+        <p class="section-desc">Download a full backup of all your data, including attached files, as JSON.</p>
         <button id="btn-export-json" class="btn btn-primary">Export Full Backup (JSON)</button>
         <button id="btn-export-csv" class="btn btn-secondary" style="margin-left: 8px;">Export People (CSV)</button>
       </div>
@@ -114,6 +143,11 @@ export async function renderImportExport() {
     </div>
   `;
 
+  document.getElementById('btn-dismiss-data-loss')?.addEventListener('click', () => {
+    forgetSeenData();
+    renderImportExport();
+  });
+
   // CSV file upload
   const dropZone = document.getElementById('drop-zone');
   const fileInput = document.getElementById('csv-file-input');
@@ -157,6 +191,7 @@ export async function renderImportExport() {
 
 async function handleCsvUpload(file) {
   await loadPapaParse();
+  const fields = await getImportFields();
 
   Papa.parse(file, {
     header: true,
@@ -174,12 +209,13 @@ async function handleCsvUpload(file) {
         headers: results.meta.fields,
         data: results.data,
         mapping: {},
+        fields,
         fileName: file.name,
       };
 
       // Auto-suggest mappings
       for (const header of results.meta.fields) {
-        const suggestion = autoSuggestMapping(header);
+        const suggestion = autoSuggestMapping(header, fields);
         if (suggestion) importState.mapping[header] = suggestion;
       }
 
@@ -206,8 +242,8 @@ function renderMappingStep() {
           <span class="mapping-arrow">&rarr;</span>
           <select class="form-select mapping-select" data-csv-header="${escapeHtml(header)}">
             <option value="">— Skip —</option>
-            ${CANDIDATE_FIELDS.map(f => `
-              <option value="${f.key}" ${importState.mapping[header] === f.key ? 'selected' : ''}>${f.label}${f.required ? ' *' : ''}</option>
+            ${importState.fields.map(f => `
+              <option value="${escapeHtml(f.key)}" ${importState.mapping[header] === f.key ? 'selected' : ''}>${escapeHtml(f.label)}${f.required ? ' *' : ''}</option>
             `).join('')}
           </select>
         `).join('')}
@@ -250,15 +286,21 @@ async function renderPreviewStep() {
   }
 
   // Transform data
+  const customByKey = new Map(importState.fields.filter(f => f.field).map(f => [f.key, f.field]));
   const transformed = importState.data.map(row => {
     const candidate = {};
     for (const [csvHeader, appField] of Object.entries(importState.mapping)) {
       let value = sanitizeCsvValue(row[csvHeader] || '');
-      if (appField === 'skills') {
+      if (customByKey.has(appField)) {
+        const field = customByKey.get(appField);
+        candidate.custom = { ...candidate.custom, [field.id]: parseCustomValue(field, value) };
+      } else if (appField === 'skills') {
         candidate[appField] = value.split(',').map(s => s.trim()).filter(Boolean);
       } else if (appField === 'salaryMin' || appField === 'salaryMax') {
         const num = parseInt(value.replace(/[^0-9]/g, ''), 10);
         candidate[appField] = isNaN(num) ? null : num;
+      } else if (appField === 'crdNumber') {
+        candidate[appField] = value.replace(/\D/g, '');
       } else {
         candidate[appField] = value;
       }
@@ -337,14 +379,15 @@ async function renderPreviewStep() {
         <table class="preview-table">
           <thead>
             <tr>
-              ${CANDIDATE_FIELDS.filter(f => Object.values(importState.mapping).includes(f.key)).map(f => `<th>${f.label}</th>`).join('')}
+              ${importState.fields.filter(f => Object.values(importState.mapping).includes(f.key)).map(f => `<th>${escapeHtml(f.label)}</th>`).join('')}
             </tr>
           </thead>
           <tbody>
             ${previewRows.map(row => `
               <tr>
-                ${CANDIDATE_FIELDS.filter(f => Object.values(importState.mapping).includes(f.key)).map(f => {
-                  const val = Array.isArray(row[f.key]) ? row[f.key].join(', ') : (row[f.key] ?? '');
+                ${importState.fields.filter(f => Object.values(importState.mapping).includes(f.key)).map(f => {
+                  const value = importValue(row, f.key);
+                  const val = f.field ? formatCustomValue(f.field, value) : Array.isArray(value) ? value.join(', ') : (value ?? '');
                   return `<td>${escapeHtml(String(val))}</td>`;
                 }).join('')}
               </tr>
@@ -432,7 +475,9 @@ async function executeImport() {
           if (existing) {
             for (const [key, value] of Object.entries(row)) {
               if (key.startsWith('_')) continue;
-              if (value && value !== '' && (!Array.isArray(value) || value.length > 0)) {
+              if (key === 'custom') {
+                existing.custom = { ...existing.custom, ...value };
+              } else if (value && value !== '' && (!Array.isArray(value) || value.length > 0)) {
                 existing[key] = value;
               }
             }
@@ -523,13 +568,14 @@ function renderVerifyStep(created, updated, skipped, errors) {
 
 export async function handleBackup(silent = false) {
   try {
-    const data = await db.exportAll();
+    const workspace = getActiveWorkspace();
+    const data = { workspace: workspace.name, ...await db.exportAll() };
     const json = JSON.stringify(data, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `compliancetrack-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    a.download = `compliancetrack-backup-${workspaceSlug(workspace.name)}${new Date().toISOString().slice(0, 10)}.json`;
     a.click();
     URL.revokeObjectURL(url);
     if (!silent) toast('Backup downloaded', { type: 'success' });
@@ -538,20 +584,48 @@ export async function handleBackup(silent = false) {
   }
 }
 
+// Filename part naming the workspace ("aml-desk-"), empty while there is only one
+function workspaceSlug(name) {
+  if (listWorkspaces().length < 2) return '';
+  const slug = name.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug ? slug + '-' : '';
+}
+
+/** Current entries first, then the backup's entries whose id is not among them. */
+function mergeById(current, restored) {
+  const list = Array.isArray(current) ? current : [];
+  const ids = new Set(list.map(entry => entry.id));
+  return [...list, ...(Array.isArray(restored) ? restored : []).filter(entry => entry?.id && !ids.has(entry.id))];
+}
+
+// Settings whose entries records point at by id. A restore merges them into the
+// current ones instead of replacing them, so ids on existing records keep
+// resolving and entries created since the backup survive.
+const MERGED_SETTINGS = {
+  tags: mergeById,
+  customFields: (current, restored) => {
+    const entities = new Set([...Object.keys(current || {}), ...Object.keys(restored || {})]);
+    return Object.fromEntries([...entities].map(entity => [entity, mergeById(current?.[entity], restored?.[entity])]));
+  },
+};
+
 async function handleJsonRestore(file) {
   try {
     const text = await file.text();
-    const data = JSON.parse(text);
+    const parsed = JSON.parse(text);
 
     // Shape validation
-    if (!data.candidates || !Array.isArray(data.candidates)) {
+    if (!parsed.candidates || !Array.isArray(parsed.candidates)) {
       toast('Invalid backup file: missing candidates array', { type: 'error' });
       return;
     }
 
-    // Version check
-    if (data.version && data.version > DB_VERSION) {
-      toast(`Backup is from a newer version (v${data.version}). Update ComplianceTrack before restoring.`, { type: 'error' });
+    // Bring older backups up to the current record shape (throws if newer)
+    let data;
+    try {
+      data = migrateBackup(parsed);
+    } catch (err) {
+      toast(err.message, { type: 'error' });
       return;
     }
 
@@ -565,14 +639,16 @@ async function handleJsonRestore(file) {
     }
 
     const count = data.candidates.length;
-    if (!window.confirm(`This will import ${count} people from backup. Existing data will NOT be overwritten (matched by ID). Continue?`)) return;
+    const target = getActiveWorkspace().name;
+    const from = data.workspace && data.workspace !== target ? ` from the "${data.workspace}" workspace` : '';
+    if (!window.confirm(`This will import ${count} people${from} into the "${target}" workspace. Existing data will NOT be overwritten (matched by ID). Continue?`)) return;
 
     // Auto-backup current data first
     await handleBackup(true);
 
-    // Batch import — single getAllCandidates + Set lookup (avoids N+1)
-    const existing = await db.getAllCandidates();
-    const existingIds = new Set(existing.map(c => c.id));
+    // Batch import — single key scan + Set lookup (avoids N+1). Ids of trashed
+    // records count as existing, so a restore never overwrites or revives them.
+    const existingIds = new Set(await db.getAllKeys('candidates'));
     const toImport = [];
     let skipped = 0;
     for (const c of data.candidates) {
@@ -592,7 +668,7 @@ async function handleJsonRestore(file) {
     let clientsImported = 0, jobsImported = 0, pipelineImported = 0;
 
     if (data.clients && Array.isArray(data.clients)) {
-      const existingClients = new Set((await db.getAllClients()).map(c => c.id));
+      const existingClients = new Set(await db.getAllKeys('clients'));
       const toImportClients = [];
       for (const c of data.clients) {
         if (!c.id || existingClients.has(c.id)) continue;
@@ -605,7 +681,7 @@ async function handleJsonRestore(file) {
     }
 
     if (data.jobs && Array.isArray(data.jobs)) {
-      const existingJobs = new Set((await db.getAllJobs()).map(j => j.id));
+      const existingJobs = new Set(await db.getAllKeys('jobs'));
       const toImportJobs = [];
       for (const j of data.jobs) {
         if (!j.id || existingJobs.has(j.id)) continue;
@@ -618,7 +694,7 @@ async function handleJsonRestore(file) {
     }
 
     if (data.pipeline && Array.isArray(data.pipeline)) {
-      const existingPipeline = new Set((await db.getAll('pipeline')).map(p => p.id));
+      const existingPipeline = new Set(await db.getAllKeys('pipeline'));
       const toImportPipeline = [];
       for (const p of data.pipeline) {
         if (!p.id || existingPipeline.has(p.id)) continue;
@@ -633,7 +709,7 @@ async function handleJsonRestore(file) {
     // Restore activities (skip orphans whose candidateId doesn't exist)
     let activitiesImported = 0;
     if (data.activities && Array.isArray(data.activities)) {
-      const existingActivities = new Set((await db.getAllActivities()).map(a => a.id));
+      const existingActivities = new Set(await db.getAllKeys('activities'));
       const allCandidateIds = new Set((await db.getAllCandidates()).map(c => c.id));
       const toImportActivities = [];
       for (const a of data.activities) {
@@ -647,12 +723,28 @@ async function handleJsonRestore(file) {
       }
     }
 
+    // Restore audit log (history only — entries are never re-applied)
+    if (data.auditLog && Array.isArray(data.auditLog)) {
+      const existingAudit = new Set(await db.getAllKeys('auditLog'));
+      const toImportAudit = data.auditLog.filter(e => e.id && e.entity && e.entityId && !existingAudit.has(e.id));
+      if (toImportAudit.length > 0) {
+        await db.batchPut('auditLog', toImportAudit);
+      }
+    }
+
+    // Restore attached files (skips files whose record is not in this workspace)
+    let attachmentsImported = 0;
+    if (data.attachments && Array.isArray(data.attachments)) {
+      attachmentsImported = await db.importAttachments(data.attachments);
+    }
+
     // Restore settings (whitelist known keys only)
-    const SETTINGS_WHITELIST = new Set(['certAlertDays', 'customCertTypes', 'emailTemplates']);
+    const SETTINGS_WHITELIST = new Set(['certAlertDays', 'customCertTypes', 'certCatalogOverrides', 'emailTemplates', 'retentionMonths', 'trashRetentionDays', 'dismissedDuplicates', 'customFields', 'tags']);
     if (data.settings && Array.isArray(data.settings)) {
       for (const s of data.settings) {
         if (s.key && SETTINGS_WHITELIST.has(s.key) && s.value !== undefined) {
-          await db.put('settings', s);
+          const merge = MERGED_SETTINGS[s.key];
+          await db.put('settings', merge ? { ...s, value: merge(await db.getSetting(s.key), s.value) } : s);
         }
       }
     }
@@ -660,12 +752,14 @@ async function handleJsonRestore(file) {
     invalidateListCache();
     invalidateClientListCache();
     invalidateJobListCache();
+    await checkForDataLoss();  // the workspace holds data again
 
     const parts = [`${toImport.length} people`];
     if (clientsImported > 0) parts.push(`${clientsImported} clients`);
     if (jobsImported > 0) parts.push(`${jobsImported} jobs`);
     if (pipelineImported > 0) parts.push(`${pipelineImported} pipeline entries`);
     if (activitiesImported > 0) parts.push(`${activitiesImported} activities`);
+    if (attachmentsImported > 0) parts.push(`${attachmentsImported} files`);
     toast(`Restored ${parts.join(', ')}${skipped > 0 ? ` (${skipped} people already existed)` : ''}`, { type: 'success' });
     renderImportExport();
   } catch (err) {
@@ -684,6 +778,8 @@ async function handleCsvExport() {
       toast('No people to export', { type: 'info' });
       return;
     }
+    const customFields = await getCustomFields('candidates');
+    const tagNames = new Map((await db.getTags()).map(t => [t.id, t.name]));
 
     const rows = candidates.map(c => ({
       'First Name': c.firstName,
@@ -700,6 +796,9 @@ async function handleCsvExport() {
       'Notes': c.notes,
       'Source': c.source,
       'External ID': c.externalId || '',
+      'CRD Number': c.crdNumber || '',
+      'Tags': (c.tags || []).map(id => tagNames.get(id)).filter(Boolean).join(', '),
+      ...Object.fromEntries(customFields.map(field => [field.label, formatCustomValue(field, c.custom?.[field.id])])),
       'Created': c.createdAt,
       'Updated': c.updatedAt,
     }));
@@ -2,35 +2,64 @@
  * jobs.js — Job/requisition CRUD, list view, detail view, form
  */
 
-import db, { FINRA_LICENSES, COMPLIANCE_CERTS } from './db.js';
-import { openModal, closeModal, toast, escapeHtml, formatDate, setHeaderTitle, setHeaderActions, SearchController, markDirty, clearDirty, detailField, confirm } from './ui.js';
+import db, { US_STATES, getOpenDisclosures } from './db.js';
+import { openModal, closeModal, toast, toastConflict, escapeHtml, formatDate, setHeaderTitle, setHeaderActions, SearchController, markDirty, clearDirty, detailField, confirm, initTabs, renderLoadMore, createSelection } from './ui.js';
+import { renderHistory } from './history.js';
+import { getCustomFields, renderCustomFieldInputs, collectCustomFieldValues, renderCustomFieldDetails, renderCustomFilters, matchesCustomFilters } from './custom-fields.js';
+import { renderTagChips, renderTagDetailField, renderTagPicker, collectTagIds, renderTagFilter, hasTag, openBulkTagModal } from './tags.js';
+import { renderAttachments } from './attachments.js';
+import { getCertCatalog } from './cert-catalog.js';
 
 // ── Cert Options ───────────────────────────────────────────
 
 async function getAllCertOptions() {
-  const customCerts = (await db.getSetting('customCertTypes')) || [];
-  return [
-    ...FINRA_LICENSES.map(c => c.name),
-    ...COMPLIANCE_CERTS.map(c => c.name),
-    ...customCerts.map(c => c.name),
-  ];
+  return (await getCertCatalog()).map(c => c.name);
 }
 
 // ── List View ──────────────────────────────────────────────
 
+// Pages loaded so far for one set of filters: { key, items, next }
 let _listCache = null;
 
+let customFields = [];  // definitions for jobs, loaded with the list
+let customFilters = {}; // custom field id → chosen value
+let filterTag = '';
+let tags = [];          // the shared tag list, loaded with the list
+
 export function invalidateJobListCache() { _listCache = null; }
 
+// Most recently updated first; a status filter walks the [status, updatedAt] index,
+// tag and custom field filters are a predicate
+function jobListQuery(status) {
+  const filter = filterTag || Object.values(customFilters).some(Boolean)
+    ? (j => hasTag(j, filterTag) && matchesCustomFilters(j, customFields, customFilters))
+    : null;
+  return status
+    ? { index: 'statusUpdated', equals: [status], direction: 'prev', filter }
+    : { index: 'updatedAt', direction: 'prev', filter };
+}
+
+/** First page for status (cached), or with more = true the next page appended. */
+async function loadJobPages(status, more = false) {
+  const key = `${status}|${filterTag}|${JSON.stringify(customFilters)}`;
+  if (!more && _listCache?.key === key) return _listCache;
+  const { items, next } = await db.query('jobs', { ...jobListQuery(status), after: more ? _listCache.next : null });
+  _listCache = { key, items: more ? [..._listCache.items, ...items] : items, next };
+  return _listCache;
+}
+
 export async function renderJobList() {
   setHeaderTitle('Jobs');
   setHeaderActions('<a href="#/job/new" class="btn btn-primary btn-sm">+ New Job</a>');
   const content = document.getElementById('content');
 
-  let jobs, clients;
+  let firstPage, clients;
   try {
-    jobs = _listCache || await db.getAllJobs();
-    _listCache = jobs;
+    customFields = await getCustomFields('jobs');
+    customFilters = {};
+    filterTag = '';
+    tags = await db.getTags();
+    firstPage = await loadJobPages('');
     clients = await db.getAllClients();
   } catch (err) {
     content.innerHTML = `<div class="empty-state"><p>Failed to load jobs.</p></div>`;
@@ -38,7 +67,7 @@ export async function renderJobList() {
     return;
   }
 
-  if (jobs.length === 0) {
+  if (firstPage.items.length === 0) {
     content.innerHTML = `
       <div class="empty-state">
         <h2>No jobs yet</h2>
@@ -49,7 +78,6 @@ export async function renderJobList() {
   }
 
   const clientMap = new Map(clients.map(c => [c.id, c.companyName]));
-  const sorted = jobs.slice().sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
 
   content.innerHTML = `
     <div class="search-bar">
@@ -61,12 +89,22 @@ export async function renderJobList() {
         <option value="filled">Filled</option>
         <option value="cancelled">Cancelled</option>
       </select>
+      ${renderTagFilter(tags)}
+      ${renderCustomFilters(customFields)}
     </div>
+    <div id="job-selection" class="selection-bar" hidden></div>
     <div id="job-list-container" class="candidate-list"></div>`;
 
   const listContainer = document.getElementById('job-list-container');
+  const selection = createSelection(listContainer, document.getElementById('job-selection'), [{
+    label: 'Tag…',
+    run: (ids) => openBulkTagModal('jobs', ids, () => {
+      _listCache = null;
+      renderJobList();
+    }),
+  }]);
 
-  function renderRows(list) {
+  function renderRows(list, hasMore = false) {
     if (list.length === 0) {
       listContainer.innerHTML = `<div class="empty-state"><p>No jobs match your search.</p></div>`;
       return;
@@ -75,44 +113,80 @@ export async function renderJobList() {
       const clientName = clientMap.get(j.clientId) || '';
       const statusClass = j.status === 'open' ? 'active' : j.status === 'filled' ? 'active' : 'expired';
       return `
-        <a href="#/job/${j.id}" class="candidate-row">
-          <div class="candidate-name">${escapeHtml(j.title)}</div>
-          <div class="candidate-meta">
-            ${clientName ? escapeHtml(clientName) + ' — ' : ''}
-            <span class="cert-badge cert-badge--sm cert-badge--${statusClass}">${escapeHtml(j.status)}</span>
-            ${j.location ? ` — ${escapeHtml(j.location)}` : ''}
-            ${j.remote ? ' (Remote)' : ''}
-          </div>
-          <div class="candidate-certs">
-            ${(j.requiredCerts || []).slice(0, 3).map(c => `<span class="cert-badge cert-badge--sm">${escapeHtml(c)}</span>`).join('')}
-            ${(j.requiredCerts || []).length > 3 ? `<span class="cert-badge cert-badge--sm cert-badge--more">+${j.requiredCerts.length - 3}</span>` : ''}
-          </div>
-        </a>`;
+        <div class="list-row-wrap">
+          ${selection.box(j.id, j.title)}
+          <a href="#/job/${j.id}" class="candidate-row">
+            <div class="candidate-name">${escapeHtml(j.title)}</div>
+            <div class="candidate-meta">
+              ${clientName ? escapeHtml(clientName) + ' — ' : ''}
+              <span class="cert-badge cert-badge--sm cert-badge--${statusClass}">${escapeHtml(j.status)}</span>
+              ${j.location ? ` — ${escapeHtml(j.location)}` : ''}
+              ${j.remote ? ' (Remote)' : ''}
+            </div>
+            ${renderTagChips(j.tags, tags)}
+            <div class="candidate-certs">
+              ${(j.requiredCerts || []).slice(0, 3).map(c => `<span class="cert-badge cert-badge--sm">${escapeHtml(c)}</span>`).join('')}
+              ${(j.requiredCerts || []).length > 3 ? `<span class="cert-badge cert-badge--sm cert-badge--more">+${j.requiredCerts.length - 3}</span>` : ''}
+            </div>
+          </a>
+        </div>`;
     }).join('');
+    renderLoadMore(listContainer, hasMore, async () => {
+      const page = await loadJobPages(statusFilter.value, true);
+      renderRows(page.items, !!page.next);
+    });
   }
 
-  renderRows(sorted);
-
   // Search + filter
   const searchInput = document.getElementById('job-search');
   const statusFilter = document.getElementById('job-status-filter');
 
-  function applyFilters() {
-    const q = searchInput.value.toLowerCase();
-    const status = statusFilter.value;
-    const filtered = sorted.filter(j => {
-      if (status && j.status !== status) return false;
-      if (!q) return true;
-      const clientName = (clientMap.get(j.clientId) || '').toLowerCase();
-      return j.title.toLowerCase().includes(q) ||
-        clientName.includes(q) ||
-        (j.location || '').toLowerCase().includes(q);
-    });
-    renderRows(filtered);
+  renderRows(firstPage.items, !!firstPage.next);
+
+  // Jobs matching the query on their own fields or their company's, best match first
+  async function searchJobs(query) {
+    const hits = await db.search(query, { entities: ['jobs', 'clients'] });
+    const direct = new Map((await db.getMany('jobs', hits.filter(h => h.entity === 'jobs').map(h => h.id))).map(j => [j.id, j]));
+    const byClient = new Map(await Promise.all(
+      hits.filter(h => h.entity === 'clients').map(async h => [h.id, await db.getJobsByClient(h.id)])
+    ));
+    const ranked = new Map();
+    for (const hit of hits) {
+      const matched = hit.entity === 'jobs' ? [direct.get(hit.id)].filter(Boolean) : byClient.get(hit.id);
+      for (const j of matched) {
+        if (!ranked.has(j.id)) ranked.set(j.id, j);
+      }
+    }
+    return [...ranked.values()];
   }
 
-  searchInput.addEventListener('input', applyFilters);
-  statusFilter.addEventListener('change', applyFilters);
+  // Search results are filtered in memory; otherwise page through the status index
+  const sc = new SearchController(async (results) => {
+    const status = statusFilter.value;
+    if (results) {
+      renderRows(results.filter(j => (!status || j.status === status) && hasTag(j, filterTag) && matchesCustomFilters(j, customFields, customFilters)));
+      return;
+    }
+    try {
+      const page = await loadJobPages(status);
+      renderRows(page.items, !!page.next);
+    } catch (err) {
+      toast('Database error: ' + err.message, { type: 'error' });
+    }
+  });
+
+  searchInput.addEventListener('input', () => sc.search(searchInput.value, searchJobs));
+  statusFilter.addEventListener('change', () => sc.search(searchInput.value, searchJobs, 0));
+  content.querySelectorAll('.custom-filter').forEach(select => {
+    select.addEventListener('change', () => {
+      customFilters = { ...customFilters, [select.dataset.field]: select.value };
+      sc.search(searchInput.value, searchJobs, 0);
+    });
+  });
+  content.querySelector('.tag-filter')?.addEventListener('change', (e) => {
+    filterTag = e.target.value;
+    sc.search(searchInput.value, searchJobs, 0);
+  });
 }
 
 // ── Detail View ────────────────────────────────────────────
@@ -121,7 +195,7 @@ export async function renderJobDetail(id) {
   setHeaderTitle('Job');
   const content = document.getElementById('content');
 
-  let job, client, pipelineEntries, candidates;
+  let job, client, pipelineEntries, candidates, fields, allTags;
   try {
     job = await db.getJob(id);
     if (!job) {
@@ -131,6 +205,8 @@ export async function renderJobDetail(id) {
     client = job.clientId ? await db.getClient(job.clientId) : null;
     pipelineEntries = await db.getPipelineByJob(id);
     candidates = await db.getAllCandidates();
+    fields = await getCustomFields('jobs');
+    allTags = await db.getTags();
   } catch (err) {
     content.innerHTML = `<div class="empty-state"><p>Failed to load job.</p></div>`;
     toast('Error: ' + err.message, { type: 'error' });
@@ -165,6 +241,12 @@ export async function renderJobDetail(id) {
 
   content.innerHTML = `
     <div class="detail-page">
+      <div class="tab-bar">
+        <button class="tab-btn active" data-tab="details">Details</button>
+        <button class="tab-btn" data-tab="history">History</button>
+      </div>
+
+      <div class="tab-panel" data-tab="details">
       <div class="detail-section">
         <h2 class="section-title">Job Info</h2>
         <div class="detail-grid">
@@ -174,6 +256,8 @@ export async function renderJobDetail(id) {
           ${detailField('Location', (job.location || '') + (job.remote ? ' (Remote)' : ''))}
           ${detailField('Compensation', compDisplay)}
           ${detailField('Added', formatDate(job.createdAt))}
+          ${renderCustomFieldDetails(fields, job.custom)}
+          ${renderTagDetailField(job.tags, allTags)}
         </div>
       </div>
 
@@ -193,12 +277,17 @@ export async function renderJobDetail(id) {
         <h2 class="section-title">Certifications</h2>
         <div class="cert-requirements">
           ${(job.requiredCerts || []).length > 0 ? `
-            <div><strong>Required:</strong> ${job.requiredCerts.map(c => `<span class="cert-badge">${escapeHtml(c)}</span>`).join(' ')}</div>
+            <div><strong>Required:</strong> ${job.requiredCerts.map(c => `<span class="cert-badge">${escapeHtml(c)}${job.requiredCertYears?.[c] ? ` ${job.requiredCertYears[c]}+ yrs` : ''}</span>`).join(' ')}</div>
           ` : ''}
           ${(job.preferredCerts || []).length > 0 ? `
             <div style="margin-top: 4px;"><strong>Preferred:</strong> ${job.preferredCerts.map(c => `<span class="cert-badge cert-badge--sm">${escapeHtml(c)}</span>`).join(' ')}</div>
           ` : ''}
-          ${(job.requiredCerts || []).length === 0 && (job.preferredCerts || []).length === 0 ? '<p class="text-secondary">No certification requirements set.</p>' : ''}
+          ${(job.requiredStates || []).length > 0 ? `
+            <div style="margin-top: 4px;"><strong>Required states:</strong> ${job.requiredStates.map(s => `<span class="cert-badge cert-badge--sm" title="${escapeHtml(US_STATES.find(u => u.code === s)?.name || s)}">${escapeHtml(s)}</span>`).join(' ')}</div>
+          ` : ''}
+          ${job.requiresCleanRecord ? '<div style="margin-top: 4px;"><strong>Clean regulatory record required</strong></div>' : ''}
+          ${job.verifiedCertsOnly ? '<div style="margin-top: 4px;"><strong>Only verified certs count toward the match</strong></div>' : ''}
+          ${(job.requiredCerts || []).length === 0 && (job.preferredCerts || []).length === 0 && (job.requiredStates || []).length === 0 && !job.requiresCleanRecord ? '<p class="text-secondary">No certification requirements set.</p>' : ''}
         </div>
       </div>
 
@@ -232,17 +321,44 @@ export async function renderJobDetail(id) {
         ` : `<p class="text-secondary">No candidates in pipeline yet.</p>`}
         <button id="btn-add-to-pipeline" class="btn btn-secondary btn-sm" style="margin-top: 8px;">+ Add Candidate</button>
       </div>
+
+      <div class="detail-section">
+        <h2 class="section-title">Files</h2>
+        <div id="attachments-container"></div>
+      </div>
+      </div>
+
+      <div class="tab-panel" data-tab="history" hidden>
+        <div id="history-container"></div>
+      </div>
     </div>
   `;
 
+  initTabs(content, (tab) => {
+    if (tab === 'history') renderHistory('jobs', id, document.getElementById('history-container'));
+  });
+  renderAttachments(document.getElementById('attachments-container'), 'jobs', id);
+
   // Delete handler
   document.getElementById('btn-delete-job').addEventListener('click', async () => {
-    if (!await confirm(`Delete "${job.title}" and all pipeline entries?`)) return;
+    if (!await confirm(`Move "${job.title}" and its pipeline entries to the Trash?`)) return;
     try {
-      await db.deletePipelineByJob(id);
       await db.deleteJob(id);
       _listCache = null;
-      toast('Job deleted', { type: 'info' });
+      toast('Job moved to Trash', {
+        type: 'info',
+        duration: 10000,
+        actionLabel: 'Undo',
+        action: async () => {
+          try {
+            await db.restoreFromTrash('jobs', id);
+            _listCache = null;
+            location.hash = `#/job/${id}`;
+          } catch (err) {
+            toast('Failed to restore: ' + err.message, { type: 'error' });
+          }
+        },
+      });
       location.hash = '#/jobs';
     } catch (err) {
       toast('Failed to delete: ' + err.message, { type: 'error' });
@@ -277,10 +393,17 @@ function showAddToPipelineModal(job, candidates, existingEntries) {
 
   const listEl = body.querySelector('#pipeline-candidates');
 
+  // People with open disclosures need a second click when the job requires a clean record
+  const openDisclosures = (c) => job.requiresCleanRecord ? getOpenDisclosures(c).length : 0;
+  let warnedId = null;
+
   function renderList(list) {
     listEl.innerHTML = list.map(c => `
       <div class="candidate-row candidate-row--selectable" data-id="${c.id}" style="cursor: pointer;">
-        <div class="candidate-name">${escapeHtml(c.firstName)} ${escapeHtml(c.lastName)}</div>
+        <div class="candidate-name">
+          ${escapeHtml(c.firstName)} ${escapeHtml(c.lastName)}
+          ${openDisclosures(c) ? `<span class="disclosure-flag">${openDisclosures(c)} open ${openDisclosures(c) === 1 ? 'disclosure' : 'disclosures'}</span>` : ''}
+        </div>
         <div class="candidate-meta">${escapeHtml(c.currentTitle || '')}${c.currentEmployer ? ` at ${escapeHtml(c.currentEmployer)}` : ''}</div>
       </div>
     `).join('');
@@ -301,6 +424,13 @@ function showAddToPipelineModal(job, candidates, existingEntries) {
     const row = e.target.closest('.candidate-row--selectable');
     if (!row) return;
     const candidateId = row.dataset.id;
+    const candidate = sorted.find(c => c.id === candidateId);
+    if (openDisclosures(candidate) && warnedId !== candidateId) {
+      warnedId = candidateId;
+      listEl.querySelector('.disclosure-warning')?.remove();
+      row.insertAdjacentHTML('afterend', `<p class="disclosure-warning">${escapeHtml(candidate.firstName)} ${escapeHtml(candidate.lastName)} has open regulatory disclosures and this job requires a clean record. Click again to add anyway.</p>`);
+      return;
+    }
     try {
       await db.addToPipeline({
         candidateId,
@@ -328,11 +458,13 @@ export async function renderJobForm(id) {
   const content = document.getElementById('content');
   const isEdit = !!id;
   let job = null;
-  let clients, certOptions;
+  let clients, certOptions, fields, allTags;
 
   try {
     clients = await db.getAllClients();
     certOptions = await getAllCertOptions();
+    fields = await getCustomFields('jobs');
+    allTags = await db.getTags();
     if (isEdit) {
       job = await db.getJob(id);
       if (!job) {
@@ -357,6 +489,7 @@ export async function renderJobForm(id) {
     .join('');
 
   const reqCerts = isEdit ? (job.requiredCerts || []) : [];
+  const reqStates = isEdit ? (job.requiredStates || []) : [];
   const prefCerts = isEdit ? (job.preferredCerts || []) : [];
   const stages = isEdit ? (job.stages || []) : [...db.constructor.DEFAULT_STAGES];
 
@@ -394,6 +527,11 @@ export async function renderJobForm(id) {
             </label>
           </div>
         </div>
+        ${renderCustomFieldInputs(fields, job?.custom)}
+        <div class="form-group">
+          <span class="custom-field-label">Tags</span>
+          ${renderTagPicker(allTags, job?.tags)}
+        </div>
       </div>
 
       <div class="detail-section">
@@ -440,7 +578,17 @@ export async function renderJobForm(id) {
             <label>Preferred Certifications</label>
             <div id="preferred-certs-container" class="cert-picker"></div>
           </div>
+          <div class="form-group">
+            <label>Required States</label>
+            <div id="required-states-container" class="cert-picker"></div>
+          </div>
         </div>
+        <label class="checkbox-label">
+          <input type="checkbox" id="requiresCleanRecord" name="requiresCleanRecord" ${isEdit && job.requiresCleanRecord ? 'checked' : ''}> Requires a clean regulatory record (warn when adding people with open disclosures)
+        </label>
+        <label class="checkbox-label">
+          <input type="checkbox" id="verifiedCertsOnly" name="verifiedCertsOnly" ${isEdit && job.verifiedCertsOnly ? 'checked' : ''}> Count only verified certs toward the pipeline cert match
+        </label>
       </div>
 
       <div class="detail-section">
@@ -458,8 +606,9 @@ export async function renderJobForm(id) {
   `;
 
   // Cert pickers
-  initCertPicker('required-certs-container', certOptions, reqCerts);
+  initCertPicker('required-certs-container', certOptions, reqCerts, undefined, { ...(job?.requiredCertYears || {}) });
   initCertPicker('preferred-certs-container', certOptions, prefCerts);
+  initCertPicker('required-states-container', US_STATES.map(s => s.code), reqStates, '+ Add state…');
 
   // Stages
   let stageData = [...stages];
@@ -518,11 +667,17 @@ export async function renderJobForm(id) {
       description: form.description.value.trim(),
       requirements: form.requirements.value.trim(),
       requiredCerts: collectCertPicker('required-certs-container'),
+      requiredCertYears: collectCertYears('required-certs-container'),
       preferredCerts: collectCertPicker('preferred-certs-container'),
+      requiredStates: collectCertPicker('required-states-container'),
+      requiresCleanRecord: form.requiresCleanRecord.checked,
+      verifiedCertsOnly: form.verifiedCertsOnly.checked,
       stages: stageData.length > 0 ? stageData : [...db.constructor.DEFAULT_STAGES],
+      custom: collectCustomFieldValues(form, fields, job?.custom),
     };
 
     try {
+      data.tags = await collectTagIds(form, allTags);
       if (isEdit) {
         const oldStatus = job.status;
         Object.assign(job, data);
@@ -539,6 +694,7 @@ export async function renderJobForm(id) {
       clearDirty();
       location.hash = `#/job/${id}`;
     } catch (err) {
+      if (toastConflict(err, () => { clearDirty(); renderJobForm(id); })) return;
       toast('Error: ' + err.message, { type: 'error' });
     }
   });
@@ -546,7 +702,8 @@ export async function renderJobForm(id) {
 
 // ── Cert Picker Component ──────────────────────────────────
 
-function initCertPicker(containerId, options, selected) {
+// With minYears (cert name → years), each picked cert also takes a minimum years held
+function initCertPicker(containerId, options, selected, placeholder = '+ Add certification…', minYears = null) {
   const container = document.getElementById(containerId);
   let selectedSet = new Set(selected);
 
@@ -554,11 +711,11 @@ function initCertPicker(containerId, options, selected) {
     container.innerHTML = `
       <div class="cert-picker-selected">
         ${Array.from(selectedSet).map(name => `
-          <span class="cert-badge cert-badge--removable">${escapeHtml(name)} <button type="button" class="cert-remove" data-name="${escapeHtml(name)}">&times;</button></span>
+          <span class="cert-badge cert-badge--removable">${escapeHtml(name)}${minYears ? ` <input type="number" class="cert-years" data-name="${escapeHtml(name)}" min="1" step="1" placeholder="yrs" title="Minimum years held" aria-label="Minimum years holding ${escapeHtml(name)}" value="${minYears[name] || ''}">` : ''} <button type="button" class="cert-remove" data-name="${escapeHtml(name)}">&times;</button></span>
         `).join('')}
       </div>
       <select class="form-input form-input--sm cert-add-select">
-        <option value="">+ Add certification…</option>
+        <option value="">${escapeHtml(placeholder)}</option>
         ${options.filter(o => !selectedSet.has(o)).map(o => `<option value="${escapeHtml(o)}">${escapeHtml(o)}</option>`).join('')}
       </select>
     `;
@@ -570,10 +727,16 @@ function initCertPicker(containerId, options, selected) {
     const btn = e.target.closest('.cert-remove');
     if (!btn) return;
     selectedSet.delete(btn.dataset.name);
+    if (minYears) delete minYears[btn.dataset.name];
     render();
     markDirty();
   });
 
+  container.addEventListener('input', (e) => {
+    if (!minYears || !e.target.classList.contains('cert-years')) return;
+    minYears[e.target.dataset.name] = e.target.value;
+  });
+
   container.addEventListener('change', (e) => {
     if (!e.target.classList.contains('cert-add-select')) return;
     const val = e.target.value;
@@ -585,6 +748,14 @@ function initCertPicker(containerId, options, selected) {
   });
 }
 
+/** Minimum years entered per picked cert; blank entries are left out. */
+function collectCertYears(containerId) {
+  const container = document.getElementById(containerId);
+  return Object.fromEntries(Array.from(container.querySelectorAll('.cert-years'))
+    .filter(input => Number(input.value) > 0)
+    .map(input => [input.dataset.name, Number(input.value)]));
+}
+
 function collectCertPicker(containerId) {
   const container = document.getElementById(containerId);
   return Array.from(container.querySelectorAll('.cert-badge--removable')).map(el => {
@@ -0,0 +1,173 @@
+/**
+ * merge.js — Merge duplicate people: pick a survivor and field-by-field winners
+ */
+
+import db, { MERGE_FIELDS, CONSENT_BASES } from './db.js';
+import { confirm, toast, setHeaderTitle, setHeaderActions, formatDate, escapeHtml } from './ui.js';
+import { invalidateListCache } from './candidates.js';
+
+const FIELD_LABELS = {
+  firstName: 'First Name',
+  lastName: 'Last Name',
+  email: 'Email',
+  phone: 'Phone',
+  currentTitle: 'Title',
+  currentEmployer: 'Employer',
+  location: 'Location',
+  source: 'Source',
+  salaryMin: 'Salary Min',
+  salaryMax: 'Salary Max',
+  notes: 'Notes',
+  externalId: 'Loxo ID',
+  crdNumber: 'CRD Number',
+  consentBasis: 'Lawful Basis',
+  consentDate: 'Consent Date',
+  consentSource: 'Consent Source',
+};
+
+const isEmpty = (value) => value == null || value === '';
+
+function formatValue(field, value) {
+  if (isEmpty(value)) return '<span class="text-tertiary">—</span>';
+  if (field === 'consentDate') return formatDate(value);
+  if (field === 'consentBasis') return escapeHtml(CONSENT_BASES.find(b => b.value === value)?.label || value);
+  if (field === 'salaryMin' || field === 'salaryMax') return `$${Number(value).toLocaleString()}`;
+  return escapeHtml(String(value));
+}
+
+// ── Merge View ──────────────────────────────────────────────
+
+export async function renderMergeView(ids) {
+  setHeaderTitle('Merge People');
+  setHeaderActions(`<a href="#/candidates" class="btn btn-secondary btn-sm">Cancel</a>`);
+  const content = document.getElementById('content');
+
+  let people, counts;
+  try {
+    people = await db.getMany('candidates', [...new Set(ids)]);
+    counts = await Promise.all(people.map(async c => ({
+      pipeline: (await db.getPipelineByCandidate(c.id)).length,
+      activities: (await db.getActivitiesByCandidate(c.id)).length,
+    })));
+  } catch (err) {
+    content.innerHTML = `<div class="empty-state"><p>Failed to load people.</p></div>`;
+    toast('Database error: ' + err.message, { type: 'error' });
+    return;
+  }
+
+  if (people.length < 2) {
+    content.innerHTML = `
+      <div class="empty-state">
+        <p>Select at least two people to merge. Some of the selected people may have been deleted.</p>
+        <a href="#/candidates" class="btn btn-primary">Back to People</a>
+      </div>`;
+    return;
+  }
+
+  // The oldest record survives by default, so links to it keep working
+  let survivorId = [...people].sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0].id;
+  const differing = MERGE_FIELDS.filter(f => new Set(people.map(c => JSON.stringify(c[f] ?? ''))).size > 1);
+  const choices = {};
+
+  const defaultChoices = () => {
+    const survivor = people.find(c => c.id === survivorId);
+    for (const field of differing) {
+      choices[field] = isEmpty(survivor[field]) ? (people.find(c => !isEmpty(c[field])) || survivor).id : survivorId;
+    }
+  };
+  defaultChoices();
+
+  const certNames = [...new Set(people.flatMap(c => (c.certifications || []).map(cert => cert.name)))];
+  const skills = [...new Map(people.flatMap(c => c.skills || []).map(s => [s.toLowerCase(), s])).values()];
+
+  const render = () => {
+    content.innerHTML = `
+      <div class="merge-page">
+        <p class="section-desc">The kept record takes the values chosen below. Certifications (with their renewal history), employment history, state registrations, skills and custom fields are combined, and pipeline entries and activities move to it. The other records are deleted and listed on the kept one.</p>
+        <div class="table-wrapper">
+          <table class="data-table merge-table">
+            <thead>
+              <tr>
+                <th></th>
+                ${people.map(c => `
+                  <th class="${c.id === survivorId ? 'merge-survivor' : ''}">
+                    <label class="merge-choice">
+                      <input type="radio" name="survivor" value="${escapeHtml(c.id)}" ${c.id === survivorId ? 'checked' : ''}>
+                      <span>${c.id === survivorId ? 'Keep this record' : 'Merge into kept'}</span>
+                    </label>
+                    <div class="text-secondary">Created ${formatDate(c.createdAt)}</div>
+                  </th>
+                `).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${MERGE_FIELDS.map(field => `
+                <tr class="${differing.includes(field) ? 'merge-differs' : ''}">
+                  <th scope="row">${FIELD_LABELS[field]}</th>
+                  ${people.map(c => `
+                    <td class="${c.id === survivorId ? 'merge-survivor' : ''}">
+                      ${differing.includes(field) ? `
+                        <label class="merge-choice">
+                          <input type="radio" name="field-${field}" value="${escapeHtml(c.id)}" ${choices[field] === c.id ? 'checked' : ''}>
+                          <span>${formatValue(field, c[field])}</span>
+                        </label>
+                      ` : formatValue(field, c[field])}
+                    </td>
+                  `).join('')}
+                </tr>
+              `).join('')}
+              <tr>
+                <th scope="row">Certifications</th>
+                ${people.map(c => `<td class="${c.id === survivorId ? 'merge-survivor' : ''}">${escapeHtml((c.certifications || []).map(cert => cert.name).join(', ')) || '<span class="text-tertiary">—</span>'}</td>`).join('')}
+              </tr>
+              <tr>
+                <th scope="row">Pipeline / Activities</th>
+                ${people.map((c, i) => `<td class="${c.id === survivorId ? 'merge-survivor' : ''}">${counts[i].pipeline} / ${counts[i].activities}</td>`).join('')}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+        <div class="merge-summary">
+          <div><strong>Certifications after merge:</strong> ${escapeHtml(certNames.join(', ')) || 'None'}</div>
+          <div><strong>Skills after merge:</strong> ${escapeHtml(skills.join(', ')) || 'None'}</div>
+        </div>
+        <div class="form-actions">
+          <a href="#/candidates" class="btn btn-secondary">Cancel</a>
+          <button id="btn-merge" class="btn btn-primary">Merge ${people.length} People</button>
+        </div>
+      </div>`;
+
+    content.querySelectorAll('input[name="survivor"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        survivorId = radio.value;
+        defaultChoices();
+        render();
+      });
+    });
+    for (const field of differing) {
+      content.querySelectorAll(`input[name="field-${field}"]`).forEach(radio => {
+        radio.addEventListener('change', () => { choices[field] = radio.value; });
+      });
+    }
+    document.getElementById('btn-merge').addEventListener('click', mergeSelected);
+  };
+
+  async function mergeSelected() {
+    const others = people.filter(c => c.id !== survivorId);
+    const names = others.map(c => `${c.firstName} ${c.lastName}`).join(', ');
+    if (!await confirm(`Merge ${names} into the kept record? The other ${others.length === 1 ? 'record is' : 'records are'} deleted; this cannot be undone.`)) return;
+
+    const byId = new Map(people.map(c => [c.id, c]));
+    const fields = Object.fromEntries(differing.map(f => [f, byId.get(choices[f])[f]]));
+    try {
+      const merged = await db.mergeCandidates(survivorId, others.map(c => c.id), fields);
+      invalidateListCache();
+      toast(`Merged into ${merged.firstName} ${merged.lastName}`, { type: 'success' });
+      location.hash = `#/candidate/${merged.id}`;
+    } catch (err) {
+      toast('Failed to merge: ' + err.message, { type: 'error' });
+    }
+  }
+
+  render();
+}
@@ -0,0 +1,203 @@
+/**
+ * migrations.js — Versioned schema + record migrations
+ *
+ * Each step may change the IndexedDB schema (`schema`) and/or rewrite records
+ * (`transforms`, keyed by store name). The same record transforms are replayed
+ * on older JSON backups before they are restored, so a backup from any version
+ * comes in shaped like current data. Steps must never be edited once shipped —
+ * add a new step instead.
+ */
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Phase 1: candidates + settings',
+    schema(db) {
+      const candidates = db.createObjectStore('candidates', { keyPath: 'id' });
+      candidates.createIndex('email', 'email', { unique: false });
+      candidates.createIndex('lastName', 'lastName');
+      candidates.createIndex('location', 'location');
+      candidates.createIndex('externalId', 'externalId');
+
+      db.createObjectStore('settings', { keyPath: 'key' });
+    },
+  },
+  {
+    version: 2,
+    description: 'Phase 2: clients, jobs, pipeline',
+    schema(db) {
+      const clients = db.createObjectStore('clients', { keyPath: 'id' });
+      clients.createIndex('companyName', 'companyName');
+      clients.createIndex('externalId', 'externalId');
+
+      const jobs = db.createObjectStore('jobs', { keyPath: 'id' });
+      jobs.createIndex('clientId', 'clientId');
+      jobs.createIndex('status', 'status');
+      jobs.createIndex('externalId', 'externalId');
+
+      const pipeline = db.createObjectStore('pipeline', { keyPath: 'id' });
+      pipeline.createIndex('jobId', 'jobId');
+      pipeline.createIndex('candidateId', 'candidateId');
+      pipeline.createIndex('candidateJob', ['candidateId', 'jobId'], { unique: true });
+    },
+  },
+  {
+    version: 3,
+    description: 'Phase 3: activities',
+    schema(db) {
+      const activities = db.createObjectStore('activities', { keyPath: 'id' });
+      activities.createIndex('candidateId', 'candidateId');
+      activities.createIndex('type', 'type');
+      activities.createIndex('followUpDate', 'followUpDate');
+      activities.createIndex('candidateType', ['candidateId', 'type']);
+    },
+  },
+  {
+    version: 4,
+    description: 'Audit log',
+    schema(db) {
+      const auditLog = db.createObjectStore('auditLog', { keyPath: 'id' });
+      auditLog.createIndex('entityRecord', ['entity', 'entityId']);
+      auditLog.createIndex('timestamp', 'timestamp');
+    },
+  },
+  {
+    version: 5,
+    description: 'Backfill updatedAt on activities',
+    transforms: {
+      activities: (a) => ({ ...a, updatedAt: a.updatedAt || a.createdAt }),
+    },
+  },
+  {
+    version: 6,
+    description: 'Full-text search index (populated by db.rebuildSearchIndex on first start)',
+    schema(db) {
+      const searchIndex = db.createObjectStore('searchIndex', { keyPath: 'key' });
+      searchIndex.createIndex('tokens', 'tokens', { multiEntry: true });
+      searchIndex.createIndex('entity', 'entity');
+    },
+  },
+  {
+    version: 7,
+    description: 'Sort indexes for paged list queries',
+    schema(db, tx) {
+      const candidates = tx.objectStore('candidates');
+      candidates.createIndex('updatedAt', 'updatedAt');
+      candidates.createIndex('locationUpdated', ['location', 'updatedAt']);
+
+      const jobs = tx.objectStore('jobs');
+      jobs.createIndex('updatedAt', 'updatedAt');
+      jobs.createIndex('statusUpdated', ['status', 'updatedAt']);
+
+      const activities = tx.objectStore('activities');
+      activities.createIndex('createdAt', 'createdAt');
+      activities.createIndex('typeCreated', ['type', 'createdAt']);
+    },
+  },
+  {
+    version: 8,
+    description: 'Index activities by job so purging a job can unlink them',
+    schema(db, tx) {
+      tx.objectStore('activities').createIndex('jobId', 'jobId');
+    },
+  },
+  {
+    version: 9,
+    description: 'Keyring for optional encryption at rest',
+    schema(db) {
+      db.createObjectStore('keyring', { keyPath: 'id' });
+    },
+  },
+  {
+    version: 10,
+    description: 'Consent fields on candidates',
+    transforms: {
+      candidates: (c) => ({ consentDate: null, consentBasis: '', consentSource: '', ...c }),
+    },
+  },
+  {
+    version: 11,
+    description: 'Tags on people, companies, jobs and activities',
+    schema(db, tx) {
+      for (const name of ['candidates', 'clients', 'jobs', 'activities']) {
+        tx.objectStore(name).createIndex('tags', 'tags', { multiEntry: true });
+      }
+    },
+    transforms: {
+      candidates: (c) => ({ tags: [], ...c }),
+      clients: (c) => ({ tags: [], ...c }),
+      jobs: (j) => ({ tags: [], ...j }),
+      activities: (a) => ({ tags: [], ...a }),
+    },
+  },
+  {
+    version: 12,
+    description: 'Attachments store for files linked to records',
+    schema(db) {
+      const attachments = db.createObjectStore('attachments', { keyPath: 'id' });
+      attachments.createIndex('owner', ['entity', 'entityId']);
+    },
+  },
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function pendingSteps(fromVersion) {
+  return MIGRATIONS.filter(m => m.version > fromVersion);
+}
+
+/**
+ * Compose the record transforms of the given steps per store, in version order.
+ * Returns Map<storeName, (record) => record>.
+ */
+export function composeTransforms(steps) {
+  const byStore = new Map();
+  for (const step of steps) {
+    for (const [storeName, fn] of Object.entries(step.transforms || {})) {
+      const prev = byStore.get(storeName);
+      byStore.set(storeName, prev ? (r) => fn(prev(r)) : fn);
+    }
+  }
+  return byStore;
+}
+
+/**
+ * Run inside `onupgradeneeded`. All schema changes are applied first, then one
+ * cursor per store rewrites records with the composed transforms, so steps
+ * touching the same store never interleave.
+ */
+export function runMigrations(db, tx, oldVersion) {
+  const steps = pendingSteps(oldVersion);
+  for (const step of steps) {
+    if (step.schema) step.schema(db, tx);
+  }
+  for (const [storeName, transform] of composeTransforms(steps)) {
+    if (!db.objectStoreNames.contains(storeName)) continue;
+    const request = tx.objectStore(storeName).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.update(transform(cursor.value));
+      cursor.continue();
+    };
+  }
+}
+
+/**
+ * Bring a parsed JSON backup up to LATEST_VERSION by replaying record
+ * transforms. Backups without a version predate versioning and count as v1.
+ * Throws for backups from a newer app version.
+ */
+export function migrateBackup(data) {
+  const fromVersion = data.version || 1;
+  if (fromVersion > LATEST_VERSION) {
+    throw new Error(`Backup is from a newer version (v${fromVersion}). Update ComplianceTrack before restoring.`);
+  }
+  const migrated = { ...data, version: LATEST_VERSION };
+  for (const [storeName, transform] of composeTransforms(pendingSteps(fromVersion))) {
+    if (Array.isArray(migrated[storeName])) {
+      migrated[storeName] = migrated[storeName].map(transform);
+    }
+  }
+  return migrated;
+}
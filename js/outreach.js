@@ -4,7 +4,9 @@
  */
 
 import db from './db.js';
-import { openModal, closeModal, toast, escapeHtml, formatDate, setHeaderTitle, setHeaderActions, SearchController } from './ui.js';
+import { openModal, closeModal, toast, escapeHtml, formatDate, setHeaderTitle, setHeaderActions, SearchController, renderLoadMore, createSelection } from './ui.js';
+import { renderTagChips, renderTagDetailField, renderTagPicker, collectTagIds, renderTagFilter, hasTag, openBulkTagModal } from './tags.js';
+import { renderAttachments, closeAttachmentPreview } from './attachments.js';
 
 const TYPE_ICONS = {
   email: '&#9993;',
@@ -16,18 +18,30 @@ const TYPE_ICONS = {
 
 // ── Activity List (all activities, searchable) ─────────────
 
+// Newest first; a type filter walks the [type, createdAt] index, a tag filter is a predicate
+function activityListQuery(type, tag) {
+  const filter = tag ? (a => hasTag(a, tag)) : null;
+  return type
+    ? { index: 'typeCreated', equals: [type], direction: 'prev', filter }
+    : { index: 'createdAt', direction: 'prev', filter };
+}
+
 export async function renderOutreach() {
   setHeaderTitle('Outreach');
   setHeaderActions('<button id="btn-new-activity" class="btn btn-primary btn-sm">+ Log Activity</button>');
   const content = document.getElementById('content');
 
-  let activities, candidates, jobs;
+  // Pages loaded so far for the current type and tag filters
+  let pages, candidates, jobs, tags;
   try {
-    [activities, candidates, jobs] = await Promise.all([
-      db.getAllActivities(),
+    let firstPage;
+    [firstPage, candidates, jobs, tags] = await Promise.all([
+      db.query('activities', activityListQuery('', '')),
       db.getAllCandidates(),
       db.getAllJobs(),
+      db.getTags(),
     ]);
+    pages = { key: '|', ...firstPage };
   } catch (err) {
     content.innerHTML = `<div class="empty-state"><p>Failed to load activities.</p></div>`;
     toast('Database error: ' + err.message, { type: 'error' });
@@ -37,10 +51,7 @@ export async function renderOutreach() {
   const candidateMap = new Map(candidates.map(c => [c.id, c]));
   const jobMap = new Map(jobs.map(j => [j.id, j]));
 
-  // Sort newest first
-  const sorted = activities.slice().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
-
-  if (sorted.length === 0) {
+  if (pages.items.length === 0) {
     content.innerHTML = `
       <div class="empty-state">
         <h2>No activities yet</h2>
@@ -55,6 +66,7 @@ export async function renderOutreach() {
     <div class="outreach-page">
       <div class="search-bar">
         <input type="text" id="outreach-search" class="form-input" placeholder="Search activities…">
+        ${renderTagFilter(tags)}
       </div>
       <div class="activity-filter-bar">
         <button class="activity-filter-btn active" data-type="">All</button>
@@ -64,25 +76,65 @@ export async function renderOutreach() {
         <button class="activity-filter-btn" data-type="note">Note</button>
         <button class="activity-filter-btn" data-type="submission">Submission</button>
       </div>
+      <div id="outreach-selection" class="selection-bar" hidden></div>
       <div id="outreach-list"></div>
     </div>`;
 
   let filterType = '';
+  let filterTag = '';
+  const listKey = () => `${filterType}|${filterTag}`;
   const listContainer = document.getElementById('outreach-list');
+  const searchInput = document.getElementById('outreach-search');
+  const selection = createSelection(listContainer, document.getElementById('outreach-selection'), [{
+    label: 'Tag…',
+    run: (ids) => openBulkTagModal('activities', ids, renderOutreach),
+  }]);
 
-  function renderList(list) {
+  function renderList(list, hasMore = false) {
     if (list.length === 0) {
       listContainer.innerHTML = `<div class="empty-state"><p>No matching activities.</p></div>`;
       return;
     }
-    listContainer.innerHTML = list.map(a => renderActivityRow(a, candidateMap, jobMap)).join('');
+    listContainer.innerHTML = list.map(a => renderActivityRow(a, candidateMap, jobMap, tags, selection)).join('');
+    renderLoadMore(listContainer, hasMore, async () => {
+      const { items, next } = await db.query('activities', { ...activityListQuery(filterType, filterTag), after: pages.next });
+      pages = { key: pages.key, items: [...pages.items, ...items], next };
+      renderList(pages.items, !!next);
+    });
   }
 
-  function getFiltered() {
-    return filterType ? sorted.filter(a => a.type === filterType) : sorted;
+  async function showPages() {
+    try {
+      if (pages.key !== listKey()) pages = { key: listKey(), ...await db.query('activities', activityListQuery(filterType, filterTag)) };
+      renderList(pages.items, !!pages.next);
+    } catch (err) {
+      toast('Database error: ' + err.message, { type: 'error' });
+    }
   }
 
-  renderList(getFiltered());
+  renderList(pages.items, !!pages.next);
+
+  // Search: activities matching on their own text or on the person they are about, best match first
+  async function searchActivities(q) {
+    const hits = await db.search(q, { entities: ['activities', 'candidates'] });
+    const direct = new Map((await db.getMany('activities', hits.filter(h => h.entity === 'activities').map(h => h.id))).map(a => [a.id, a]));
+    const byCandidate = new Map(await Promise.all(
+      hits.filter(h => h.entity === 'candidates').map(async h => [h.id, await db.getActivitiesByCandidate(h.id)])
+    ));
+    const ranked = new Map();
+    for (const hit of hits) {
+      const matched = hit.entity === 'activities' ? [direct.get(hit.id)].filter(Boolean) : byCandidate.get(hit.id);
+      for (const a of matched) {
+        if (!ranked.has(a.id) && (!filterType || a.type === filterType) && hasTag(a, filterTag)) ranked.set(a.id, a);
+      }
+    }
+    return [...ranked.values()];
+  }
+
+  const sc = new SearchController((results) => {
+    if (!results) { showPages(); return; }
+    renderList(results);
+  });
 
   // Filter buttons
   content.querySelectorAll('.activity-filter-btn').forEach(btn => {
@@ -90,28 +142,14 @@ export async function renderOutreach() {
       content.querySelectorAll('.activity-filter-btn').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
       filterType = btn.dataset.type;
-      renderList(getFiltered());
+      sc.search(searchInput.value, searchActivities, 0);
     });
   });
 
-  // Search
-  const sc = new SearchController((results) => {
-    if (!results) { renderList(getFiltered()); return; }
-    renderList(results);
-  });
-
-  document.getElementById('outreach-search').addEventListener('input', (e) => {
-    sc.search(e.target.value, (q) => {
-      const lower = q.toLowerCase();
-      return getFiltered().filter(a => {
-        const cand = candidateMap.get(a.candidateId);
-        const searchable = [
-          a.subject, a.body, a.type,
-          cand ? `${cand.firstName} ${cand.lastName}` : '',
-        ].join(' ').toLowerCase();
-        return searchable.includes(lower);
-      });
-    });
+  searchInput.addEventListener('input', () => sc.search(searchInput.value, searchActivities));
+  content.querySelector('.tag-filter')?.addEventListener('change', (e) => {
+    filterTag = e.target.value;
+    sc.search(searchInput.value, searchActivities, 0);
   });
 
   // New activity button
@@ -121,8 +159,8 @@ export async function renderOutreach() {
 
   // Event delegation for activity rows
   listContainer.addEventListener('click', (e) => {
-    // Let links navigate without opening the detail modal
-    if (e.target.closest('.activity-link')) {
+    // Let links and selection checkboxes work without opening the detail modal
+    if (e.target.closest('.activity-link, .select-record')) {
       e.stopPropagation();
       return;
     }
@@ -134,16 +172,17 @@ export async function renderOutreach() {
       return;
     }
     // Click on row → view activity detail
-    openActivityDetailModal(row.dataset.id, candidateMap, jobMap);
+    openActivityDetailModal(row.dataset.id, candidateMap, jobMap, tags);
   });
 }
 
-function renderActivityRow(activity, candidateMap, jobMap) {
+function renderActivityRow(activity, candidateMap, jobMap, tags, selection) {
   const cand = candidateMap.get(activity.candidateId);
   const job = jobMap.get(activity.jobId);
 
   return `
     <div class="activity-row" data-id="${activity.id}">
+      ${selection.box(activity.id, activity.subject || activity.type)}
       <div class="activity-type-icon activity-type--${activity.type}" title="${escapeHtml(activity.type)}">
         ${TYPE_ICONS[activity.type] || '&#9679;'}
       </div>
@@ -151,6 +190,7 @@ function renderActivityRow(activity, candidateMap, jobMap) {
         <div class="activity-row-header">
           <span class="activity-subject">${escapeHtml(activity.subject || activity.type)}</span>
           ${activity.status ? `<span class="activity-status activity-status--${activity.status}">${escapeHtml(activity.status)}</span>` : ''}
+          ${renderTagChips(activity.tags, tags)}
         </div>
         <div class="activity-row-meta">
           ${cand ? `<a href="#/candidate/${cand.id}" class="link activity-link">${escapeHtml(cand.firstName)} ${escapeHtml(cand.lastName)}</a>` : '<span class="text-secondary">Unknown person</span>'}
@@ -165,7 +205,7 @@ function renderActivityRow(activity, candidateMap, jobMap) {
 
 // ── Activity Detail Modal ──────────────────────────────────
 
-async function openActivityDetailModal(activityId, candidateMap, jobMap) {
+async function openActivityDetailModal(activityId, candidateMap, jobMap, tags) {
   const activity = await db.getActivity(activityId);
   if (!activity) return;
 
@@ -181,12 +221,15 @@ async function openActivityDetailModal(activityId, candidateMap, jobMap) {
         ${job ? `<div class="detail-field"><span class="detail-label">Job</span><span class="detail-value">${escapeHtml(job.title)}</span></div>` : ''}
         ${activity.status ? `<div class="detail-field"><span class="detail-label">Status</span><span class="detail-value">${escapeHtml(activity.status)}</span></div>` : ''}
         ${activity.followUpDate ? `<div class="detail-field"><span class="detail-label">Follow Up</span><span class="detail-value">${formatDate(activity.followUpDate)}</span></div>` : ''}
+        ${renderTagDetailField(activity.tags, tags)}
         <div class="detail-field"><span class="detail-label">Logged</span><span class="detail-value">${formatDate(activity.createdAt)}</span></div>
       </div>
       ${activity.body ? `<div class="activity-body-block"><h4>Body</h4><pre class="activity-body-text">${escapeHtml(activity.body)}</pre></div>` : ''}
+      <div class="activity-body-block"><h4>Files</h4><div id="activity-attachments-container"></div></div>
     </div>`;
 
-  openModal({ title: activity.subject || activity.type, body });
+  openModal({ title: activity.subject || activity.type, body, onClose: closeAttachmentPreview });
+  renderAttachments(document.getElementById('activity-attachments-container'), 'activities', activity.id);
 }
 
 // ── Log Activity Modal ─────────────────────────────────────
@@ -196,6 +239,7 @@ export async function openActivityModal(candidates, jobs, prefill = {}) {
   if (!jobs) jobs = await db.getAllJobs();
 
   const templates = (await db.getSetting('emailTemplates')) || [];
+  const tags = await db.getTags();
 
   const body = document.createElement('form');
   body.id = 'activity-form';
@@ -263,6 +307,10 @@ export async function openActivityModal(candidates, jobs, prefill = {}) {
       <label for="activity-followup">Follow-up Date</label>
       <input type="date" id="activity-followup" class="form-input" value="${prefill.followUpDate || ''}">
     </div>
+    <div class="form-group">
+      <span class="custom-field-label">Tags</span>
+      ${renderTagPicker(tags)}
+    </div>
   `;
 
   const footer = document.createElement('div');
@@ -317,6 +365,7 @@ export async function openActivityModal(candidates, jobs, prefill = {}) {
     };
 
     try {
+      data.tags = await collectTagIds(body, tags);
       await db.addActivity(data);
       closeModal();
       toast('Activity logged', { type: 'success' });
@@ -331,10 +380,22 @@ export async function openActivityModal(candidates, jobs, prefill = {}) {
 // ── Delete Activity ────────────────────────────────────────
 
 async function handleDeleteActivity(activityId) {
-  if (!window.confirm('Delete this activity?')) return;
+  if (!window.confirm('Move this activity to the Trash?')) return;
   try {
     await db.deleteActivity(activityId);
-    toast('Activity deleted', { type: 'info' });
+    toast('Activity moved to Trash', {
+      type: 'info',
+      duration: 10000,
+      actionLabel: 'Undo',
+      action: async () => {
+        try {
+          await db.restoreFromTrash('activities', activityId);
+          if (location.hash === '#/outreach') renderOutreach();
+        } catch (err) {
+          toast('Failed to restore: ' + err.message, { type: 'error' });
+        }
+      },
+    });
     if (location.hash === '#/outreach') renderOutreach();
   } catch (err) {
     toast('Failed to delete: ' + err.message, { type: 'error' });
@@ -484,7 +545,7 @@ export async function renderActivityTimeline(candidateId, container) {
     return;
   }
 
-  const jobs = await db.getAllJobs();
+  const [jobs, tags] = await Promise.all([db.getAllJobs(), db.getTags()]);
   const jobMap = new Map(jobs.map(j => [j.id, j]));
 
   // Sort newest first
@@ -507,6 +568,7 @@ export async function renderActivityTimeline(candidateId, container) {
                 ${a.status ? `<span class="activity-status activity-status--${a.status}">${escapeHtml(a.status)}</span>` : ''}
                 ${job ? `<span class="text-secondary">${escapeHtml(job.title)}</span>` : ''}
                 ${a.followUpDate ? `<span class="activity-followup">Follow up: ${formatDate(a.followUpDate)}</span>` : ''}
+                ${renderTagChips(a.tags, tags)}
               </div>
             </div>
           </div>`;
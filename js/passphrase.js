@@ -0,0 +1,133 @@
+/**
+ * passphrase.js — Startup unlock screen and Settings › Encryption
+ */
+
+import db from './db.js';
+import { toast, setHeaderTitle, setHeaderActions } from './ui.js';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// ── Unlock Screen ──────────────────────────────────────────
+
+/** Ask for the passphrase until it unlocks the database. Resolves once unlocked. */
+export function promptUnlock() {
+  setHeaderTitle('Locked');
+  setHeaderActions('');
+  const content = document.getElementById('content');
+  content.innerHTML = `
+    <div class="unlock-page">
+      <h2>Enter your passphrase</h2>
+      <p class="section-desc">People and company details on this device are encrypted.</p>
+      <form id="unlock-form" class="form">
+        <div class="form-group">
+          <label for="unlock-passphrase">Passphrase</label>
+          <input type="password" id="unlock-passphrase" name="passphrase" class="form-input" autocomplete="current-password" required autofocus>
+        </div>
+        <button type="submit" class="btn btn-primary">Unlock</button>
+      </form>
+    </div>`;
+
+  return new Promise((resolve) => {
+    const form = document.getElementById('unlock-form');
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const btn = form.querySelector('button[type="submit"]');
+      btn.disabled = true;
+      try {
+        await db.unlock(form.passphrase.value);
+        resolve();
+      } catch (err) {
+        toast(err.message, { type: 'error' });
+        form.passphrase.select();
+      } finally {
+        btn.disabled = false;
+      }
+    });
+  });
+}
+
+// ── Encryption Settings ────────────────────────────────────
+
+/** Render the enable / change passphrase / disable forms into container. */
+export function renderEncryptionSettings(container) {
+  if (!db.isEncrypted()) {
+    container.innerHTML = `
+      <p class="section-desc">Encrypt names, email addresses, phone numbers, salaries, notes and company contacts on this device. You will be asked for the passphrase every time the app starts. It cannot be recovered: if you forget it, the encrypted data is lost. Exported backups are not encrypted.</p>
+      <form id="encryption-enable-form" class="form">
+        <div class="form-group">
+          <label for="enc-new">Passphrase</label>
+          <input type="password" id="enc-new" name="next" class="form-input" autocomplete="new-password" required minlength="${MIN_PASSPHRASE_LENGTH}" style="max-width: 280px;">
+        </div>
+        <div class="form-group">
+          <label for="enc-confirm">Confirm passphrase</label>
+          <input type="password" id="enc-confirm" name="confirm" class="form-input" autocomplete="new-password" required style="max-width: 280px;">
+        </div>
+        <button type="submit" class="btn btn-primary">Turn On Encryption</button>
+      </form>`;
+
+    bindForm(container, '#encryption-enable-form', async (form) => {
+      const next = checkNewPassphrase(form);
+      await db.enableEncryption(next);
+      toast('Encryption turned on', { type: 'success' });
+    });
+    return;
+  }
+
+  container.innerHTML = `
+    <p class="section-desc">Encryption is on. Changing the passphrase re-encrypts every record.</p>
+    <form id="encryption-change-form" class="form">
+      <div class="form-group">
+        <label for="enc-current">Current passphrase</label>
+        <input type="password" id="enc-current" name="current" class="form-input" autocomplete="current-password" required style="max-width: 280px;">
+      </div>
+      <div class="form-group">
+        <label for="enc-new">New passphrase</label>
+        <input type="password" id="enc-new" name="next" class="form-input" autocomplete="new-password" required minlength="${MIN_PASSPHRASE_LENGTH}" style="max-width: 280px;">
+      </div>
+      <div class="form-group">
+        <label for="enc-confirm">Confirm new passphrase</label>
+        <input type="password" id="enc-confirm" name="confirm" class="form-input" autocomplete="new-password" required style="max-width: 280px;">
+      </div>
+      <button type="submit" class="btn btn-primary">Change Passphrase</button>
+    </form>
+    <form id="encryption-disable-form" class="form form-inline" style="margin-top: 16px;">
+      <input type="password" name="current" placeholder="Current passphrase" class="form-input" autocomplete="current-password" required>
+      <button type="submit" class="btn btn-danger">Turn Off Encryption</button>
+    </form>`;
+
+  bindForm(container, '#encryption-change-form', async (form) => {
+    const next = checkNewPassphrase(form);
+    await db.changePassphrase(form.current.value, next);
+    toast('Passphrase changed', { type: 'success' });
+  });
+
+  bindForm(container, '#encryption-disable-form', async (form) => {
+    if (!window.confirm('Store all data unencrypted on this device?')) return;
+    await db.disableEncryption(form.current.value);
+    toast('Encryption turned off', { type: 'info' });
+  });
+}
+
+function checkNewPassphrase(form) {
+  const next = form.next.value;
+  if (next.length < MIN_PASSPHRASE_LENGTH) throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  if (next !== form.confirm.value) throw new Error('Passphrases do not match');
+  return next;
+}
+
+/** Submit handler that disables the button while re-encrypting, then re-renders the section. */
+function bindForm(container, selector, onSubmit) {
+  const form = container.querySelector(selector);
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const btn = form.querySelector('button[type="submit"]');
+    btn.disabled = true;
+    try {
+      await onSubmit(form);
+      renderEncryptionSettings(container);
+    } catch (err) {
+      toast(err.message, { type: 'error' });
+      btn.disabled = false;
+    }
+  });
+}
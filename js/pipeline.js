@@ -3,8 +3,9 @@
  * Cert-match badges, stage history, drag-and-drop with IndexedDB persistence
  */
 
-import db from './db.js';
+import db, { getCertUrgency, getActiveStates, getVerificationStatus, getYearsHeld, expandCertNames } from './db.js';
 import { toast, escapeHtml, setHeaderTitle, setHeaderActions } from './ui.js';
+import { getCertCatalog } from './cert-catalog.js';
 
 const CARDS_PER_COLUMN = 30;
 
@@ -13,33 +14,41 @@ let _sortableInstances = [];
 
 // ── Cert Match Logic ───────────────────────────────────────
 
-function getCertMatch(candidate, job) {
+// Required states count like required certs: covered by an active state registration.
+// A held cert covers every cert it stands for in the catalog (aliases, and what it
+// satisfies — Series 66 for Series 63 and 65). Jobs set to verifiedCertsOnly ignore
+// certs nobody has checked with the issuer, and a cert with a minimum in
+// requiredCertYears must have been held that long without a break.
+function getCertMatch(candidate, job, catalog = []) {
   const required = job.requiredCerts || [];
-  if (required.length === 0) return 'none';
+  const requiredStates = job.requiredStates || [];
+  if (required.length === 0 && requiredStates.length === 0) return 'none';
 
-  const candidateCertNames = new Set(
-    (candidate.certifications || [])
-      .filter(c => {
-        if (!c.expirationDate) return true; // lifetime cert
-        return new Date(c.expirationDate) >= new Date();
-      })
-      .map(c => c.name)
-  );
+  const minYears = job.requiredCertYears || {};
+  const held = (candidate.certifications || [])
+    .filter(c => getCertUrgency(c, 0, candidate.employment) !== 'expired')  // lifetime, registered, or in grace
+    .filter(c => !job.verifiedCertsOnly || getVerificationStatus(c) === 'verified')
+    .map(c => ({ covers: expandCertNames([c.name], catalog), years: getYearsHeld(c, candidate.employment) }));
+
+  const activeStates = getActiveStates(candidate);
 
   let matched = 0;
   for (const req of required) {
-    if (candidateCertNames.has(req)) matched++;
+    if (held.some(c => c.covers.has(req) && (!minYears[req] || c.years >= minYears[req]))) matched++;
+  }
+  for (const state of requiredStates) {
+    if (activeStates.has(state)) matched++;
   }
 
-  if (matched === required.length) return 'full';
+  if (matched === required.length + requiredStates.length) return 'full';
   if (matched > 0) return 'partial';
   return 'missing';
 }
 
 function certMatchBadge(match) {
-  if (match === 'full') return '<span class="cert-match cert-match--full" title="All required certs active">&#10003;</span>';
-  if (match === 'partial') return '<span class="cert-match cert-match--partial" title="Some required certs">&#9679;</span>';
-  if (match === 'missing') return '<span class="cert-match cert-match--missing" title="Missing required certs">&#10007;</span>';
+  if (match === 'full') return '<span class="cert-match cert-match--full" title="All required certs and states active">&#10003;</span>';
+  if (match === 'partial') return '<span class="cert-match cert-match--partial" title="Some required certs or states">&#9679;</span>';
+  if (match === 'missing') return '<span class="cert-match cert-match--missing" title="Missing required certs and states">&#10007;</span>';
   return '';
 }
 
@@ -48,7 +57,7 @@ function certMatchBadge(match) {
 export async function renderPipeline(jobId) {
   const content = document.getElementById('content');
 
-  let job, entries, candidates;
+  let job, entries, candidates, catalog;
   try {
     job = await db.getJob(jobId);
     if (!job) {
@@ -57,6 +66,7 @@ export async function renderPipeline(jobId) {
     }
     entries = await db.getPipelineByJob(jobId);
     candidates = await db.getAllCandidates();
+    catalog = await getCertCatalog();
   } catch (err) {
     content.innerHTML = `<div class="empty-state"><p>Failed to load pipeline.</p></div>`;
     toast('Error: ' + err.message, { type: 'error' });
@@ -73,10 +83,16 @@ export async function renderPipeline(jobId) {
   const candidateMap = new Map(candidates.map(c => [c.id, c]));
   const stages = job.stages || ['Sourced'];
 
+  // Entries whose person no longer exists can't be shown; Data Health repairs them
+  const orphaned = entries.filter(e => !candidateMap.has(e.candidateId));
+  if (orphaned.length > 0) {
+    toast(`${orphaned.length} pipeline ${orphaned.length === 1 ? 'entry points' : 'entries point'} at a missing person. Run Data Health in Settings to repair.`, { type: 'error' });
+  }
+
   // Group entries by stage
   const columns = new Map();
   for (const stage of stages) columns.set(stage, []);
-  for (const entry of entries) {
+  for (const entry of entries.filter(e => candidateMap.has(e.candidateId))) {
     const col = columns.get(entry.stage);
     if (col) {
       col.push(entry);
@@ -103,7 +119,7 @@ export async function renderPipeline(jobId) {
               <span class="kanban-column-count">${stageEntries.length}</span>
             </div>
             <div class="kanban-cards" data-stage="${escapeHtml(stage)}">
-              ${visible.map(entry => renderCard(entry, candidateMap, job)).join('')}
+              ${visible.map(entry => renderCard(entry, candidateMap, job, catalog)).join('')}
             </div>
             ${showMore ? `<button class="btn btn-sm btn-secondary kanban-show-more" data-stage="${escapeHtml(stage)}">Show ${stageEntries.length - CARDS_PER_COLUMN} more</button>` : ''}
           </div>`;
@@ -131,7 +147,7 @@ export async function renderPipeline(jobId) {
       const stage = showMoreBtn.dataset.stage;
       const stageEntries = columns.get(stage) || [];
       const cardsContainer = content.querySelector(`.kanban-cards[data-stage="${CSS.escape(stage)}"]`);
-      cardsContainer.innerHTML = stageEntries.map(entry => renderCard(entry, candidateMap, job)).join('');
+      cardsContainer.innerHTML = stageEntries.map(entry => renderCard(entry, candidateMap, job, catalog)).join('');
       showMoreBtn.remove();
       // Re-init sortable for this column
       _sortableInstances.push(new Sortable(cardsContainer, {
@@ -160,10 +176,10 @@ export async function renderPipeline(jobId) {
   });
 }
 
-function renderCard(entry, candidateMap, job) {
+function renderCard(entry, candidateMap, job, catalog) {
   const cand = candidateMap.get(entry.candidateId);
   if (!cand) return '';
-  const match = getCertMatch(cand, job);
+  const match = getCertMatch(cand, job, catalog);
   return `
     <div class="kanban-card" data-entry-id="${entry.id}" data-candidate-id="${cand.id}">
       <div class="kanban-card-header">
@@ -234,7 +250,19 @@ async function handleDragEnd(evt, job, candidateMap) {
 async function removePipelineEntry(entryId, jobId) {
   try {
     await db.deletePipelineEntry(entryId);
-    toast('Removed from pipeline', { type: 'info' });
+    toast('Removed from pipeline', {
+      type: 'info',
+      duration: 10000,
+      actionLabel: 'Undo',
+      action: async () => {
+        try {
+          await db.restoreFromTrash('pipeline', entryId);
+          renderPipeline(jobId);
+        } catch (err) {
+          toast('Failed to restore: ' + err.message, { type: 'error' });
+        }
+      },
+    });
     renderPipeline(jobId);
   } catch (err) {
     toast('Error: ' + err.message, { type: 'error' });
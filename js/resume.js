@@ -0,0 +1,552 @@
+/**
+ * resume.js — Read a resume (.docx, .txt, text-layer .pdf) and pre-fill the new-person form
+ *
+ * Everything runs in the browser: .docx files are unzipped and PDF streams
+ * inflated with DecompressionStream, and fields are found with plain text
+ * heuristics. Nothing is sent anywhere. The extracted values are shown for
+ * review before they go into the form.
+ */
+
+import { US_STATES } from './db.js';
+import { openModal, closeModal, toast, escapeHtml } from './ui.js';
+import { getCertCatalog } from './cert-catalog.js';
+
+export const RESUME_EXTENSIONS = ['.docx', '.pdf', '.txt'];
+
+// Section headings, matched against whole lines (case-insensitive)
+const HEADINGS = {
+  experience: /^(professional |work |relevant |career )?(experience|employment( history)?|work history|career history)$/i,
+  skills: /^(key |core |technical |professional )?(skills|competencies|expertise|areas of expertise|skills (&|and) (expertise|qualifications))$/i,
+  other: /^(summary|profile|professional summary|objective|education|certifications?|licenses?( (&|and) certifications)?|certifications (&|and) licenses|registrations|awards|interests|references|languages|publications|affiliations|memberships|volunteer( experience)?|training)$/i,
+};
+
+// Words that mark the job-title half of "Title, Employer" lines
+const TITLE_WORDS = /\b(officer|manager|director|analyst|associate|specialist|vice president|vp|svp|evp|avp|head|chief|counsel|principal|consultant|examiner|auditor|lead|representative|advisor|adviser|supervisor|coordinator|administrator|investigator|partner|president|controller|attorney|paralegal|assistant|intern|engineer|architect)\b/i;
+
+const STATES = US_STATES.map(s => s.code).join('|');
+const LOCATION_RE = new RegExp(`\\b([A-Z][A-Za-z.'-]+(?: [A-Z][A-Za-z.'-]+){0,3}), (${STATES})\\b`);
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const PHONE_RE = /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/;
+const DATE_RANGE_RE = /\(?\b(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.? )?(?:19|20)\d{2}\s*(?:-|–|—|to)\s*(?:(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.? )?(?:19|20)\d{2}|present|current|now)\b\)?/i;
+
+// ── Text Extraction ─────────────────────────────────────────
+
+/** Plain text of a resume file. Throws with a user-facing message for unreadable files. */
+export async function extractResumeText(file) {
+  const name = file.name.toLowerCase();
+  let text;
+  if (name.endsWith('.txt')) {
+    text = await file.text();
+  } else if (name.endsWith('.docx')) {
+    const xml = await readZipEntry(new Uint8Array(await file.arrayBuffer()), 'word/document.xml');
+    if (!xml) throw new Error('This .docx file has no document body');
+    text = docxText(new TextDecoder().decode(xml));
+  } else if (name.endsWith('.pdf')) {
+    text = await pdfText(new Uint8Array(await file.arrayBuffer()));
+  } else {
+    throw new Error(`Unsupported file type. Use ${RESUME_EXTENSIONS.join(', ')} (save .doc files as .docx).`);
+  }
+  text = text.replace(/\r\n?/g, '\n').replace(/[ \u00a0]+/g, ' ');
+  if (!text.trim()) {
+    throw new Error(name.endsWith('.pdf') ? 'No text found in this PDF. Scanned PDFs have no text layer to read.' : 'The file contains no text');
+  }
+  return text;
+}
+
+async function inflate(bytes, format) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const latin1 = (bytes) => new TextDecoder('latin1').decode(bytes);
+
+/** Content of one file in a zip archive (via the central directory), or null. */
+async function readZipEntry(bytes, entryName) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { end = i; break; }
+  }
+  if (end < 0) throw new Error('This is not a valid .docx file');
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < count && view.getUint32(offset, true) === 0x02014b50; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    if (name === entryName) {
+      const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(start, start + size);
+      if (method === 0) return data;
+      if (method === 8) return inflate(data, 'deflate-raw');
+      throw new Error('This .docx file uses an unsupported compression method');
+    }
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+  return null;
+}
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+/** Text runs of word/document.xml, one line per paragraph. */
+function docxText(xml) {
+  let text = '';
+  for (const [token, run] of xml.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\b[^>]*\/>|<\/w:p>/g)) {
+    if (run !== undefined) text += decodeXml(run);
+    else text += token === '<w:tab/>' ? '\t' : '\n';
+  }
+  return text;
+}
+
+// ── PDF Text Layer ──────────────────────────────────────────
+
+/**
+ * Text shown by the pages' content streams, in page order. Handles
+ * FlateDecode streams, object streams and ToUnicode maps, which covers PDFs
+ * saved from word processors; anything else (scans, other filters) yields
+ * little or no text.
+ */
+async function pdfText(bytes) {
+  const source = latin1(bytes);
+  if (!source.startsWith('%PDF')) throw new Error('This is not a valid PDF file');
+  if (/\/Encrypt\s/.test(source)) throw new Error('This PDF is password-protected');
+
+  // Object number → { body (dictionary text), data (decoded stream bytes or null) }
+  const objects = new Map();
+  const objectRe = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+  while ((match = objectRe.exec(source))) {
+    const start = objectRe.lastIndex;
+    let end = source.indexOf('endobj', start);
+    if (end < 0) break;
+    const streamAt = source.indexOf('stream', start);
+    let body = source.slice(start, end);
+    let data = null;
+    if (streamAt >= 0 && streamAt < end) {
+      // Binary stream data may contain "endobj": find the end from the stream's length
+      body = source.slice(start, streamAt);
+      let dataStart = streamAt + 6;
+      if (source[dataStart] === '\r') dataStart++;
+      if (source[dataStart] === '\n') dataStart++;
+      const length = /\/Length\s+(\d+)\b(?!\s+\d+\s+R)/.exec(body);
+      let dataEnd = length ? dataStart + Number(length[1]) : source.indexOf('endstream', dataStart);
+      if (dataEnd < 0 || dataEnd > source.length) break;
+      end = source.indexOf('endobj', dataEnd);
+      if (end < 0) break;
+      if (!length) {
+        while (dataEnd > dataStart && (source[dataEnd - 1] === '\n' || source[dataEnd - 1] === '\r')) dataEnd--;
+      }
+      data = await decodeStream(body, bytes.subarray(dataStart, dataEnd));
+    }
+    objects.set(Number(match[1]), { body, data });
+    objectRe.lastIndex = end + 6;
+  }
+
+  // Objects packed into object streams (PDF 1.5+)
+  for (const { body, data } of [...objects.values()]) {
+    if (!data || !/\/Type\s*\/ObjStm/.test(body)) continue;
+    const text = latin1(data);
+    const first = Number(/\/First\s+(\d+)/.exec(body)?.[1]);
+    const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < header.length; i += 2) {
+      const from = first + header[i + 1];
+      const to = i + 3 < header.length ? first + header[i + 3] : text.length;
+      if (!objects.has(header[i])) objects.set(header[i], { body: text.slice(from, to), data: null });
+    }
+  }
+
+  // Font resource name → ToUnicode map. Names are collected from every
+  // /Font dictionary in the file; documents rarely reuse a name for two fonts.
+  const fonts = new Map();
+  const fontDicts = [];
+  for (const { body } of objects.values()) {
+    for (const [, inline, ref] of body.matchAll(/\/Font\s*(?:<<([^>]*)>>|(\d+)\s+\d+\s+R)/g)) {
+      fontDicts.push(inline ?? objects.get(Number(ref))?.body ?? '');
+    }
+  }
+  for (const dict of fontDicts) {
+    for (const [, name, ref] of dict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+      const cmapRef = /\/ToUnicode\s+(\d+)\s+\d+\s+R/.exec(objects.get(Number(ref))?.body || '')?.[1];
+      const cmap = cmapRef && objects.get(Number(cmapRef))?.data;
+      if (cmap && !fonts.has(name)) fonts.set(name, parseCMap(latin1(cmap)));
+    }
+  }
+
+  const pages = [];
+  const walk = (num, seen = new Set()) => {
+    if (seen.has(num)) return;
+    seen.add(num);
+    const body = objects.get(num)?.body || '';
+    if (/\/Type\s*\/Page\b/.test(body)) pages.push(body);
+    const kids = /\/Kids\s*\[([^\]]*)\]/.exec(body)?.[1] || '';
+    for (const [, kid] of kids.matchAll(/(\d+)\s+\d+\s+R/g)) walk(Number(kid), seen);
+  };
+  const root = [...objects].find(([, o]) => /\/Type\s*\/Pages\b/.test(o.body) && !/\/Parent\s/.test(o.body));
+  if (root) walk(root[0]);
+
+  let text = '';
+  for (const page of pages) {
+    const contents = /\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/.exec(page)?.[1] || '';
+    for (const [, ref] of contents.matchAll(/(\d+)\s+\d+\s+R/g)) {
+      const data = objects.get(Number(ref))?.data;
+      if (data) text += contentText(latin1(data), fonts) + '\n';
+    }
+  }
+  return text;
+}
+
+async function decodeStream(dict, data) {
+  const filter = /\/Filter\s*\[?\s*\/(\w+)/.exec(dict)?.[1];
+  if (!filter) return data;
+  if (filter !== 'FlateDecode') return null;
+  try {
+    return await inflate(data, 'deflate');
+  } catch {
+    return null; // damaged stream — skip it
+  }
+}
+
+/** { bytes, map: Map<code, text> } from a ToUnicode CMap. */
+function parseCMap(source) {
+  const hexText = (hex) => {
+    let out = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    return out;
+  };
+  const map = new Map();
+  const space = /begincodespacerange\s*<([0-9a-f]+)>/i.exec(source);
+  const bytes = space && space[1].length <= 2 ? 1 : 2;
+  for (const [, block] of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, code, dst] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>/gi)) map.set(parseInt(code, 16), hexText(dst));
+  }
+  for (const [, block] of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, lo, hi, dst] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]+>|\[[^\]]*\])/gi)) {
+      const from = parseInt(lo, 16);
+      const to = parseInt(hi, 16);
+      if (dst[0] === '[') {
+        [...dst.matchAll(/<([0-9a-f]+)>/gi)].forEach(([, d], i) => map.set(from + i, hexText(d)));
+      } else {
+        const base = hexText(dst.slice(1, -1));
+        for (let code = from; code <= to && code - from < 65536; code++) {
+          map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - from));
+        }
+      }
+    }
+  }
+  return { bytes, map };
+}
+
+/** Text shown by one content stream; text on a new baseline starts a new line. */
+function contentText(source, fonts) {
+  let text = '';
+  let font = null;
+  let y = 0;
+  let shownY = null;
+  const operands = [];
+  const show = (raw) => {
+    if (shownY !== null && y !== shownY) newline();
+    shownY = y;
+    const cmap = fonts.get(font);
+    if (!cmap) {
+      text += raw.replace(/[\x00-\x1f]/g, '');
+      return;
+    }
+    for (let i = 0; i + cmap.bytes <= raw.length; i += cmap.bytes) {
+      const code = cmap.bytes === 2 ? raw.charCodeAt(i) * 256 + raw.charCodeAt(i + 1) : raw.charCodeAt(i);
+      text += cmap.map.get(code) ?? '';
+    }
+  };
+  const newline = () => { if (text && !text.endsWith('\n')) text += '\n'; };
+
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '%') {
+      const eol = source.indexOf('\n', i);
+      i = eol < 0 ? source.length : eol + 1;
+      continue;
+    }
+    if (ch === '(') {
+      const [value, next] = readLiteral(source, i);
+      operands.push({ string: value });
+      i = next;
+    } else if (ch === '<' && source[i + 1] !== '<') {
+      const close = source.indexOf('>', i);
+      const hex = source.slice(i + 1, close).replace(/\s/g, '');
+      let value = '';
+      for (let j = 0; j < hex.length; j += 2) value += String.fromCharCode(parseInt(hex.slice(j, j + 2).padEnd(2, '0'), 16));
+      operands.push({ string: value });
+      i = close + 1;
+    } else if (ch === '[') {
+      operands.push({ array: true });
+      i++;
+    } else if (ch === ']') {
+      const start = operands.findLastIndex(o => o.array);
+      operands.push({ items: operands.splice(start).slice(1) });
+      i++;
+    } else if (ch === '/') {
+      const name = /^\/[^\s/<>[\]()%{}]*/.exec(source.slice(i, i + 128))[0];
+      operands.push({ name: name.slice(1) });
+      i += name.length;
+    } else if (/[-+.\d]/.test(ch)) {
+      const number = /^[-+]?\d*\.?\d*/.exec(source.slice(i, i + 32))[0] || ch;
+      operands.push({ number: Number(number) });
+      i += number.length;
+    } else {
+      const op = /^[^\s/<>[\]()%{}]+|^./.exec(source.slice(i, i + 32))[0];
+      i += op.length;
+      if (op === 'Tf') {
+        font = operands.at(-2)?.name ?? font;
+      } else if (op === 'Tj' || op === "'" || op === '"') {
+        if (op !== 'Tj') y -= 1;
+        if (operands.at(-1)?.string !== undefined) show(operands.at(-1).string);
+      } else if (op === 'TJ') {
+        for (const item of operands.at(-1)?.items || []) {
+          if (item.string !== undefined) show(item.string);
+          else if (item.number <= -200 && !text.endsWith(' ')) text += ' ';
+        }
+      } else if (op === 'BT') {
+        y = 0;
+      } else if (op === 'Td' || op === 'TD') {
+        y += operands.at(-1)?.number || 0;
+      } else if (op === 'Tm') {
+        y = operands.at(-1)?.number ?? y;
+      } else if (op === 'T*') {
+        y -= 1;
+      } else if (op === 'BI') {
+        // Inline image data is binary: skip to its end
+        const end = source.indexOf('EI', source.indexOf('ID', i));
+        i = end < 0 ? source.length : end + 2;
+      }
+      operands.length = 0;
+    }
+  }
+  return text;
+}
+
+const LITERAL_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+/** [value, index after the closing paren] of a PDF literal string starting at i. */
+function readLiteral(source, i) {
+  let value = '';
+  let depth = 0;
+  for (i++; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      const next = source[++i];
+      if (next in LITERAL_ESCAPES) value += LITERAL_ESCAPES[next];
+      else if (/[0-7]/.test(next)) {
+        const octal = /^[0-7]{1,3}/.exec(source.slice(i, i + 3))[0];
+        value += String.fromCharCode(parseInt(octal, 8));
+        i += octal.length - 1;
+      } else if (next !== '\n' && next !== '\r') value += next;
+    } else if (ch === '(') {
+      depth++;
+      value += ch;
+    } else if (ch === ')') {
+      if (depth === 0) return [value, i + 1];
+      depth--;
+      value += ch;
+    } else {
+      value += ch;
+    }
+  }
+  return [value, i];
+}
+
+// ── Field Extraction ────────────────────────────────────────
+
+const titleCase = (word) => (word === word.toUpperCase() ? word[0] + word.slice(1).toLowerCase() : word);
+const clean = (text) => text.replace(DATE_RANGE_RE, '').replace(/[\s|,•·–—-]+$/, '').replace(/^[\s|,•·–—-]+/, '').trim();
+
+function sectionOf(line) {
+  const heading = line.replace(/[:\s]+$/, '').trim();
+  if (heading.length > 48) return null;
+  for (const [key, re] of Object.entries(HEADINGS)) {
+    if (re.test(heading)) return key;
+  }
+  return null;
+}
+
+/** The first line that reads like a person's name: [firstName, lastName] or null. */
+function findName(lines) {
+  for (const line of lines.slice(0, 8)) {
+    const candidate = line.replace(/,.*$/, '').trim();
+    if (sectionOf(candidate) || /resume|curriculum vitae|\bcv\b/i.test(candidate) || /[\d@|]/.test(candidate)) continue;
+    const words = candidate.split(' ').filter(w => !/^[A-Z]\.?$/.test(w));  // drop middle initials
+    if (words.length >= 2 && words.length <= 4 && words.every(w => /^[A-Za-zÀ-ÿ][A-Za-zÀ-ÿ'.-]*$/.test(w))) {
+      return [titleCase(words[0]), words.slice(1).map(titleCase).join(' ')];
+    }
+  }
+  return null;
+}
+
+/** { currentTitle, currentEmployer } from the first entry of the experience section. */
+function findCurrentRole(lines) {
+  const entry = lines.map(clean).filter(Boolean).filter(l => !/^[•·*-]/.test(l)).slice(0, 2);
+  if (entry.length === 0) return {};
+  const first = entry[0];
+  const at = /^(.+?)\s+at\s+(.+)$/i.exec(first);
+  if (at) return { currentTitle: at[1], currentEmployer: at[2] };
+  let parts = first.split(/\s+[|–—-]\s+|\t/).map(clean).filter(Boolean);
+  if (parts.length < 2) parts = first.split(/,\s+/).map(clean).filter(Boolean);
+  const pair = parts.length >= 2 ? parts.slice(0, 2) : entry.length === 2 ? entry : null;
+  if (!pair) return TITLE_WORDS.test(first) ? { currentTitle: first } : { currentEmployer: first };
+  return TITLE_WORDS.test(pair[0]) || !TITLE_WORDS.test(pair[1])
+    ? { currentTitle: pair[0], currentEmployer: pair[1] }
+    : { currentTitle: pair[1], currentEmployer: pair[0] };
+}
+
+function findSkills(lines) {
+  const skills = new Map();
+  for (const item of lines.join('\n').split(/[,;•·|\n\t]|\s+-\s+/)) {
+    const skill = item.replace(/^[\s*-]+|[\s.]+$/g, '').replace(/^[^:]{1,30}:\s*/, '');
+    if (skill.length >= 2 && skill.length <= 40 && !skills.has(skill.toLowerCase())) skills.set(skill.toLowerCase(), skill);
+  }
+  return [...skills.values()].slice(0, 30);
+}
+
+/** Catalog entries whose name, an alias or the full description appears in the text. */
+function findCertifications(text, certTypes) {
+  const found = [];
+  for (const cert of certTypes) {
+    const byName = [cert.name, ...(cert.aliases || [])].some(name => {
+      name = name.trim();
+      if (!name) return false;
+      const words = name.split(/\s+/).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s*');
+      // Acronyms must match in capitals ("CAMS", not "cams"); longer names ignore case
+      return new RegExp(`(?<![\\w-])${words}(?![\\w-])`, /^[A-Z0-9]+$/.test(name) ? '' : 'i').test(text);
+    });
+    const byDescription = cert.description && cert.description.length > 12 && text.toLowerCase().includes(cert.description.toLowerCase());
+    if (byName || byDescription) found.push(cert);
+  }
+  return found;
+}
+
+/**
+ * Fields found in resume text: { firstName, lastName, email, phone, location,
+ * currentTitle, currentEmployer, skills, certifications }. Missing ones are
+ * left out; certifications are entries of certTypes ({ name, description,
+ * issuingBody, type }).
+ */
+export function parseResume(text, certTypes = []) {
+  const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+  const fields = {};
+
+  const name = findName(lines);
+  if (name) [fields.firstName, fields.lastName] = name;
+  const email = EMAIL_RE.exec(text)?.[0];
+  if (email) fields.email = email;
+  const phone = PHONE_RE.exec(text)?.[0];
+  if (phone) fields.phone = phone.trim();
+  // The contact block comes first; look there before the rest of the text
+  const location = LOCATION_RE.exec(lines.slice(0, 10).join('\n')) || LOCATION_RE.exec(text);
+  if (location) fields.location = `${location[1]}, ${location[2]}`;
+
+  const sections = { experience: [], skills: [] };
+  let current = null;
+  for (const line of lines) {
+    const section = sectionOf(line);
+    if (section) current = section;
+    else if (sections[current]) sections[current].push(line);
+  }
+  Object.assign(fields, findCurrentRole(sections.experience));
+  const skills = findSkills(sections.skills);
+  if (skills.length > 0) fields.skills = skills;
+  const certifications = findCertifications(text, certTypes);
+  if (certifications.length > 0) fields.certifications = certifications;
+  return fields;
+}
+
+/** The certification catalog, for parseResume(). */
+export async function getCertTypes() {
+  return getCertCatalog();
+}
+
+// ── Review Modal ────────────────────────────────────────────
+
+const FIELD_LABELS = {
+  firstName: 'First Name',
+  lastName: 'Last Name',
+  email: 'Email',
+  phone: 'Phone',
+  location: 'Location',
+  currentTitle: 'Current Title',
+  currentEmployer: 'Current Employer',
+  skills: 'Skills',
+  certifications: 'Certifications',
+};
+
+/**
+ * Read a resume and show what was found, each value editable and with a
+ * checkbox. Resolves to { fields, attach } with the confirmed values (skills
+ * and certification names as arrays), or null when cancelled or unreadable.
+ */
+export async function reviewResume(file) {
+  let fields;
+  try {
+    fields = parseResume(await extractResumeText(file), await getCertTypes());
+  } catch (err) {
+    toast(`Could not read "${file.name}": ${err.message}`, { type: 'error' });
+    return null;
+  }
+  const found = Object.keys(FIELD_LABELS).filter(f => f in fields);
+  if (found.length === 0) {
+    toast(`Nothing recognizable was found in "${file.name}"`, { type: 'info' });
+    return null;
+  }
+
+  return new Promise((resolve) => {
+    let result = null;
+    const body = document.createElement('form');
+    body.className = 'form resume-review';
+    body.innerHTML = `
+      <p class="section-desc">Found in <strong>${escapeHtml(file.name)}</strong>. Check the values to copy into the form; you can still edit them before saving.</p>
+      ${found.map(field => {
+        const value = field === 'certifications' ? fields[field].map(c => c.name).join(', ')
+          : field === 'skills' ? fields[field].join(', ') : fields[field];
+        return `
+          <div class="resume-field">
+            <input type="checkbox" name="use" value="${field}" checked aria-label="Use ${FIELD_LABELS[field]}">
+            <label for="resume-${field}">${FIELD_LABELS[field]}</label>
+            <input type="text" id="resume-${field}" name="${field}" class="form-input" value="${escapeHtml(value)}" ${field === 'certifications' ? 'readonly' : ''}>
+          </div>`;
+      }).join('')}
+      <label class="checkbox-label resume-attach">
+        <input type="checkbox" name="attach" checked>
+        Attach the resume to the new person
+      </label>
+      <div class="modal-actions">
+        <button type="button" class="btn btn-secondary" id="resume-cancel">Cancel</button>
+        <button type="submit" class="btn btn-primary">Fill Form</button>
+      </div>`;
+
+    body.querySelector('#resume-cancel').addEventListener('click', closeModal);
+    body.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const use = new Set([...body.querySelectorAll('input[name="use"]:checked')].map(i => i.value));
+      const confirmed = {};
+      for (const field of found) {
+        if (!use.has(field)) continue;
+        const value = body.elements[field].value.trim();
+        if (field === 'certifications') confirmed[field] = fields.certifications;
+        else if (field === 'skills') confirmed[field] = value.split(',').map(s => s.trim()).filter(Boolean);
+        else if (value) confirmed[field] = value;
+      }
+      result = { fields: confirmed, attach: body.elements.attach.checked };
+      closeModal();
+    });
+
+    openModal({ title: 'Fill From Resume', body, onClose: () => resolve(result) });
+  });
+}
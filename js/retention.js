@@ -0,0 +1,96 @@
+/**
+ * retention.js — Data retention policy and review list (Settings › Data Retention)
+ */
+
+import db from './db.js';
+import { toast, escapeHtml, formatDate } from './ui.js';
+import { forgetPerson, invalidateListCache } from './candidates.js';
+
+/** Render the retention period form and, when a period is set, the people due for review. */
+export async function renderRetentionSettings(container) {
+  const months = await db.getSetting('retentionMonths');
+
+  container.innerHTML = `
+    <div class="retention-settings">
+      <form class="form retention-form">
+        <div class="form-group">
+          <label for="retentionMonths">Review people with no activity for (months)</label>
+          <input type="number" id="retentionMonths" name="retentionMonths" value="${months || ''}" min="1" max="240" placeholder="Off" class="form-input" style="max-width: 120px;">
+        </div>
+        <button type="submit" class="btn btn-primary">Save</button>
+      </form>
+      <div class="retention-review" style="margin-top: 12px;"></div>
+    </div>`;
+
+  // Listeners go on a fresh element each render so re-renders don't stack them
+  const root = container.querySelector('.retention-settings');
+
+  root.querySelector('.retention-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      const value = parseInt(e.target.retentionMonths.value, 10);
+      await db.setSetting('retentionMonths', value > 0 ? value : null);
+      toast(value > 0 ? 'Retention period saved' : 'Retention review turned off', { type: 'success' });
+      renderRetentionSettings(container);
+    } catch (err) {
+      toast('Failed to save settings: ' + err.message, { type: 'error' });
+    }
+  });
+
+  if (months) renderReview(root.querySelector('.retention-review'), months);
+}
+
+async function renderReview(container, months) {
+  let due;
+  try {
+    due = await db.getRetentionDue(months);
+  } catch (err) {
+    container.innerHTML = '<p class="text-secondary">Failed to check retention.</p>';
+    toast('Database error: ' + err.message, { type: 'error' });
+    return;
+  }
+
+  if (due.length === 0) {
+    container.innerHTML = `<p class="text-secondary">Everyone has had activity in the last ${months} months.</p>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <p class="section-desc">${due.length} ${due.length === 1 ? 'person has' : 'people have'} had no activity for ${months} months or more. Keep them (if you still have a reason to hold their data) or forget them.</p>
+    <div class="candidate-list compact">
+      ${due.map(({ candidate, lastActivityAt }) => `
+        <div class="candidate-row health-row" data-id="${escapeHtml(candidate.id)}">
+          <div class="health-row-info">
+            <a href="#/candidate/${escapeHtml(candidate.id)}" class="candidate-name link">${escapeHtml(candidate.firstName)} ${escapeHtml(candidate.lastName)}</a>
+            <div class="candidate-meta">Last activity ${formatDate(lastActivityAt)}</div>
+          </div>
+          <span>
+            <button class="btn btn-xs btn-secondary retention-keep">Keep</button>
+            <button class="btn btn-xs btn-danger retention-forget">Forget</button>
+          </span>
+        </div>
+      `).join('')}
+    </div>`;
+
+  const byId = new Map(due.map(d => [d.candidate.id, d.candidate]));
+
+  container.addEventListener('click', async (e) => {
+    const row = e.target.closest('[data-id]');
+    if (!row) return;
+    const candidate = byId.get(row.dataset.id);
+    try {
+      if (e.target.closest('.retention-keep')) {
+        await db.markRetentionReviewed(candidate);
+        invalidateListCache();
+        toast(`Kept ${candidate.firstName} ${candidate.lastName}`, { type: 'success' });
+      } else if (e.target.closest('.retention-forget')) {
+        if (!await forgetPerson(candidate)) return;
+      } else {
+        return;
+      }
+      row.remove();
+    } catch (err) {
+      toast('Failed to update: ' + err.message, { type: 'error' });
+    }
+  });
+}
@@ -0,0 +1,191 @@
+/**
+ * search.js — Tokenizer, search documents and ranking for the persistent
+ * full-text index (the `searchIndex` store, maintained by db.js on every write)
+ */
+
+// Bump when tokenization or the document shape changes; app init rebuilds the index
+export const SEARCH_INDEX_VERSION = 2;
+
+export const SEARCHABLE_STORES = ['candidates', 'clients', 'jobs', 'activities'];
+
+// Score multipliers by how a query token matched a document token
+const MATCH_EXACT = 1;
+const MATCH_PREFIX = 0.7;
+const MATCH_FUZZY = 0.4;
+
+// Query tokens shorter than this never fall back to typo-tolerant matching
+const FUZZY_MIN_LENGTH = 4;
+
+// ── Tokenizer ──────────────────────────────────────────────
+
+/** Lowercase, strip diacritics, split on anything that is not a letter or digit. */
+export function tokenize(text) {
+  if (text === null || text === undefined) return [];
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// ── Search Documents ───────────────────────────────────────
+
+/**
+ * Weighted text fields per entity. Each entry is [field, weight, record => text].
+ * Phone numbers are indexed as a single digit string so "5551234" finds "(555) 123-4".
+ */
+const FIELD_WEIGHTS = {
+  candidates: [
+    ['firstName', 3, c => c.firstName],
+    ['lastName', 3, c => c.lastName],
+    ['email', 2, c => c.email],
+    ['phone', 2, c => (c.phone || '').replace(/\D/g, '')],
+    ['currentEmployer', 2, c => c.currentEmployer],
+    ['currentTitle', 2, c => c.currentTitle],
+    ['crdNumber', 2, c => c.crdNumber],
+    ['location', 1, c => c.location],
+    ['certifications', 2, c => (c.certifications || []).map(cert => cert.name).join(' ')],
+    ['skills', 1, c => (c.skills || []).join(' ')],
+    ['custom', 1, c => customText(c.custom)],
+  ],
+  clients: [
+    ['companyName', 3, c => c.companyName],
+    ['industrySector', 1, c => c.industrySector],
+    ['contacts', 2, c => (c.contacts || []).map(ct => ct.name).join(' ')],
+    ['custom', 1, c => customText(c.custom)],
+  ],
+  jobs: [
+    ['title', 3, j => j.title],
+    ['location', 1, j => j.location],
+    ['requiredCerts', 1, j => [...(j.requiredCerts || []), ...(j.preferredCerts || [])].join(' ')],
+    ['custom', 1, j => customText(j.custom)],
+  ],
+  activities: [
+    ['subject', 2, a => a.subject],
+    ['body', 1, a => a.body],
+    ['type', 1, a => a.type],
+  ],
+};
+
+// Text and choice values of custom fields (checkboxes have nothing to find)
+function customText(custom) {
+  return Object.values(custom || {}).flat().filter(v => typeof v === 'string' || typeof v === 'number').join(' ');
+}
+
+// ── Sealed Terms (encryption at rest) ──────────────────────
+//
+// Tokens from encrypted fields are never stored. Instead the document holds
+// keyed hashes of "f:<token>" (whole token) and "p:<prefix>" (each prefix of
+// at least SEALED_PREFIX_MIN characters), marked with a character plain
+// tokens never contain so they stay out of prefix ranges and typo matching.
+// Sealed fields therefore support exact and prefix matches, but not typos.
+
+export const SEALED_MARK = '#';
+const SEALED_PREFIX_MIN = 2;
+
+/** Tokens of the given fields of a record (the ones to be hashed). */
+export function fieldTokens(entity, record, fields) {
+  const tokens = new Set();
+  for (const [field, , getText] of FIELD_WEIGHTS[entity] || []) {
+    if (fields.includes(field)) tokenize(getText(record)).forEach(t => tokens.add(t));
+  }
+  return [...tokens];
+}
+
+/** Hash inputs stored for one token of a sealed field. */
+export function sealedInputs(token) {
+  const inputs = [`f:${token}`];
+  for (let len = SEALED_PREFIX_MIN; len < token.length; len++) inputs.push(`p:${token.slice(0, len)}`);
+  return inputs;
+}
+
+/** Hash inputs to look up for one query token: { full, prefix }. */
+export function sealedQueryInputs(token) {
+  return { full: `f:${token}`, prefix: `p:${token}` };
+}
+
+/**
+ * Build the index document for a record: the distinct tokens (multiEntry-indexed)
+ * and the highest field weight each token appears with. With `sealed`
+ * ({ fields, hashes: Map<input, hash> }) tokens of those fields are stored as hashes.
+ */
+export function buildSearchDoc(entity, record, sealed = null) {
+  const weights = {};
+  const add = (term, weight) => {
+    if (!weights[term] || weights[term] < weight) weights[term] = weight;
+  };
+  for (const [field, weight, getText] of FIELD_WEIGHTS[entity] || []) {
+    for (const token of tokenize(getText(record))) {
+      if (sealed?.fields.includes(field)) {
+        sealedInputs(token).forEach(input => add(SEALED_MARK + sealed.hashes.get(input), weight));
+      } else {
+        add(token, weight);
+      }
+    }
+  }
+  return {
+    key: searchDocKey(entity, record.id),
+    entity,
+    id: record.id,
+    tokens: Object.keys(weights),
+    weights,
+  };
+}
+
+export function searchDocKey(entity, id) {
+  return `${entity}:${id}`;
+}
+
+// ── Ranking ────────────────────────────────────────────────
+
+/** Max edit distance tolerated for a query token of this length (0 = exact/prefix only). */
+export function typoBudget(token) {
+  if (token.length < FUZZY_MIN_LENGTH) return 0;
+  return token.length >= 8 ? 2 : 1;
+}
+
+/** Optimal string alignment distance (Levenshtein + adjacent transpositions), capped at max + 1. */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prev2[j - 2] + 1);
+      }
+      cur.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Score one document against one query token: the best of its tokens, where
+ * `fuzzyTerms` is the set of vocabulary terms within the typo budget and
+ * `sealedTerms` ({ full, prefix }) the hashed forms of the token, if any.
+ * Returns 0 when the document does not match the token at all.
+ */
+export function scoreToken(doc, queryToken, fuzzyTerms, sealedTerms = null) {
+  let best = 0;
+  if (sealedTerms) {
+    best = Math.max((doc.weights[sealedTerms.full] || 0) * MATCH_EXACT, (doc.weights[sealedTerms.prefix] || 0) * MATCH_PREFIX);
+  }
+  for (const [token, weight] of Object.entries(doc.weights)) {
+    let factor = 0;
+    if (token === queryToken) factor = MATCH_EXACT;
+    else if (token.startsWith(queryToken)) factor = MATCH_PREFIX;
+    else if (fuzzyTerms && fuzzyTerms.has(token)) factor = MATCH_FUZZY;
+    if (factor * weight > best) best = factor * weight;
+  }
+  return best;
+}
@@ -0,0 +1,175 @@
+/**
+ * storage.js — Persistent storage, quota monitoring, data-loss detection
+ *
+ * Browsers may evict IndexedDB data under storage pressure unless the origin
+ * was granted persistent storage. Eviction is silent, so the app remembers in
+ * localStorage that a workspace held data and notices when it comes back empty.
+ *
+ * This only catches a database emptied on its own (deleted or cleared by
+ * devtools, an extension or a failed upgrade). Browsers evict an origin's
+ * storage as a whole, localStorage included, so after a full eviction the
+ * marker is gone too and nothing can be detected: persistent storage and
+ * regular backups are the real protection.
+ */
+
+import db from './db.js';
+import { toast, escapeHtml } from './ui.js';
+
+const PERSIST_REQUESTED_KEY = 'compliancetrack.persistRequested';
+const SEEN_DATA_PREFIX = 'compliancetrack.seenData.';
+
+// Share of the quota in use at which startup shows a warning / an error
+const USAGE_WARN_RATIO = 0.8;
+const USAGE_CRITICAL_RATIO = 0.95;
+
+// Stores whose records mean "this workspace holds data"
+const DATA_STORES = ['candidates', 'clients', 'jobs'];
+
+let _dataLoss = null;  // { records, seenAt } when this session started on an emptied database
+
+// ── Status ─────────────────────────────────────────────────
+
+/** { supported, persisted, usage, quota } — usage/quota in bytes, null when unknown. */
+export async function getStorageStatus() {
+  if (!navigator.storage?.estimate) return { supported: false, persisted: false, usage: null, quota: null };
+  const [estimate, persisted] = await Promise.all([
+    navigator.storage.estimate(),
+    navigator.storage.persisted ? navigator.storage.persisted() : false,
+  ]);
+  return { supported: true, persisted, usage: estimate.usage ?? null, quota: estimate.quota ?? null };
+}
+
+/** Ask for persistent storage. Resolves to whether it is (now) granted. */
+export async function requestPersistence() {
+  if (!navigator.storage?.persist) return false;
+  localStorage.setItem(PERSIST_REQUESTED_KEY, new Date().toISOString());
+  return navigator.storage.persist();
+}
+
+/** On the first run only: ask for persistent storage unless it is already granted. */
+export async function requestPersistenceOnFirstRun() {
+  if (localStorage.getItem(PERSIST_REQUESTED_KEY) || !navigator.storage?.persisted) return;
+  if (await navigator.storage.persisted()) return;
+  await requestPersistence();
+}
+
+/** Toast when usage crosses the warning thresholds. */
+export async function warnIfStorageLow() {
+  const { usage, quota } = await getStorageStatus();
+  if (!usage || !quota) return;
+  const ratio = usage / quota;
+  if (ratio < USAGE_WARN_RATIO) return;
+  const message = `Browser storage is ${Math.round(ratio * 100)}% full (${formatBytes(usage)} of ${formatBytes(quota)}). Export a backup and free up space — new data may fail to save.`;
+  toast(message, { type: ratio >= USAGE_CRITICAL_RATIO ? 'error' : 'info', duration: 10000 });
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+// ── Data-Loss Detection ────────────────────────────────────
+
+/**
+ * Compare the open workspace with what was seen last time. Returns
+ * { records, seenAt } if it held data before and is empty now, else null
+ * (and records what is there for next time).
+ */
+export async function checkForDataLoss() {
+  if (await recordSeenData() > 0) {
+    _dataLoss = null;
+    return null;
+  }
+  let seen = null;
+  try { seen = JSON.parse(localStorage.getItem(SEEN_DATA_PREFIX + db.name)); } catch { /* unreadable marker — treat as never seen */ }
+  _dataLoss = seen?.records > 0 ? seen : null;
+  return _dataLoss;
+}
+
+/**
+ * Keep the marker current as this tab writes, so records added after startup
+ * count too. A write that leaves the workspace empty was a deliberate delete.
+ */
+export function trackSeenData() {
+  db.onLocalChange(async (changes) => {
+    if (!changes.some(c => DATA_STORES.includes(c.store))) return;
+    try {
+      if (await recordSeenData() > 0) _dataLoss = null;
+      else forgetSeenData();
+    } catch { /* non-critical */ }
+  });
+}
+
+// Note how many records the open workspace holds, if any; resolves to that count
+async function recordSeenData() {
+  const counts = await Promise.all(DATA_STORES.map(s => db.count(s)));
+  const records = counts.reduce((a, b) => a + b, 0);
+  if (records > 0) {
+    localStorage.setItem(SEEN_DATA_PREFIX + db.name, JSON.stringify({ records, seenAt: new Date().toISOString() }));
+  }
+  return records;
+}
+
+/** Data loss detected at startup and not yet dismissed or restored, or null. */
+export function getDataLoss() {
+  return _dataLoss;
+}
+
+/**
+ * Forget that a workspace held data, after the user emptied it on purpose
+ * (Clear All Data, deleted workspace, or dismissed the data-loss notice).
+ */
+export function forgetSeenData(dbName = db.name) {
+  localStorage.removeItem(SEEN_DATA_PREFIX + dbName);
+  if (dbName === db.name) _dataLoss = null;
+}
+
+// ── Storage Settings ───────────────────────────────────────
+
+/** Render usage, quota, attached files and persistence with a request button into container. */
+export async function renderStorageStatus(container) {
+  let status, files;
+  try {
+    [status, files] = await Promise.all([getStorageStatus(), db.getAttachmentUsage()]);
+  } catch {
+    container.innerHTML = '<p class="text-secondary">Storage status is unavailable.</p>';
+    return;
+  }
+  if (!status.supported) {
+    container.innerHTML = '<p class="text-secondary">This browser does not report storage usage. Export backups regularly.</p>';
+    return;
+  }
+
+  const ratio = status.usage != null && status.quota ? status.usage / status.quota : null;
+  const level = ratio >= USAGE_CRITICAL_RATIO ? 'critical' : ratio >= USAGE_WARN_RATIO ? 'warn' : 'ok';
+
+  container.innerHTML = `
+    <div class="storage-status">
+      ${ratio != null ? `
+        <div class="storage-meter storage-meter--${level}"><div class="storage-meter-fill" style="width: ${Math.min(100, ratio * 100).toFixed(1)}%;"></div></div>
+        <p class="section-desc">${escapeHtml(formatBytes(status.usage))} used of ${escapeHtml(formatBytes(status.quota))} available (${Math.round(ratio * 100)}%), across all workspaces.</p>
+      ` : ''}
+      <p class="section-desc">Attached files in this workspace: ${files.count} (${escapeHtml(formatBytes(files.bytes))}).</p>
+      ${status.persisted
+        ? '<p class="section-desc"><strong>Persistent.</strong> The browser will not clear this data to free up space.</p>'
+        : `<p class="section-desc"><strong>Best effort.</strong> The browser may clear this data when the device runs low on space. Keep recent backups.</p>
+           <button class="btn btn-secondary storage-persist">Request Persistent Storage</button>`}
+    </div>`;
+
+  container.querySelector('.storage-persist')?.addEventListener('click', async () => {
+    try {
+      const granted = await requestPersistence();
+      toast(granted ? 'Persistent storage granted' : 'The browser declined persistent storage. Installing the app or bookmarking it can help.', { type: granted ? 'success' : 'info' });
+      renderStorageStatus(container);
+    } catch (err) {
+      toast('Failed to request persistent storage: ' + err.message, { type: 'error' });
+    }
+  });
+}
@@ -0,0 +1,295 @@
+/**
+ * tags.js — Shared colored tags for people, companies, jobs and activities
+ *
+ * The tag list lives in the `tags` setting ([{ id, name, color }], see
+ * db.getTags); records carry tag ids in `tags`. Renaming or recoloring a tag
+ * only touches the list, while merging and deleting rewrite the records too.
+ */
+
+import db from './db.js';
+import { openModal, closeModal, toast, confirm, escapeHtml } from './ui.js';
+
+export const TAG_COLORS = [
+  { value: '#2563EB', label: 'Blue' },
+  { value: '#1A7A4C', label: 'Green' },
+  { value: '#B45309', label: 'Amber' },
+  { value: '#B91C1C', label: 'Red' },
+  { value: '#7C3AED', label: 'Purple' },
+  { value: '#0E7490', label: 'Teal' },
+  { value: '#BE185D', label: 'Pink' },
+  { value: '#6B6860', label: 'Gray' },
+];
+
+// Plural nouns for bulk messages about a store's records
+const RECORD_NOUNS = { candidates: 'people', clients: 'companies', jobs: 'jobs', activities: 'activities' };
+
+// Colors end up in a style attribute, so anything but a hex color falls back to the first
+const safeColor = (color) => (/^#[0-9a-f]{6}$/i.test(color || '') ? color : TAG_COLORS[0].value);
+
+// New tags take the palette colors in turn
+const nextColor = (tags) => TAG_COLORS[tags.length % TAG_COLORS.length].value;
+
+// ── Display ─────────────────────────────────────────────────
+
+export function renderTagChip(tag) {
+  return `<span class="tag-chip" style="--tag-color: ${safeColor(tag.color)}">${escapeHtml(tag.name)}</span>`;
+}
+
+/** Chips for a record's tag ids, in tag list order; ids of deleted tags are skipped. */
+export function renderTagChips(tagIds, tags) {
+  if (!tagIds || tagIds.length === 0) return '';
+  return `<span class="tag-list">${tags.filter(t => tagIds.includes(t.id)).map(renderTagChip).join('')}</span>`;
+}
+
+/** A detail-field row listing the tags, or '' when the record has none. */
+export function renderTagDetailField(tagIds, tags) {
+  const chips = renderTagChips(tagIds, tags);
+  return chips ? `<div class="detail-field"><span class="detail-label">Tags</span><span class="detail-value">${chips}</span></div>` : '';
+}
+
+// ── Form Input ──────────────────────────────────────────────
+
+/** Toggleable chips for every tag, plus a field for creating new ones. */
+export function renderTagPicker(tags, selected = []) {
+  return `
+    <div class="tag-picker">
+      ${tags.map(tag => `
+        <label class="tag-option">
+          <input type="checkbox" name="tags" value="${escapeHtml(tag.id)}" ${selected.includes(tag.id) ? 'checked' : ''}>
+          ${renderTagChip(tag)}
+        </label>
+      `).join('')}
+      <input type="text" name="newTags" class="form-input tag-new-input" placeholder="New tags, comma-separated">
+    </div>`;
+}
+
+/**
+ * Tag ids picked in a renderTagPicker inside form. Names typed as new tags
+ * are matched to existing tags ignoring case, and created otherwise.
+ */
+export async function collectTagIds(form, tags) {
+  const ids = [...form.querySelectorAll('input[name="tags"]:checked')].map(box => box.value);
+  const names = (form.querySelector('input[name="newTags"]')?.value || '').split(',').map(n => n.trim()).filter(Boolean);
+  const known = [...tags];
+  for (const name of names) {
+    let tag = known.find(t => t.name.toLowerCase() === name.toLowerCase());
+    if (!tag) {
+      tag = await db.saveTag({ name, color: nextColor(known) });
+      known.push(tag);
+    }
+    ids.push(tag.id);
+  }
+  return [...new Set(ids)];
+}
+
+// ── List Filters ────────────────────────────────────────────
+
+/** A <select class="tag-filter"> over the tags, or '' when there are none. */
+export function renderTagFilter(tags, selected = '') {
+  if (tags.length === 0) return '';
+  return `
+    <select class="form-select tag-filter" title="Tag">
+      <option value="">All Tags</option>
+      ${tags.map(t => `<option value="${escapeHtml(t.id)}" ${t.id === selected ? 'selected' : ''}>${escapeHtml(t.name)}</option>`).join('')}
+    </select>`;
+}
+
+/** Whether record carries tagId (always true without a tag filter). */
+export function hasTag(record, tagId) {
+  return !tagId || (record.tags || []).includes(tagId);
+}
+
+// ── Bulk Tagging ────────────────────────────────────────────
+
+/** Modal to add a tag to, or remove one from, the records ids of storeName. onDone runs after a change. */
+export async function openBulkTagModal(storeName, ids, onDone) {
+  let tags;
+  try {
+    tags = await db.getTags();
+  } catch (err) {
+    toast('Failed to load tags: ' + err.message, { type: 'error' });
+    return;
+  }
+  const noun = ids.length === 1 ? '1 record' : `${ids.length} ${RECORD_NOUNS[storeName]}`;
+
+  const body = document.createElement('form');
+  body.className = 'form';
+  body.innerHTML = `
+    <div class="form-group">
+      <label for="bulk-tag">Tag</label>
+      <select id="bulk-tag" class="form-select">
+        ${tags.map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`).join('')}
+        <option value="">New tag…</option>
+      </select>
+    </div>
+    <div class="form-group" id="bulk-tag-new" ${tags.length > 0 ? 'hidden' : ''}>
+      <label for="bulk-tag-name">New tag name</label>
+      <input type="text" id="bulk-tag-name" class="form-input">
+    </div>`;
+
+  const footer = document.createElement('div');
+  footer.className = 'modal-actions';
+  footer.innerHTML = `
+    <button type="button" class="btn btn-secondary bulk-tag-cancel">Cancel</button>
+    <button type="button" class="btn btn-secondary bulk-tag-remove" ${tags.length === 0 ? 'disabled' : ''}>Remove Tag</button>
+    <button type="button" class="btn btn-primary bulk-tag-add">Add Tag</button>`;
+
+  openModal({ title: `Tag ${noun}`, body, footer });
+
+  const select = body.querySelector('#bulk-tag');
+  select.addEventListener('change', () => {
+    body.querySelector('#bulk-tag-new').hidden = select.value !== '';
+    footer.querySelector('.bulk-tag-remove').disabled = select.value === '';
+  });
+  footer.querySelector('.bulk-tag-cancel').addEventListener('click', closeModal);
+  footer.querySelector('.bulk-tag-add').addEventListener('click', () => apply('add'));
+  footer.querySelector('.bulk-tag-remove').addEventListener('click', () => apply('remove'));
+  body.addEventListener('submit', (e) => { e.preventDefault(); apply('add'); });
+
+  async function apply(mode) {
+    try {
+      let tag = tags.find(t => t.id === select.value);
+      if (!tag) {
+        const name = body.querySelector('#bulk-tag-name').value.trim();
+        if (!name) { toast('Enter a tag name', { type: 'error' }); return; }
+        tag = tags.find(t => t.name.toLowerCase() === name.toLowerCase()) || await db.saveTag({ name, color: nextColor(tags) });
+      }
+      const changed = await db.tagRecords(storeName, ids, mode === 'add' ? { add: [tag.id] } : { remove: [tag.id] });
+      closeModal();
+      toast(`${mode === 'add' ? 'Tagged' : 'Untagged'} ${changed} of ${noun} ${mode === 'add' ? 'with' : 'from'} "${tag.name}"`, { type: 'success' });
+      onDone?.();
+    } catch (err) {
+      toast('Failed to tag: ' + err.message, { type: 'error' });
+    }
+  }
+}
+
+// ── Settings Editor ─────────────────────────────────────────
+
+function renderColorChoices(selected) {
+  return `
+    <span class="tag-color-choices">
+      ${TAG_COLORS.map(c => `
+        <label class="tag-color-choice" title="${c.label}">
+          <input type="radio" name="color" value="${c.value}" ${c.value === selected ? 'checked' : ''} aria-label="${c.label}">
+          <span style="--tag-color: ${c.value}"></span>
+        </label>
+      `).join('')}
+    </span>`;
+}
+
+/** Render the tag manager (add, rename/recolor, merge, delete) into container. */
+export async function renderTagSettings(container) {
+  let tags, counts;
+  try {
+    [tags, counts] = await Promise.all([db.getTags(), db.countTagged()]);
+  } catch (err) {
+    container.innerHTML = '<p class="text-secondary">Failed to load tags.</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="tag-settings">
+      ${tags.map(tag => `
+        <div class="custom-cert-row tag-row" data-id="${escapeHtml(tag.id)}">
+          <span>
+            ${renderTagChip(tag)}
+            <span class="text-secondary">${counts.get(tag.id) || 0} ${counts.get(tag.id) === 1 ? 'record' : 'records'}</span>
+          </span>
+          <span>
+            <button class="btn btn-xs btn-secondary tag-edit">Edit</button>
+            ${tags.length > 1 ? '<button class="btn btn-xs btn-secondary tag-merge">Merge into…</button>' : ''}
+            <button class="btn btn-xs btn-danger tag-delete">Delete</button>
+          </span>
+        </div>
+      `).join('') || '<p class="text-secondary">No tags yet. Tags added on a form or with bulk tagging show up here too.</p>'}
+      <form class="form form-inline tag-add-form">
+        <input type="text" name="name" placeholder="Tag name" required class="form-input">
+        ${renderColorChoices(nextColor(tags))}
+        <button type="submit" class="btn btn-secondary">Add</button>
+      </form>
+    </div>`;
+
+  // Listeners go on a fresh element each render so re-renders don't stack them
+  const root = container.querySelector('.tag-settings');
+  const rerender = () => renderTagSettings(container);
+
+  root.querySelector('.tag-add-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    try {
+      const tag = await db.saveTag({ name: form.name.value, color: form.color.value });
+      toast(`Added "${tag.name}"`, { type: 'success' });
+      rerender();
+    } catch (err) {
+      toast('Failed to add tag: ' + err.message, { type: 'error' });
+    }
+  });
+
+  root.addEventListener('click', async (e) => {
+    const row = e.target.closest('.tag-row');
+    if (!row) return;
+    const tag = tags.find(t => t.id === row.dataset.id);
+
+    if (e.target.closest('.tag-edit')) {
+      editRow(row, tag);
+    } else if (e.target.closest('.tag-merge')) {
+      mergeRow(row, tag);
+    } else if (e.target.closest('.tag-delete')) {
+      const count = counts.get(tag.id) || 0;
+      if (!await confirm(`Delete the "${tag.name}" tag?${count > 0 ? ` It is removed from ${count} ${count === 1 ? 'record' : 'records'}.` : ''}`)) return;
+      try {
+        await db.deleteTag(tag.id);
+        toast(`Deleted "${tag.name}"`, { type: 'info' });
+        rerender();
+      } catch (err) {
+        toast('Failed to delete tag: ' + err.message, { type: 'error' });
+      }
+    }
+  });
+
+  function editRow(row, tag) {
+    row.innerHTML = `
+      <form class="form form-inline tag-edit-form">
+        <input type="text" name="name" value="${escapeHtml(tag.name)}" required class="form-input">
+        ${renderColorChoices(safeColor(tag.color))}
+        <button type="submit" class="btn btn-xs btn-primary">Save</button>
+        <button type="button" class="btn btn-xs btn-secondary tag-cancel">Cancel</button>
+      </form>`;
+    row.querySelector('.tag-cancel').addEventListener('click', rerender);
+    row.querySelector('form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        await db.saveTag({ id: tag.id, name: e.target.name.value, color: e.target.color.value });
+        toast('Tag updated', { type: 'success' });
+        rerender();
+      } catch (err) {
+        toast('Failed to update tag: ' + err.message, { type: 'error' });
+      }
+    });
+  }
+
+  function mergeRow(row, tag) {
+    row.innerHTML = `
+      <form class="form form-inline tag-merge-form">
+        <span>Merge ${renderTagChip(tag)} into</span>
+        <select name="target" class="form-select">
+          ${tags.filter(t => t.id !== tag.id).map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`).join('')}
+        </select>
+        <button type="submit" class="btn btn-xs btn-primary">Merge</button>
+        <button type="button" class="btn btn-xs btn-secondary tag-cancel">Cancel</button>
+      </form>`;
+    row.querySelector('.tag-cancel').addEventListener('click', rerender);
+    row.querySelector('form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const target = tags.find(t => t.id === e.target.target.value);
+      try {
+        const changed = await db.mergeTags([tag.id], target.id);
+        toast(`Merged "${tag.name}" into "${target.name}" (${changed} ${changed === 1 ? 'record' : 'records'} updated)`, { type: 'success' });
+        rerender();
+      } catch (err) {
+        toast('Failed to merge tags: ' + err.message, { type: 'error' });
+      }
+    });
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * trash.js — Trash view: soft-deleted records of every type, restore / purge
+ */
+
+import db from './db.js';
+import { toast, escapeHtml, formatDate, setHeaderTitle, setHeaderActions, confirm } from './ui.js';
+import { invalidateListCache } from './candidates.js';
+import { invalidateClientListCache } from './clients.js';
+import { invalidateJobListCache } from './jobs.js';
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const ENTITY_LABELS = {
+  candidates: 'People',
+  clients: 'Companies',
+  jobs: 'Jobs',
+  pipeline: 'Pipeline Entries',
+  activities: 'Activities',
+};
+
+// ── Trash View ─────────────────────────────────────────────
+
+export async function renderTrash() {
+  setHeaderTitle('Trash');
+  setHeaderActions('<button id="btn-empty-trash" class="btn btn-danger btn-sm">Empty Trash</button>');
+  const content = document.getElementById('content');
+
+  let items, retentionDays;
+  try {
+    items = await db.getTrash();
+    retentionDays = (await db.getSetting('trashRetentionDays')) || DEFAULT_TRASH_RETENTION_DAYS;
+  } catch (err) {
+    content.innerHTML = `<div class="empty-state"><p>Failed to load trash.</p></div>`;
+    toast('Database error: ' + err.message, { type: 'error' });
+    return;
+  }
+
+  if (items.length === 0) {
+    setHeaderActions('');
+    content.innerHTML = `
+      <div class="empty-state">
+        <h2>Trash is empty</h2>
+        <p>Deleted people, companies, jobs, pipeline entries and activities are kept here for ${retentionDays} days.</p>
+      </div>`;
+    return;
+  }
+
+  // Labels for pipeline entries / activities need their (possibly trashed) parents
+  const [candidates, jobs] = await Promise.all([db.getAll('candidates'), db.getAll('jobs')]);
+  const candidateMap = new Map(candidates.map(c => [c.id, c]));
+  const jobMap = new Map(jobs.map(j => [j.id, j]));
+
+  const groups = new Map();
+  for (const item of items) {
+    if (!groups.has(item.entity)) groups.set(item.entity, []);
+    groups.get(item.entity).push(item);
+  }
+
+  content.innerHTML = `
+    <div class="trash-page">
+      <p class="section-desc">Items are permanently deleted ${retentionDays} days after being moved here. Change this in Settings.</p>
+      ${[...groups.entries()].map(([entity, list]) => `
+        <div class="detail-section">
+          <h2 class="section-title">${ENTITY_LABELS[entity]} (${list.length})</h2>
+          <div class="candidate-list compact">
+            ${list.map(({ record }) => `
+              <div class="candidate-row trash-row" data-entity="${entity}" data-id="${record.id}">
+                <div class="trash-row-info">
+                  <div class="candidate-name">${escapeHtml(describeRecord(entity, record, candidateMap, jobMap))}</div>
+                  <div class="candidate-meta">Deleted ${formatDate(record.deletedAt)} — ${daysUntilPurge(record, retentionDays)}</div>
+                </div>
+                <div class="trash-row-actions">
+                  <button class="btn btn-xs btn-secondary trash-restore">Restore</button>
+                  <button class="btn btn-xs btn-danger trash-purge">Delete Permanently</button>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      `).join('')}
+    </div>`;
+
+  content.querySelector('.trash-page').addEventListener('click', async (e) => {
+    const row = e.target.closest('.trash-row');
+    if (!row) return;
+    const { entity, id } = row.dataset;
+    try {
+      if (e.target.closest('.trash-restore')) {
+        await db.restoreFromTrash(entity, id);
+        invalidateCaches();
+        toast('Restored', { type: 'success' });
+        renderTrash();
+      } else if (e.target.closest('.trash-purge')) {
+        if (!await confirm('Permanently delete this item? This cannot be undone.')) return;
+        await db.purge(entity, id);
+        invalidateCaches();
+        toast('Deleted permanently', { type: 'info' });
+        renderTrash();
+      }
+    } catch (err) {
+      toast('Error: ' + err.message, { type: 'error' });
+    }
+  });
+
+  document.getElementById('btn-empty-trash').addEventListener('click', async () => {
+    if (!await confirm(`Permanently delete all ${items.length} items in the Trash? This cannot be undone.`)) return;
+    try {
+      for (const { entity, record } of items) {
+        await db.purge(entity, record.id);
+      }
+      invalidateCaches();
+      toast('Trash emptied', { type: 'info' });
+      renderTrash();
+    } catch (err) {
+      toast('Failed to empty trash: ' + err.message, { type: 'error' });
+    }
+  });
+}
+
+function describeRecord(entity, record, candidateMap, jobMap) {
+  const personName = (id) => {
+    const c = candidateMap.get(id);
+    return c ? `${c.firstName} ${c.lastName}` : 'Unknown person';
+  };
+  switch (entity) {
+    case 'candidates': return `${record.firstName} ${record.lastName}`;
+    case 'clients': return record.companyName;
+    case 'jobs': return record.title;
+    case 'pipeline': return `${personName(record.candidateId)} — ${jobMap.get(record.jobId)?.title || 'Unknown job'}`;
+    case 'activities': return `${record.subject || record.type} — ${personName(record.candidateId)}`;
+    default: return record.id;
+  }
+}
+
+function daysUntilPurge(record, retentionDays) {
+  const purgeAt = new Date(record.deletedAt).getTime() + retentionDays * 86400000;
+  const days = Math.ceil((purgeAt - Date.now()) / 86400000);
+  return days > 0 ? `purged in ${days}d` : 'purged on next start';
+}
+
+function invalidateCaches() {
+  invalidateListCache();
+  invalidateClientListCache();
+  invalidateJobListCache();
+}
@@ -135,6 +135,16 @@ export function toast(message, { type = 'info', duration = 4000, action, actionL
   return { id, dismiss: removeToast };
 }
 
+/**
+ * Error toast for a ConflictError from db (the record was saved in another
+ * tab since it was loaded) with a Reload action. Returns false for any other error.
+ */
+export function toastConflict(err, reload) {
+  if (err?.name !== 'ConflictError') return false;
+  toast(err.message, { type: 'error', duration: 10000, action: reload, actionLabel: 'Reload' });
+  return true;
+}
+
 // ── Search Controller ───────────────────────────────────────
 
 export class SearchController {
@@ -168,6 +178,75 @@ export class SearchController {
   }
 }
 
+// ── Paging ──────────────────────────────────────────────────
+
+/**
+ * Append a "Load more" button to container when another page exists.
+ * onLoad fetches the next page and re-renders; the button is disabled meanwhile.
+ */
+export function renderLoadMore(container, hasMore, onLoad) {
+  if (!hasMore) return;
+  container.insertAdjacentHTML('beforeend', '<div class="load-more"><button class="btn btn-secondary btn-sm">Load more</button></div>');
+  const btn = container.querySelector('.load-more button');
+  btn.addEventListener('click', async () => {
+    btn.disabled = true;
+    try {
+      await onLoad();
+    } catch (err) {
+      toast('Failed to load more: ' + err.message, { type: 'error' });
+      btn.disabled = false;
+    }
+  });
+}
+
+// ── Bulk Selection ──────────────────────────────────────────
+
+/**
+ * Checkbox selection over a list whose rows are re-rendered: rows include
+ * selection.box(id, label), which keeps its ticked state across renders.
+ * While anything is ticked, bar shows the count and a button per action
+ * { label, primary, min = 1, hint, run(ids) }; hint is the tooltip while fewer
+ * than min are ticked. Returns { box, clear }.
+ */
+export function createSelection(list, bar, actions) {
+  const selected = new Set();
+
+  function renderBar() {
+    bar.hidden = selected.size === 0;
+    bar.innerHTML = `
+      <span>${selected.size} selected</span>
+      ${actions.map((action, i) => {
+        const disabled = selected.size < (action.min || 1);
+        return `<button class="btn btn-sm ${action.primary ? 'btn-primary' : 'btn-secondary'} selection-action" data-index="${i}" ${disabled ? `disabled title="${escapeHtml(action.hint || '')}"` : ''}>${escapeHtml(action.label)}</button>`;
+      }).join('')}
+      <button class="btn btn-secondary btn-sm selection-clear">Clear</button>
+    `;
+  }
+
+  function clear() {
+    selected.clear();
+    list.querySelectorAll('.select-record').forEach(box => { box.checked = false; });
+    renderBar();
+  }
+
+  list.addEventListener('change', (e) => {
+    if (!e.target.matches('.select-record')) return;
+    if (e.target.checked) selected.add(e.target.dataset.id);
+    else selected.delete(e.target.dataset.id);
+    renderBar();
+  });
+  bar.addEventListener('click', (e) => {
+    const btn = e.target.closest('.selection-action');
+    if (btn) actions[btn.dataset.index].run([...selected]);
+    else if (e.target.closest('.selection-clear')) clear();
+  });
+
+  return {
+    box: (id, label) => `<input type="checkbox" class="select-record" data-id="${escapeHtml(id)}" ${selected.has(id) ? 'checked' : ''} aria-label="Select ${escapeHtml(label)}">`,
+    clear,
+  };
+}
+
 // ── Dirty-Form Guard ────────────────────────────────────────
 
 let _dirty = false;
@@ -184,6 +263,12 @@ export function formatDate(isoString) {
   return d.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
 }
 
+export function formatDateTime(isoString) {
+  if (!isoString) return '—';
+  const d = new Date(isoString);
+  return d.toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
 const ESC_MAP = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
 
 export function escapeHtml(str) {
@@ -211,3 +296,20 @@ export function detailField(label, value, href) {
   const val = href ? `<a href="${escapeHtml(href)}" class="link">${display}</a>` : display;
   return `<div class="detail-field"><span class="detail-label">${label}</span><span class="detail-value">${val}</span></div>`;
 }
+
+// ── Tabs ─────────────────────────────────────────────────────
+
+/**
+ * Wire up `.tab-btn[data-tab]` buttons to toggle matching `.tab-panel[data-tab]`
+ * panels inside root. onActivate(tab) fires on every switch (for lazy loading).
+ */
+export function initTabs(root, onActivate) {
+  root.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const tab = btn.dataset.tab;
+      root.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b === btn));
+      root.querySelectorAll('.tab-panel').forEach(p => { p.hidden = p.dataset.tab !== tab; });
+      if (onActivate) onActivate(tab);
+    });
+  });
+}
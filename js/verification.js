@@ -0,0 +1,206 @@
+/**
+ * verification.js — Cert verification: record a check against the issuer, and
+ * a queue of unverified certs held by people in active pipelines
+ */
+
+import db, { getVerificationStatus, expandCertNames, VERIFICATION_STATUSES, VERIFICATION_METHODS } from './db.js';
+import { openModal, closeModal, toast, toastConflict, setHeaderTitle, setHeaderActions, formatDate, escapeHtml } from './ui.js';
+import { getCertCatalog } from './cert-catalog.js';
+
+// Jobs in these statuses still have people moving through their pipeline
+const ACTIVE_JOB_STATUSES = ['open', 'on-hold'];
+
+let _queueFilter = 'unverified';
+
+/** Status pill for a cert's verification, for the cert list. */
+export function verificationBadge(cert) {
+  const status = getVerificationStatus(cert);
+  const v = cert.verification;
+  const label = VERIFICATION_STATUSES.find(st => st.value === status)?.label || status;
+  const title = v && status !== 'unverified'
+    ? [v.verifiedBy && `By ${v.verifiedBy}`, v.date && formatDate(v.date), VERIFICATION_METHODS.find(m => m.value === v.method)?.label].filter(Boolean).join(' · ')
+    : 'Not checked with the issuer yet';
+  return `<span class="verification-badge verification-badge--${status}" title="${escapeHtml(title)}">${escapeHtml(label)}</span>`;
+}
+
+// ── Verification Modal ──────────────────────────────────────
+
+/** Record the outcome of checking one of the candidate's certs; onSaved runs after a successful save. */
+export function openVerificationModal(candidate, certIndex, onSaved) {
+  const cert = candidate.certifications[certIndex];
+  const v = cert.verification || {};
+
+  const body = document.createElement('form');
+  body.id = 'verification-form';
+  body.className = 'form';
+  body.innerHTML = `
+    <div class="form-row">
+      <div class="form-group">
+        <label for="verification-status">Status</label>
+        <select id="verification-status" class="form-select">
+          ${VERIFICATION_STATUSES.map(st => `<option value="${st.value}" ${getVerificationStatus(cert) === st.value ? 'selected' : ''}>${escapeHtml(st.label)}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="verification-date">Date Checked</label>
+        <input type="date" id="verification-date" class="form-input" value="${v.date || new Date().toISOString().slice(0, 10)}">
+      </div>
+    </div>
+    <div class="form-row">
+      <div class="form-group">
+        <label for="verification-by">Verified By</label>
+        <input type="text" id="verification-by" class="form-input" value="${escapeHtml(v.verifiedBy || '')}">
+      </div>
+      <div class="form-group">
+        <label for="verification-method">Method</label>
+        <select id="verification-method" class="form-select">
+          ${VERIFICATION_METHODS.map(m => `<option value="${m.value}" ${v.method === m.value ? 'selected' : ''}>${escapeHtml(m.label)}</option>`).join('')}
+        </select>
+      </div>
+    </div>
+    <div class="form-group">
+      <label for="verification-evidence">Evidence Reference</label>
+      <input type="text" id="verification-evidence" class="form-input" placeholder="e.g., BrokerCheck report date, registry URL, attachment name" value="${escapeHtml(v.evidence || '')}">
+    </div>
+  `;
+
+  const footer = document.createElement('div');
+  footer.className = 'modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'btn btn-secondary';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = closeModal;
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.setAttribute('form', 'verification-form');
+  saveBtn.className = 'btn btn-primary';
+  saveBtn.textContent = 'Save';
+  footer.append(cancelBtn, saveBtn);
+
+  openModal({ title: `Verify ${cert.name}`, body, footer });
+
+  body.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const status = document.getElementById('verification-status').value;
+    const previous = cert.verification;
+    cert.verification = status === 'unverified' ? null : {
+      status,
+      verifiedBy: document.getElementById('verification-by').value.trim(),
+      date: document.getElementById('verification-date').value || null,
+      method: document.getElementById('verification-method').value,
+      evidence: document.getElementById('verification-evidence').value.trim(),
+    };
+
+    try {
+      await db.updateCandidate(candidate);
+      closeModal();
+      toast(`${cert.name} marked ${status}`, { type: 'success' });
+      onSaved?.();
+    } catch (err) {
+      cert.verification = previous;
+      if (toastConflict(err, () => { closeModal(); onSaved?.(); })) return;
+      toast('Failed to save verification: ' + err.message, { type: 'error' });
+    }
+  });
+}
+
+// ── Queue ───────────────────────────────────────────────────
+
+/**
+ * Certs still to check (or that failed a check) for everyone in the pipeline
+ * of an open or on-hold job. Each row lists the jobs the person is in and
+ * which of them require the cert (or one it counts as in the catalog).
+ */
+export function getVerificationQueue(candidates, jobs, entries, status = 'unverified', catalog = []) {
+  const activeJobs = new Map(jobs.filter(j => ACTIVE_JOB_STATUSES.includes(j.status)).map(j => [j.id, j]));
+  const jobsByCandidate = new Map();
+  for (const entry of entries) {
+    const job = activeJobs.get(entry.jobId);
+    if (!job) continue;
+    if (!jobsByCandidate.has(entry.candidateId)) jobsByCandidate.set(entry.candidateId, []);
+    jobsByCandidate.get(entry.candidateId).push(job);
+  }
+
+  const rows = [];
+  for (const candidate of candidates) {
+    const candidateJobs = jobsByCandidate.get(candidate.id);
+    if (!candidateJobs) continue;
+    (candidate.certifications || []).forEach((cert, certIndex) => {
+      if (getVerificationStatus(cert) !== status) return;
+      const covers = expandCertNames([cert.name], catalog);
+      const requiredBy = candidateJobs.filter(j => (j.requiredCerts || []).some(name => covers.has(name)));
+      rows.push({ candidate, cert, certIndex, jobs: candidateJobs, requiredBy });
+    });
+  }
+  // Certs a job depends on come first
+  return rows.sort((a, b) => (b.requiredBy.length > 0) - (a.requiredBy.length > 0)
+    || `${a.candidate.lastName} ${a.candidate.firstName}`.localeCompare(`${b.candidate.lastName} ${b.candidate.firstName}`));
+}
+
+export async function renderVerificationQueue() {
+  setHeaderTitle('Cert Verification');
+  setHeaderActions(`<a href="#/candidates" class="btn btn-secondary btn-sm">Back to People</a>`);
+  const content = document.getElementById('content');
+
+  let candidates, jobs, entries, catalog;
+  try {
+    [candidates, jobs, entries, catalog] = await Promise.all([
+      db.getAllCandidates(),
+      db.getAllJobs(),
+      db.getAllPipelineEntries(),
+      getCertCatalog(),
+    ]);
+  } catch (err) {
+    content.innerHTML = '<div class="empty-state"><p>Failed to load the verification queue.</p></div>';
+    toast('Database error: ' + err.message, { type: 'error' });
+    return;
+  }
+
+  const rows = getVerificationQueue(candidates, jobs, entries, _queueFilter, catalog);
+
+  content.innerHTML = `
+    <div class="verification-page">
+      <p class="section-desc">Certifications held by people in the pipeline of an open or on-hold job. Check each one with the issuer and record the result; jobs set to count only verified certs ignore the rest.</p>
+      <div class="list-toolbar">
+        <select id="verification-filter" class="form-select" aria-label="Verification status">
+          <option value="unverified" ${_queueFilter === 'unverified' ? 'selected' : ''}>Unverified</option>
+          <option value="failed" ${_queueFilter === 'failed' ? 'selected' : ''}>Failed verification</option>
+        </select>
+      </div>
+      ${rows.length === 0 ? `<div class="empty-state"><p>${_queueFilter === 'failed' ? 'No failed verifications.' : 'Every cert in an active pipeline has been checked.'}</p></div>` : `
+      <table class="data-table verification-table">
+        <thead>
+          <tr><th>Person</th><th>Certification</th><th>Obtained</th><th>Pipelines</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${rows.map((row, i) => `
+            <tr>
+              <td><a href="#/candidate/${escapeHtml(row.candidate.id)}">${escapeHtml(row.candidate.firstName)} ${escapeHtml(row.candidate.lastName)}</a></td>
+              <td>
+                <span class="cert-badge cert-badge--sm">${escapeHtml(row.cert.name)}</span>
+                <span class="text-secondary">${escapeHtml(row.cert.issuingBody || '')}</span>
+              </td>
+              <td>${row.cert.dateObtained ? formatDate(row.cert.dateObtained) : '—'}</td>
+              <td>
+                ${row.jobs.map(j => `<a href="#/pipeline/${escapeHtml(j.id)}" class="verification-job${row.requiredBy.includes(j) ? ' verification-job--required' : ''}" title="${row.requiredBy.includes(j) ? 'Requires this cert' : ''}">${escapeHtml(j.title)}</a>`).join('')}
+              </td>
+              <td><button class="btn btn-xs btn-primary verification-verify" data-row="${i}">Verify</button></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>`}
+    </div>`;
+
+  document.getElementById('verification-filter').addEventListener('change', (e) => {
+    _queueFilter = e.target.value;
+    renderVerificationQueue();
+  });
+
+  content.querySelector('.verification-table')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('.verification-verify');
+    if (!btn) return;
+    const row = rows[parseInt(btn.dataset.row, 10)];
+    openVerificationModal(row.candidate, row.certIndex, renderVerificationQueue);
+  });
+}
@@ -0,0 +1,168 @@
+/**
+ * workspaces.js — Named workspaces, each its own IndexedDB database
+ *
+ * The registry lives in localStorage because it has to be readable before any
+ * database is opened. The default workspace keeps the original database name,
+ * so installs from before workspaces existed open their data unchanged.
+ */
+
+import { DB_NAME } from './db.js';
+import { toast, escapeHtml } from './ui.js';
+import { forgetSeenData } from './storage.js';
+
+const REGISTRY_KEY = 'compliancetrack.workspaces';
+const ACTIVE_KEY = 'compliancetrack.activeWorkspace';
+
+const DEFAULT_WORKSPACE = { id: 'default', name: 'Main', dbName: DB_NAME };
+
+// ── Registry ───────────────────────────────────────────────
+
+export function listWorkspaces() {
+  try {
+    const list = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+    if (Array.isArray(list) && list.length > 0) return list;
+  } catch { /* corrupt registry — fall back to the default workspace */ }
+  return [DEFAULT_WORKSPACE];
+}
+
+function saveWorkspaces(list) {
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(list));
+}
+
+/**
+ * Workspace this tab works in: the one chosen in this tab (sessionStorage),
+ * else the last one chosen anywhere, else the first.
+ */
+export function getActiveWorkspace() {
+  const list = listWorkspaces();
+  const id = sessionStorage.getItem(ACTIVE_KEY) || localStorage.getItem(ACTIVE_KEY);
+  return list.find(w => w.id === id) || list[0];
+}
+
+/** Make id the active workspace and reload the app into it. */
+export function switchWorkspace(id) {
+  sessionStorage.setItem(ACTIVE_KEY, id);
+  localStorage.setItem(ACTIVE_KEY, id);
+  location.hash = '#/dashboard';
+  location.reload();
+}
+
+function checkName(name, exceptId = null) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Workspace name is required');
+  if (listWorkspaces().some(w => w.id !== exceptId && w.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A workspace named "${trimmed}" already exists`);
+  }
+  return trimmed;
+}
+
+export function createWorkspace(name) {
+  const id = crypto.randomUUID();
+  const workspace = { id, name: checkName(name), dbName: `${DB_NAME}-${id}`, createdAt: new Date().toISOString() };
+  saveWorkspaces([...listWorkspaces(), workspace]);
+  return workspace;
+}
+
+export function renameWorkspace(id, name) {
+  const trimmed = checkName(name, id);
+  saveWorkspaces(listWorkspaces().map(w => w.id === id ? { ...w, name: trimmed } : w));
+}
+
+/** Delete a workspace and its database. The open workspace can't be deleted. */
+export async function deleteWorkspace(id) {
+  if (id === getActiveWorkspace().id) throw new Error('Switch to another workspace before deleting this one');
+  const workspace = listWorkspaces().find(w => w.id === id);
+  if (!workspace) return;
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(workspace.dbName);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`"${workspace.name}" is open in another tab. Close it and try again.`));
+  });
+  saveWorkspaces(listWorkspaces().filter(w => w.id !== id));
+  forgetSeenData(workspace.dbName);
+}
+
+// ── Sidebar Switcher ───────────────────────────────────────
+
+export function initWorkspaceSwitcher() {
+  const select = document.getElementById('workspace-select');
+  renderSwitcherOptions();
+  select.addEventListener('change', () => switchWorkspace(select.value));
+}
+
+// Also called after the registry changes; the window title names the
+// workspace once there is more than one
+function renderSwitcherOptions() {
+  const active = getActiveWorkspace();
+  const list = listWorkspaces();
+  document.getElementById('workspace-select').innerHTML = list.map(w =>
+    `<option value="${escapeHtml(w.id)}"${w.id === active.id ? ' selected' : ''}>${escapeHtml(w.name)}</option>`
+  ).join('');
+  document.title = list.length > 1 ? `${active.name} — ComplianceTrack` : 'ComplianceTrack';
+}
+
+// ── Workspace Settings ─────────────────────────────────────
+
+/** Render the workspace list with rename / delete / switch and the create form into container. */
+export function renderWorkspaceSettings(container) {
+  const active = getActiveWorkspace();
+  container.innerHTML = `
+    <div class="workspace-settings">
+      ${listWorkspaces().map(w => `
+        <div class="custom-cert-row" data-id="${escapeHtml(w.id)}">
+          <span>${escapeHtml(w.name)}${w.id === active.id ? ' <span class="text-secondary">(open)</span>' : ''}</span>
+          <span>
+            ${w.id === active.id ? '' : '<button class="btn btn-sm btn-secondary workspace-open">Open</button>'}
+            <button class="btn btn-sm btn-secondary workspace-rename">Rename</button>
+            ${w.id === active.id ? '' : '<button class="btn btn-sm btn-danger workspace-delete">Delete</button>'}
+          </span>
+        </div>
+      `).join('')}
+      <form class="form form-inline workspace-create-form">
+        <input type="text" name="name" placeholder="New workspace name" required class="form-input">
+        <button type="submit" class="btn btn-secondary">Create</button>
+      </form>
+    </div>`;
+
+  // Listeners go on a fresh element each render so re-renders don't stack them
+  const root = container.querySelector('.workspace-settings');
+
+  root.querySelector('.workspace-create-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    try {
+      const workspace = createWorkspace(e.target.name.value);
+      toast(`Created "${workspace.name}"`, { type: 'success' });
+      renderWorkspaceSettings(container);
+      renderSwitcherOptions();
+    } catch (err) {
+      toast(err.message, { type: 'error' });
+    }
+  });
+
+  root.addEventListener('click', async (e) => {
+    const row = e.target.closest('[data-id]');
+    if (!row) return;
+    const workspace = listWorkspaces().find(w => w.id === row.dataset.id);
+    try {
+      if (e.target.closest('.workspace-open')) {
+        switchWorkspace(workspace.id);
+        return;
+      } else if (e.target.closest('.workspace-rename')) {
+        const name = window.prompt('Workspace name', workspace.name);
+        if (name === null) return;
+        renameWorkspace(workspace.id, name);
+      } else if (e.target.closest('.workspace-delete')) {
+        if (!window.confirm(`Permanently delete the workspace "${workspace.name}" and all of its data? Export a backup from it first.`)) return;
+        await deleteWorkspace(workspace.id);
+        toast(`Deleted "${workspace.name}"`, { type: 'info' });
+      } else {
+        return;
+      }
+      renderWorkspaceSettings(container);
+      renderSwitcherOptions();
+    } catch (err) {
+      toast(err.message, { type: 'error' });
+    }
+  });
+}
@@ -3,7 +3,7 @@
  * Cache-first for JS/CSS/fonts, network-first for HTML
  */
 
-const CACHE_NAME = 'compliancetrack-v5';
+const CACHE_NAME = 'compliancetrack-v28';
 
 const ASSETS = [
   './',
@@ -20,6 +20,24 @@ const ASSETS = [
   './js/outreach.js',
   './js/alerts.js',
   './js/import-export.js',
+  './js/history.js',
+  './js/trash.js',
+  './js/search.js',
+  './js/data-health.js',
+  './js/encryption.js',
+  './js/passphrase.js',
+  './js/workspaces.js',
+  './js/storage.js',
+  './js/retention.js',
+  './js/merge.js',
+  './js/duplicates.js',
+  './js/verification.js',
+  './js/custom-fields.js',
+  './js/cert-catalog.js',
+  './js/tags.js',
+  './js/attachments.js',
+  './js/resume.js',
+  './js/migrations.js',
   './js/sw-register.js',
   './lib/papaparse.min.js',
   './lib/Sortable.min.js',
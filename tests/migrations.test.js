@@ -0,0 +1,243 @@
+/**
+ * migrations.test.js — Schema steps, record transforms and backup upgrades
+ *
+ * Run with `node --test tests/` (Node 20.19+ loads the ES modules in js/ as-is).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIGRATIONS, LATEST_VERSION, composeTransforms, runMigrations, migrateBackup } from '../js/migrations.js';
+
+const step = (version) => MIGRATIONS.find(m => m.version === version);
+
+/** Apply a single step's transform for one store to a record. */
+function applyStep(version, storeName, record) {
+  return composeTransforms([step(version)]).get(storeName)(record);
+}
+
+/**
+ * In-memory stand-in for the IDBDatabase and upgrade transaction that
+ * runMigrations works on. settled() resolves once every cursor opened on the
+ * transaction has walked its store.
+ */
+function fakeDatabase() {
+  const stores = new Map();
+  const cursors = [];
+  const createStore = (name, options) => {
+    const store = {
+      options,
+      indexes: new Map(),
+      records: [],
+      createIndex(indexName, keyPath, indexOptions) {
+        store.indexes.set(indexName, { keyPath, options: indexOptions });
+      },
+      openCursor() {
+        const request = {};
+        let i = 0;
+        cursors.push(new Promise((resolve) => {
+          const advance = () => setTimeout(() => {
+            request.result = i < store.records.length
+              ? { value: store.records[i], update(value) { store.records[i] = value; }, continue() { i++; advance(); } }
+              : null;
+            request.onsuccess();
+            if (!request.result) resolve();
+          });
+          advance();
+        }));
+        return request;
+      },
+    };
+    stores.set(name, store);
+    return store;
+  };
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: createStore,
+  };
+  const tx = { objectStore: (name) => stores.get(name) };
+  return { db, tx, stores, settled: () => Promise.all(cursors) };
+}
+
+/** Fake database with the schema of `version`, holding `records` ({ storeName: [record] }). */
+function databaseAt(version, records = {}) {
+  const fake = fakeDatabase();
+  for (const m of MIGRATIONS.filter(m => m.version <= version)) m.schema?.(fake.db, fake.tx);
+  for (const [name, list] of Object.entries(records)) fake.stores.get(name).records = [...list];
+  return fake;
+}
+
+const schemaAt = (version) => databaseAt(version).stores;
+
+// ── Registry ────────────────────────────────────────────────
+
+test('versions are unique and ascending, ending at LATEST_VERSION', () => {
+  const versions = MIGRATIONS.map(m => m.version);
+  assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  assert.equal(new Set(versions).size, versions.length);
+  assert.equal(LATEST_VERSION, versions[versions.length - 1]);
+});
+
+test('composeTransforms chains steps on the same store in version order', () => {
+  const composed = composeTransforms([
+    { version: 1, transforms: { items: (r) => ({ ...r, trail: [...r.trail, 1] }) } },
+    { version: 2, transforms: { items: (r) => ({ ...r, trail: [...r.trail, 2] }), other: (r) => ({ ...r, touched: true }) } },
+    { version: 3, schema() {} },
+  ]);
+  assert.deepEqual([...composed.keys()], ['items', 'other']);
+  assert.deepEqual(composed.get('items')({ trail: [] }).trail, [1, 2]);
+  assert.equal(composed.get('other')({}).touched, true);
+});
+
+// ── Steps ───────────────────────────────────────────────────
+
+test('v1–v4 create the original stores and their indexes', () => {
+  const stores = schemaAt(4);
+  assert.deepEqual([...stores.keys()], ['candidates', 'settings', 'clients', 'jobs', 'pipeline', 'activities', 'auditLog']);
+  assert.deepEqual([...stores.get('candidates').indexes.keys()], ['email', 'lastName', 'location', 'externalId']);
+  assert.deepEqual(stores.get('pipeline').indexes.get('candidateJob'), { keyPath: ['candidateId', 'jobId'], options: { unique: true } });
+  assert.deepEqual([...stores.get('activities').indexes.keys()], ['candidateId', 'type', 'followUpDate', 'candidateType']);
+  assert.deepEqual(stores.get('auditLog').indexes.get('entityRecord').keyPath, ['entity', 'entityId']);
+});
+
+test('v5 backfills updatedAt on activities from createdAt', () => {
+  assert.deepEqual(
+    applyStep(5, 'activities', { id: 'a1', createdAt: '2024-01-02T00:00:00.000Z' }),
+    { id: 'a1', createdAt: '2024-01-02T00:00:00.000Z', updatedAt: '2024-01-02T00:00:00.000Z' },
+  );
+  assert.equal(
+    applyStep(5, 'activities', { id: 'a2', createdAt: '2024-01-02T00:00:00.000Z', updatedAt: '2024-03-04T00:00:00.000Z' }).updatedAt,
+    '2024-03-04T00:00:00.000Z',
+  );
+});
+
+test('v6 creates the search index store with token and entity indexes', () => {
+  const searchIndex = schemaAt(6).get('searchIndex');
+  assert.deepEqual(searchIndex.options, { keyPath: 'key' });
+  assert.deepEqual(searchIndex.indexes.get('tokens'), { keyPath: 'tokens', options: { multiEntry: true } });
+  assert.equal(searchIndex.indexes.get('entity').keyPath, 'entity');
+  assert.equal(composeTransforms([step(6)]).size, 0);
+});
+
+test('v7 adds the sort indexes used by paged list queries', () => {
+  const stores = schemaAt(7);
+  assert.equal(stores.get('candidates').indexes.get('updatedAt').keyPath, 'updatedAt');
+  assert.deepEqual(stores.get('candidates').indexes.get('locationUpdated').keyPath, ['location', 'updatedAt']);
+  assert.equal(stores.get('jobs').indexes.get('updatedAt').keyPath, 'updatedAt');
+  assert.deepEqual(stores.get('jobs').indexes.get('statusUpdated').keyPath, ['status', 'updatedAt']);
+  assert.equal(stores.get('activities').indexes.get('createdAt').keyPath, 'createdAt');
+  assert.deepEqual(stores.get('activities').indexes.get('typeCreated').keyPath, ['type', 'createdAt']);
+  assert.equal(schemaAt(6).get('candidates').indexes.has('updatedAt'), false);
+});
+
+test('v8 indexes activities by job', () => {
+  assert.equal(schemaAt(7).get('activities').indexes.has('jobId'), false);
+  assert.equal(schemaAt(8).get('activities').indexes.get('jobId').keyPath, 'jobId');
+});
+
+test('v9 creates the keyring store', () => {
+  assert.equal(schemaAt(8).has('keyring'), false);
+  assert.deepEqual(schemaAt(9).get('keyring').options, { keyPath: 'id' });
+});
+
+test('v10 adds empty consent fields without overwriting recorded consent', () => {
+  assert.deepEqual(applyStep(10, 'candidates', { id: 'c1' }), { id: 'c1', consentDate: null, consentBasis: '', consentSource: '' });
+  const recorded = { id: 'c2', consentDate: '2024-05-01', consentBasis: 'consent', consentSource: 'Web form' };
+  assert.deepEqual(applyStep(10, 'candidates', recorded), recorded);
+});
+
+test('v11 adds empty tags to people, companies, jobs and activities, keeping existing tags', () => {
+  for (const storeName of ['candidates', 'clients', 'jobs', 'activities']) {
+    assert.deepEqual(applyStep(11, storeName, { id: 'x' }), { id: 'x', tags: [] }, storeName);
+    assert.deepEqual(applyStep(11, storeName, { id: 'y', tags: ['t1'] }).tags, ['t1'], storeName);
+  }
+});
+
+test('v11 creates a multi-entry tags index on each tagged store', () => {
+  const stores = schemaAt(11);
+  for (const storeName of ['candidates', 'clients', 'jobs', 'activities']) {
+    assert.deepEqual(stores.get(storeName).indexes.get('tags'), { keyPath: 'tags', options: { multiEntry: true } }, storeName);
+  }
+});
+
+test('v12 creates the attachments store and leaves records alone', () => {
+  const attachments = schemaAt(12).get('attachments');
+  assert.deepEqual(attachments.options, { keyPath: 'id' });
+  assert.deepEqual(attachments.indexes.get('owner').keyPath, ['entity', 'entityId']);
+  assert.equal(composeTransforms([step(12)]).size, 0);
+
+  const file = { id: 'f1', entity: 'candidates', entityId: 'c1', name: 'resume.pdf' };
+  assert.deepEqual(migrateBackup({ version: 11, candidates: [], attachments: [file] }).attachments, [file]);
+});
+
+// ── Upgrades ────────────────────────────────────────────────
+
+test('runMigrations creates every store on a new database', async () => {
+  const fake = fakeDatabase();
+  runMigrations(fake.db, fake.tx, 0);
+  await fake.settled();
+  assert.deepEqual([...fake.stores.keys()], [...schemaAt(LATEST_VERSION).keys()]);
+});
+
+test('runMigrations rewrites existing records with the pending transforms', async () => {
+  const fake = databaseAt(4, {
+    candidates: [{ id: 'c1', firstName: 'Ada', lastName: 'Byron' }],
+    activities: [
+      { id: 'a1', createdAt: '2024-01-02T00:00:00.000Z' },
+      { id: 'a2', createdAt: '2024-01-02T00:00:00.000Z', updatedAt: '2024-03-04T00:00:00.000Z' },
+    ],
+  });
+  runMigrations(fake.db, fake.tx, 4);
+  await fake.settled();
+  const [a1, a2] = fake.stores.get('activities').records;
+  assert.equal(a1.updatedAt, '2024-01-02T00:00:00.000Z');
+  assert.equal(a2.updatedAt, '2024-03-04T00:00:00.000Z');
+  assert.equal(fake.stores.get('candidates').records[0].consentBasis, '');
+  assert.deepEqual(a1.tags, []);
+});
+
+test('runMigrations leaves records alone when nothing is pending', async () => {
+  const activity = { id: 'a1', createdAt: '2024-01-02T00:00:00.000Z' };
+  const fake = databaseAt(LATEST_VERSION, { activities: [activity] });
+  runMigrations(fake.db, fake.tx, LATEST_VERSION);
+  await fake.settled();
+  assert.deepEqual(fake.stores.get('activities').records, [activity]);
+});
+
+// ── Backups ─────────────────────────────────────────────────
+
+test('a v1 backup comes out fully upgraded', () => {
+  const backup = {
+    version: 1,
+    candidates: [{ id: 'c1', firstName: 'Ada', lastName: 'Byron' }],
+    clients: [{ id: 'cl1', companyName: 'Acme' }],
+    jobs: [{ id: 'j1', title: 'AML Analyst' }],
+    activities: [{ id: 'a1', createdAt: '2024-01-02T00:00:00.000Z' }],
+    settings: [{ key: 'certAlertDays', value: 60 }],
+  };
+  const migrated = migrateBackup(backup);
+
+  assert.equal(migrated.version, LATEST_VERSION);
+  assert.equal(migrated.activities[0].updatedAt, '2024-01-02T00:00:00.000Z');
+  assert.deepEqual(migrated.candidates[0], { id: 'c1', firstName: 'Ada', lastName: 'Byron', consentDate: null, consentBasis: '', consentSource: '', tags: [] });
+  assert.deepEqual(migrated.clients[0], { id: 'cl1', companyName: 'Acme', tags: [] });
+  assert.deepEqual(migrated.jobs[0], { id: 'j1', title: 'AML Analyst', tags: [] });
+  assert.deepEqual(migrated.settings, backup.settings);
+  // The parsed backup itself is left untouched
+  assert.equal(backup.version, 1);
+  assert.equal(backup.activities[0].updatedAt, undefined);
+});
+
+test('a backup without a version is treated as v1', () => {
+  const migrated = migrateBackup({ candidates: [], activities: [{ id: 'a1', createdAt: '2024-01-02T00:00:00.000Z' }] });
+  assert.equal(migrated.version, LATEST_VERSION);
+  assert.equal(migrated.activities[0].updatedAt, '2024-01-02T00:00:00.000Z');
+});
+
+test('a current backup only has its version confirmed', () => {
+  const backup = { version: LATEST_VERSION, candidates: [{ id: 'c1' }] };
+  assert.deepEqual(migrateBackup(backup), backup);
+});
+
+test('a backup from a newer version throws instead of being restored', () => {
+  assert.throws(() => migrateBackup({ version: LATEST_VERSION + 1, candidates: [] }), /newer version/);
+});
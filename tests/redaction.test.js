@@ -0,0 +1,45 @@
+/**
+ * redaction.test.js — Finding and redacting a forgotten person in other activities
+ *
+ * Run with `node --test tests/`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { subjectTerms, mentionsSubject, redactActivity } from '../js/db.js';
+
+const john = { id: 'c1', firstName: 'John', lastName: 'Smith', email: 'john.smith@example.com', phone: '555-0100' };
+
+test('full name, email and phone are found and redacted', () => {
+  const terms = subjectTerms(john);
+  const activity = { id: 'a1', candidateId: 'c2', subject: 'Reference for John  Smith', body: 'Reach him at john.smith@example.com or 555-0100.' };
+  assert.equal(mentionsSubject(activity, terms), true);
+  assert.deepEqual(redactActivity(activity, terms), {
+    ...activity,
+    subject: 'Reference for [redacted]',
+    body: 'Reach him at [redacted] or [redacted].',
+  });
+});
+
+test('another person sharing a first or last name stays untouched', () => {
+  const terms = subjectTerms(john);
+  const others = [
+    { id: 'a2', candidateId: 'c2', subject: 'Intro call with John Doe', body: 'John has ten years in AML.' },
+    { id: 'a3', candidateId: 'c3', subject: 'Offer for Jane Smith', body: 'Smith accepted on Friday.' },
+  ];
+  for (const activity of others) {
+    assert.equal(mentionsSubject(activity, terms), false, activity.subject);
+    assert.deepEqual(redactActivity(activity, terms), activity);
+  }
+});
+
+test('names are matched as whole words only', () => {
+  const terms = subjectTerms(john);
+  assert.equal(mentionsSubject({ subject: 'Spoke with John Smithson', body: '' }, terms), false);
+  assert.equal(mentionsSubject({ subject: 'Spoke with JOHN SMITH', body: '' }, terms), true);
+});
+
+test('missing or one-letter fields are not used as terms', () => {
+  assert.equal(subjectTerms({ firstName: 'J', lastName: '' }).length, 0);
+  assert.equal(subjectTerms({ firstName: 'Ann', lastName: 'Lee' }).length, 1);
+});
@@ -0,0 +1,37 @@
+/**
+ * tenure.test.js — Reading "<cert> N+ years" out of a search query
+ *
+ * Run with `node --test tests/`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTenureQuery } from '../js/db.js';
+
+const certs = ['CAMS', 'Series 7', 'Series 7 (GS)', 'C++ Advisor', 'Cert. Auditor'];
+
+test('a query without N+ years is not a tenure search', () => {
+  assert.equal(parseTenureQuery('CAMS Chicago', certs), null);
+});
+
+test('the cert name before the years is picked out and the rest kept', () => {
+  assert.deepEqual(parseTenureQuery('CAMS 5+ years', certs), { cert: 'CAMS', years: 5, rest: '' });
+  assert.deepEqual(parseTenureQuery('Chicago  cams 3+yrs remote', certs), { cert: 'CAMS', years: 3, rest: 'chicago remote' });
+});
+
+test('without a cert name any cert counts', () => {
+  assert.deepEqual(parseTenureQuery('10+ years', certs), { cert: '', years: 10, rest: '' });
+  assert.deepEqual(parseTenureQuery('Chicago 2 + year', certs), { cert: '', years: 2, rest: 'Chicago' });
+});
+
+test('regex metacharacters in cert names are matched literally', () => {
+  assert.deepEqual(parseTenureQuery('Series 7 (GS) 3+ years', certs), { cert: 'Series 7 (GS)', years: 3, rest: '' });
+  assert.deepEqual(parseTenureQuery('C++ Advisor 4+ years', certs), { cert: 'C++ Advisor', years: 4, rest: '' });
+  assert.deepEqual(parseTenureQuery('Cert. Auditor 1+ year', certs), { cert: 'Cert. Auditor', years: 1, rest: '' });
+  // The dot is not "any character"
+  assert.equal(parseTenureQuery('CertX Auditor 1+ year', certs).cert, '');
+});
+
+test('a cert name only matches as a whole word', () => {
+  assert.deepEqual(parseTenureQuery('xCAMS 5+ years', certs), { cert: '', years: 5, rest: 'xCAMS' });
+});